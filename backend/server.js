@@ -3,30 +3,142 @@ const express = require('express');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const sqlite3 = require('sqlite3').verbose();
 const { body, param, query, validationResult } = require('express-validator');
+const { marked } = require('marked');
+const { diffLines } = require('diff');
+const nodemailer = require('nodemailer');
+const QRCode = require('qrcode');
 
 // ========== CONFIGURATION VALIDATION ==========
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '24h';
+const JWT_EXPIRY = process.env.JWT_EXPIRY || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
 const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12', 10);
 const PORT = parseInt(process.env.PORT || '3000', 10);
 const DB_PATH = process.env.DB_PATH || './learning_platform.db';
+// How long a write waits for another connection's transaction to finish before failing
+const DB_BUSY_TIMEOUT_MS = 5000;
 const NODE_ENV = process.env.NODE_ENV || 'production';
 const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').filter(Boolean);
+const PUBLISH_SCHEDULER_INTERVAL_MS = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS || '60000', 10);
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://127.0.0.1:${PORT}`).replace(/\/+$/, '');
+const APP_BASE_URL = (process.env.APP_BASE_URL || ALLOWED_ORIGINS[0] || '').replace(/\/+$/, '');
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48', 10);
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10);
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+// Roles that must sign in with two-factor authentication
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',').map(role => role.trim()).filter(Boolean);
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Online Learning Platform';
+// Actions an account cannot take until its email address is verified
+const UNVERIFIED_ACTIONS = ['enroll', 'create_course', 'discuss', 'review', 'submit'];
+const UNVERIFIED_RESTRICTIONS = (process.env.UNVERIFIED_RESTRICTIONS ?? 'enroll,create_course')
+  .split(',').map(action => action.trim()).filter(Boolean);
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'console';
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Online Learning Platform <no-reply@localhost>';
+const EMAIL_OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || './mail';
+const EMAIL_WORKER_INTERVAL_MS = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS || '30000', 10);
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '5', 10);
+const PROGRESS_DIGEST_CHECK_INTERVAL_MS = parseInt(process.env.PROGRESS_DIGEST_CHECK_INTERVAL_MS || '3600000', 10);
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT || '587', 10);
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
 
 if (!JWT_SECRET || JWT_SECRET.length < 32) {
   console.error('FATAL: JWT_SECRET must be set and at least 32 characters');
   process.exit(1);
 }
 
+if (!(REFRESH_TOKEN_TTL_DAYS >= 1 && REFRESH_TOKEN_TTL_DAYS <= 365)) {
+  console.error('FATAL: REFRESH_TOKEN_TTL_DAYS must be between 1 and 365');
+  process.exit(1);
+}
+
+if (!(PASSWORD_RESET_TTL_MINUTES >= 5 && PASSWORD_RESET_TTL_MINUTES <= 1440)) {
+  console.error('FATAL: PASSWORD_RESET_TTL_MINUTES must be between 5 and 1440');
+  process.exit(1);
+}
+
+if (!(EMAIL_VERIFICATION_TTL_HOURS >= 1 && EMAIL_VERIFICATION_TTL_HOURS <= 720)) {
+  console.error('FATAL: EMAIL_VERIFICATION_TTL_HOURS must be between 1 and 720');
+  process.exit(1);
+}
+
+if (!(LOGIN_MAX_FAILED_ATTEMPTS >= 3 && LOGIN_MAX_FAILED_ATTEMPTS <= 20)) {
+  console.error('FATAL: LOGIN_MAX_FAILED_ATTEMPTS must be between 3 and 20');
+  process.exit(1);
+}
+
+if (!(LOGIN_LOCKOUT_MINUTES >= 1 && LOGIN_LOCKOUT_MINUTES <= 1440)) {
+  console.error('FATAL: LOGIN_LOCKOUT_MINUTES must be between 1 and 1440');
+  process.exit(1);
+}
+
+if (!TWO_FACTOR_REQUIRED_ROLES.every(role => ['instructor', 'student'].includes(role))) {
+  console.error('FATAL: TWO_FACTOR_REQUIRED_ROLES may only contain instructor, student');
+  process.exit(1);
+}
+
+if (!UNVERIFIED_RESTRICTIONS.every(action => UNVERIFIED_ACTIONS.includes(action))) {
+  console.error(`FATAL: UNVERIFIED_RESTRICTIONS may only contain ${UNVERIFIED_ACTIONS.join(', ')}`);
+  process.exit(1);
+}
+
 if (BCRYPT_ROUNDS < 10 || BCRYPT_ROUNDS > 15) {
   console.error('FATAL: BCRYPT_ROUNDS must be between 10 and 15');
   process.exit(1);
 }
 
+if (!(PUBLISH_SCHEDULER_INTERVAL_MS >= 1000)) {
+  console.error('FATAL: PUBLISH_SCHEDULER_INTERVAL_MS must be at least 1000');
+  process.exit(1);
+}
+
+if (!['smtp', 'file', 'console'].includes(EMAIL_TRANSPORT)) {
+  console.error('FATAL: EMAIL_TRANSPORT must be one of smtp, file, console');
+  process.exit(1);
+}
+
+// Emails carry password reset, unlock and verification links, so production must choose where they go
+if (NODE_ENV === 'production' && !process.env.EMAIL_TRANSPORT) {
+  console.error('FATAL: EMAIL_TRANSPORT must be set explicitly in production');
+  process.exit(1);
+}
+
+if (EMAIL_TRANSPORT === 'smtp' && !SMTP_HOST) {
+  console.error('FATAL: SMTP_HOST must be set when EMAIL_TRANSPORT is smtp');
+  process.exit(1);
+}
+
+if (!(EMAIL_WORKER_INTERVAL_MS >= 1000)) {
+  console.error('FATAL: EMAIL_WORKER_INTERVAL_MS must be at least 1000');
+  process.exit(1);
+}
+
+if (!(PROGRESS_DIGEST_CHECK_INTERVAL_MS >= 1000)) {
+  console.error('FATAL: PROGRESS_DIGEST_CHECK_INTERVAL_MS must be at least 1000');
+  process.exit(1);
+}
+
+if (!(EMAIL_MAX_ATTEMPTS >= 1)) {
+  console.error('FATAL: EMAIL_MAX_ATTEMPTS must be at least 1');
+  process.exit(1);
+}
+
+// Transactions open a second connection to the same database, which an in-memory database cannot share
+if (DB_PATH === ':memory:') {
+  console.error('FATAL: DB_PATH must be a file; an in-memory database is not supported');
+  process.exit(1);
+}
+
 if (ALLOWED_ORIGINS.length === 0) {
   console.error('FATAL: ALLOWED_ORIGINS must be explicitly set (comma-separated list)');
   process.exit(1);
@@ -40,6 +152,20 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
   }
 });
 
+// Adds a column to a table created by an earlier version of the schema
+// onAdded runs only when the column did not exist yet, to backfill rows that predate it
+const addColumnIfMissing = (table, columnDefinition, onAdded) => {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition}`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error(`FATAL: Schema migration failed for ${table}:`, err.message);
+      process.exit(1);
+    }
+    if (!err && onAdded) {
+      onAdded();
+    }
+  });
+};
+
 db.serialize(() => {
   db.run(`CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -60,6 +186,67 @@ db.serialize(() => {
     FOREIGN KEY (instructor_id) REFERENCES users(id) ON DELETE CASCADE
   )`);
 
+  db.run(`CREATE TABLE IF NOT EXISTS categories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS course_tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    tag TEXT NOT NULL,
+    UNIQUE(course_id, tag),
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS course_prerequisites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    prerequisite_course_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(course_id, prerequisite_course_id),
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (prerequisite_course_id) REFERENCES courses(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS learning_paths (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    description TEXT,
+    instructor_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (instructor_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS learning_path_courses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    path_id INTEGER NOT NULL,
+    course_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    UNIQUE(path_id, course_id),
+    FOREIGN KEY (path_id) REFERENCES learning_paths(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS course_reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    student_id INTEGER NOT NULL,
+    rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    body TEXT,
+    instructor_reply TEXT,
+    replied_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(course_id, student_id),
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
   db.run(`CREATE TABLE IF NOT EXISTS lessons (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     course_id INTEGER NOT NULL,
@@ -71,6 +258,42 @@ db.serialize(() => {
     FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
   )`);
 
+  db.run(`CREATE TABLE IF NOT EXISTS sections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    order_index INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS lesson_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lesson_id INTEGER NOT NULL,
+    revision_number INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    author_id INTEGER,
+    restored_from_revision_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(lesson_id, revision_number),
+    FOREIGN KEY (lesson_id) REFERENCES lessons(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (restored_from_revision_id) REFERENCES lesson_revisions(id) ON DELETE SET NULL
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS lesson_prerequisites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lesson_id INTEGER NOT NULL,
+    prerequisite_lesson_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(lesson_id, prerequisite_lesson_id),
+    FOREIGN KEY (lesson_id) REFERENCES lessons(id) ON DELETE CASCADE,
+    FOREIGN KEY (prerequisite_lesson_id) REFERENCES lessons(id) ON DELETE CASCADE
+  )`);
+
   db.run(`CREATE TABLE IF NOT EXISTS enrollments (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     student_id INTEGER NOT NULL,
@@ -92,6 +315,19 @@ db.serialize(() => {
     FOREIGN KEY (lesson_id) REFERENCES lessons(id) ON DELETE CASCADE
   )`);
 
+  db.run(`CREATE TABLE IF NOT EXISTS lesson_study_time (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    student_id INTEGER NOT NULL,
+    lesson_id INTEGER NOT NULL,
+    course_id INTEGER NOT NULL,
+    study_date TEXT NOT NULL,
+    seconds INTEGER NOT NULL DEFAULT 0,
+    last_heartbeat_at DATETIME NOT NULL,
+    UNIQUE(student_id, lesson_id, study_date),
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (lesson_id) REFERENCES lessons(id) ON DELETE CASCADE
+  )`);
+
   db.run(`CREATE TABLE IF NOT EXISTS audit_log (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER,
@@ -103,28 +339,385 @@ db.serialize(() => {
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
   )`);
 
+  db.run(`CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    family_id TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    replaced_by_id INTEGER,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  // Failed logins per email address, whether or not an account uses it, so lockouts
+  // behave the same for unknown addresses
+  db.run(`CREATE TABLE IF NOT EXISTS login_failures (
+    email TEXT PRIMARY KEY,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    last_failed_at DATETIME NOT NULL,
+    locked_until DATETIME
+  )`);
+
+  // enabled_at stays null until the first code is confirmed; last_used_step stops a code
+  // from being used twice
+  db.run(`CREATE TABLE IF NOT EXISTS user_totp (
+    user_id INTEGER PRIMARY KEY,
+    secret_encrypted TEXT NOT NULL,
+    enabled_at DATETIME,
+    last_used_step INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS revoked_tokens (
+    jti TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT,
+    link TEXT,
+    read_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS email_outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    category TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    text_body TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME NOT NULL,
+    last_error TEXT,
+    sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS email_preferences (
+    user_id INTEGER PRIMARY KEY,
+    lesson_updates BOOLEAN NOT NULL DEFAULT 1,
+    progress_digest BOOLEAN NOT NULL DEFAULT 1,
+    last_digest_at DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS quizzes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lesson_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    passing_score INTEGER NOT NULL DEFAULT 70 CHECK(passing_score BETWEEN 0 AND 100),
+    max_attempts INTEGER,
+    required_to_complete BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lesson_id) REFERENCES lessons(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS quiz_questions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    quiz_id INTEGER NOT NULL,
+    question_type TEXT NOT NULL CHECK(question_type IN ('multiple_choice', 'multi_select', 'true_false', 'short_answer')),
+    prompt TEXT NOT NULL,
+    options TEXT,
+    correct_answer TEXT NOT NULL,
+    points INTEGER NOT NULL DEFAULT 1,
+    order_index INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS quiz_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    quiz_id INTEGER NOT NULL,
+    student_id INTEGER NOT NULL,
+    answers TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    max_score INTEGER NOT NULL,
+    percentage INTEGER NOT NULL,
+    passed BOOLEAN NOT NULL,
+    submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS assignments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lesson_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    instructions TEXT NOT NULL,
+    due_at DATETIME,
+    max_points INTEGER NOT NULL CHECK(max_points > 0),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lesson_id) REFERENCES lessons(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS assignment_submissions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    assignment_id INTEGER NOT NULL,
+    student_id INTEGER NOT NULL,
+    text_content TEXT,
+    is_late BOOLEAN DEFAULT 0,
+    submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(assignment_id, student_id),
+    FOREIGN KEY (assignment_id) REFERENCES assignments(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS submission_attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    submission_id INTEGER NOT NULL,
+    filename TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    data BLOB NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (submission_id) REFERENCES assignment_submissions(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS submission_grades (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    submission_id INTEGER UNIQUE NOT NULL,
+    grader_id INTEGER NOT NULL,
+    points INTEGER NOT NULL,
+    feedback TEXT,
+    graded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (submission_id) REFERENCES assignment_submissions(id) ON DELETE CASCADE,
+    FOREIGN KEY (grader_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS discussion_threads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lesson_id INTEGER NOT NULL,
+    author_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT NOT NULL,
+    pinned INTEGER NOT NULL DEFAULT 0,
+    locked INTEGER NOT NULL DEFAULT 0,
+    answer_post_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_activity_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lesson_id) REFERENCES lessons(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (answer_post_id) REFERENCES discussion_posts(id) ON DELETE SET NULL
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS discussion_posts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    thread_id INTEGER NOT NULL,
+    author_id INTEGER NOT NULL,
+    parent_post_id INTEGER,
+    body TEXT,
+    deleted_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (thread_id) REFERENCES discussion_threads(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_post_id) REFERENCES discussion_posts(id) ON DELETE CASCADE
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS grade_categories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    weight INTEGER NOT NULL CHECK(weight BETWEEN 0 AND 100),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+  )`);
+
+  addColumnIfMissing('quizzes', 'category_id INTEGER REFERENCES grade_categories(id) ON DELETE SET NULL');
+  addColumnIfMissing('assignments', 'category_id INTEGER REFERENCES grade_categories(id) ON DELETE SET NULL');
+  addColumnIfMissing('lessons', 'section_id INTEGER REFERENCES sections(id) ON DELETE SET NULL');
+  // Content that existed before the publishing workflow stays visible
+  addColumnIfMissing('courses', "status TEXT NOT NULL DEFAULT 'published'");
+  addColumnIfMissing('courses', 'publish_at DATETIME');
+  addColumnIfMissing('lessons', "status TEXT NOT NULL DEFAULT 'published'");
+  addColumnIfMissing('lessons', 'publish_at DATETIME');
+  addColumnIfMissing('courses', 'sequential INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing('courses', 'category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL');
+  addColumnIfMissing('courses', 'level TEXT');
+  addColumnIfMissing('courses', 'language TEXT');
+  // Access tokens issued before this time are rejected, ending every session on a password change
+  addColumnIfMissing('users', 'password_changed_at DATETIME');
+  // Accounts created before email verification existed count as verified
+  addColumnIfMissing('users', 'email_verified_at DATETIME', () => {
+    db.run('UPDATE users SET email_verified_at = created_at');
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS certificates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    student_id INTEGER NOT NULL,
+    course_id INTEGER,
+    verification_code TEXT UNIQUE NOT NULL,
+    course_title TEXT NOT NULL,
+    student_email TEXT NOT NULL,
+    instructor_email TEXT NOT NULL,
+    issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(student_id, course_id),
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE SET NULL
+  )`);
+
   db.run(`CREATE INDEX IF NOT EXISTS idx_courses_instructor ON courses(instructor_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_courses_category ON courses(category_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_course_tags_tag ON course_tags(tag)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_course_reviews_course ON course_reviews(course_id)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_lessons_course ON lessons(course_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_lessons_section ON lessons(section_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_sections_course ON sections(course_id)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_enrollments_student ON enrollments(student_id)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_enrollments_course ON enrollments(course_id)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_progress_student ON progress(student_id)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_progress_lesson ON progress(lesson_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_lesson_study_time_course ON lesson_study_time(course_id, lesson_id)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log(timestamp)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_totp_recovery_codes_user ON totp_recovery_codes(user_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_quizzes_lesson ON quizzes(lesson_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz ON quiz_questions(quiz_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_quiz_attempts_quiz_student ON quiz_attempts(quiz_id, student_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_assignments_lesson ON assignments(lesson_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_submissions_assignment ON assignment_submissions(assignment_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_submissions_student ON assignment_submissions(student_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_attachments_submission ON submission_attachments(submission_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_grade_categories_course ON grade_categories(course_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_discussion_threads_lesson ON discussion_threads(lesson_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_discussion_posts_thread ON discussion_posts(thread_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_certificates_student ON certificates(student_id)`);
+
+  // Full-text index over course and lesson text, kept in sync by triggers on every write
+  db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+    kind UNINDEXED,
+    item_id UNINDEXED,
+    course_id UNINDEXED,
+    title,
+    body,
+    tokenize = 'porter unicode61'
+  )`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS courses_search_insert AFTER INSERT ON courses BEGIN
+    INSERT INTO search_index (kind, item_id, course_id, title, body)
+    VALUES ('course', new.id, new.id, new.title, new.description);
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS courses_search_update AFTER UPDATE OF title, description ON courses BEGIN
+    DELETE FROM search_index WHERE kind = 'course' AND item_id = old.id;
+    INSERT INTO search_index (kind, item_id, course_id, title, body)
+    VALUES ('course', new.id, new.id, new.title, new.description);
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS courses_search_delete AFTER DELETE ON courses BEGIN
+    DELETE FROM search_index WHERE course_id = old.id;
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS lessons_search_insert AFTER INSERT ON lessons BEGIN
+    INSERT INTO search_index (kind, item_id, course_id, title, body)
+    VALUES ('lesson', new.id, new.course_id, new.title, new.content);
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS lessons_search_update AFTER UPDATE OF title, content, course_id ON lessons BEGIN
+    DELETE FROM search_index WHERE kind = 'lesson' AND item_id = old.id;
+    INSERT INTO search_index (kind, item_id, course_id, title, body)
+    VALUES ('lesson', new.id, new.course_id, new.title, new.content);
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS lessons_search_delete AFTER DELETE ON lessons BEGIN
+    DELETE FROM search_index WHERE kind = 'lesson' AND item_id = old.id;
+  END`);
+  // Rebuilt at startup so content written before the index existed is searchable too
+  db.run('DELETE FROM search_index');
+  db.run(`INSERT INTO search_index (kind, item_id, course_id, title, body)
+    SELECT 'course', id, id, title, description FROM courses`);
+  db.run(`INSERT INTO search_index (kind, item_id, course_id, title, body)
+    SELECT 'lesson', l.id, l.course_id, l.title, l.content FROM lessons l JOIN courses c ON l.course_id = c.id`);
 });
 
-const dbAsync = {
+const promisifyConnection = (connection) => ({
   get: (sql, params) => new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    connection.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
   }),
   all: (sql, params) => new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    connection.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
   }),
   run: (sql, params) => new Promise((resolve, reject) => {
-    db.run(sql, params, function(err) {
+    connection.run(sql, params, function(err) {
       err ? reject(err) : resolve({ lastID: this.lastID, changes: this.changes });
     });
   })
+});
+
+const dbAsync = promisifyConnection(db);
+
+// Transactions run on a connection of their own, so statements that other requests send
+// through dbAsync can never land inside an open transaction and be committed or rolled
+// back with it. Writes on the shared connection wait for the transaction to commit.
+const transactionDb = new sqlite3.Database(DB_PATH, (err) => {
+  if (err) {
+    console.error('FATAL: Database connection failed:', err.message);
+    process.exit(1);
+  }
+});
+db.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+transactionDb.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+const txAsync = promisifyConnection(transactionDb);
+
+// Runs work(tx) inside a single SQLite transaction; every statement of the transaction must
+// go through tx. Transactions are queued because SQLite cannot nest BEGIN statements.
+let transactionQueue = Promise.resolve();
+const withTransaction = (work) => {
+  const run = transactionQueue.then(async () => {
+    await txAsync.run('BEGIN IMMEDIATE');
+    try {
+      const result = await work(txAsync);
+      await txAsync.run('COMMIT');
+      return result;
+    } catch (err) {
+      await txAsync.run('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  });
+  transactionQueue = run.catch(() => {});
+  return run;
 };
 
 // ========== RATE LIMITING ==========
@@ -132,6 +725,11 @@ const rateLimiters = new Map();
 const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
 const RATE_LIMIT_MAX_REQUESTS = 100;
 
+// Verification emails are also limited per account, on top of the per-IP limit
+const verificationResends = new Map();
+const VERIFICATION_RESEND_WINDOW_MS = 60 * 60 * 1000;
+const VERIFICATION_RESEND_MAX = 3;
+
 setInterval(() => {
   const now = Date.now();
   for (const [key, data] of rateLimiters.entries()) {
@@ -139,6 +737,11 @@ setInterval(() => {
       rateLimiters.delete(key);
     }
   }
+  for (const [userId, sentAt] of verificationResends.entries()) {
+    if (now - sentAt[sentAt.length - 1] > VERIFICATION_RESEND_WINDOW_MS) {
+      verificationResends.delete(userId);
+    }
+  }
 }, 5 * 60 * 1000);
 
 const perClientRateLimit = (req, res, next) => {
@@ -162,6 +765,25 @@ const perClientRateLimit = (req, res, next) => {
   next();
 };
 
+const verificationResendRateLimit = (req, res, next) => {
+  // Verified accounts get a 409 from the handler and send nothing, so they use up no quota
+  if (req.user.email_verified) {
+    return next();
+  }
+
+  const now = Date.now();
+  const sentAt = (verificationResends.get(req.user.id) || []).filter(time => now - time < VERIFICATION_RESEND_WINDOW_MS);
+
+  if (sentAt.length >= VERIFICATION_RESEND_MAX) {
+    res.set('Retry-After', String(Math.ceil((sentAt[0] + VERIFICATION_RESEND_WINDOW_MS - now) / 1000)));
+    return res.status(429).json({ error: 'Too many verification emails requested. Please try again later.' });
+  }
+
+  sentAt.push(now);
+  verificationResends.set(req.user.id, sentAt);
+  next();
+};
+
 // ========== AUDIT LOGGING ==========
 const auditLog = async (userId, action, resourceType, resourceId, ipAddress) => {
   try {
@@ -193,6 +815,8 @@ app.use(helmet({
   }
 }));
 
+// Assignment submissions carry base64-encoded attachments, so they get a larger body limit
+app.use('/api/assignments/:id/submissions', express.json({ limit: '15mb' }));
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
@@ -228,6 +852,14 @@ app.use((req, res, next) => {
 app.use(perClientRateLimit);
 
 // ========== AUTHENTICATION MIDDLEWARE ==========
+// The user fields returned to clients and set as req.user
+const toAuthUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  role: user.role,
+  email_verified: !!user.email_verified_at
+});
+
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
@@ -242,17 +874,31 @@ const authenticateToken = async (req, res, next) => {
       maxAge: JWT_EXPIRY
     });
     
-    if (!payload.userId || !payload.role) {
+    if (!payload.userId || !payload.role || !payload.jti) {
       return res.status(401).json({ error: 'Invalid token payload' });
     }
     
-    const user = await dbAsync.get('SELECT id, email, role FROM users WHERE id = ?', [payload.userId]);
+    const revoked = await dbAsync.get('SELECT jti FROM revoked_tokens WHERE jti = ?', [payload.jti]);
+    
+    if (revoked) {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
+    
+    const user = await dbAsync.get(
+      'SELECT id, email, role, password_changed_at, email_verified_at FROM users WHERE id = ?',
+      [payload.userId]
+    );
     
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
     
-    req.user = user;
+    if (user.password_changed_at && payload.iat < Math.floor(new Date(user.password_changed_at).getTime() / 1000)) {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
+    
+    req.user = toAuthUser(user);
+    req.token = payload;
     next();
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
@@ -271,6 +917,16 @@ const requireRole = (...roles) => {
   };
 };
 
+// Blocks the action for unverified accounts when it is listed in UNVERIFIED_RESTRICTIONS
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (UNVERIFIED_RESTRICTIONS.includes(action) && !req.user.email_verified) {
+      return res.status(403).json({ error: 'Please verify your email address first' });
+    }
+    next();
+  };
+};
+
 // ========== VALIDATION HELPERS ==========
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -297,89 +953,5950 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'healthy' });
 });
 
-// ========== AUTH ENDPOINTS ==========
-app.post('/api/auth/register',
-  body('email').isEmail().normalizeEmail(),
+// ========== CERTIFICATE VERIFICATION (NO AUTH) ==========
+app.get('/verify/:code',
+  param('code').isHexadecimal().isLength({ min: 32, max: 32 }),
+  validate,
+  async (req, res) => {
+    try {
+      const certificate = await dbAsync.get(
+        `SELECT id, course_title, student_email, instructor_email, issued_at
+         FROM certificates
+         WHERE verification_code = ?`,
+        [req.params.code.toLowerCase()]
+      );
+
+      if (!certificate) {
+        return res.status(404).json({ valid: false, error: 'Certificate not found' });
+      }
+
+      await auditLog(null, 'CERTIFICATE_VERIFIED', 'certificate', certificate.id, req.ip);
+
+      const { id, ...details } = certificate;
+
+      res.json({ valid: true, certificate: details });
+    } catch (err) {
+      console.error('Verify certificate error:', err.message);
+      res.status(500).json({ error: 'Failed to verify certificate' });
+    }
+  }
+);
+
+// ========== TOKEN HELPERS ==========
+// A rotated refresh token presented again this soon is treated as two tabs refreshing
+// at once rather than as a stolen token, and does not revoke the session
+const REFRESH_TOKEN_REUSE_GRACE_MS = 10000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => jwt.sign(
+  { userId: user.id, role: user.role, emailVerified: user.email_verified },
+  JWT_SECRET,
+  { algorithm: 'HS256', expiresIn: JWT_EXPIRY, jwtid: crypto.randomUUID() }
+);
+
+// Refresh tokens are random strings stored only as hashes. Every token issued by rotating
+// another shares its family id, so one login session can be revoked as a whole.
+const issueRefreshToken = async (userId, familyId = crypto.randomUUID(), conn = dbAsync) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const result = await conn.run(
+    'INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+    [userId, familyId, hashToken(token), expiresAt]
+  );
+  return { id: result.lastID, token };
+};
+
+const issueAuthTokens = async (user) => ({
+  token: signAccessToken(user),
+  refresh_token: (await issueRefreshToken(user.id)).token
+});
+
+const revokeRefreshTokens = (where, params, conn = dbAsync) => conn.run(
+  `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE revoked_at IS NULL AND ${where}`,
+  params
+);
+
+// Denylists an access token's jti until the token would have expired anyway
+const revokeAccessToken = (payload) => dbAsync.run(
+  'INSERT OR IGNORE INTO revoked_tokens (jti, user_id, expires_at) VALUES (?, ?, ?)',
+  [payload.jti, payload.userId, new Date(payload.exp * 1000).toISOString()]
+);
+
+// Stores the new password and ends every existing session: access tokens issued before
+// password_changed_at are rejected by authenticateToken and refresh tokens are revoked.
+// Callers hash the password first so bcrypt never runs while a transaction is open.
+const setUserPassword = async (userId, passwordHash, conn = dbAsync) => {
+  await conn.run(
+    'UPDATE users SET password_hash = ?, password_changed_at = ? WHERE id = ?',
+    [passwordHash, new Date().toISOString(), userId]
+  );
+  await revokeRefreshTokens('user_id = ?', [userId], conn);
+};
+
+// Verification and unlock links carry a signed token rather than a stored one. It names the
+// email address it was sent to, so it stops working if that address changes, and its audience
+// keeps a token for one purpose from being accepted for another.
+const EMAIL_VERIFICATION_AUDIENCE = 'email-verification';
+const ACCOUNT_UNLOCK_AUDIENCE = 'account-unlock';
+
+const signLinkToken = (user, audience, expiresIn) => jwt.sign(
+  { userId: user.id, email: user.email },
+  JWT_SECRET,
+  { algorithm: 'HS256', expiresIn, audience }
+);
+
+// Resolves to the user a link token was signed for, or null if it is invalid, expired or stale
+const findLinkTokenUser = async (token, audience) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'], audience });
+  } catch (err) {
+    return null;
+  }
+
+  const user = await dbAsync.get('SELECT id, email, email_verified_at FROM users WHERE id = ?', [payload.userId]);
+  return user && user.email === payload.email ? user : null;
+};
+
+const buildVerificationLink = (user) =>
+  `${APP_BASE_URL}/verify-email?token=${signLinkToken(user, EMAIL_VERIFICATION_AUDIENCE, `${EMAIL_VERIFICATION_TTL_HOURS}h`)}`;
+
+const verificationInstructions = (user) =>
+  `Please confirm your email address by opening this link within ${EMAIL_VERIFICATION_TTL_HOURS} hours:\n\n` +
+  buildVerificationLink(user);
+
+const pruneExpiredTokens = async () => {
+  const now = new Date().toISOString();
+  await dbAsync.run('DELETE FROM revoked_tokens WHERE expires_at < ?', [now]);
+  await dbAsync.run('DELETE FROM refresh_tokens WHERE expires_at < ?', [now]);
+  await dbAsync.run('DELETE FROM password_reset_tokens WHERE expires_at < ?', [now]);
+};
+
+setInterval(() => {
+  pruneExpiredTokens().catch(err => console.error('Token cleanup error:', err.message));
+}, 60 * 60 * 1000);
+
+// ========== LOGIN THROTTLING ==========
+// Each failure makes the next attempt wait longer, per email address and per IP. An email
+// address is locked for LOGIN_LOCKOUT_MINUTES after LOGIN_MAX_FAILED_ATTEMPTS failures.
+// Failures older than the window are forgotten.
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_DELAY_BASE_MS = 1000;
+const LOGIN_DELAY_MAX_MS = 60000;
+const LOGIN_FREE_FAILURES_PER_EMAIL = 1;
+const LOGIN_FREE_FAILURES_PER_IP = 10;
+const loginFailuresByIp = new Map();
+
+// Compared against when the email is unknown, so those logins take as long as real ones
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+const loginDelayMs = (failures, freeFailures) => {
+  if (failures <= freeFailures) {
+    return 0;
+  }
+  return Math.min(LOGIN_DELAY_BASE_MS * 2 ** (failures - freeFailures - 1), LOGIN_DELAY_MAX_MS);
+};
+
+const isRecentFailure = (lastFailedAt, now) => now - lastFailedAt < LOGIN_FAILURE_WINDOW_MS;
+
+// Returns how long, in ms, the caller must wait before this login may be attempted, and
+// whether that is because the email address is locked
+const getLoginThrottle = async (email, ip) => {
+  const now = Date.now();
+  const row = await dbAsync.get('SELECT * FROM login_failures WHERE email = ?', [email]);
+
+  if (row && row.locked_until && new Date(row.locked_until).getTime() > now) {
+    return { locked: true, waitMs: new Date(row.locked_until).getTime() - now };
+  }
+
+  let waitMs = 0;
+  if (row && !row.locked_until && isRecentFailure(new Date(row.last_failed_at).getTime(), now)) {
+    const readyAt = new Date(row.last_failed_at).getTime() + loginDelayMs(row.failed_attempts, LOGIN_FREE_FAILURES_PER_EMAIL);
+    waitMs = Math.max(waitMs, readyAt - now);
+  }
+
+  const ipFailures = loginFailuresByIp.get(ip);
+  if (ipFailures && isRecentFailure(ipFailures.lastFailedAt, now)) {
+    const readyAt = ipFailures.lastFailedAt + loginDelayMs(ipFailures.count, LOGIN_FREE_FAILURES_PER_IP);
+    waitMs = Math.max(waitMs, readyAt - now);
+  }
+
+  return { locked: false, waitMs };
+};
+
+// Records a failed login and resolves to true when it locked the email address
+const recordLoginFailure = async (email, ip) => {
+  const now = Date.now();
+
+  const ipFailures = loginFailuresByIp.get(ip);
+  const ipCount = ipFailures && isRecentFailure(ipFailures.lastFailedAt, now) ? ipFailures.count + 1 : 1;
+  loginFailuresByIp.set(ip, { count: ipCount, lastFailedAt: now });
+
+  return withTransaction(async (tx) => {
+    const row = await tx.get('SELECT * FROM login_failures WHERE email = ?', [email]);
+    // A lockout that has run out starts the count over
+    const stale = !row || row.locked_until || !isRecentFailure(new Date(row.last_failed_at).getTime(), now);
+    const failedAttempts = stale ? 1 : row.failed_attempts + 1;
+    const lockedUntil = failedAttempts >= LOGIN_MAX_FAILED_ATTEMPTS
+      ? new Date(now + LOGIN_LOCKOUT_MINUTES * 60 * 1000).toISOString()
+      : null;
+
+    await tx.run(
+      `INSERT INTO login_failures (email, failed_attempts, last_failed_at, locked_until) VALUES (?, ?, ?, ?)
+       ON CONFLICT(email) DO UPDATE SET failed_attempts = excluded.failed_attempts,
+         last_failed_at = excluded.last_failed_at, locked_until = excluded.locked_until`,
+      [email, failedAttempts, new Date(now).toISOString(), lockedUntil]
+    );
+    return !!lockedUntil;
+  });
+};
+
+const sendLoginThrottled = (res, throttle) => {
+  res.set('Retry-After', String(Math.ceil(throttle.waitMs / 1000)));
+  return throttle.locked
+    ? res.status(423).json({ error: 'Account temporarily locked. Check your email to unlock it, or try again later.' })
+    : res.status(429).json({ error: 'Too many failed login attempts. Please wait before trying again.' });
+};
+
+// Counts a wrong password or two-factor code against the email address and the IP
+const handleFailedLogin = async (req, email, user, action) => {
+  const locked = await recordLoginFailure(email, req.ip);
+  if (!user) {
+    await auditLog(null, action, 'user', null, req.ip);
+    return;
+  }
+  await auditLog(user.id, action, 'user', user.id, req.ip);
+  if (locked) {
+    await auditLog(user.id, 'ACCOUNT_LOCKED', 'user', user.id, req.ip);
+    await sendAccountLockedEmail(user);
+  }
+};
+
+const sendAccountLockedEmail = (user) => {
+  const token = signLinkToken(user, ACCOUNT_UNLOCK_AUDIENCE, '24h');
+  return enqueueEmail(user.id, 'transactional', {
+    subject: 'Your account was temporarily locked',
+    text: `After ${LOGIN_MAX_FAILED_ATTEMPTS} failed sign-in attempts, sign-in to your account is blocked for ` +
+      `${LOGIN_LOCKOUT_MINUTES} minutes. If this was you, you can unlock it now:\n\n` +
+      `${APP_BASE_URL}/unlock-account?token=${token}\n\n` +
+      'If it was not you, someone may be guessing your password. Consider resetting it.'
+  });
+};
+
+const pruneLoginFailures = async () => {
+  const now = Date.now();
+  for (const [ip, failures] of loginFailuresByIp.entries()) {
+    if (!isRecentFailure(failures.lastFailedAt, now)) {
+      loginFailuresByIp.delete(ip);
+    }
+  }
+  await dbAsync.run(
+    'DELETE FROM login_failures WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until < ?)',
+    [new Date(now - LOGIN_FAILURE_WINDOW_MS).toISOString(), new Date(now).toISOString()]
+  );
+};
+
+setInterval(() => {
+  pruneLoginFailures().catch(err => console.error('Login failure cleanup error:', err.message));
+}, 5 * 60 * 1000);
+
+// ========== TWO-FACTOR HELPERS ==========
+// Time-based one-time passwords (RFC 6238): 6 digits, 30 second steps, HMAC-SHA1, which is
+// what authenticator apps expect. Codes one step either side of now are accepted for clock drift.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_AUDIENCE = 'login-challenge';
+const LOGIN_CHALLENGE_EXPIRY = '5m';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Secrets are encrypted at rest with a key derived from JWT_SECRET, so changing JWT_SECRET
+// disables every authenticator
+const TOTP_ENCRYPTION_KEY = crypto.createHash('sha256').update(`totp:${JWT_SECRET}`).digest();
+
+const encryptTotpSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', TOTP_ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptTotpSecret = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', TOTP_ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+};
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the time step the code belongs to, or null. Steps at or before lastUsedStep are
+// refused so an observed code cannot be replayed.
+const matchTotpStep = (secret, code, lastUsedStep) => {
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let step = currentStep - TOTP_DRIFT_STEPS; step <= currentStep + TOTP_DRIFT_STEPS; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Recovery codes are shown once and stored hashed; dashes and case are ignored when entered
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const replaceRecoveryCodes = (userId) => withTransaction(async (tx) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  await tx.run('DELETE FROM totp_recovery_codes WHERE user_id = ?', [userId]);
+  for (const code of codes) {
+    await tx.run(
+      'INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+  return codes;
+});
+
+const getTwoFactorStatus = async (user, conn = dbAsync) => {
+  const totp = await conn.get('SELECT enabled_at FROM user_totp WHERE user_id = ?', [user.id]);
+  return {
+    enabled: !!(totp && totp.enabled_at),
+    required: TWO_FACTOR_REQUIRED_ROLES.includes(user.role)
+  };
+};
+
+// Starts (or restarts) enrollment with a new secret that is not used for sign-in until confirmed
+const startTotpSetup = async (user) => {
+  const secret = crypto.randomBytes(20);
+  await dbAsync.run(
+    `INSERT INTO user_totp (user_id, secret_encrypted) VALUES (?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET secret_encrypted = excluded.secret_encrypted,
+       enabled_at = NULL, last_used_step = NULL, created_at = CURRENT_TIMESTAMP`,
+    [user.id, encryptTotpSecret(secret)]
+  );
+
+  const encodedSecret = base32Encode(secret);
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${encodedSecret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+  return {
+    secret: encodedSecret,
+    otpauth_url: otpauthUrl,
+    qr_code: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// Checks a code from the authenticator, or a recovery code when allowed, and marks it used.
+// Resolves to 'totp', 'recovery' or null.
+const verifySecondFactor = (userId, { code, recoveryCode }, { pending = false } = {}) => withTransaction(async (tx) => {
+  const totp = await tx.get('SELECT * FROM user_totp WHERE user_id = ?', [userId]);
+  if (!totp || !!totp.enabled_at === pending) {
+    return null;
+  }
+
+  if (code) {
+    const step = matchTotpStep(decryptTotpSecret(totp.secret_encrypted), code, totp.last_used_step);
+    if (step === null) {
+      return null;
+    }
+    await tx.run(
+      `UPDATE user_totp SET last_used_step = ?${pending ? ', enabled_at = CURRENT_TIMESTAMP' : ''} WHERE user_id = ?`,
+      [step, userId]
+    );
+    return 'totp';
+  }
+
+  if (recoveryCode && !pending) {
+    const result = await tx.run(
+      'UPDATE totp_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    return result.changes > 0 ? 'recovery' : null;
+  }
+
+  return null;
+});
+
+// A login challenge proves the password was right; it is exchanged for tokens with a code
+const signLoginChallenge = (user) => signLinkToken(user, LOGIN_CHALLENGE_AUDIENCE, LOGIN_CHALLENGE_EXPIRY);
+
+const secondFactorValidators = [
+  body('code').optional().isString().matches(/^\d{6}$/),
+  body('recovery_code').optional().isString().isLength({ min: 1, max: 32 })
+];
+
+// ========== AUTH ENDPOINTS ==========
+app.post('/api/auth/register',
+  body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 8, max: 128 }),
   body('role').isIn(['instructor', 'student']),
   validate,
   async (req, res) => {
     try {
-      const { email, password, role } = req.body;
-      
-      const existingUser = await dbAsync.get('SELECT id FROM users WHERE email = ?', [email]);
-      if (existingUser) {
-        return res.status(409).json({ error: 'User already exists' });
+      const { email, password, role } = req.body;
+      
+      const existingUser = await dbAsync.get('SELECT id FROM users WHERE email = ?', [email]);
+      if (existingUser) {
+        return res.status(409).json({ error: 'User already exists' });
+      }
+      
+      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      
+      const result = await dbAsync.run(
+        'INSERT INTO users (email, password_hash, role) VALUES (?, ?, ?)',
+        [email, passwordHash, role]
+      );
+      
+      await auditLog(result.lastID, 'USER_REGISTERED', 'user', result.lastID, req.ip);
+
+      const user = { id: result.lastID, email, role, email_verified: false };
+
+      await enqueueEmail(result.lastID, 'transactional', {
+        subject: 'Welcome to the Online Learning Platform',
+        text: (role === 'instructor'
+          ? 'Welcome aboard! Your instructor account is ready, so you can start creating your first course.'
+          : 'Welcome aboard! Your account is ready, so you can browse the catalog and enroll in your first course.') +
+          `\n\n${verificationInstructions(user)}`
+      });
+      
+      // Roles that require two-factor finish signing up by enrolling an authenticator
+      if (TWO_FACTOR_REQUIRED_ROLES.includes(role)) {
+        return res.status(201).json({
+          two_factor_required: true,
+          setup_required: true,
+          challenge_token: signLoginChallenge(user),
+          user
+        });
+      }
+      
+      res.status(201).json({
+        ...(await issueAuthTokens(user)),
+        user
+      });
+    } catch (err) {
+      console.error('Registration error:', err.message);
+      res.status(500).json({ error: 'Registration failed' });
+    }
+  }
+);
+
+app.post('/api/auth/login',
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().isLength({ min: 1, max: 128 }),
+  validate,
+  async (req, res) => {
+    try {
+      const { email, password } = req.body;
+      
+      const throttle = await getLoginThrottle(email, req.ip);
+      
+      if (throttle.waitMs > 0) {
+        return sendLoginThrottled(res, throttle);
+      }
+      
+      const user = await dbAsync.get('SELECT * FROM users WHERE email = ?', [email]);
+      
+      // Unknown emails still pay for a bcrypt comparison so they cannot be told apart by timing
+      const isValid = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+      
+      if (!user || !isValid) {
+        await handleFailedLogin(req, email, user, 'LOGIN_FAILED');
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      
+      // The password alone is not enough; failed logins are only cleared once the code is accepted
+      const twoFactor = await getTwoFactorStatus(user);
+      if (twoFactor.enabled || twoFactor.required) {
+        await auditLog(user.id, 'LOGIN_PASSWORD_VERIFIED', 'user', user.id, req.ip);
+        return res.json({
+          two_factor_required: true,
+          setup_required: !twoFactor.enabled,
+          challenge_token: signLoginChallenge(user)
+        });
+      }
+      
+      await dbAsync.run('DELETE FROM login_failures WHERE email = ?', [email]);
+      await auditLog(user.id, 'LOGIN_SUCCESS', 'user', user.id, req.ip);
+      
+      const authUser = toAuthUser(user);
+      res.json({
+        ...(await issueAuthTokens(authUser)),
+        user: authUser
+      });
+    } catch (err) {
+      console.error('Login error:', err.message);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  }
+);
+
+// Exchanges a refresh token for a new access token and a new refresh token. Presenting a
+// refresh token that was already rotated means it may have been stolen, so the whole
+// session is revoked.
+app.post('/api/auth/refresh',
+  body('refresh_token').isString().isLength({ min: 1, max: 200 }),
+  validate,
+  async (req, res) => {
+    try {
+      const result = await withTransaction(async (tx) => {
+        const stored = await tx.get(
+          'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+          [hashToken(req.body.refresh_token)]
+        );
+
+        if (!stored || stored.revoked_at || new Date(stored.expires_at) <= new Date()) {
+          return { error: 'Invalid refresh token' };
+        }
+
+        if (stored.used_at) {
+          if (Date.now() - new Date(stored.used_at).getTime() < REFRESH_TOKEN_REUSE_GRACE_MS) {
+            return { error: 'Refresh token already used' };
+          }
+          await revokeRefreshTokens('family_id = ?', [stored.family_id], tx);
+          return { error: 'Invalid refresh token', reusedBy: stored.user_id };
+        }
+
+        const user = await tx.get(
+          'SELECT id, email, role, email_verified_at FROM users WHERE id = ?',
+          [stored.user_id]
+        );
+        if (!user) {
+          return { error: 'Invalid refresh token' };
+        }
+
+        // Sessions started before two-factor became mandatory for the role must sign in again
+        const twoFactor = await getTwoFactorStatus(user, tx);
+        if (twoFactor.required && !twoFactor.enabled) {
+          return { error: 'Two-factor authentication required' };
+        }
+
+        const next = await issueRefreshToken(user.id, stored.family_id, tx);
+        await tx.run(
+          'UPDATE refresh_tokens SET used_at = ?, replaced_by_id = ? WHERE id = ?',
+          [new Date().toISOString(), next.id, stored.id]
+        );
+        return { user: toAuthUser(user), refreshToken: next.token };
+      });
+
+      if (result.reusedBy) {
+        await auditLog(result.reusedBy, 'REFRESH_TOKEN_REUSED', 'user', result.reusedBy, req.ip);
+      }
+
+      if (result.error) {
+        return res.status(401).json({ error: result.error });
+      }
+
+      res.json({
+        token: signAccessToken(result.user),
+        refresh_token: result.refreshToken,
+        user: result.user
+      });
+    } catch (err) {
+      console.error('Token refresh error:', err.message);
+      res.status(500).json({ error: 'Token refresh failed' });
+    }
+  }
+);
+
+// Revokes the access token used for the request and the session of the given refresh
+// token, or every session of the user when all is true
+app.post('/api/auth/logout',
+  authenticateToken,
+  body('refresh_token').optional().isString().isLength({ max: 200 }),
+  body('all').optional().isBoolean().toBoolean(),
+  validate,
+  async (req, res) => {
+    try {
+      await revokeAccessToken(req.token);
+
+      if (req.body.all) {
+        await revokeRefreshTokens('user_id = ?', [req.user.id]);
+      } else if (req.body.refresh_token) {
+        const stored = await dbAsync.get(
+          'SELECT family_id FROM refresh_tokens WHERE token_hash = ? AND user_id = ?',
+          [hashToken(req.body.refresh_token), req.user.id]
+        );
+        if (stored) {
+          await revokeRefreshTokens('family_id = ?', [stored.family_id]);
+        }
+      }
+
+      closeUserEventStreams(req.user.id, req.body.all ? null : req.token.jti);
+
+      await auditLog(req.user.id, req.body.all ? 'LOGOUT_ALL' : 'LOGOUT', 'user', req.user.id, req.ip);
+
+      res.status(204).send();
+    } catch (err) {
+      console.error('Logout error:', err.message);
+      res.status(500).json({ error: 'Logout failed' });
+    }
+  }
+);
+
+app.post('/api/auth/verify-email',
+  body('token').isString().isLength({ min: 1, max: 1000 }),
+  validate,
+  async (req, res) => {
+    try {
+      const user = await findLinkTokenUser(req.body.token, EMAIL_VERIFICATION_AUDIENCE);
+
+      if (!user) {
+        return res.status(400).json({ error: 'Invalid or expired verification link' });
+      }
+
+      if (!user.email_verified_at) {
+        await dbAsync.run('UPDATE users SET email_verified_at = ? WHERE id = ?', [new Date().toISOString(), user.id]);
+        await auditLog(user.id, 'EMAIL_VERIFIED', 'user', user.id, req.ip);
+      }
+
+      res.json({ message: 'Email verified' });
+    } catch (err) {
+      console.error('Email verification error:', err.message);
+      res.status(500).json({ error: 'Failed to verify email' });
+    }
+  }
+);
+
+app.post('/api/auth/unlock',
+  body('token').isString().isLength({ min: 1, max: 1000 }),
+  validate,
+  async (req, res) => {
+    try {
+      const user = await findLinkTokenUser(req.body.token, ACCOUNT_UNLOCK_AUDIENCE);
+
+      if (!user) {
+        return res.status(400).json({ error: 'Invalid or expired unlock link' });
+      }
+
+      const result = await dbAsync.run('DELETE FROM login_failures WHERE email = ?', [user.email]);
+      if (result.changes > 0) {
+        await auditLog(user.id, 'ACCOUNT_UNLOCKED', 'user', user.id, req.ip);
+      }
+
+      res.json({ message: 'Account unlocked' });
+    } catch (err) {
+      console.error('Account unlock error:', err.message);
+      res.status(500).json({ error: 'Failed to unlock account' });
+    }
+  }
+);
+
+app.post('/api/auth/resend-verification',
+  authenticateToken,
+  verificationResendRateLimit,
+  async (req, res) => {
+    try {
+      if (req.user.email_verified) {
+        return res.status(409).json({ error: 'Email already verified' });
+      }
+
+      await enqueueEmail(req.user.id, 'transactional', {
+        subject: 'Confirm your email address',
+        text: verificationInstructions(req.user)
+      });
+      await auditLog(req.user.id, 'VERIFICATION_EMAIL_SENT', 'user', req.user.id, req.ip);
+
+      res.status(202).json({ message: 'Verification email sent' });
+    } catch (err) {
+      console.error('Verification resend error:', err.message);
+      res.status(500).json({ error: 'Failed to send verification email' });
+    }
+  }
+);
+
+// Changes the password of the signed-in user. Every session ends, including this one, so
+// fresh tokens are returned to keep the current client signed in.
+app.post('/api/auth/password',
+  authenticateToken,
+  body('current_password').isString().isLength({ min: 1, max: 128 }),
+  body('new_password').isString().isLength({ min: 8, max: 128 }),
+  validate,
+  async (req, res) => {
+    try {
+      const { current_password: currentPassword, new_password: newPassword } = req.body;
+
+      const user = await dbAsync.get('SELECT password_hash FROM users WHERE id = ?', [req.user.id]);
+      const isValid = await bcrypt.compare(currentPassword, user.password_hash);
+
+      if (!isValid) {
+        await auditLog(req.user.id, 'PASSWORD_CHANGE_FAILED', 'user', req.user.id, req.ip);
+        return res.status(400).json({ error: 'Current password is incorrect' });
+      }
+
+      const passwordHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+      await withTransaction(tx => setUserPassword(req.user.id, passwordHash, tx));
+      closeUserEventStreams(req.user.id);
+      await auditLog(req.user.id, 'PASSWORD_CHANGED', 'user', req.user.id, req.ip);
+
+      await enqueueEmail(req.user.id, 'transactional', {
+        subject: 'Your password was changed',
+        text: 'The password for your account was just changed and you were signed out everywhere else. ' +
+          'If you did not do this, reset your password right away.'
+      });
+
+      res.json({
+        ...(await issueAuthTokens(req.user)),
+        user: req.user
+      });
+    } catch (err) {
+      console.error('Password change error:', err.message);
+      res.status(500).json({ error: 'Failed to change password' });
+    }
+  }
+);
+
+// Emails a single-use password reset link. The response is the same whether or not the
+// email belongs to an account, so the endpoint cannot be used to discover accounts.
+app.post('/api/auth/forgot-password',
+  body('email').isEmail().normalizeEmail(),
+  validate,
+  async (req, res) => {
+    try {
+      const user = await dbAsync.get('SELECT id FROM users WHERE email = ?', [req.body.email]);
+
+      if (user) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString();
+
+        // Only the most recently emailed link works
+        await dbAsync.run(
+          'UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+          [new Date().toISOString(), user.id]
+        );
+        await dbAsync.run(
+          'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+          [user.id, hashToken(token), expiresAt]
+        );
+        await auditLog(user.id, 'PASSWORD_RESET_REQUESTED', 'user', user.id, req.ip);
+
+        await enqueueEmail(user.id, 'transactional', {
+          subject: 'Reset your password',
+          text: `Someone asked to reset the password for your account. To choose a new password, open this link ` +
+            `within ${PASSWORD_RESET_TTL_MINUTES} minutes:\n\n${APP_BASE_URL}/reset-password?token=${token}\n\n` +
+            'If you did not ask for this, you can ignore this email and your password will stay the same.'
+        });
+      }
+
+      res.status(202).json({ message: 'If an account exists for that email, a password reset link has been sent' });
+    } catch (err) {
+      console.error('Password reset request error:', err.message);
+      res.status(500).json({ error: 'Failed to request password reset' });
+    }
+  }
+);
+
+app.post('/api/auth/reset-password',
+  body('token').isString().isLength({ min: 1, max: 200 }),
+  body('password').isString().isLength({ min: 8, max: 128 }),
+  validate,
+  async (req, res) => {
+    try {
+      const passwordHash = await bcrypt.hash(req.body.password, BCRYPT_ROUNDS);
+      const userId = await withTransaction(async (tx) => {
+        const stored = await tx.get(
+          'SELECT id, user_id, expires_at, used_at FROM password_reset_tokens WHERE token_hash = ?',
+          [hashToken(req.body.token)]
+        );
+
+        if (!stored || stored.used_at || new Date(stored.expires_at) <= new Date()) {
+          return null;
+        }
+
+        await tx.run(
+          'UPDATE password_reset_tokens SET used_at = ? WHERE id = ?',
+          [new Date().toISOString(), stored.id]
+        );
+        await setUserPassword(stored.user_id, passwordHash, tx);
+        // Proving control of the mailbox also lifts a login lockout
+        await tx.run(
+          'DELETE FROM login_failures WHERE email = (SELECT email FROM users WHERE id = ?)',
+          [stored.user_id]
+        );
+        return stored.user_id;
+      });
+
+      if (!userId) {
+        return res.status(400).json({ error: 'Invalid or expired reset link' });
+      }
+
+      closeUserEventStreams(userId);
+      await auditLog(userId, 'PASSWORD_RESET', 'user', userId, req.ip);
+
+      res.status(204).send();
+    } catch (err) {
+      console.error('Password reset error:', err.message);
+      res.status(500).json({ error: 'Failed to reset password' });
+    }
+  }
+);
+
+// ========== TWO-FACTOR ENDPOINTS ==========
+app.get('/api/auth/2fa',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const status = await getTwoFactorStatus(req.user);
+      const remaining = await dbAsync.get(
+        'SELECT COUNT(*) as count FROM totp_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [req.user.id]
+      );
+      res.json({ ...status, recovery_codes_remaining: status.enabled ? remaining.count : 0 });
+    } catch (err) {
+      console.error('Get two-factor status error:', err.message);
+      res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    }
+  }
+);
+
+app.post('/api/auth/2fa/setup',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const status = await getTwoFactorStatus(req.user);
+      if (status.enabled) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      res.json(await startTotpSetup(req.user));
+    } catch (err) {
+      console.error('Two-factor setup error:', err.message);
+      res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+  }
+);
+
+app.post('/api/auth/2fa/enable',
+  authenticateToken,
+  body('code').isString().matches(/^\d{6}$/),
+  validate,
+  async (req, res) => {
+    try {
+      const method = await verifySecondFactor(req.user.id, { code: req.body.code }, { pending: true });
+      if (!method) {
+        return res.status(400).json({ error: 'Invalid code' });
+      }
+
+      const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+      await auditLog(req.user.id, 'TWO_FACTOR_ENABLED', 'user', req.user.id, req.ip);
+
+      res.json({ recovery_codes: recoveryCodes });
+    } catch (err) {
+      console.error('Two-factor enable error:', err.message);
+      res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+  }
+);
+
+app.post('/api/auth/2fa/disable',
+  authenticateToken,
+  body('password').isString().isLength({ min: 1, max: 128 }),
+  ...secondFactorValidators,
+  validate,
+  async (req, res) => {
+    try {
+      const status = await getTwoFactorStatus(req.user);
+      if (status.required) {
+        return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+      }
+      if (!status.enabled) {
+        return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+      }
+
+      const user = await dbAsync.get('SELECT password_hash FROM users WHERE id = ?', [req.user.id]);
+      const passwordValid = await bcrypt.compare(req.body.password, user.password_hash);
+      const method = passwordValid && await verifySecondFactor(req.user.id, {
+        code: req.body.code,
+        recoveryCode: req.body.recovery_code
+      });
+
+      if (!method) {
+        return res.status(400).json({ error: 'Invalid password or code' });
+      }
+
+      await dbAsync.run('DELETE FROM user_totp WHERE user_id = ?', [req.user.id]);
+      await dbAsync.run('DELETE FROM totp_recovery_codes WHERE user_id = ?', [req.user.id]);
+      await auditLog(req.user.id, 'TWO_FACTOR_DISABLED', 'user', req.user.id, req.ip);
+
+      res.status(204).send();
+    } catch (err) {
+      console.error('Two-factor disable error:', err.message);
+      res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+  }
+);
+
+app.post('/api/auth/2fa/recovery-codes',
+  authenticateToken,
+  body('code').isString().matches(/^\d{6}$/),
+  validate,
+  async (req, res) => {
+    try {
+      const method = await verifySecondFactor(req.user.id, { code: req.body.code });
+      if (!method) {
+        return res.status(400).json({ error: 'Invalid code' });
+      }
+
+      const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+      await auditLog(req.user.id, 'RECOVERY_CODES_REGENERATED', 'user', req.user.id, req.ip);
+
+      res.json({ recovery_codes: recoveryCodes });
+    } catch (err) {
+      console.error('Recovery code regeneration error:', err.message);
+      res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+  }
+);
+
+// Enrollment during sign-in, for users whose role requires two-factor but who have not set it up
+app.post('/api/auth/2fa/challenge/setup',
+  body('challenge_token').isString().isLength({ min: 1, max: 1000 }),
+  validate,
+  async (req, res) => {
+    try {
+      const user = await findLinkTokenUser(req.body.challenge_token, LOGIN_CHALLENGE_AUDIENCE);
+      if (!user) {
+        return res.status(401).json({ error: 'Sign-in expired. Please login again.' });
+      }
+
+      const fullUser = await dbAsync.get('SELECT id, email, role FROM users WHERE id = ?', [user.id]);
+      const status = await getTwoFactorStatus(fullUser);
+      if (status.enabled) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      res.json(await startTotpSetup(fullUser));
+    } catch (err) {
+      console.error('Two-factor challenge setup error:', err.message);
+      res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+  }
+);
+
+// Second sign-in step: exchanges a login challenge and a code for tokens. Wrong codes count
+// as failed logins, so the same delays and lockout apply as for passwords.
+app.post('/api/auth/2fa/verify',
+  body('challenge_token').isString().isLength({ min: 1, max: 1000 }),
+  ...secondFactorValidators,
+  validate,
+  async (req, res) => {
+    try {
+      const challengeUser = await findLinkTokenUser(req.body.challenge_token, LOGIN_CHALLENGE_AUDIENCE);
+      if (!challengeUser) {
+        return res.status(401).json({ error: 'Sign-in expired. Please login again.' });
+      }
+
+      const user = await dbAsync.get('SELECT * FROM users WHERE id = ?', [challengeUser.id]);
+
+      const throttle = await getLoginThrottle(user.email, req.ip);
+      if (throttle.waitMs > 0) {
+        return sendLoginThrottled(res, throttle);
+      }
+
+      const status = await getTwoFactorStatus(user);
+      const method = await verifySecondFactor(
+        user.id,
+        { code: req.body.code, recoveryCode: req.body.recovery_code },
+        { pending: !status.enabled }
+      );
+
+      if (!method) {
+        await handleFailedLogin(req, user.email, user, 'TWO_FACTOR_FAILED');
+        return res.status(400).json({ error: 'Invalid code' });
+      }
+
+      await dbAsync.run('DELETE FROM login_failures WHERE email = ?', [user.email]);
+
+      let recoveryCodes;
+      if (!status.enabled) {
+        recoveryCodes = await replaceRecoveryCodes(user.id);
+        await auditLog(user.id, 'TWO_FACTOR_ENABLED', 'user', user.id, req.ip);
+      } else if (method === 'recovery') {
+        await auditLog(user.id, 'RECOVERY_CODE_USED', 'user', user.id, req.ip);
+      }
+      await auditLog(user.id, 'LOGIN_SUCCESS', 'user', user.id, req.ip);
+
+      const authUser = toAuthUser(user);
+      res.json({
+        ...(await issueAuthTokens(authUser)),
+        user: authUser,
+        ...(recoveryCodes && { recovery_codes: recoveryCodes })
+      });
+    } catch (err) {
+      console.error('Two-factor verification error:', err.message);
+      res.status(500).json({ error: 'Two-factor verification failed' });
+    }
+  }
+);
+
+// ========== EMAIL HELPERS ==========
+// Categories a user can opt out of; 'transactional' mail such as the welcome email is always sent
+const EMAIL_CATEGORIES = ['lesson_updates', 'progress_digest'];
+const EMAIL_RETRY_BASE_MS = 60000;
+const PROGRESS_DIGEST_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Every transport exposes send({ from, to, subject, text }) and rejects when delivery fails
+const createEmailTransport = () => {
+  if (EMAIL_TRANSPORT === 'smtp') {
+    const transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 30000
+    });
+    return { send: message => transporter.sendMail(message) };
+  }
+
+  if (EMAIL_TRANSPORT === 'file') {
+    // Writes each message as an .eml file that can be opened in a mail client
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        await fs.promises.mkdir(EMAIL_OUTBOX_DIR, { recursive: true });
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        await fs.promises.writeFile(path.join(EMAIL_OUTBOX_DIR, fileName), info.message);
+      }
+    };
+  }
+
+  // Only the envelope is logged: bodies hold sign-in links that must not end up in logs
+  return {
+    send: async ({ to, subject }) => {
+      console.log(`[email] To: ${to} Subject: ${subject}`);
+    }
+  };
+};
+
+const emailTransport = createEmailTransport();
+
+const getEmailPreferences = async (userId) => {
+  const row = await dbAsync.get(
+    `SELECT ${EMAIL_CATEGORIES.join(', ')} FROM email_preferences WHERE user_id = ?`,
+    [userId]
+  );
+  return Object.fromEntries(EMAIL_CATEGORIES.map(category => [category, row ? !!row[category] : true]));
+};
+
+// Queues an email for the outbox worker unless the user opted out of its category. Failures
+// are logged rather than thrown so a mail problem never fails the request that triggered it.
+const enqueueEmail = async (userId, category, { subject, text }) => {
+  try {
+    const user = await dbAsync.get('SELECT email FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return false;
+    }
+
+    let body = text;
+    if (category !== 'transactional') {
+      const preferences = await getEmailPreferences(userId);
+      if (!preferences[category]) {
+        return false;
+      }
+      body += '\n\nYou can turn these emails off in your email preferences.';
+    }
+
+    await dbAsync.run(
+      `INSERT INTO email_outbox (user_id, category, to_address, subject, text_body, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, category, user.email, subject, body, new Date().toISOString()]
+    );
+    setImmediate(runEmailWorker);
+    return true;
+  } catch (err) {
+    console.error('Email enqueue error:', err.message);
+    return false;
+  }
+};
+
+const buildProgressDigest = async (studentId, since) => {
+  const courses = await dbAsync.all(
+    `SELECT c.id, c.title,
+       (SELECT COUNT(*) FROM progress p JOIN lessons l ON p.lesson_id = l.id
+        WHERE p.student_id = e.student_id AND l.course_id = c.id AND p.completed = 1 AND p.completed_at >= ?) as completed_this_week
+     FROM enrollments e
+     JOIN courses c ON e.course_id = c.id
+     WHERE e.student_id = ?
+     ORDER BY c.title ASC`,
+    [since, studentId]
+  );
+
+  const lines = [];
+  for (const course of courses) {
+    const completion = await getCourseCompletion(studentId, course.id);
+    lines.push(
+      `- ${course.title}: ${completion.completed_lessons} of ${completion.total_lessons} lessons complete ` +
+      `(${completion.percentage}%), ${course.completed_this_week} completed this week`
+    );
+  }
+
+  return {
+    subject: 'Your weekly learning progress',
+    text: `Here is your progress over the past week:\n\n${lines.join('\n')}\n\nKeep up the good work!`
+  };
+};
+
+// Queues a digest for every enrolled student who has not had one in the past week
+const queueProgressDigests = async () => {
+  const since = new Date(Date.now() - PROGRESS_DIGEST_INTERVAL_MS).toISOString();
+  const students = await dbAsync.all(
+    `SELECT u.id
+     FROM users u
+     LEFT JOIN email_preferences ep ON ep.user_id = u.id
+     WHERE u.role = 'student'
+       AND COALESCE(ep.progress_digest, 1) = 1
+       AND datetime(COALESCE(ep.last_digest_at, u.created_at)) <= datetime(?)
+       AND EXISTS (SELECT 1 FROM enrollments e WHERE e.student_id = u.id)`,
+    [since]
+  );
+
+  for (const student of students) {
+    await dbAsync.run(
+      `INSERT INTO email_preferences (user_id, last_digest_at) VALUES (?, CURRENT_TIMESTAMP)
+       ON CONFLICT(user_id) DO UPDATE SET last_digest_at = CURRENT_TIMESTAMP`,
+      [student.id]
+    );
+    await enqueueEmail(student.id, 'progress_digest', await buildProgressDigest(student.id, since));
+  }
+};
+
+// Sends due outbox messages. A failed send is retried with exponential backoff
+// (1, 2, 4... minutes) and marked failed after EMAIL_MAX_ATTEMPTS.
+const deliverPendingEmails = async () => {
+  const due = await dbAsync.all(
+    `SELECT * FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id ASC LIMIT 50`,
+    [new Date().toISOString()]
+  );
+
+  for (const email of due) {
+    const attempts = email.attempts + 1;
+    try {
+      await emailTransport.send({ from: EMAIL_FROM, to: email.to_address, subject: email.subject, text: email.text_body });
+      await dbAsync.run(
+        `UPDATE email_outbox SET status = 'sent', attempts = ?, sent_at = ?, last_error = NULL WHERE id = ?`,
+        [attempts, new Date().toISOString(), email.id]
+      );
+    } catch (err) {
+      console.error(`Email delivery error (outbox ${email.id}, attempt ${attempts}):`, err.message);
+      const retryAt = new Date(Date.now() + EMAIL_RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+      await dbAsync.run(
+        'UPDATE email_outbox SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ? WHERE id = ?',
+        [attempts >= EMAIL_MAX_ATTEMPTS ? 'failed' : 'pending', attempts, retryAt, String(err.message).slice(0, 1000), email.id]
+      );
+    }
+  }
+};
+
+// Runs are serialized; a run requested while one is in progress happens right after it
+let emailWorkerRunning = false;
+let emailWorkerRequested = false;
+const runEmailWorker = () => {
+  if (emailWorkerRunning) {
+    emailWorkerRequested = true;
+    return;
+  }
+  emailWorkerRunning = true;
+  emailWorkerRequested = false;
+  deliverPendingEmails()
+    .catch(err => console.error('Email worker error:', err.message))
+    .finally(() => {
+      emailWorkerRunning = false;
+      if (emailWorkerRequested) {
+        runEmailWorker();
+      }
+    });
+};
+
+// ========== NOTIFICATION HELPERS ==========
+// Open Server-Sent Events responses per user id; each browser tab holds one stream
+const eventStreams = new Map();
+const MAX_EVENT_STREAMS_PER_USER = 5;
+const EVENT_STREAM_HEARTBEAT_MS = 25000;
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const sendEvent = (userId, event, data) => {
+  for (const res of eventStreams.get(userId) || []) {
+    writeEvent(res, event, data);
+  }
+};
+
+// Ends a user's open streams, or only those opened with the access token with the given jti.
+// Clients reconnect, which authenticates them again.
+const closeUserEventStreams = (userId, jti = null) => {
+  for (const res of eventStreams.get(userId) || []) {
+    if (!jti || res.locals.tokenJti === jti) {
+      res.end();
+    }
+  }
+};
+
+const closeEventStreams = () => {
+  for (const streams of eventStreams.values()) {
+    streams.forEach(res => res.end());
+  }
+  eventStreams.clear();
+};
+
+const countUnreadNotifications = async (userId) => {
+  const { count } = await dbAsync.get(
+    'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL',
+    [userId]
+  );
+  return count;
+};
+
+// Stores a notification for each user and pushes it to their open streams. Failures are
+// logged rather than thrown so they never fail the request that triggered them.
+const notify = async (userIds, { type, title, body = null, link = null }) => {
+  for (const userId of new Set(userIds)) {
+    try {
+      const result = await dbAsync.run(
+        'INSERT INTO notifications (user_id, type, title, body, link) VALUES (?, ?, ?, ?, ?)',
+        [userId, type, title, body, link]
+      );
+      if (eventStreams.has(userId)) {
+        const notification = await dbAsync.get('SELECT * FROM notifications WHERE id = ?', [result.lastID]);
+        sendEvent(userId, 'notification', { notification, unread_count: await countUnreadNotifications(userId) });
+      }
+    } catch (err) {
+      console.error('Notification error:', err.message);
+    }
+  }
+};
+
+const notifyLessonPublished = async (lessonId) => {
+  const lesson = await dbAsync.get(
+    `SELECT l.id, l.title, l.course_id, c.title as course_title
+     FROM lessons l
+     JOIN courses c ON l.course_id = c.id
+     WHERE l.id = ? AND l.status = 'published' AND c.status != 'draft'`,
+    [lessonId]
+  );
+  if (!lesson) {
+    return;
+  }
+  const students = await dbAsync.all('SELECT student_id FROM enrollments WHERE course_id = ?', [lesson.course_id]);
+  await notify(students.map(s => s.student_id), {
+    type: 'lesson_published',
+    title: `New lesson in ${lesson.course_title}`,
+    body: lesson.title,
+    link: `/student/course/${lesson.course_id}?lesson=${lesson.id}`
+  });
+  for (const { student_id } of students) {
+    await enqueueEmail(student_id, 'lesson_updates', {
+      subject: `New lesson in ${lesson.course_title}`,
+      text: `A new lesson, "${lesson.title}", has been published in ${lesson.course_title}. Sign in to start it.`
+    });
+  }
+};
+
+// ========== NOTIFICATION ENDPOINTS ==========
+app.get('/api/events',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const unreadCount = await countUnreadNotifications(req.user.id);
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      const streams = eventStreams.get(req.user.id) || new Set();
+      if (streams.size >= MAX_EVENT_STREAMS_PER_USER) {
+        const [oldest] = streams;
+        streams.delete(oldest);
+        oldest.end();
+      }
+      res.locals.tokenJti = req.token.jti;
+      streams.add(res);
+      eventStreams.set(req.user.id, streams);
+
+      res.write('retry: 5000\n\n');
+      writeEvent(res, 'ready', { unread_count: unreadCount });
+
+      const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+      // The token is only checked when the stream opens, so the stream ends when the token expires.
+      // setTimeout cannot wait longer than about 24 days; the client then just reconnects early.
+      const expiry = setTimeout(() => res.end(), Math.min(req.token.exp * 1000 - Date.now(), 2 ** 31 - 1));
+
+      res.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        streams.delete(res);
+        if (streams.size === 0 && eventStreams.get(req.user.id) === streams) {
+          eventStreams.delete(req.user.id);
+        }
+      });
+    } catch (err) {
+      console.error('Event stream error:', err.message);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to open event stream' });
+      }
+    }
+  }
+);
+
+app.get('/api/notifications',
+  authenticateToken,
+  paginationValidator,
+  query('unread').optional().isBoolean().toBoolean(),
+  validate,
+  async (req, res) => {
+    try {
+      const { limit, offset } = applyPagination(req);
+
+      const notifications = await dbAsync.all(
+        `SELECT * FROM notifications
+         WHERE user_id = ? ${req.query.unread ? 'AND read_at IS NULL' : ''}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [req.user.id, limit, offset]
+      );
+
+      res.json({ notifications, unread_count: await countUnreadNotifications(req.user.id) });
+    } catch (err) {
+      console.error('Get notifications error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve notifications' });
+    }
+  }
+);
+
+app.put('/api/notifications/read-all',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      await dbAsync.run(
+        'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL',
+        [req.user.id]
+      );
+
+      // Keeps the user's other tabs in sync
+      sendEvent(req.user.id, 'unread_count', { unread_count: 0 });
+
+      res.json({ unread_count: 0 });
+    } catch (err) {
+      console.error('Mark notifications read error:', err.message);
+      res.status(500).json({ error: 'Failed to update notifications' });
+    }
+  }
+);
+
+app.put('/api/notifications/:id/read',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const notification = await dbAsync.get(
+        'SELECT * FROM notifications WHERE id = ? AND user_id = ?',
+        [req.params.id, req.user.id]
+      );
+
+      if (!notification) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+
+      if (!notification.read_at) {
+        await dbAsync.run('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE id = ?', [req.params.id]);
+      }
+
+      const unreadCount = await countUnreadNotifications(req.user.id);
+      sendEvent(req.user.id, 'unread_count', { unread_count: unreadCount });
+
+      res.json({
+        notification: await dbAsync.get('SELECT * FROM notifications WHERE id = ?', [req.params.id]),
+        unread_count: unreadCount
+      });
+    } catch (err) {
+      console.error('Mark notification read error:', err.message);
+      res.status(500).json({ error: 'Failed to update notification' });
+    }
+  }
+);
+
+// ========== EMAIL PREFERENCE ENDPOINTS ==========
+app.get('/api/email-preferences',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      res.json({ preferences: await getEmailPreferences(req.user.id) });
+    } catch (err) {
+      console.error('Get email preferences error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve email preferences' });
+    }
+  }
+);
+
+app.put('/api/email-preferences',
+  authenticateToken,
+  ...EMAIL_CATEGORIES.map(category => body(category).optional().isBoolean().toBoolean()),
+  validate,
+  async (req, res) => {
+    try {
+      const current = await getEmailPreferences(req.user.id);
+      const preferences = Object.fromEntries(EMAIL_CATEGORIES.map(category => [
+        category,
+        req.body[category] !== undefined ? req.body[category] : current[category]
+      ]));
+
+      await dbAsync.run(
+        `INSERT INTO email_preferences (user_id, ${EMAIL_CATEGORIES.join(', ')}, updated_at)
+         VALUES (?, ${EMAIL_CATEGORIES.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+         ON CONFLICT(user_id) DO UPDATE SET
+           ${EMAIL_CATEGORIES.map(category => `${category} = excluded.${category}`).join(', ')},
+           updated_at = CURRENT_TIMESTAMP`,
+        [req.user.id, ...EMAIL_CATEGORIES.map(category => (preferences[category] ? 1 : 0))]
+      );
+
+      await auditLog(req.user.id, 'EMAIL_PREFERENCES_UPDATED', 'user', req.user.id, req.ip);
+
+      res.json({ preferences });
+    } catch (err) {
+      console.error('Update email preferences error:', err.message);
+      res.status(500).json({ error: 'Failed to update email preferences' });
+    }
+  }
+);
+
+// ========== PUBLISHING HELPERS ==========
+const CONTENT_STATUSES = ['draft', 'published', 'archived'];
+
+// Owners see all their content; others see published courses, and archived ones they are enrolled in
+const getVisibleCourse = async (courseId, user) => {
+  const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [courseId]);
+  if (!course) {
+    return null;
+  }
+  if (course.instructor_id === user.id || course.status === 'published') {
+    return course;
+  }
+  if (course.status === 'archived' && user.role === 'student') {
+    const enrollment = await dbAsync.get(
+      'SELECT id FROM enrollments WHERE student_id = ? AND course_id = ?',
+      [user.id, course.id]
+    );
+    return enrollment ? course : null;
+  }
+  return null;
+};
+
+// SQL condition limiting lessons to what the viewer may see; owners also see drafts and archived lessons
+const lessonVisibilityFilter = (course, user, alias = 'lessons') =>
+  course.instructor_id === user.id ? '1 = 1' : `${alias}.status = 'published'`;
+
+// Resolves to { lesson, course } when the viewer may see the lesson, or null; everything
+// attached to a lesson (quizzes, assignments) follows the same rule
+const getVisibleLesson = async (lessonId, user) => {
+  const lesson = await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [lessonId]);
+  const course = lesson ? await getVisibleCourse(lesson.course_id, user) : null;
+  if (!lesson || !course || (course.instructor_id !== user.id && lesson.status !== 'published')) {
+    return null;
+  }
+  return { lesson, course };
+};
+
+const publishingValidators = [
+  body('status').optional().isIn(CONTENT_STATUSES),
+  body('publish_at').optional({ values: 'null' }).isISO8601({ strict: true })
+];
+
+// Works out the status and publish_at to store; only drafts may carry a publish_at schedule
+const resolvePublishing = (current, { status, publish_at }) => {
+  const nextStatus = status !== undefined ? status : (current ? current.status : 'draft');
+  let nextPublishAt = current ? current.publish_at : null;
+  if (publish_at !== undefined) {
+    nextPublishAt = publish_at ? new Date(publish_at).toISOString() : null;
+  }
+  if (nextStatus !== 'draft') {
+    if (publish_at) {
+      return { error: 'Only drafts can be scheduled for publishing' };
+    }
+    nextPublishAt = null;
+  }
+  return { status: nextStatus, publish_at: nextPublishAt };
+};
+
+// ========== COURSE PREREQUISITE HELPERS ==========
+const coursePrerequisiteValidators = [
+  body('prerequisite_course_ids').optional().isArray({ max: 50 }),
+  body('prerequisite_course_ids.*').isInt({ min: 1 }).toInt()
+];
+
+const getCoursePrerequisiteRows = (courseIds) => {
+  if (courseIds.length === 0) {
+    return Promise.resolve([]);
+  }
+  const placeholders = courseIds.map(() => '?').join(', ');
+  return dbAsync.all(
+    `SELECT cp.course_id, cp.prerequisite_course_id, c.title
+     FROM course_prerequisites cp
+     JOIN courses c ON cp.prerequisite_course_id = c.id
+     WHERE cp.course_id IN (${placeholders})
+     ORDER BY cp.id ASC`,
+    courseIds
+  );
+};
+
+// A course counts as completed once the student has been issued its certificate
+const getCompletedCourseIds = async (studentId) => {
+  const rows = await dbAsync.all(
+    'SELECT course_id FROM certificates WHERE student_id = ? AND course_id IS NOT NULL',
+    [studentId]
+  );
+  return new Set(rows.map(row => row.course_id));
+};
+
+const getMissingCoursePrerequisites = async (courseId, studentId) => {
+  const prerequisites = await getCoursePrerequisiteRows([courseId]);
+  const completed = await getCompletedCourseIds(studentId);
+  return prerequisites
+    .filter(row => !completed.has(row.prerequisite_course_id))
+    .map(row => ({ id: row.prerequisite_course_id, title: row.title }));
+};
+
+// Returns an error message when a prerequisite is unavailable, the course itself, or would form a cycle
+const findCoursePrerequisiteProblem = async (courseId, prerequisiteIds, user) => {
+  if (prerequisiteIds.includes(courseId)) {
+    return 'A course cannot be its own prerequisite';
+  }
+  
+  for (const prerequisiteId of prerequisiteIds) {
+    const prerequisite = await dbAsync.get('SELECT instructor_id, status FROM courses WHERE id = ?', [prerequisiteId]);
+    if (!prerequisite || (prerequisite.instructor_id !== user.id && prerequisite.status !== 'published')) {
+      return 'Prerequisites must be your own or published courses';
+    }
+  }
+  
+  // Following prerequisites from the new ones must never lead back to this course
+  const edges = await dbAsync.all('SELECT course_id, prerequisite_course_id FROM course_prerequisites');
+  const graph = new Map();
+  for (const edge of edges) {
+    if (edge.course_id === courseId) continue;
+    if (!graph.has(edge.course_id)) graph.set(edge.course_id, []);
+    graph.get(edge.course_id).push(edge.prerequisite_course_id);
+  }
+  const pending = [...prerequisiteIds];
+  const visited = new Set();
+  while (pending.length > 0) {
+    const nextId = pending.pop();
+    if (nextId === courseId) {
+      return 'Course prerequisites cannot form a cycle';
+    }
+    if (visited.has(nextId)) continue;
+    visited.add(nextId);
+    pending.push(...(graph.get(nextId) || []));
+  }
+  return null;
+};
+
+const setCoursePrerequisites = async (courseId, prerequisiteIds, conn = dbAsync) => {
+  await conn.run('DELETE FROM course_prerequisites WHERE course_id = ?', [courseId]);
+  for (const prerequisiteId of prerequisiteIds) {
+    await conn.run(
+      'INSERT INTO course_prerequisites (course_id, prerequisite_course_id) VALUES (?, ?)',
+      [courseId, prerequisiteId]
+    );
+  }
+};
+
+// Adds tags, category name, prerequisite course ids and, for students, the prerequisites they still have to complete
+const annotateCourses = async (courses, user) => {
+  const prerequisites = await getCoursePrerequisiteRows(courses.map(c => c.id));
+  const tags = await getCourseTagRows(courses.map(c => c.id));
+  const categories = new Map((await dbAsync.all('SELECT id, name FROM categories')).map(c => [c.id, c.name]));
+  const completed = user.role === 'student' ? await getCompletedCourseIds(user.id) : null;
+  return courses.map((course) => {
+    const coursePrerequisites = prerequisites.filter(row => row.course_id === course.id);
+    const annotated = {
+      ...course,
+      category_name: categories.get(course.category_id) || null,
+      tags: tags.filter(row => row.course_id === course.id).map(row => row.tag),
+      prerequisite_course_ids: coursePrerequisites.map(row => row.prerequisite_course_id)
+    };
+    if (!completed) {
+      return annotated;
+    }
+    const missing = coursePrerequisites
+      .filter(row => !completed.has(row.prerequisite_course_id))
+      .map(row => ({ id: row.prerequisite_course_id, title: row.title }));
+    return { ...annotated, locked: missing.length > 0, missing_prerequisites: missing };
+  });
+};
+
+// ========== COURSE CATALOG HELPERS ==========
+const COURSE_LEVELS = ['beginner', 'intermediate', 'advanced'];
+const MAX_COURSE_TAGS = 10;
+const COURSE_SORTS = {
+  newest: 'c.created_at DESC, c.id DESC',
+  oldest: 'c.created_at ASC, c.id ASC',
+  popular: 'enrollment_count DESC, c.created_at DESC',
+  rating: 'average_rating DESC, rating_count DESC, c.created_at DESC',
+  title: 'c.title COLLATE NOCASE ASC'
+};
+
+const courseCatalogValidators = [
+  body('category_id').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('level').optional({ values: 'null' }).isIn(COURSE_LEVELS),
+  // Language codes such as en, es or pt-BR
+  body('language').optional({ values: 'null' }).isString().trim().matches(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})?$/),
+  body('tags').optional().isArray({ max: MAX_COURSE_TAGS }),
+  body('tags.*').isString().trim().toLowerCase().isLength({ min: 1, max: 30 })
+];
+
+// Enrollment and rating aggregates selected alongside courses aliased as `c`
+const COURSE_STATS_COLUMNS = `(SELECT COUNT(*) FROM enrollments e WHERE e.course_id = c.id) as enrollment_count,
+                (SELECT ROUND(AVG(r.rating), 1) FROM course_reviews r WHERE r.course_id = c.id) as average_rating,
+                (SELECT COUNT(*) FROM course_reviews r WHERE r.course_id = c.id) as rating_count`;
+
+const catalogQueryValidators = [
+  query('category').optional().isInt({ min: 1 }).toInt(),
+  query('tag').optional().isString().trim().toLowerCase().isLength({ min: 1, max: 30 }),
+  query('level').optional().isIn(COURSE_LEVELS),
+  query('language').optional().isString().trim().isLength({ min: 2, max: 12 }),
+  query('instructor').optional().isInt({ min: 1 }).toInt(),
+  query('sort').optional().isIn(Object.keys(COURSE_SORTS)),
+  query('facets').optional().isBoolean().toBoolean()
+];
+
+const getCourseTagRows = (courseIds) => {
+  if (courseIds.length === 0) {
+    return Promise.resolve([]);
+  }
+  const placeholders = courseIds.map(() => '?').join(', ');
+  return dbAsync.all(
+    `SELECT course_id, tag FROM course_tags WHERE course_id IN (${placeholders}) ORDER BY tag ASC`,
+    courseIds
+  );
+};
+
+const setCourseTags = async (courseId, tags, conn = dbAsync) => {
+  await conn.run('DELETE FROM course_tags WHERE course_id = ?', [courseId]);
+  for (const tag of tags) {
+    await conn.run('INSERT INTO course_tags (course_id, tag) VALUES (?, ?)', [courseId, tag]);
+  }
+};
+
+const isKnownCategory = async (categoryId) =>
+  !categoryId || !!(await dbAsync.get('SELECT id FROM categories WHERE id = ?', [categoryId]));
+
+// WHERE clause for the catalog; `skip` drops one filter so each facet counts what choosing it would show
+const buildCatalogFilter = (filters, user, skip = null) => {
+  const conditions = [
+    `(c.status = 'published'
+      OR c.instructor_id = ?
+      OR (c.status = 'archived' AND EXISTS (
+        SELECT 1 FROM enrollments e WHERE e.course_id = c.id AND e.student_id = ?
+      )))`
+  ];
+  const params = [user.id, user.id];
+  
+  if (filters.category !== undefined && skip !== 'category') {
+    conditions.push('c.category_id = ?');
+    params.push(filters.category);
+  }
+  if (filters.tag !== undefined && skip !== 'tag') {
+    conditions.push('EXISTS (SELECT 1 FROM course_tags ct WHERE ct.course_id = c.id AND ct.tag = ?)');
+    params.push(filters.tag);
+  }
+  if (filters.level !== undefined && skip !== 'level') {
+    conditions.push('c.level = ?');
+    params.push(filters.level);
+  }
+  if (filters.language !== undefined && skip !== 'language') {
+    conditions.push('c.language = ? COLLATE NOCASE');
+    params.push(filters.language);
+  }
+  if (filters.instructor !== undefined && skip !== 'instructor') {
+    conditions.push('c.instructor_id = ?');
+    params.push(filters.instructor);
+  }
+  
+  return { where: conditions.join(' AND '), params };
+};
+
+const getCatalogFacets = async (filters, user) => {
+  const categoryFilter = buildCatalogFilter(filters, user, 'category');
+  const tagFilter = buildCatalogFilter(filters, user, 'tag');
+  const levelFilter = buildCatalogFilter(filters, user, 'level');
+  const languageFilter = buildCatalogFilter(filters, user, 'language');
+  const instructorFilter = buildCatalogFilter(filters, user, 'instructor');
+  
+  return {
+    categories: await dbAsync.all(
+      `SELECT cat.id, cat.name, COUNT(c.id) as count
+       FROM courses c
+       JOIN categories cat ON c.category_id = cat.id
+       WHERE ${categoryFilter.where}
+       GROUP BY cat.id
+       ORDER BY cat.name COLLATE NOCASE ASC`,
+      categoryFilter.params
+    ),
+    tags: await dbAsync.all(
+      `SELECT ct.tag, COUNT(c.id) as count
+       FROM courses c
+       JOIN course_tags ct ON ct.course_id = c.id
+       WHERE ${tagFilter.where}
+       GROUP BY ct.tag
+       ORDER BY count DESC, ct.tag ASC
+       LIMIT 50`,
+      tagFilter.params
+    ),
+    levels: await dbAsync.all(
+      `SELECT c.level, COUNT(c.id) as count
+       FROM courses c
+       WHERE ${levelFilter.where} AND c.level IS NOT NULL
+       GROUP BY c.level`,
+      levelFilter.params
+    ),
+    languages: await dbAsync.all(
+      `SELECT c.language, COUNT(c.id) as count
+       FROM courses c
+       WHERE ${languageFilter.where} AND c.language IS NOT NULL
+       GROUP BY c.language
+       ORDER BY count DESC, c.language ASC`,
+      languageFilter.params
+    ),
+    instructors: await dbAsync.all(
+      `SELECT u.id, u.email, COUNT(c.id) as count
+       FROM courses c
+       JOIN users u ON c.instructor_id = u.id
+       WHERE ${instructorFilter.where}
+       GROUP BY u.id
+       ORDER BY u.email ASC`,
+      instructorFilter.params
+    )
+  };
+};
+
+// ========== CATEGORY ENDPOINTS ==========
+app.get('/api/categories',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const categories = await dbAsync.all(
+        'SELECT id, name, created_at FROM categories ORDER BY name COLLATE NOCASE ASC'
+      );
+      
+      res.json({ categories });
+    } catch (err) {
+      console.error('Get categories error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve categories' });
+    }
+  }
+);
+
+app.post('/api/categories',
+  authenticateToken,
+  requireRole('instructor'),
+  body('name').isString().trim().isLength({ min: 1, max: 100 }),
+  validate,
+  async (req, res) => {
+    try {
+      const existing = await dbAsync.get('SELECT id FROM categories WHERE name = ?', [req.body.name]);
+      
+      if (existing) {
+        return res.status(409).json({ error: 'Category already exists' });
+      }
+      
+      const result = await dbAsync.run(
+        'INSERT INTO categories (name, created_by) VALUES (?, ?)',
+        [req.body.name, req.user.id]
+      );
+      
+      await auditLog(req.user.id, 'CATEGORY_CREATED', 'category', result.lastID, req.ip);
+      
+      const category = await dbAsync.get('SELECT id, name, created_at FROM categories WHERE id = ?', [result.lastID]);
+      
+      res.status(201).json({ category });
+    } catch (err) {
+      console.error('Create category error:', err.message);
+      res.status(500).json({ error: 'Failed to create category' });
+    }
+  }
+);
+
+// ========== COURSE ENDPOINTS ==========
+app.get('/api/courses',
+  authenticateToken,
+  paginationValidator,
+  ...catalogQueryValidators,
+  validate,
+  async (req, res) => {
+    try {
+      const { limit, offset } = applyPagination(req);
+      const filters = req.query;
+      const { where, params } = buildCatalogFilter(filters, req.user);
+      
+      const courses = await dbAsync.all(
+        `SELECT c.id, c.title, c.description, c.instructor_id, c.status, c.publish_at, c.sequential,
+                c.category_id, c.level, c.language, c.created_at, c.updated_at,
+                u.email as instructor_email,
+                ${COURSE_STATS_COLUMNS}
+         FROM courses c
+         JOIN users u ON c.instructor_id = u.id
+         WHERE ${where}
+         ORDER BY ${COURSE_SORTS[filters.sort || 'newest']}
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      
+      const response = { courses: await annotateCourses(courses, req.user) };
+      if (filters.facets) {
+        response.facets = await getCatalogFacets(filters, req.user);
+      }
+      
+      res.json(response);
+    } catch (err) {
+      console.error('Get courses error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve courses' });
+    }
+  }
+);
+
+app.get('/api/courses/:id',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      if (!(await getVisibleCourse(req.params.id, req.user))) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      
+      const course = await dbAsync.get(
+        `SELECT c.id, c.title, c.description, c.instructor_id, c.status, c.publish_at, c.sequential,
+                c.category_id, c.level, c.language, c.created_at, c.updated_at,
+                u.email as instructor_email,
+                ${COURSE_STATS_COLUMNS}
+         FROM courses c
+         JOIN users u ON c.instructor_id = u.id
+         WHERE c.id = ?`,
+        [req.params.id]
+      );
+      
+      const lessons = await annotateLessons(course, req.user, await dbAsync.all(
+        `SELECT * FROM lessons
+         WHERE course_id = ? AND ${lessonVisibilityFilter(course, req.user)}
+         ORDER BY order_index ASC`,
+        [req.params.id]
+      ));
+      
+      const sections = await dbAsync.all(
+        'SELECT * FROM sections WHERE course_id = ? ORDER BY order_index ASC',
+        [req.params.id]
+      );
+      
+      const [annotatedCourse] = await annotateCourses([course], req.user);
+      
+      res.json({ course: { ...annotatedCourse, sections, lessons } });
+    } catch (err) {
+      console.error('Get course error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve course' });
+    }
+  }
+);
+
+app.post('/api/courses',
+  authenticateToken,
+  requireRole('instructor'),
+  requireVerifiedEmail('create_course'),
+  body('title').isString().trim().isLength({ min: 1, max: 200 }),
+  body('description').isString().trim().isLength({ min: 1, max: 5000 }),
+  body('sequential').optional().isBoolean().toBoolean(),
+  ...coursePrerequisiteValidators,
+  ...courseCatalogValidators,
+  ...publishingValidators,
+  validate,
+  async (req, res) => {
+    try {
+      const { title, description, sequential, prerequisite_course_ids, category_id, level, language, tags } = req.body;
+      
+      const publishing = resolvePublishing(null, req.body);
+      if (publishing.error) {
+        return res.status(400).json({ error: publishing.error });
+      }
+      
+      const prerequisiteIds = prerequisite_course_ids ? [...new Set(prerequisite_course_ids)] : [];
+      const prerequisiteProblem = await findCoursePrerequisiteProblem(null, prerequisiteIds, req.user);
+      if (prerequisiteProblem) {
+        return res.status(400).json({ error: prerequisiteProblem });
+      }
+      
+      if (!(await isKnownCategory(category_id))) {
+        return res.status(400).json({ error: 'Category not found' });
+      }
+      
+      const courseId = await withTransaction(async (tx) => {
+        const result = await tx.run(
+          `INSERT INTO courses
+             (title, description, instructor_id, status, publish_at, sequential, category_id, level, language)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            title, description, req.user.id, publishing.status, publishing.publish_at, sequential ? 1 : 0,
+            category_id || null, level || null, language || null
+          ]
+        );
+        await setCoursePrerequisites(result.lastID, prerequisiteIds, tx);
+        await setCourseTags(result.lastID, [...new Set(tags || [])], tx);
+        return result.lastID;
+      });
+      
+      await auditLog(req.user.id, 'COURSE_CREATED', 'course', courseId, req.ip);
+      
+      const [course] = await annotateCourses(
+        [await dbAsync.get('SELECT * FROM courses WHERE id = ?', [courseId])],
+        req.user
+      );
+      
+      res.status(201).json({ course });
+    } catch (err) {
+      console.error('Create course error:', err.message);
+      res.status(500).json({ error: 'Failed to create course' });
+    }
+  }
+);
+
+app.put('/api/courses/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('description').optional().isString().trim().isLength({ min: 1, max: 5000 }),
+  body('sequential').optional().isBoolean().toBoolean(),
+  ...coursePrerequisiteValidators,
+  ...courseCatalogValidators,
+  ...publishingValidators,
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.id]);
+      
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this course' });
+      }
+      
+      const {
+        title, description, sequential, prerequisite_course_ids, category_id, level, language, tags, status, publish_at
+      } = req.body;
+      const updates = [];
+      const params = [];
+      
+      if (title !== undefined) {
+        updates.push('title = ?');
+        params.push(title);
+      }
+      if (description !== undefined) {
+        updates.push('description = ?');
+        params.push(description);
+      }
+      if (sequential !== undefined) {
+        updates.push('sequential = ?');
+        params.push(sequential ? 1 : 0);
+      }
+      if (category_id !== undefined) {
+        if (!(await isKnownCategory(category_id))) {
+          return res.status(400).json({ error: 'Category not found' });
+        }
+        updates.push('category_id = ?');
+        params.push(category_id);
+      }
+      if (level !== undefined) {
+        updates.push('level = ?');
+        params.push(level);
+      }
+      if (language !== undefined) {
+        updates.push('language = ?');
+        params.push(language || null);
+      }
+      if (status !== undefined || publish_at !== undefined) {
+        const publishing = resolvePublishing(course, req.body);
+        if (publishing.error) {
+          return res.status(400).json({ error: publishing.error });
+        }
+        updates.push('status = ?', 'publish_at = ?');
+        params.push(publishing.status, publishing.publish_at);
+      }
+      
+      const prerequisiteIds = prerequisite_course_ids ? [...new Set(prerequisite_course_ids)] : null;
+      if (prerequisiteIds) {
+        const prerequisiteProblem = await findCoursePrerequisiteProblem(course.id, prerequisiteIds, req.user);
+        if (prerequisiteProblem) {
+          return res.status(400).json({ error: prerequisiteProblem });
+        }
+      }
+      
+      if (updates.length === 0 && !prerequisiteIds && tags === undefined) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+      
+      updates.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(req.params.id);
+      
+      await withTransaction(async (tx) => {
+        await tx.run(
+          `UPDATE courses SET ${updates.join(', ')} WHERE id = ?`,
+          params
+        );
+        if (prerequisiteIds) {
+          await setCoursePrerequisites(course.id, prerequisiteIds, tx);
+        }
+        if (tags !== undefined) {
+          await setCourseTags(course.id, [...new Set(tags)], tx);
+        }
+      });
+      
+      await auditLog(req.user.id, 'COURSE_UPDATED', 'course', req.params.id, req.ip);
+      
+      const [updatedCourse] = await annotateCourses(
+        [await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.id])],
+        req.user
+      );
+      
+      res.json({ course: updatedCourse });
+    } catch (err) {
+      console.error('Update course error:', err.message);
+      res.status(500).json({ error: 'Failed to update course' });
+    }
+  }
+);
+
+app.delete('/api/courses/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.id]);
+      
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this course' });
+      }
+      
+      // Children are removed explicitly because foreign keys (and so ON DELETE clauses) are not enforced
+      await withTransaction(async (tx) => {
+        const lessons = await tx.all('SELECT id FROM lessons WHERE course_id = ?', [req.params.id]);
+        await deleteLessons(lessons.map(lesson => lesson.id), tx);
+        await tx.run('DELETE FROM sections WHERE course_id = ?', [req.params.id]);
+        await tx.run('DELETE FROM grade_categories WHERE course_id = ?', [req.params.id]);
+        await tx.run('DELETE FROM enrollments WHERE course_id = ?', [req.params.id]);
+        await tx.run(
+          'DELETE FROM course_prerequisites WHERE course_id = ? OR prerequisite_course_id = ?',
+          [req.params.id, req.params.id]
+        );
+        await tx.run('DELETE FROM learning_path_courses WHERE course_id = ?', [req.params.id]);
+        await tx.run('DELETE FROM course_tags WHERE course_id = ?', [req.params.id]);
+        await tx.run('DELETE FROM course_reviews WHERE course_id = ?', [req.params.id]);
+        // Issued certificates stay verifiable; they keep their own copy of the course title
+        await tx.run('UPDATE certificates SET course_id = NULL WHERE course_id = ?', [req.params.id]);
+        await tx.run(
+          'DELETE FROM notifications WHERE link = ? OR link LIKE ?',
+          [`/student/course/${req.params.id}`, `/student/course/${req.params.id}?%`]
+        );
+        // The courses_search_delete trigger removes the course's search_index rows
+        await tx.run('DELETE FROM courses WHERE id = ?', [req.params.id]);
+      });
+      
+      await auditLog(req.user.id, 'COURSE_DELETED', 'course', req.params.id, req.ip);
+      
+      res.status(204).send();
+    } catch (err) {
+      console.error('Delete course error:', err.message);
+      res.status(500).json({ error: 'Failed to delete course' });
+    }
+  }
+);
+
+// ========== MARKDOWN VALIDATION ==========
+// Lesson content is Markdown. Raw HTML is limited to a few attribute-free formatting
+// tags, and links/images must use safe URL schemes. The frontend sanitizer enforces
+// the same policy when rendering.
+const ALLOWED_MARKDOWN_HTML_TAGS = new Set([
+  'b', 'i', 'em', 'strong', 'u', 's', 'sub', 'sup', 'kbd', 'mark', 'br', 'hr', 'details', 'summary'
+]);
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const SAFE_IMAGE_PROTOCOLS = ['http:', 'https:'];
+
+const isSafeUrl = (url, protocols) => {
+  const trimmed = String(url).trim();
+  // Relative links and in-page anchors carry no scheme
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+    return true;
+  }
+  return protocols.includes(trimmed.slice(0, trimmed.indexOf(':') + 1).toLowerCase());
+};
+
+const findHtmlProblem = (html) => {
+  if (/<!--|<!\[CDATA\[|<\?|<![a-z]/i.test(html)) {
+    return 'HTML comments and declarations are not allowed';
+  }
+  const tagPattern = /<\/?([a-zA-Z][a-zA-Z0-9-]*)([^>]*)>/g;
+  let match;
+  while ((match = tagPattern.exec(html)) !== null) {
+    const tagName = match[1].toLowerCase();
+    if (!ALLOWED_MARKDOWN_HTML_TAGS.has(tagName)) {
+      return `HTML tag <${tagName}> is not allowed`;
+    }
+    if (match[2].replace(/\/$/, '').trim() !== '') {
+      return `HTML attributes are not allowed on <${tagName}>`;
+    }
+  }
+  return null;
+};
+
+// Returns a description of the first disallowed construct, or null when the Markdown is acceptable
+const findDisallowedMarkdown = (content) => {
+  let problem = null;
+  marked.walkTokens(marked.lexer(content), (token) => {
+    if (problem) {
+      return;
+    }
+    if (token.type === 'html') {
+      problem = findHtmlProblem(token.raw);
+    } else if (token.type === 'link' && !isSafeUrl(token.href, SAFE_LINK_PROTOCOLS)) {
+      problem = 'Links must use http, https or mailto URLs';
+    } else if (token.type === 'image' && !isSafeUrl(token.href, SAFE_IMAGE_PROTOCOLS)) {
+      problem = 'Images must use http or https URLs';
+    }
+  });
+  return problem;
+};
+
+// ========== SECTION ENDPOINTS ==========
+const isSectionInCourse = async (sectionId, courseId) => {
+  if (sectionId === undefined || sectionId === null) {
+    return true;
+  }
+  const section = await dbAsync.get(
+    'SELECT id FROM sections WHERE id = ? AND course_id = ?',
+    [sectionId, courseId]
+  );
+  return !!section;
+};
+
+app.get('/api/courses/:courseId/sections',
+  authenticateToken,
+  param('courseId').isInt({ min: 1 }).toInt(),
+  paginationValidator,
+  validate,
+  async (req, res) => {
+    try {
+      const course = await getVisibleCourse(req.params.courseId, req.user);
+      
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      
+      const { limit, offset } = applyPagination(req);
+      
+      const sections = await dbAsync.all(
+        `SELECT s.id, s.course_id, s.title, s.description, s.order_index, s.created_at, s.updated_at,
+                COUNT(l.id) as lesson_count
+         FROM sections s
+         LEFT JOIN lessons l ON l.section_id = s.id AND ${lessonVisibilityFilter(course, req.user, 'l')}
+         WHERE s.course_id = ?
+         GROUP BY s.id
+         ORDER BY s.order_index ASC
+         LIMIT ? OFFSET ?`,
+        [req.params.courseId, limit, offset]
+      );
+      
+      res.json({ sections });
+    } catch (err) {
+      console.error('Get sections error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve sections' });
+    }
+  }
+);
+
+app.get('/api/sections/:id',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const section = await dbAsync.get('SELECT * FROM sections WHERE id = ?', [req.params.id]);
+      const course = section ? await getVisibleCourse(section.course_id, req.user) : null;
+      
+      if (!section || !course) {
+        return res.status(404).json({ error: 'Section not found' });
+      }
+      
+      const lessons = await annotateLessons(course, req.user, await dbAsync.all(
+        `SELECT * FROM lessons
+         WHERE section_id = ? AND ${lessonVisibilityFilter(course, req.user)}
+         ORDER BY order_index ASC`,
+        [req.params.id]
+      ));
+      
+      res.json({ section: { ...section, lessons } });
+    } catch (err) {
+      console.error('Get section error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve section' });
+    }
+  }
+);
+
+app.post('/api/courses/:courseId/sections',
+  authenticateToken,
+  requireRole('instructor'),
+  param('courseId').isInt({ min: 1 }).toInt(),
+  body('title').isString().trim().isLength({ min: 1, max: 200 }),
+  body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }),
+  body('order_index').isInt({ min: 0 }),
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.courseId]);
+      
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to add sections to this course' });
+      }
+      
+      const { title, description, order_index } = req.body;
+      
+      const result = await dbAsync.run(
+        'INSERT INTO sections (course_id, title, description, order_index) VALUES (?, ?, ?, ?)',
+        [req.params.courseId, title, description || null, order_index]
+      );
+      
+      await auditLog(req.user.id, 'SECTION_CREATED', 'section', result.lastID, req.ip);
+      
+      const section = await dbAsync.get('SELECT * FROM sections WHERE id = ?', [result.lastID]);
+      
+      res.status(201).json({ section });
+    } catch (err) {
+      console.error('Create section error:', err.message);
+      res.status(500).json({ error: 'Failed to create section' });
+    }
+  }
+);
+
+app.put('/api/sections/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }),
+  body('order_index').optional().isInt({ min: 0 }),
+  validate,
+  async (req, res) => {
+    try {
+      const section = await dbAsync.get('SELECT * FROM sections WHERE id = ?', [req.params.id]);
+      
+      if (!section) {
+        return res.status(404).json({ error: 'Section not found' });
+      }
+      
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [section.course_id]);
+      
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this section' });
+      }
+      
+      const { title, description, order_index } = req.body;
+      const updates = [];
+      const params = [];
+      
+      if (title !== undefined) {
+        updates.push('title = ?');
+        params.push(title);
+      }
+      if (description !== undefined) {
+        updates.push('description = ?');
+        params.push(description || null);
+      }
+      if (order_index !== undefined) {
+        updates.push('order_index = ?');
+        params.push(order_index);
+      }
+      
+      if (updates.length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+      
+      updates.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(req.params.id);
+      
+      await dbAsync.run(
+        `UPDATE sections SET ${updates.join(', ')} WHERE id = ?`,
+        params
+      );
+      
+      await auditLog(req.user.id, 'SECTION_UPDATED', 'section', req.params.id, req.ip);
+      
+      const updatedSection = await dbAsync.get('SELECT * FROM sections WHERE id = ?', [req.params.id]);
+      
+      res.json({ section: updatedSection });
+    } catch (err) {
+      console.error('Update section error:', err.message);
+      res.status(500).json({ error: 'Failed to update section' });
+    }
+  }
+);
+
+app.delete('/api/sections/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const section = await dbAsync.get('SELECT * FROM sections WHERE id = ?', [req.params.id]);
+      
+      if (!section) {
+        return res.status(404).json({ error: 'Section not found' });
+      }
+      
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [section.course_id]);
+      
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this section' });
+      }
+      
+      // Lessons are kept and become unsectioned
+      await withTransaction(async (tx) => {
+        await tx.run('UPDATE lessons SET section_id = NULL WHERE section_id = ?', [req.params.id]);
+        await tx.run('DELETE FROM sections WHERE id = ?', [req.params.id]);
+      });
+      
+      await auditLog(req.user.id, 'SECTION_DELETED', 'section', req.params.id, req.ip);
+      
+      res.status(204).send();
+    } catch (err) {
+      console.error('Delete section error:', err.message);
+      res.status(500).json({ error: 'Failed to delete section' });
+    }
+  }
+);
+
+// ========== LESSON LOCK HELPERS ==========
+const prerequisiteValidators = [
+  body('prerequisite_ids').optional().isArray({ max: 100 }),
+  body('prerequisite_ids.*').isInt({ min: 1 }).toInt()
+];
+
+const getCoursePrerequisites = (courseId) => dbAsync.all(
+  `SELECT lp.lesson_id, lp.prerequisite_lesson_id
+   FROM lesson_prerequisites lp
+   JOIN lessons l ON lp.lesson_id = l.id
+   WHERE l.course_id = ?`,
+  [courseId]
+);
+
+// Returns an error message when the prerequisites are outside the course or would form a cycle
+const findPrerequisiteProblem = async (lesson, prerequisiteIds) => {
+  if (prerequisiteIds.includes(lesson.id)) {
+    return 'A lesson cannot be its own prerequisite';
+  }
+  
+  const courseLessons = await dbAsync.all('SELECT id FROM lessons WHERE course_id = ?', [lesson.course_id]);
+  const courseLessonIds = new Set(courseLessons.map(l => l.id));
+  if (!prerequisiteIds.every(id => courseLessonIds.has(id))) {
+    return 'Prerequisites must be lessons in the same course';
+  }
+  
+  // Following prerequisites from the new ones must never lead back to this lesson
+  const graph = new Map();
+  for (const edge of await getCoursePrerequisites(lesson.course_id)) {
+    if (edge.lesson_id === lesson.id) continue;
+    if (!graph.has(edge.lesson_id)) graph.set(edge.lesson_id, []);
+    graph.get(edge.lesson_id).push(edge.prerequisite_lesson_id);
+  }
+  const pending = [...prerequisiteIds];
+  const visited = new Set();
+  while (pending.length > 0) {
+    const lessonId = pending.pop();
+    if (lessonId === lesson.id) {
+      return 'Prerequisites cannot form a cycle';
+    }
+    if (visited.has(lessonId)) continue;
+    visited.add(lessonId);
+    pending.push(...(graph.get(lessonId) || []));
+  }
+  return null;
+};
+
+const setLessonPrerequisites = async (lessonId, prerequisiteIds, conn = dbAsync) => {
+  await conn.run('DELETE FROM lesson_prerequisites WHERE lesson_id = ?', [lessonId]);
+  for (const prerequisiteId of prerequisiteIds) {
+    await conn.run(
+      'INSERT INTO lesson_prerequisites (lesson_id, prerequisite_lesson_id) VALUES (?, ?)',
+      [lessonId, prerequisiteId]
+    );
+  }
+};
+
+// Works out which published lessons a student cannot open yet, keyed by lesson id.
+// Lessons follow reading order (sections first, then lesson order); completed lessons never lock again.
+const getLessonLocks = async (course, studentId) => {
+  const lessons = await dbAsync.all(
+    `SELECT l.id, l.title
+     FROM lessons l
+     LEFT JOIN sections s ON l.section_id = s.id
+     WHERE l.course_id = ? AND l.status = 'published'
+     ORDER BY s.id IS NULL, s.order_index ASC, l.order_index ASC, l.id ASC`,
+    [course.id]
+  );
+  const completedRows = await dbAsync.all(
+    `SELECT p.lesson_id
+     FROM progress p
+     JOIN lessons l ON p.lesson_id = l.id
+     WHERE p.student_id = ? AND p.completed = 1 AND l.course_id = ?`,
+    [studentId, course.id]
+  );
+  const completed = new Set(completedRows.map(row => row.lesson_id));
+  const prerequisites = await getCoursePrerequisites(course.id);
+  const lessonsById = new Map(lessons.map(l => [l.id, l]));
+  
+  const locks = new Map();
+  let firstIncomplete = null;
+  for (const lesson of lessons) {
+    if (!completed.has(lesson.id)) {
+      const required = new Map();
+      if (course.sequential && firstIncomplete) {
+        required.set(firstIncomplete.id, firstIncomplete);
+      }
+      for (const edge of prerequisites) {
+        const prerequisite = lessonsById.get(edge.prerequisite_lesson_id);
+        // Unpublished prerequisites cannot be completed, so they do not lock anything
+        if (edge.lesson_id === lesson.id && prerequisite && !completed.has(prerequisite.id)) {
+          required.set(prerequisite.id, prerequisite);
+        }
+      }
+      if (required.size > 0) {
+        const requiredLessons = [...required.values()].map(l => ({ id: l.id, title: l.title }));
+        locks.set(lesson.id, {
+          reason: `Lesson is locked: complete ${requiredLessons.map(l => `"${l.title}"`).join(', ')} first`,
+          required_lessons: requiredLessons
+        });
+      }
+      firstIncomplete = firstIncomplete || lesson;
+    }
+  }
+  return locks;
+};
+
+const getLessonLock = async (course, lessonId, studentId) =>
+  (await getLessonLocks(course, studentId)).get(lessonId) || null;
+
+// Locks only apply to students, so quizzes and assignments of a locked lesson stay closed too
+const getViewerLessonLock = (course, lessonId, user) =>
+  user.role === 'student' ? getLessonLock(course, lessonId, user.id) : null;
+
+const sendLessonLocked = (res, lock) =>
+  res.status(403).json({ error: lock.reason, required_lessons: lock.required_lessons });
+
+// Adds prerequisite ids to lessons and, for students, hides the content of locked lessons
+const annotateLessons = async (course, user, lessons) => {
+  const prerequisites = await getCoursePrerequisites(course.id);
+  const locks = user.role === 'student' ? await getLessonLocks(course, user.id) : new Map();
+  return lessons.map((lesson) => {
+    const annotated = {
+      ...lesson,
+      prerequisite_ids: prerequisites
+        .filter(edge => edge.lesson_id === lesson.id)
+        .map(edge => edge.prerequisite_lesson_id)
+    };
+    if (user.role !== 'student') {
+      return annotated;
+    }
+    const lock = locks.get(lesson.id);
+    return lock
+      ? { ...annotated, content: null, locked: true, lock_reason: lock.reason, required_lessons: lock.required_lessons }
+      : { ...annotated, locked: false };
+  });
+};
+
+// ========== LESSON ENDPOINTS ==========
+app.get('/api/courses/:courseId/lessons',
+  authenticateToken,
+  param('courseId').isInt({ min: 1 }).toInt(),
+  paginationValidator,
+  validate,
+  async (req, res) => {
+    try {
+      const course = await getVisibleCourse(req.params.courseId, req.user);
+      
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      
+      const { limit, offset } = applyPagination(req);
+      
+      const lessons = await annotateLessons(course, req.user, await dbAsync.all(
+        `SELECT id, course_id, section_id, title, content, order_index, status, publish_at, created_at, updated_at
+         FROM lessons
+         WHERE course_id = ? AND ${lessonVisibilityFilter(course, req.user)}
+         ORDER BY order_index ASC
+         LIMIT ? OFFSET ?`,
+        [req.params.courseId, limit, offset]
+      ));
+      
+      res.json({ lessons });
+    } catch (err) {
+      console.error('Get lessons error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve lessons' });
+    }
+  }
+);
+
+app.get('/api/lessons/:id',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const visible = await getVisibleLesson(req.params.id, req.user);
+      
+      if (!visible) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+      
+      const { lesson, course } = visible;
+      const [annotatedLesson] = await annotateLessons(course, req.user, [lesson]);
+      
+      if (annotatedLesson.locked) {
+        return res.status(403).json({
+          error: annotatedLesson.lock_reason,
+          required_lessons: annotatedLesson.required_lessons
+        });
+      }
+      
+      res.json({ lesson: annotatedLesson });
+    } catch (err) {
+      console.error('Get lesson error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve lesson' });
+    }
+  }
+);
+
+app.post('/api/courses/:courseId/lessons',
+  authenticateToken,
+  requireRole('instructor'),
+  param('courseId').isInt({ min: 1 }).toInt(),
+  body('title').isString().trim().isLength({ min: 1, max: 200 }),
+  body('content').isString().trim().isLength({ min: 1, max: 50000 }),
+  body('order_index').isInt({ min: 0 }),
+  body('section_id').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  ...prerequisiteValidators,
+  ...publishingValidators,
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.courseId]);
+      
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to add lessons to this course' });
+      }
+      
+      const { title, content, order_index, section_id, prerequisite_ids } = req.body;
+      
+      const contentProblem = findDisallowedMarkdown(content);
+      if (contentProblem) {
+        return res.status(400).json({ error: `Invalid lesson content: ${contentProblem}` });
+      }
+      
+      if (!(await isSectionInCourse(section_id, req.params.courseId))) {
+        return res.status(400).json({ error: 'Section does not belong to this course' });
+      }
+      
+      const publishing = resolvePublishing(null, req.body);
+      if (publishing.error) {
+        return res.status(400).json({ error: publishing.error });
+      }
+      
+      const prerequisiteIds = prerequisite_ids ? [...new Set(prerequisite_ids)] : [];
+      const prerequisiteProblem = await findPrerequisiteProblem({ id: null, course_id: course.id }, prerequisiteIds);
+      if (prerequisiteProblem) {
+        return res.status(400).json({ error: prerequisiteProblem });
+      }
+      
+      const lessonId = await withTransaction(async (tx) => {
+        const result = await tx.run(
+          `INSERT INTO lessons (course_id, section_id, title, content, order_index, status, publish_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [req.params.courseId, section_id || null, title, content, order_index, publishing.status, publishing.publish_at]
+        );
+        await setLessonPrerequisites(result.lastID, prerequisiteIds, tx);
+        await recordLessonRevision(result.lastID, req.user.id, null, tx);
+        return result.lastID;
+      });
+      
+      await auditLog(req.user.id, 'LESSON_CREATED', 'lesson', lessonId, req.ip);
+      await notifyLessonPublished(lessonId);
+      
+      const [lesson] = await annotateLessons(course, req.user, [
+        await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [lessonId])
+      ]);
+      
+      res.status(201).json({ lesson });
+    } catch (err) {
+      console.error('Create lesson error:', err.message);
+      res.status(500).json({ error: 'Failed to create lesson' });
+    }
+  }
+);
+
+app.put('/api/courses/:courseId/lessons/order',
+  authenticateToken,
+  requireRole('instructor'),
+  param('courseId').isInt({ min: 1 }).toInt(),
+  body('lesson_ids').isArray({ min: 1, max: 1000 }),
+  body('lesson_ids.*').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.courseId]);
+      
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to reorder lessons in this course' });
+      }
+      
+      const { lesson_ids } = req.body;
+      
+      if (new Set(lesson_ids).size !== lesson_ids.length) {
+        return res.status(400).json({ error: 'Lesson IDs must not contain duplicates' });
+      }
+      
+      const lessons = await withTransaction(async (tx) => {
+        // Validated inside the transaction so lessons added or removed meanwhile cannot slip through
+        const courseLessons = await tx.all('SELECT id FROM lessons WHERE course_id = ?', [req.params.courseId]);
+        const courseLessonIds = new Set(courseLessons.map(l => l.id));
+        
+        if (lesson_ids.length !== courseLessonIds.size || !lesson_ids.every(id => courseLessonIds.has(id))) {
+          return null;
+        }
+        
+        for (const [index, lessonId] of lesson_ids.entries()) {
+          await tx.run(
+            'UPDATE lessons SET order_index = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [index + 1, lessonId]
+          );
+        }
+        
+        return tx.all('SELECT * FROM lessons WHERE course_id = ? ORDER BY order_index ASC', [req.params.courseId]);
+      });
+      
+      if (!lessons) {
+        return res.status(400).json({ error: 'Lesson IDs must list every lesson of this course exactly once' });
+      }
+      
+      await auditLog(req.user.id, 'LESSONS_REORDERED', 'course', req.params.courseId, req.ip);
+      
+      res.json({ lessons: await annotateLessons(course, req.user, lessons) });
+    } catch (err) {
+      console.error('Reorder lessons error:', err.message);
+      res.status(500).json({ error: 'Failed to reorder lessons' });
+    }
+  }
+);
+
+app.put('/api/lessons/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('content').optional().isString().trim().isLength({ min: 1, max: 50000 }),
+  body('order_index').optional().isInt({ min: 0 }),
+  body('section_id').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  ...prerequisiteValidators,
+  ...publishingValidators,
+  validate,
+  async (req, res) => {
+    try {
+      const lesson = await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [req.params.id]);
+      
+      if (!lesson) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+      
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [lesson.course_id]);
+      
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this lesson' });
+      }
+      
+      const { title, content, order_index, section_id, prerequisite_ids, status, publish_at } = req.body;
+      const updates = [];
+      const params = [];
+      
+      if (title !== undefined) {
+        updates.push('title = ?');
+        params.push(title);
+      }
+      if (content !== undefined) {
+        const contentProblem = findDisallowedMarkdown(content);
+        if (contentProblem) {
+          return res.status(400).json({ error: `Invalid lesson content: ${contentProblem}` });
+        }
+        updates.push('content = ?');
+        params.push(content);
+      }
+      if (order_index !== undefined) {
+        updates.push('order_index = ?');
+        params.push(order_index);
+      }
+      if (section_id !== undefined) {
+        if (!(await isSectionInCourse(section_id, lesson.course_id))) {
+          return res.status(400).json({ error: 'Section does not belong to this course' });
+        }
+        updates.push('section_id = ?');
+        params.push(section_id);
+      }
+      let publishing = null;
+      if (status !== undefined || publish_at !== undefined) {
+        publishing = resolvePublishing(lesson, req.body);
+        if (publishing.error) {
+          return res.status(400).json({ error: publishing.error });
+        }
+        updates.push('status = ?', 'publish_at = ?');
+        params.push(publishing.status, publishing.publish_at);
+      }
+      
+      const prerequisiteIds = prerequisite_ids ? [...new Set(prerequisite_ids)] : null;
+      if (prerequisiteIds) {
+        const prerequisiteProblem = await findPrerequisiteProblem(lesson, prerequisiteIds);
+        if (prerequisiteProblem) {
+          return res.status(400).json({ error: prerequisiteProblem });
+        }
+      }
+      
+      if (updates.length === 0 && !prerequisiteIds) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+      
+      updates.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(req.params.id);
+      
+      // Only title and content edits are versioned; moving a lesson is not a new revision
+      const revisesContent = (title !== undefined && title !== lesson.title) ||
+        (content !== undefined && content !== lesson.content);
+      
+      await withTransaction(async (tx) => {
+        if (revisesContent) {
+          await ensureBaselineRevision(lesson, tx);
+        }
+        await tx.run(
+          `UPDATE lessons SET ${updates.join(', ')} WHERE id = ?`,
+          params
+        );
+        if (prerequisiteIds) {
+          await setLessonPrerequisites(req.params.id, prerequisiteIds, tx);
+        }
+        if (revisesContent) {
+          await recordLessonRevision(req.params.id, req.user.id, null, tx);
+        }
+      });
+      
+      await auditLog(req.user.id, 'LESSON_UPDATED', 'lesson', req.params.id, req.ip);
+      if (lesson.status !== 'published') {
+        await notifyLessonPublished(req.params.id);
+      } else if (publishing && publishing.status !== 'published') {
+        await issueCourseCertificates(lesson.course_id);
+      }
+      
+      const [updatedLesson] = await annotateLessons(course, req.user, [
+        await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [req.params.id])
+      ]);
+      
+      res.json({ lesson: updatedLesson });
+    } catch (err) {
+      console.error('Update lesson error:', err.message);
+      res.status(500).json({ error: 'Failed to update lesson' });
+    }
+  }
+);
+
+// Deletes lessons with everything attached to them. Foreign keys are not enforced, so the
+// ON DELETE CASCADE clauses in the schema never fire and each child table is cleared here.
+const deleteLessons = async (lessonIds, tx) => {
+  if (lessonIds.length === 0) {
+    return;
+  }
+  const ids = lessonIds.map(() => '?').join(', ');
+  const quizIds = `SELECT id FROM quizzes WHERE lesson_id IN (${ids})`;
+  const assignmentIds = `SELECT id FROM assignments WHERE lesson_id IN (${ids})`;
+  const submissionIds = `SELECT id FROM assignment_submissions WHERE assignment_id IN (${assignmentIds})`;
+  const threadIds = `SELECT id FROM discussion_threads WHERE lesson_id IN (${ids})`;
+
+  await tx.run(`DELETE FROM submission_attachments WHERE submission_id IN (${submissionIds})`, lessonIds);
+  await tx.run(`DELETE FROM submission_grades WHERE submission_id IN (${submissionIds})`, lessonIds);
+  await tx.run(`DELETE FROM assignment_submissions WHERE assignment_id IN (${assignmentIds})`, lessonIds);
+  await tx.run(`DELETE FROM assignments WHERE lesson_id IN (${ids})`, lessonIds);
+  await tx.run(`DELETE FROM quiz_attempts WHERE quiz_id IN (${quizIds})`, lessonIds);
+  await tx.run(`DELETE FROM quiz_questions WHERE quiz_id IN (${quizIds})`, lessonIds);
+  await tx.run(`DELETE FROM quizzes WHERE lesson_id IN (${ids})`, lessonIds);
+  await tx.run(`DELETE FROM discussion_posts WHERE thread_id IN (${threadIds})`, lessonIds);
+  await tx.run(`DELETE FROM discussion_threads WHERE lesson_id IN (${ids})`, lessonIds);
+  await tx.run(`DELETE FROM lesson_revisions WHERE lesson_id IN (${ids})`, lessonIds);
+  await tx.run(`DELETE FROM lesson_study_time WHERE lesson_id IN (${ids})`, lessonIds);
+  await tx.run(`DELETE FROM progress WHERE lesson_id IN (${ids})`, lessonIds);
+  await tx.run(
+    `DELETE FROM lesson_prerequisites WHERE lesson_id IN (${ids}) OR prerequisite_lesson_id IN (${ids})`,
+    [...lessonIds, ...lessonIds]
+  );
+  await tx.run(`DELETE FROM lessons WHERE id IN (${ids})`, lessonIds);
+};
+
+app.delete('/api/lessons/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const lesson = await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [req.params.id]);
+      
+      if (!lesson) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+      
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [lesson.course_id]);
+      
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this lesson' });
+      }
+      
+      await withTransaction(async (tx) => {
+        await deleteLessons([lesson.id], tx);
+        await tx.run(
+          'DELETE FROM notifications WHERE link = ?',
+          [`/student/course/${lesson.course_id}?lesson=${lesson.id}`]
+        );
+      });
+      
+      await auditLog(req.user.id, 'LESSON_DELETED', 'lesson', req.params.id, req.ip);
+      if (lesson.status === 'published') {
+        await issueCourseCertificates(lesson.course_id);
+      }
+      
+      res.status(204).send();
+    } catch (err) {
+      console.error('Delete lesson error:', err.message);
+      res.status(500).json({ error: 'Failed to delete lesson' });
+    }
+  }
+);
+
+// ========== LESSON REVISION HELPERS ==========
+const getLessonWithCourse = (lessonId) => dbAsync.get(
+  `SELECT l.*, c.instructor_id
+   FROM lessons l
+   JOIN courses c ON l.course_id = c.id
+   WHERE l.id = ?`,
+  [lessonId]
+);
+
+// Snapshots the lesson's current title and content as its next revision
+const recordLessonRevision = async (lessonId, authorId, restoredFromRevisionId = null, conn = dbAsync) => {
+  const result = await conn.run(
+    `INSERT INTO lesson_revisions (lesson_id, revision_number, title, content, author_id, restored_from_revision_id)
+     SELECT l.id,
+            (SELECT COALESCE(MAX(revision_number), 0) + 1 FROM lesson_revisions WHERE lesson_id = l.id),
+            l.title, l.content, ?, ?
+     FROM lessons l
+     WHERE l.id = ?`,
+    [authorId, restoredFromRevisionId, lessonId]
+  );
+  return result.lastID;
+};
+
+// Lessons created before revisions existed get their pre-edit state kept as revision 1
+const ensureBaselineRevision = async (lesson, conn = dbAsync) => {
+  await conn.run(
+    `INSERT INTO lesson_revisions (lesson_id, revision_number, title, content, author_id, created_at)
+     SELECT ?, 1, ?, ?, NULL, ?
+     WHERE NOT EXISTS (SELECT 1 FROM lesson_revisions WHERE lesson_id = ?)`,
+    [lesson.id, lesson.title, lesson.content, lesson.updated_at, lesson.id]
+  );
+};
+
+const summarizeRevision = (revision) => ({
+  id: revision.id,
+  revision_number: revision.revision_number,
+  title: revision.title,
+  created_at: revision.created_at
+});
+
+const diffRevisions = (from, to) => {
+  const parts = diffLines(from.content, to.content, { ignoreNewlineAtEof: true, stripTrailingCr: true });
+  const changes = parts.map(part => ({
+    type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+    line_count: part.count,
+    value: part.value
+  }));
+  return {
+    from: summarizeRevision(from),
+    to: summarizeRevision(to),
+    title_changed: from.title !== to.title,
+    lines_added: changes.filter(c => c.type === 'added').reduce((total, c) => total + c.line_count, 0),
+    lines_removed: changes.filter(c => c.type === 'removed').reduce((total, c) => total + c.line_count, 0),
+    changes
+  };
+};
+
+// ========== LESSON REVISION ENDPOINTS ==========
+app.get('/api/lessons/:id/revisions',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  paginationValidator,
+  validate,
+  async (req, res) => {
+    try {
+      const lesson = await getLessonWithCourse(req.params.id);
+
+      if (!lesson) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+
+      if (lesson.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to view this lesson\'s history' });
+      }
+
+      const { limit, offset } = applyPagination(req);
+
+      const revisions = await dbAsync.all(
+        `SELECT r.id, r.lesson_id, r.revision_number, r.title, r.author_id, u.email as author_email,
+                r.restored_from_revision_id, r.created_at
+         FROM lesson_revisions r
+         LEFT JOIN users u ON r.author_id = u.id
+         WHERE r.lesson_id = ?
+         ORDER BY r.revision_number DESC
+         LIMIT ? OFFSET ?`,
+        [req.params.id, limit, offset]
+      );
+
+      res.json({ revisions });
+    } catch (err) {
+      console.error('Get revisions error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve revisions' });
+    }
+  }
+);
+
+// Declared before the :revisionId route so "diff" is not taken for a revision id
+app.get('/api/lessons/:id/revisions/diff',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  query('from').isInt({ min: 1 }).toInt(),
+  query('to').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const lesson = await getLessonWithCourse(req.params.id);
+
+      if (!lesson) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+
+      if (lesson.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to view this lesson\'s history' });
+      }
+
+      const from = await dbAsync.get(
+        'SELECT * FROM lesson_revisions WHERE id = ? AND lesson_id = ?',
+        [req.query.from, req.params.id]
+      );
+      const to = await dbAsync.get(
+        'SELECT * FROM lesson_revisions WHERE id = ? AND lesson_id = ?',
+        [req.query.to, req.params.id]
+      );
+
+      if (!from || !to) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      res.json({ diff: diffRevisions(from, to) });
+    } catch (err) {
+      console.error('Diff revisions error:', err.message);
+      res.status(500).json({ error: 'Failed to compare revisions' });
+    }
+  }
+);
+
+app.get('/api/lessons/:id/revisions/:revisionId',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  param('revisionId').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const lesson = await getLessonWithCourse(req.params.id);
+
+      if (!lesson) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+
+      if (lesson.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to view this lesson\'s history' });
+      }
+
+      const revision = await dbAsync.get(
+        `SELECT r.*, u.email as author_email
+         FROM lesson_revisions r
+         LEFT JOIN users u ON r.author_id = u.id
+         WHERE r.id = ? AND r.lesson_id = ?`,
+        [req.params.revisionId, req.params.id]
+      );
+
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      res.json({ revision });
+    } catch (err) {
+      console.error('Get revision error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve revision' });
+    }
+  }
+);
+
+app.post('/api/lessons/:id/revisions/:revisionId/restore',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  param('revisionId').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const lesson = await getLessonWithCourse(req.params.id);
+
+      if (!lesson) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+
+      if (lesson.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this lesson' });
+      }
+
+      const revision = await dbAsync.get(
+        'SELECT * FROM lesson_revisions WHERE id = ? AND lesson_id = ?',
+        [req.params.revisionId, req.params.id]
+      );
+
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      // Older revisions may predate the Markdown policy
+      const contentProblem = findDisallowedMarkdown(revision.content);
+      if (contentProblem) {
+        return res.status(400).json({ error: `Revision content cannot be restored: ${contentProblem}` });
+      }
+
+      const newRevisionId = await withTransaction(async (tx) => {
+        await tx.run(
+          'UPDATE lessons SET title = ?, content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [revision.title, revision.content, req.params.id]
+        );
+        return recordLessonRevision(req.params.id, req.user.id, revision.id, tx);
+      });
+
+      await auditLog(req.user.id, 'LESSON_REVISION_RESTORED', 'lesson', req.params.id, req.ip);
+
+      const restoredLesson = await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [req.params.id]);
+      const newRevision = await dbAsync.get('SELECT * FROM lesson_revisions WHERE id = ?', [newRevisionId]);
+
+      res.json({ lesson: restoredLesson, revision: newRevision });
+    } catch (err) {
+      console.error('Restore revision error:', err.message);
+      res.status(500).json({ error: 'Failed to restore revision' });
+    }
+  }
+);
+
+// ========== SEARCH HELPERS ==========
+const MAX_SEARCH_TERMS = 10;
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// Turns free text into an FTS5 query of quoted prefix terms, so user input cannot inject query syntax
+const buildSearchQuery = (text) => {
+  const terms = (text.match(/[\p{L}\p{N}_]+/gu) || []).slice(0, MAX_SEARCH_TERMS);
+  return terms.map(term => `"${term}"*`).join(' ');
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Escapes indexed text and swaps the highlight markers for <mark> tags, the only markup in the result
+const toHighlightedHtml = (text) => escapeHtml(text || '')
+  .split(HIGHLIGHT_START).join('<mark>')
+  .split(HIGHLIGHT_END).join('</mark>');
+
+// ========== SEARCH ENDPOINTS ==========
+app.get('/api/search',
+  authenticateToken,
+  query('q').isString().trim().isLength({ min: 1, max: 200 }),
+  paginationValidator,
+  validate,
+  async (req, res) => {
+    try {
+      const matchQuery = buildSearchQuery(req.query.q);
+      
+      if (!matchQuery) {
+        return res.json({ results: [] });
+      }
+      
+      const { limit, offset } = applyPagination(req);
+      
+      // Title matches weigh ten times more than body matches
+      const rows = await dbAsync.all(
+        `SELECT si.kind, si.item_id, si.course_id, c.title as course_title, c.instructor_id,
+                highlight(search_index, 3, ?, ?) as title_html,
+                snippet(search_index, 4, ?, ?, '…', 24) as snippet_html,
+                bm25(search_index, 0, 0, 0, 10.0, 1.0) as rank
+         FROM search_index si
+         JOIN courses c ON c.id = si.course_id
+         LEFT JOIN lessons l ON si.kind = 'lesson' AND l.id = si.item_id
+         WHERE search_index MATCH ?
+           AND (c.status = 'published'
+             OR c.instructor_id = ?
+             OR (c.status = 'archived' AND EXISTS (
+               SELECT 1 FROM enrollments e WHERE e.course_id = c.id AND e.student_id = ?
+             )))
+           AND (si.kind = 'course' OR l.status = 'published' OR c.instructor_id = ?)
+         ORDER BY rank ASC
+         LIMIT ? OFFSET ?`,
+        [
+          HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END,
+          matchQuery, req.user.id, req.user.id, req.user.id, limit, offset
+        ]
+      );
+      
+      // Locked lessons are still findable by title, but their content stays hidden
+      const locksByCourse = new Map();
+      const results = [];
+      for (const row of rows) {
+        let locked = false;
+        if (row.kind === 'lesson' && req.user.role === 'student') {
+          if (!locksByCourse.has(row.course_id)) {
+            const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [row.course_id]);
+            locksByCourse.set(row.course_id, await getLessonLocks(course, req.user.id));
+          }
+          locked = locksByCourse.get(row.course_id).has(row.item_id);
+        }
+        results.push({
+          type: row.kind,
+          course_id: row.course_id,
+          course_title: row.course_title,
+          lesson_id: row.kind === 'lesson' ? row.item_id : null,
+          title: toHighlightedHtml(row.title_html),
+          snippet: locked ? null : toHighlightedHtml(row.snippet_html),
+          locked,
+          rank: row.rank
+        });
+      }
+      
+      res.json({ results });
+    } catch (err) {
+      console.error('Search error:', err.message);
+      res.status(500).json({ error: 'Search failed' });
+    }
+  }
+);
+
+// ========== QUIZ HELPERS ==========
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'short_answer'];
+const MAX_QUESTION_OPTIONS = 10;
+const MAX_ACCEPTED_ANSWERS = 20;
+
+const getQuizWithCourse = (quizId) => dbAsync.get(
+  `SELECT q.*, l.course_id, c.instructor_id
+   FROM quizzes q
+   JOIN lessons l ON q.lesson_id = l.id
+   JOIN courses c ON l.course_id = c.id
+   WHERE q.id = ?`,
+  [quizId]
+);
+
+const isNonEmptyString = (value, maxLength) =>
+  typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+// Returns an error message for an invalid question definition, or null if valid
+const validateQuestionDefinition = (type, options, correctAnswer) => {
+  if (type === 'multiple_choice' || type === 'multi_select') {
+    if (!Array.isArray(options) || options.length < 2 || options.length > MAX_QUESTION_OPTIONS) {
+      return `Options must contain between 2 and ${MAX_QUESTION_OPTIONS} entries`;
+    }
+    if (!options.every(option => isNonEmptyString(option, 500))) {
+      return 'Each option must be a non-empty string of at most 500 characters';
+    }
+    const inRange = (index) => Number.isInteger(index) && index >= 0 && index < options.length;
+    if (type === 'multiple_choice') {
+      return inRange(correctAnswer) ? null : 'Correct answer must be the index of one option';
+    }
+    if (!Array.isArray(correctAnswer) || correctAnswer.length === 0 ||
+        !correctAnswer.every(inRange) || new Set(correctAnswer).size !== correctAnswer.length) {
+      return 'Correct answer must be a list of distinct option indices';
+    }
+    return null;
+  }
+
+  if (type === 'true_false') {
+    return typeof correctAnswer === 'boolean' ? null : 'Correct answer must be true or false';
+  }
+
+  if (type === 'short_answer') {
+    if (!Array.isArray(correctAnswer) || correctAnswer.length === 0 || correctAnswer.length > MAX_ACCEPTED_ANSWERS ||
+        !correctAnswer.every(answer => isNonEmptyString(answer, 200))) {
+      return `Correct answer must be a list of 1 to ${MAX_ACCEPTED_ANSWERS} accepted answers`;
+    }
+    return null;
+  }
+
+  return 'Invalid question type';
+};
+
+const serializeQuestion = (row, includeAnswer) => {
+  const question = {
+    id: row.id,
+    quiz_id: row.quiz_id,
+    question_type: row.question_type,
+    prompt: row.prompt,
+    options: row.options ? JSON.parse(row.options) : null,
+    points: row.points,
+    order_index: row.order_index
+  };
+  if (includeAnswer) {
+    question.correct_answer = JSON.parse(row.correct_answer);
+  }
+  return question;
+};
+
+const normalizeShortAnswer = (value) => value.trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isAnswerCorrect = (questionType, correctAnswer, answer) => {
+  switch (questionType) {
+    case 'multiple_choice':
+      return Number.isInteger(answer) && answer === correctAnswer;
+    case 'multi_select': {
+      if (!Array.isArray(answer) || !answer.every(Number.isInteger)) return false;
+      const given = new Set(answer);
+      return given.size === correctAnswer.length && correctAnswer.every(index => given.has(index));
+    }
+    case 'true_false':
+      return typeof answer === 'boolean' && answer === correctAnswer;
+    case 'short_answer':
+      return typeof answer === 'string' &&
+        correctAnswer.map(normalizeShortAnswer).includes(normalizeShortAnswer(answer));
+    default:
+      return false;
+  }
+};
+
+const gradeQuizAttempt = (questions, answers) => {
+  let score = 0;
+  let maxScore = 0;
+  const results = questions.map((row) => {
+    const correct = isAnswerCorrect(row.question_type, JSON.parse(row.correct_answer), answers[row.id]);
+    const pointsAwarded = correct ? row.points : 0;
+    score += pointsAwarded;
+    maxScore += row.points;
+    return { question_id: row.id, correct, points_awarded: pointsAwarded, points: row.points };
+  });
+  const percentage = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+  return { score, maxScore, percentage, results };
+};
+
+// Required quizzes on a lesson that the student has not yet passed
+const getUnpassedRequiredQuizzes = (studentId, lessonId) => dbAsync.all(
+  `SELECT q.id, q.title
+   FROM quizzes q
+   WHERE q.lesson_id = ? AND q.required_to_complete = 1
+     AND NOT EXISTS (
+       SELECT 1 FROM quiz_attempts a
+       WHERE a.quiz_id = q.id AND a.student_id = ? AND a.passed = 1
+     )`,
+  [lessonId, studentId]
+);
+
+const quizValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('title').isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }),
+    body('passing_score').optional().isInt({ min: 0, max: 100 }).toInt(),
+    body('max_attempts').optional({ values: 'null' }).isInt({ min: 1, max: 100 }).toInt(),
+    body('required_to_complete').optional().isBoolean({ strict: true }),
+    body('category_id').optional({ values: 'null' }).isInt({ min: 1 }).toInt()
+  ];
+};
+
+// ========== QUIZ ENDPOINTS ==========
+app.get('/api/lessons/:lessonId/quizzes',
+  authenticateToken,
+  param('lessonId').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const visible = await getVisibleLesson(req.params.lessonId, req.user);
+
+      if (!visible) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+
+      const lock = await getViewerLessonLock(visible.course, visible.lesson.id, req.user);
+      if (lock) {
+        return sendLessonLocked(res, lock);
+      }
+
+      const quizzes = await dbAsync.all(
+        `SELECT q.id, q.lesson_id, q.title, q.description, q.passing_score, q.max_attempts,
+                q.required_to_complete, q.category_id, q.created_at, q.updated_at,
+                (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = q.id) as question_count,
+                (SELECT COUNT(*) FROM quiz_attempts a WHERE a.quiz_id = q.id AND a.student_id = ?) as attempt_count,
+                (SELECT MAX(a.percentage) FROM quiz_attempts a WHERE a.quiz_id = q.id AND a.student_id = ?) as best_percentage,
+                EXISTS (SELECT 1 FROM quiz_attempts a WHERE a.quiz_id = q.id AND a.student_id = ? AND a.passed = 1) as passed
+         FROM quizzes q
+         WHERE q.lesson_id = ?
+         ORDER BY q.created_at ASC`,
+        [req.user.id, req.user.id, req.user.id, req.params.lessonId]
+      );
+
+      res.json({ quizzes });
+    } catch (err) {
+      console.error('Get quizzes error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve quizzes' });
+    }
+  }
+);
+
+app.get('/api/quizzes/:id',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const quiz = await getQuizWithCourse(req.params.id);
+      const visible = quiz && await getVisibleLesson(quiz.lesson_id, req.user);
+
+      if (!visible) {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+
+      const lock = await getViewerLessonLock(visible.course, visible.lesson.id, req.user);
+      if (lock) {
+        return sendLessonLocked(res, lock);
+      }
+
+      const isOwner = quiz.instructor_id === req.user.id;
+      if (!isOwner) {
+        const enrollment = await dbAsync.get(
+          'SELECT id FROM enrollments WHERE student_id = ? AND course_id = ?',
+          [req.user.id, quiz.course_id]
+        );
+        if (!enrollment) {
+          return res.status(403).json({ error: 'Must be enrolled in course to view quiz questions' });
+        }
+      }
+
+      const rows = await dbAsync.all(
+        'SELECT * FROM quiz_questions WHERE quiz_id = ? ORDER BY order_index ASC, id ASC',
+        [req.params.id]
+      );
+      const { instructor_id, ...quizData } = quiz;
+
+      res.json({ quiz: { ...quizData, questions: rows.map(row => serializeQuestion(row, isOwner)) } });
+    } catch (err) {
+      console.error('Get quiz error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve quiz' });
+    }
+  }
+);
+
+app.post('/api/lessons/:lessonId/quizzes',
+  authenticateToken,
+  requireRole('instructor'),
+  param('lessonId').isInt({ min: 1 }).toInt(),
+  quizValidators(false),
+  validate,
+  async (req, res) => {
+    try {
+      const lesson = await dbAsync.get(
+        `SELECT l.id, l.course_id, c.instructor_id
+         FROM lessons l
+         JOIN courses c ON l.course_id = c.id
+         WHERE l.id = ?`,
+        [req.params.lessonId]
+      );
+
+      if (!lesson) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+
+      if (lesson.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to add quizzes to this lesson' });
+      }
+
+      const { title, description, passing_score, max_attempts, required_to_complete, category_id } = req.body;
+
+      if (!(await isCategoryInCourse(category_id, lesson.course_id))) {
+        return res.status(400).json({ error: 'Grade category does not belong to this course' });
+      }
+
+      const result = await dbAsync.run(
+        `INSERT INTO quizzes (lesson_id, title, description, passing_score, max_attempts, required_to_complete, category_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          req.params.lessonId,
+          title,
+          description || null,
+          passing_score !== undefined ? passing_score : 70,
+          max_attempts || null,
+          required_to_complete ? 1 : 0,
+          category_id || null
+        ]
+      );
+
+      await auditLog(req.user.id, 'QUIZ_CREATED', 'quiz', result.lastID, req.ip);
+
+      const quiz = await dbAsync.get('SELECT * FROM quizzes WHERE id = ?', [result.lastID]);
+
+      res.status(201).json({ quiz });
+    } catch (err) {
+      console.error('Create quiz error:', err.message);
+      res.status(500).json({ error: 'Failed to create quiz' });
+    }
+  }
+);
+
+app.put('/api/quizzes/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  quizValidators(true),
+  validate,
+  async (req, res) => {
+    try {
+      const quiz = await getQuizWithCourse(req.params.id);
+
+      if (!quiz) {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+
+      if (quiz.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this quiz' });
+      }
+
+      const { title, description, passing_score, max_attempts, required_to_complete, category_id } = req.body;
+      const updates = [];
+      const params = [];
+
+      if (title !== undefined) {
+        updates.push('title = ?');
+        params.push(title);
+      }
+      if (description !== undefined) {
+        updates.push('description = ?');
+        params.push(description || null);
+      }
+      if (passing_score !== undefined) {
+        updates.push('passing_score = ?');
+        params.push(passing_score);
+      }
+      if (max_attempts !== undefined) {
+        updates.push('max_attempts = ?');
+        params.push(max_attempts || null);
+      }
+      if (required_to_complete !== undefined) {
+        updates.push('required_to_complete = ?');
+        params.push(required_to_complete ? 1 : 0);
+      }
+      if (category_id !== undefined) {
+        if (!(await isCategoryInCourse(category_id, quiz.course_id))) {
+          return res.status(400).json({ error: 'Grade category does not belong to this course' });
+        }
+        updates.push('category_id = ?');
+        params.push(category_id || null);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+
+      updates.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(req.params.id);
+
+      await dbAsync.run(
+        `UPDATE quizzes SET ${updates.join(', ')} WHERE id = ?`,
+        params
+      );
+
+      await auditLog(req.user.id, 'QUIZ_UPDATED', 'quiz', req.params.id, req.ip);
+
+      const updatedQuiz = await dbAsync.get('SELECT * FROM quizzes WHERE id = ?', [req.params.id]);
+
+      res.json({ quiz: updatedQuiz });
+    } catch (err) {
+      console.error('Update quiz error:', err.message);
+      res.status(500).json({ error: 'Failed to update quiz' });
+    }
+  }
+);
+
+app.delete('/api/quizzes/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const quiz = await getQuizWithCourse(req.params.id);
+
+      if (!quiz) {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+
+      if (quiz.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this quiz' });
+      }
+
+      // Foreign keys are not enforced, so questions and attempts go explicitly
+      await withTransaction(async (tx) => {
+        await tx.run('DELETE FROM quiz_attempts WHERE quiz_id = ?', [req.params.id]);
+        await tx.run('DELETE FROM quiz_questions WHERE quiz_id = ?', [req.params.id]);
+        await tx.run('DELETE FROM quizzes WHERE id = ?', [req.params.id]);
+      });
+
+      await auditLog(req.user.id, 'QUIZ_DELETED', 'quiz', req.params.id, req.ip);
+
+      res.status(204).send();
+    } catch (err) {
+      console.error('Delete quiz error:', err.message);
+      res.status(500).json({ error: 'Failed to delete quiz' });
+    }
+  }
+);
+
+app.post('/api/quizzes/:quizId/questions',
+  authenticateToken,
+  requireRole('instructor'),
+  param('quizId').isInt({ min: 1 }).toInt(),
+  body('question_type').isIn(QUESTION_TYPES),
+  body('prompt').isString().trim().isLength({ min: 1, max: 2000 }),
+  body('options').optional({ values: 'null' }).isArray({ max: MAX_QUESTION_OPTIONS }),
+  body('correct_answer').exists(),
+  body('points').optional().isInt({ min: 1, max: 100 }).toInt(),
+  body('order_index').isInt({ min: 0 }),
+  validate,
+  async (req, res) => {
+    try {
+      const quiz = await getQuizWithCourse(req.params.quizId);
+
+      if (!quiz) {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+
+      if (quiz.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this quiz' });
+      }
+
+      const { question_type, prompt, correct_answer, points, order_index } = req.body;
+      const options = ['multiple_choice', 'multi_select'].includes(question_type) ? req.body.options : null;
+
+      const definitionError = validateQuestionDefinition(question_type, options, correct_answer);
+      if (definitionError) {
+        return res.status(400).json({ error: definitionError });
+      }
+
+      const result = await dbAsync.run(
+        `INSERT INTO quiz_questions (quiz_id, question_type, prompt, options, correct_answer, points, order_index)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          req.params.quizId,
+          question_type,
+          prompt,
+          options ? JSON.stringify(options) : null,
+          JSON.stringify(correct_answer),
+          points || 1,
+          order_index
+        ]
+      );
+
+      await auditLog(req.user.id, 'QUESTION_CREATED', 'quiz_question', result.lastID, req.ip);
+
+      const row = await dbAsync.get('SELECT * FROM quiz_questions WHERE id = ?', [result.lastID]);
+
+      res.status(201).json({ question: serializeQuestion(row, true) });
+    } catch (err) {
+      console.error('Create question error:', err.message);
+      res.status(500).json({ error: 'Failed to create question' });
+    }
+  }
+);
+
+app.put('/api/questions/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  body('question_type').optional().isIn(QUESTION_TYPES),
+  body('prompt').optional().isString().trim().isLength({ min: 1, max: 2000 }),
+  body('options').optional({ values: 'null' }).isArray({ max: MAX_QUESTION_OPTIONS }),
+  body('points').optional().isInt({ min: 1, max: 100 }).toInt(),
+  body('order_index').optional().isInt({ min: 0 }),
+  validate,
+  async (req, res) => {
+    try {
+      const question = await dbAsync.get('SELECT * FROM quiz_questions WHERE id = ?', [req.params.id]);
+
+      if (!question) {
+        return res.status(404).json({ error: 'Question not found' });
+      }
+
+      const quiz = await getQuizWithCourse(question.quiz_id);
+
+      if (quiz.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this question' });
+      }
+
+      const questionType = req.body.question_type !== undefined ? req.body.question_type : question.question_type;
+      const hasOptions = ['multiple_choice', 'multi_select'].includes(questionType);
+      const currentOptions = question.options ? JSON.parse(question.options) : null;
+      const options = hasOptions ? (req.body.options !== undefined ? req.body.options : currentOptions) : null;
+      const correctAnswer = req.body.correct_answer !== undefined
+        ? req.body.correct_answer
+        : JSON.parse(question.correct_answer);
+
+      const definitionError = validateQuestionDefinition(questionType, options, correctAnswer);
+      if (definitionError) {
+        return res.status(400).json({ error: definitionError });
+      }
+
+      const prompt = req.body.prompt !== undefined ? req.body.prompt : question.prompt;
+      const points = req.body.points !== undefined ? req.body.points : question.points;
+      const orderIndex = req.body.order_index !== undefined ? req.body.order_index : question.order_index;
+
+      await dbAsync.run(
+        `UPDATE quiz_questions
+         SET question_type = ?, prompt = ?, options = ?, correct_answer = ?, points = ?, order_index = ?,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          questionType,
+          prompt,
+          options ? JSON.stringify(options) : null,
+          JSON.stringify(correctAnswer),
+          points,
+          orderIndex,
+          req.params.id
+        ]
+      );
+
+      await auditLog(req.user.id, 'QUESTION_UPDATED', 'quiz_question', req.params.id, req.ip);
+
+      const row = await dbAsync.get('SELECT * FROM quiz_questions WHERE id = ?', [req.params.id]);
+
+      res.json({ question: serializeQuestion(row, true) });
+    } catch (err) {
+      console.error('Update question error:', err.message);
+      res.status(500).json({ error: 'Failed to update question' });
+    }
+  }
+);
+
+app.delete('/api/questions/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const question = await dbAsync.get('SELECT * FROM quiz_questions WHERE id = ?', [req.params.id]);
+
+      if (!question) {
+        return res.status(404).json({ error: 'Question not found' });
+      }
+
+      const quiz = await getQuizWithCourse(question.quiz_id);
+
+      if (quiz.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this question' });
+      }
+
+      await dbAsync.run('DELETE FROM quiz_questions WHERE id = ?', [req.params.id]);
+
+      await auditLog(req.user.id, 'QUESTION_DELETED', 'quiz_question', req.params.id, req.ip);
+
+      res.status(204).send();
+    } catch (err) {
+      console.error('Delete question error:', err.message);
+      res.status(500).json({ error: 'Failed to delete question' });
+    }
+  }
+);
+
+app.post('/api/quizzes/:quizId/attempts',
+  authenticateToken,
+  requireRole('student'),
+  requireVerifiedEmail('submit'),
+  param('quizId').isInt({ min: 1 }).toInt(),
+  body('answers').isObject(),
+  validate,
+  async (req, res) => {
+    try {
+      const quiz = await getQuizWithCourse(req.params.quizId);
+      const visible = quiz && await getVisibleLesson(quiz.lesson_id, req.user);
+
+      if (!visible) {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+
+      const enrollment = await dbAsync.get(
+        'SELECT id FROM enrollments WHERE student_id = ? AND course_id = ?',
+        [req.user.id, quiz.course_id]
+      );
+
+      if (!enrollment) {
+        return res.status(403).json({ error: 'Must be enrolled in course to take quizzes' });
+      }
+
+      const lock = await getViewerLessonLock(visible.course, visible.lesson.id, req.user);
+      if (lock) {
+        return sendLessonLocked(res, lock);
+      }
+
+      const questions = await dbAsync.all(
+        'SELECT * FROM quiz_questions WHERE quiz_id = ? ORDER BY order_index ASC, id ASC',
+        [req.params.quizId]
+      );
+
+      if (questions.length === 0) {
+        return res.status(400).json({ error: 'Quiz has no questions' });
+      }
+
+      // Only keep answers to this quiz's questions so stored payloads stay bounded
+      const answers = {};
+      for (const question of questions) {
+        if (req.body.answers[question.id] !== undefined) {
+          answers[question.id] = req.body.answers[question.id];
+        }
+      }
+
+      const { score, maxScore, percentage, results } = gradeQuizAttempt(questions, answers);
+      const passed = percentage >= quiz.passing_score;
+
+      // Counted and inserted in one transaction so concurrent submissions cannot exceed max_attempts
+      const attemptId = await withTransaction(async (tx) => {
+        if (quiz.max_attempts) {
+          const { count } = await tx.get(
+            'SELECT COUNT(*) as count FROM quiz_attempts WHERE quiz_id = ? AND student_id = ?',
+            [req.params.quizId, req.user.id]
+          );
+          if (count >= quiz.max_attempts) {
+            return null;
+          }
+        }
+
+        const result = await tx.run(
+          `INSERT INTO quiz_attempts (quiz_id, student_id, answers, score, max_score, percentage, passed)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [req.params.quizId, req.user.id, JSON.stringify(answers), score, maxScore, percentage, passed ? 1 : 0]
+        );
+        return result.lastID;
+      });
+
+      if (!attemptId) {
+        return res.status(403).json({ error: 'Maximum number of attempts reached' });
+      }
+
+      await auditLog(req.user.id, 'QUIZ_ATTEMPT_SUBMITTED', 'quiz_attempt', attemptId, req.ip);
+
+      const attempt = await dbAsync.get(
+        'SELECT id, quiz_id, score, max_score, percentage, passed, submitted_at FROM quiz_attempts WHERE id = ?',
+        [attemptId]
+      );
+
+      res.status(201).json({ attempt: { ...attempt, results } });
+    } catch (err) {
+      console.error('Submit quiz attempt error:', err.message);
+      res.status(500).json({ error: 'Failed to submit quiz attempt' });
+    }
+  }
+);
+
+app.get('/api/quizzes/:quizId/attempts',
+  authenticateToken,
+  param('quizId').isInt({ min: 1 }).toInt(),
+  paginationValidator,
+  validate,
+  async (req, res) => {
+    try {
+      const quiz = await getQuizWithCourse(req.params.quizId);
+
+      if (!quiz) {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+
+      const { limit, offset } = applyPagination(req);
+
+      if (req.user.role === 'instructor') {
+        if (quiz.instructor_id !== req.user.id) {
+          return res.status(403).json({ error: 'Not authorized to view attempts for this quiz' });
+        }
+
+        const attempts = await dbAsync.all(
+          `SELECT a.id, a.quiz_id, a.student_id, u.email as student_email, a.score, a.max_score,
+                  a.percentage, a.passed, a.submitted_at
+           FROM quiz_attempts a
+           JOIN users u ON a.student_id = u.id
+           WHERE a.quiz_id = ?
+           ORDER BY a.submitted_at DESC, a.id DESC
+           LIMIT ? OFFSET ?`,
+          [req.params.quizId, limit, offset]
+        );
+
+        return res.json({ attempts });
+      }
+
+      const attempts = await dbAsync.all(
+        `SELECT id, quiz_id, score, max_score, percentage, passed, submitted_at
+         FROM quiz_attempts
+         WHERE quiz_id = ? AND student_id = ?
+         ORDER BY submitted_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [req.params.quizId, req.user.id, limit, offset]
+      );
+
+      res.json({ attempts });
+    } catch (err) {
+      console.error('Get quiz attempts error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve quiz attempts' });
+    }
+  }
+);
+
+// ========== ASSIGNMENT HELPERS ==========
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+const ALLOWED_ATTACHMENT_TYPES = [
+  'application/pdf',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'text/markdown',
+  'image/png',
+  'image/jpeg'
+];
+
+const getAssignmentWithCourse = (assignmentId) => dbAsync.get(
+  `SELECT a.*, l.course_id, c.instructor_id
+   FROM assignments a
+   JOIN lessons l ON a.lesson_id = l.id
+   JOIN courses c ON l.course_id = c.id
+   WHERE a.id = ?`,
+  [assignmentId]
+);
+
+const getSubmissionWithCourse = (submissionId) => dbAsync.get(
+  `SELECT s.*, a.title as assignment_title, a.max_points, a.due_at, a.lesson_id, l.course_id, c.instructor_id,
+          u.email as student_email
+   FROM assignment_submissions s
+   JOIN assignments a ON s.assignment_id = a.id
+   JOIN lessons l ON a.lesson_id = l.id
+   JOIN courses c ON l.course_id = c.id
+   JOIN users u ON s.student_id = u.id
+   WHERE s.id = ?`,
+  [submissionId]
+);
+
+// Loads attachment metadata and grade for a submission (attachment data is served separately)
+const loadSubmissionDetails = async (submission) => {
+  const attachments = await dbAsync.all(
+    `SELECT id, filename, mime_type, size_bytes, created_at
+     FROM submission_attachments
+     WHERE submission_id = ?
+     ORDER BY id ASC`,
+    [submission.id]
+  );
+  const grade = await dbAsync.get(
+    'SELECT points, feedback, graded_at, updated_at FROM submission_grades WHERE submission_id = ?',
+    [submission.id]
+  );
+  const { instructor_id, ...submissionData } = submission;
+  return { ...submissionData, attachments, grade: grade || null };
+};
+
+const sanitizeFilename = (filename) =>
+  filename.replace(/[^A-Za-z0-9._ -]/g, '_').replace(/^\.+/, '').slice(0, 200) || 'attachment';
+
+const isDueDatePassed = (dueAt) => !!dueAt && new Date(dueAt).getTime() < Date.now();
+
+const assignmentValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('title').isString().trim().isLength({ min: 1, max: 200 }),
+    field('instructions').isString().trim().isLength({ min: 1, max: 20000 }),
+    body('due_at').optional({ values: 'null' }).isISO8601({ strict: true }),
+    field('max_points').isInt({ min: 1, max: 1000 }).toInt(),
+    body('category_id').optional({ values: 'null' }).isInt({ min: 1 }).toInt()
+  ];
+};
+
+// ========== ASSIGNMENT ENDPOINTS ==========
+app.get('/api/lessons/:lessonId/assignments',
+  authenticateToken,
+  param('lessonId').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const visible = await getVisibleLesson(req.params.lessonId, req.user);
+
+      if (!visible) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+
+      const lock = await getViewerLessonLock(visible.course, visible.lesson.id, req.user);
+      if (lock) {
+        return sendLessonLocked(res, lock);
+      }
+
+      const assignments = await dbAsync.all(
+        `SELECT a.id, a.lesson_id, a.title, a.instructions, a.due_at, a.max_points, a.category_id,
+                a.created_at, a.updated_at,
+                s.id as submission_id, s.submitted_at, g.points as grade_points
+         FROM assignments a
+         LEFT JOIN assignment_submissions s ON s.assignment_id = a.id AND s.student_id = ?
+         LEFT JOIN submission_grades g ON g.submission_id = s.id
+         WHERE a.lesson_id = ?
+         ORDER BY a.due_at IS NULL, a.due_at ASC, a.id ASC`,
+        [req.user.id, req.params.lessonId]
+      );
+
+      res.json({ assignments });
+    } catch (err) {
+      console.error('Get assignments error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve assignments' });
+    }
+  }
+);
+
+app.get('/api/assignments/:id',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      const visible = assignment && await getVisibleLesson(assignment.lesson_id, req.user);
+
+      if (!visible) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+
+      const lock = await getViewerLessonLock(visible.course, visible.lesson.id, req.user);
+      if (lock) {
+        return sendLessonLocked(res, lock);
+      }
+
+      const { instructor_id, ...assignmentData } = assignment;
+
+      res.json({ assignment: assignmentData });
+    } catch (err) {
+      console.error('Get assignment error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve assignment' });
+    }
+  }
+);
+
+app.post('/api/lessons/:lessonId/assignments',
+  authenticateToken,
+  requireRole('instructor'),
+  param('lessonId').isInt({ min: 1 }).toInt(),
+  assignmentValidators(false),
+  validate,
+  async (req, res) => {
+    try {
+      const lesson = await dbAsync.get(
+        `SELECT l.id, l.course_id, c.instructor_id
+         FROM lessons l
+         JOIN courses c ON l.course_id = c.id
+         WHERE l.id = ?`,
+        [req.params.lessonId]
+      );
+
+      if (!lesson) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+
+      if (lesson.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to add assignments to this lesson' });
+      }
+
+      const { title, instructions, due_at, max_points, category_id } = req.body;
+
+      if (!(await isCategoryInCourse(category_id, lesson.course_id))) {
+        return res.status(400).json({ error: 'Grade category does not belong to this course' });
+      }
+
+      const result = await dbAsync.run(
+        `INSERT INTO assignments (lesson_id, title, instructions, due_at, max_points, category_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          req.params.lessonId,
+          title,
+          instructions,
+          due_at ? new Date(due_at).toISOString() : null,
+          max_points,
+          category_id || null
+        ]
+      );
+
+      await auditLog(req.user.id, 'ASSIGNMENT_CREATED', 'assignment', result.lastID, req.ip);
+
+      const assignment = await dbAsync.get('SELECT * FROM assignments WHERE id = ?', [result.lastID]);
+
+      res.status(201).json({ assignment });
+    } catch (err) {
+      console.error('Create assignment error:', err.message);
+      res.status(500).json({ error: 'Failed to create assignment' });
+    }
+  }
+);
+
+app.put('/api/assignments/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  assignmentValidators(true),
+  validate,
+  async (req, res) => {
+    try {
+      const assignment = await getAssignmentWithCourse(req.params.id);
+
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+
+      if (assignment.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this assignment' });
+      }
+
+      const { title, instructions, due_at, max_points, category_id } = req.body;
+      const updates = [];
+      const params = [];
+
+      if (title !== undefined) {
+        updates.push('title = ?');
+        params.push(title);
+      }
+      if (instructions !== undefined) {
+        updates.push('instructions = ?');
+        params.push(instructions);
+      }
+      if (due_at !== undefined) {
+        updates.push('due_at = ?');
+        params.push(due_at ? new Date(due_at).toISOString() : null);
+      }
+      if (max_points !== undefined) {
+        const { maxAwarded } = await dbAsync.get(
+          `SELECT MAX(g.points) as maxAwarded
+           FROM submission_grades g
+           JOIN assignment_submissions s ON g.submission_id = s.id
+           WHERE s.assignment_id = ?`,
+          [req.params.id]
+        );
+        if (maxAwarded !== null && max_points < maxAwarded) {
+          return res.status(400).json({ error: 'Max points cannot be lower than an existing grade' });
+        }
+        updates.push('max_points = ?');
+        params.push(max_points);
+      }
+      if (category_id !== undefined) {
+        if (!(await isCategoryInCourse(category_id, assignment.course_id))) {
+          return res.status(400).json({ error: 'Grade category does not belong to this course' });
+        }
+        updates.push('category_id = ?');
+        params.push(category_id || null);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+
+      updates.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(req.params.id);
+
+      await dbAsync.run(
+        `UPDATE assignments SET ${updates.join(', ')} WHERE id = ?`,
+        params
+      );
+
+      await auditLog(req.user.id, 'ASSIGNMENT_UPDATED', 'assignment', req.params.id, req.ip);
+
+      const updatedAssignment = await dbAsync.get('SELECT * FROM assignments WHERE id = ?', [req.params.id]);
+
+      res.json({ assignment: updatedAssignment });
+    } catch (err) {
+      console.error('Update assignment error:', err.message);
+      res.status(500).json({ error: 'Failed to update assignment' });
+    }
+  }
+);
+
+app.delete('/api/assignments/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const assignment = await getAssignmentWithCourse(req.params.id);
+
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+
+      if (assignment.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this assignment' });
+      }
+
+      // Foreign keys are not enforced, so submissions and their files and grades go explicitly
+      await withTransaction(async (tx) => {
+        const submissionIds = 'SELECT id FROM assignment_submissions WHERE assignment_id = ?';
+        await tx.run(`DELETE FROM submission_attachments WHERE submission_id IN (${submissionIds})`, [req.params.id]);
+        await tx.run(`DELETE FROM submission_grades WHERE submission_id IN (${submissionIds})`, [req.params.id]);
+        await tx.run('DELETE FROM assignment_submissions WHERE assignment_id = ?', [req.params.id]);
+        await tx.run('DELETE FROM assignments WHERE id = ?', [req.params.id]);
+      });
+
+      await auditLog(req.user.id, 'ASSIGNMENT_DELETED', 'assignment', req.params.id, req.ip);
+
+      res.status(204).send();
+    } catch (err) {
+      console.error('Delete assignment error:', err.message);
+      res.status(500).json({ error: 'Failed to delete assignment' });
+    }
+  }
+);
+
+app.post('/api/assignments/:id/submissions',
+  authenticateToken,
+  requireRole('student'),
+  requireVerifiedEmail('submit'),
+  param('id').isInt({ min: 1 }).toInt(),
+  body('text_content').optional({ values: 'null' }).isString().trim().isLength({ max: 50000 }),
+  body('attachments').optional().isArray({ max: MAX_ATTACHMENTS }),
+  body('attachments.*.filename').isString().trim().isLength({ min: 1, max: 255 }),
+  body('attachments.*.mime_type').isIn(ALLOWED_ATTACHMENT_TYPES),
+  body('attachments.*.data').isBase64(),
+  validate,
+  async (req, res) => {
+    try {
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      const visible = assignment && await getVisibleLesson(assignment.lesson_id, req.user);
+
+      if (!visible) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+
+      const enrollment = await dbAsync.get(
+        'SELECT id FROM enrollments WHERE student_id = ? AND course_id = ?',
+        [req.user.id, assignment.course_id]
+      );
+
+      if (!enrollment) {
+        return res.status(403).json({ error: 'Must be enrolled in course to submit assignments' });
+      }
+
+      const lock = await getViewerLessonLock(visible.course, visible.lesson.id, req.user);
+      if (lock) {
+        return sendLessonLocked(res, lock);
+      }
+
+      const textContent = req.body.text_content || null;
+      const attachments = (req.body.attachments || []).map((attachment) => {
+        const data = Buffer.from(attachment.data, 'base64');
+        return { filename: sanitizeFilename(attachment.filename), mime_type: attachment.mime_type, data };
+      });
+
+      if (!textContent && attachments.length === 0) {
+        return res.status(400).json({ error: 'Submission must include text or at least one attachment' });
+      }
+
+      if (attachments.some(attachment => attachment.data.length === 0 || attachment.data.length > MAX_ATTACHMENT_BYTES)) {
+        return res.status(400).json({ error: `Each attachment must be between 1 byte and ${MAX_ATTACHMENT_BYTES} bytes` });
+      }
+
+      const isLate = isDueDatePassed(assignment.due_at) ? 1 : 0;
+
+      // Checked and written in one transaction so grading cannot land between the check and
+      // the write, and a failed attachment insert cannot leave a partial submission behind
+      const result = await withTransaction(async (tx) => {
+        const existing = await tx.get(
+          `SELECT s.id, g.id as grade_id
+           FROM assignment_submissions s
+           LEFT JOIN submission_grades g ON g.submission_id = s.id
+           WHERE s.assignment_id = ? AND s.student_id = ?`,
+          [req.params.id, req.user.id]
+        );
+
+        if (existing && existing.grade_id) {
+          return null;
+        }
+
+        let submissionId;
+        if (existing) {
+          // Resubmitting before grading replaces the previous text and attachments
+          await tx.run(
+            `UPDATE assignment_submissions
+             SET text_content = ?, is_late = ?, submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [textContent, isLate, existing.id]
+          );
+          await tx.run('DELETE FROM submission_attachments WHERE submission_id = ?', [existing.id]);
+          submissionId = existing.id;
+        } else {
+          const inserted = await tx.run(
+            'INSERT INTO assignment_submissions (assignment_id, student_id, text_content, is_late) VALUES (?, ?, ?, ?)',
+            [req.params.id, req.user.id, textContent, isLate]
+          );
+          submissionId = inserted.lastID;
+        }
+
+        for (const attachment of attachments) {
+          await tx.run(
+            `INSERT INTO submission_attachments (submission_id, filename, mime_type, size_bytes, data)
+             VALUES (?, ?, ?, ?, ?)`,
+            [submissionId, attachment.filename, attachment.mime_type, attachment.data.length, attachment.data]
+          );
+        }
+
+        return { submissionId, resubmitted: !!existing };
+      });
+
+      if (!result) {
+        return res.status(409).json({ error: 'Submission has already been graded' });
+      }
+
+      const { submissionId } = result;
+
+      await auditLog(req.user.id, 'SUBMISSION_CREATED', 'submission', submissionId, req.ip);
+
+      const submission = await getSubmissionWithCourse(submissionId);
+
+      res.status(result.resubmitted ? 200 : 201).json({ submission: await loadSubmissionDetails(submission) });
+    } catch (err) {
+      console.error('Create submission error:', err.message);
+      res.status(500).json({ error: 'Failed to submit assignment' });
+    }
+  }
+);
+
+app.get('/api/assignments/:id/submission',
+  authenticateToken,
+  requireRole('student'),
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const row = await dbAsync.get(
+        'SELECT id FROM assignment_submissions WHERE assignment_id = ? AND student_id = ?',
+        [req.params.id, req.user.id]
+      );
+
+      if (!row) {
+        return res.json({ submission: null });
+      }
+
+      const submission = await getSubmissionWithCourse(row.id);
+
+      res.json({ submission: await loadSubmissionDetails(submission) });
+    } catch (err) {
+      console.error('Get own submission error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve submission' });
+    }
+  }
+);
+
+app.get('/api/courses/:courseId/submissions',
+  authenticateToken,
+  requireRole('instructor'),
+  param('courseId').isInt({ min: 1 }).toInt(),
+  query('status').optional().isIn(['ungraded', 'graded', 'all']),
+  paginationValidator,
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.courseId]);
+
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to review submissions for this course' });
+      }
+
+      const { limit, offset } = applyPagination(req);
+      const status = req.query.status || 'ungraded';
+      const statusFilter = status === 'ungraded' ? 'AND g.id IS NULL' : status === 'graded' ? 'AND g.id IS NOT NULL' : '';
+
+      const submissions = await dbAsync.all(
+        `SELECT s.id, s.assignment_id, a.title as assignment_title, a.max_points, a.due_at,
+                l.id as lesson_id, l.title as lesson_title, s.student_id, u.email as student_email,
+                s.submitted_at, s.is_late, g.points as grade_points, g.graded_at,
+                (SELECT COUNT(*) FROM submission_attachments sa WHERE sa.submission_id = s.id) as attachment_count
+         FROM assignment_submissions s
+         JOIN assignments a ON s.assignment_id = a.id
+         JOIN lessons l ON a.lesson_id = l.id
+         JOIN users u ON s.student_id = u.id
+         LEFT JOIN submission_grades g ON g.submission_id = s.id
+         WHERE l.course_id = ? ${statusFilter}
+         ORDER BY s.submitted_at ASC, s.id ASC
+         LIMIT ? OFFSET ?`,
+        [req.params.courseId, limit, offset]
+      );
+
+      res.json({ submissions });
+    } catch (err) {
+      console.error('Get submissions error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve submissions' });
+    }
+  }
+);
+
+app.get('/api/submissions/:id',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const submission = await getSubmissionWithCourse(req.params.id);
+
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+
+      if (submission.instructor_id !== req.user.id && submission.student_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to view this submission' });
+      }
+
+      res.json({ submission: await loadSubmissionDetails(submission) });
+    } catch (err) {
+      console.error('Get submission error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve submission' });
+    }
+  }
+);
+
+app.get('/api/submissions/:id/attachments/:attachmentId',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  param('attachmentId').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const submission = await getSubmissionWithCourse(req.params.id);
+
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+
+      if (submission.instructor_id !== req.user.id && submission.student_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to view this submission' });
+      }
+
+      const attachment = await dbAsync.get(
+        'SELECT * FROM submission_attachments WHERE id = ? AND submission_id = ?',
+        [req.params.attachmentId, req.params.id]
+      );
+
+      if (!attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+
+      res.setHeader('Content-Type', attachment.mime_type);
+      res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename}"`);
+      res.send(attachment.data);
+    } catch (err) {
+      console.error('Get attachment error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve attachment' });
+    }
+  }
+);
+
+app.put('/api/submissions/:id/grade',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  body('points').isInt({ min: 0 }).toInt(),
+  body('feedback').optional({ values: 'null' }).isString().trim().isLength({ max: 10000 }),
+  validate,
+  async (req, res) => {
+    try {
+      const submission = await getSubmissionWithCourse(req.params.id);
+
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+
+      if (submission.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to grade this submission' });
+      }
+
+      const { points } = req.body;
+      const feedback = req.body.feedback || null;
+
+      if (points > submission.max_points) {
+        return res.status(400).json({ error: `Points cannot exceed ${submission.max_points}` });
+      }
+
+      const existingGrade = await dbAsync.get(
+        'SELECT id FROM submission_grades WHERE submission_id = ?',
+        [req.params.id]
+      );
+
+      if (existingGrade) {
+        await dbAsync.run(
+          `UPDATE submission_grades
+           SET points = ?, feedback = ?, grader_id = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [points, feedback, req.user.id, existingGrade.id]
+        );
+      } else {
+        await dbAsync.run(
+          'INSERT INTO submission_grades (submission_id, grader_id, points, feedback) VALUES (?, ?, ?, ?)',
+          [req.params.id, req.user.id, points, feedback]
+        );
+      }
+
+      await auditLog(req.user.id, 'SUBMISSION_GRADED', 'submission', req.params.id, req.ip);
+      await notify([submission.student_id], {
+        type: 'submission_graded',
+        title: `Graded: ${submission.assignment_title}`,
+        body: `${points} / ${submission.max_points} points`,
+        link: `/student/course/${submission.course_id}?lesson=${submission.lesson_id}`
+      });
+
+      res.json({ submission: await loadSubmissionDetails(submission) });
+    } catch (err) {
+      console.error('Grade submission error:', err.message);
+      res.status(500).json({ error: 'Failed to grade submission' });
+    }
+  }
+);
+
+// ========== DISCUSSION HELPERS ==========
+// Discussions are open to the course's instructor and to enrolled students who can open the lesson.
+// Returns { lesson, isModerator } or { status, error } describing why access is denied.
+const getDiscussionAccess = async (lessonId, user) => {
+  const lesson = await getLessonWithCourse(lessonId);
+
+  if (!lesson) {
+    return { status: 404, error: 'Lesson not found' };
+  }
+
+  if (lesson.instructor_id === user.id) {
+    return { lesson, isModerator: true };
+  }
+
+  if (user.role !== 'student') {
+    return { status: 403, error: 'Not authorized to access this discussion' };
+  }
+
+  if (lesson.status !== 'published') {
+    return { status: 404, error: 'Lesson not found' };
+  }
+
+  const enrollment = await dbAsync.get(
+    'SELECT id FROM enrollments WHERE student_id = ? AND course_id = ?',
+    [user.id, lesson.course_id]
+  );
+
+  if (!enrollment) {
+    return { status: 403, error: 'Must be enrolled in course to join discussions' };
+  }
+
+  const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [lesson.course_id]);
+  const lock = await getLessonLock(course, lesson.id, user.id);
+  if (lock) {
+    return { status: 403, error: lock.reason };
+  }
+
+  return { lesson, isModerator: false };
+};
+
+const THREAD_COLUMNS = `t.id, t.lesson_id, t.author_id, t.title, t.body, t.pinned, t.locked, t.answer_post_id,
+          t.created_at, t.updated_at, t.last_activity_at, u.email as author_email, u.role as author_role,
+          (SELECT COUNT(*) FROM discussion_posts p WHERE p.thread_id = t.id AND p.deleted_at IS NULL) as post_count`;
+
+const getThread = (threadId) => dbAsync.get(
+  `SELECT ${THREAD_COLUMNS}
+   FROM discussion_threads t
+   JOIN users u ON t.author_id = u.id
+   WHERE t.id = ?`,
+  [threadId]
+);
+
+// Posts come back flat in posting order; parent_post_id lets clients nest replies
+const getThreadPosts = (threadId) => dbAsync.all(
+  `SELECT p.id, p.thread_id, p.author_id, p.parent_post_id, p.body, p.deleted_at, p.created_at, p.updated_at,
+          u.email as author_email, u.role as author_role
+   FROM discussion_posts p
+   JOIN users u ON p.author_id = u.id
+   WHERE p.thread_id = ?
+   ORDER BY p.created_at ASC, p.id ASC`,
+  [threadId]
+);
+
+const getPostWithThread = (postId) => dbAsync.get(
+  `SELECT p.*, t.lesson_id, t.locked, t.answer_post_id
+   FROM discussion_posts p
+   JOIN discussion_threads t ON p.thread_id = t.id
+   WHERE p.id = ?`,
+  [postId]
+);
+
+const touchThread = (threadId) => dbAsync.run(
+  'UPDATE discussion_threads SET last_activity_at = CURRENT_TIMESTAMP WHERE id = ?',
+  [threadId]
+);
+
+// ========== DISCUSSION ENDPOINTS ==========
+app.get('/api/lessons/:lessonId/threads',
+  authenticateToken,
+  param('lessonId').isInt({ min: 1 }).toInt(),
+  paginationValidator,
+  validate,
+  async (req, res) => {
+    try {
+      const access = await getDiscussionAccess(req.params.lessonId, req.user);
+
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      const { limit, offset } = applyPagination(req);
+
+      const threads = await dbAsync.all(
+        `SELECT ${THREAD_COLUMNS}
+         FROM discussion_threads t
+         JOIN users u ON t.author_id = u.id
+         WHERE t.lesson_id = ?
+         ORDER BY t.pinned DESC, t.last_activity_at DESC, t.id DESC
+         LIMIT ? OFFSET ?`,
+        [req.params.lessonId, limit, offset]
+      );
+
+      res.json({ threads });
+    } catch (err) {
+      console.error('Get threads error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve discussion threads' });
+    }
+  }
+);
+
+app.post('/api/lessons/:lessonId/threads',
+  authenticateToken,
+  requireVerifiedEmail('discuss'),
+  param('lessonId').isInt({ min: 1 }).toInt(),
+  body('title').isString().trim().isLength({ min: 1, max: 200 }),
+  body('body').isString().trim().isLength({ min: 1, max: 10000 }),
+  validate,
+  async (req, res) => {
+    try {
+      const access = await getDiscussionAccess(req.params.lessonId, req.user);
+
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      const result = await dbAsync.run(
+        'INSERT INTO discussion_threads (lesson_id, author_id, title, body) VALUES (?, ?, ?, ?)',
+        [req.params.lessonId, req.user.id, req.body.title, req.body.body]
+      );
+
+      await auditLog(req.user.id, 'THREAD_CREATED', 'discussion_thread', result.lastID, req.ip);
+
+      res.status(201).json({ thread: { ...(await getThread(result.lastID)), posts: [] } });
+    } catch (err) {
+      console.error('Create thread error:', err.message);
+      res.status(500).json({ error: 'Failed to create discussion thread' });
+    }
+  }
+);
+
+app.get('/api/threads/:id',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const thread = await getThread(req.params.id);
+
+      if (!thread) {
+        return res.status(404).json({ error: 'Thread not found' });
+      }
+
+      const access = await getDiscussionAccess(thread.lesson_id, req.user);
+
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      res.json({ thread: { ...thread, posts: await getThreadPosts(thread.id) } });
+    } catch (err) {
+      console.error('Get thread error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve discussion thread' });
+    }
+  }
+);
+
+app.put('/api/threads/:id',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('body').optional().isString().trim().isLength({ min: 1, max: 10000 }),
+  validate,
+  async (req, res) => {
+    try {
+      const thread = await getThread(req.params.id);
+
+      if (!thread) {
+        return res.status(404).json({ error: 'Thread not found' });
+      }
+
+      const access = await getDiscussionAccess(thread.lesson_id, req.user);
+
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (thread.author_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this thread' });
+      }
+
+      if (thread.locked && !access.isModerator) {
+        return res.status(403).json({ error: 'Thread is locked' });
+      }
+
+      const { title, body: threadBody } = req.body;
+      const updates = [];
+      const params = [];
+
+      if (title !== undefined) {
+        updates.push('title = ?');
+        params.push(title);
+      }
+      if (threadBody !== undefined) {
+        updates.push('body = ?');
+        params.push(threadBody);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+
+      updates.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(req.params.id);
+
+      await dbAsync.run(
+        `UPDATE discussion_threads SET ${updates.join(', ')} WHERE id = ?`,
+        params
+      );
+
+      await auditLog(req.user.id, 'THREAD_UPDATED', 'discussion_thread', req.params.id, req.ip);
+
+      res.json({ thread: { ...(await getThread(req.params.id)), posts: await getThreadPosts(req.params.id) } });
+    } catch (err) {
+      console.error('Update thread error:', err.message);
+      res.status(500).json({ error: 'Failed to update discussion thread' });
+    }
+  }
+);
+
+app.put('/api/threads/:id/moderation',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  body('pinned').optional().isBoolean().toBoolean(),
+  body('locked').optional().isBoolean().toBoolean(),
+  body('answer_post_id').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const thread = await getThread(req.params.id);
+
+      if (!thread) {
+        return res.status(404).json({ error: 'Thread not found' });
+      }
+
+      const access = await getDiscussionAccess(thread.lesson_id, req.user);
+
+      if (access.error || !access.isModerator) {
+        return res.status(403).json({ error: 'Not authorized to moderate this thread' });
+      }
+
+      const { pinned, locked, answer_post_id } = req.body;
+      const updates = [];
+      const params = [];
+
+      if (pinned !== undefined) {
+        updates.push('pinned = ?');
+        params.push(pinned ? 1 : 0);
+      }
+      if (locked !== undefined) {
+        updates.push('locked = ?');
+        params.push(locked ? 1 : 0);
+      }
+      if (answer_post_id !== undefined) {
+        if (answer_post_id !== null) {
+          const post = await dbAsync.get(
+            'SELECT id FROM discussion_posts WHERE id = ? AND thread_id = ? AND deleted_at IS NULL',
+            [answer_post_id, thread.id]
+          );
+          if (!post) {
+            return res.status(400).json({ error: 'Answer must be a post in this thread' });
+          }
+        }
+        updates.push('answer_post_id = ?');
+        params.push(answer_post_id);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+
+      params.push(req.params.id);
+
+      await dbAsync.run(
+        `UPDATE discussion_threads SET ${updates.join(', ')} WHERE id = ?`,
+        params
+      );
+
+      await auditLog(req.user.id, 'THREAD_MODERATED', 'discussion_thread', req.params.id, req.ip);
+
+      res.json({ thread: { ...(await getThread(req.params.id)), posts: await getThreadPosts(req.params.id) } });
+    } catch (err) {
+      console.error('Moderate thread error:', err.message);
+      res.status(500).json({ error: 'Failed to moderate discussion thread' });
+    }
+  }
+);
+
+app.delete('/api/threads/:id',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const thread = await getThread(req.params.id);
+
+      if (!thread) {
+        return res.status(404).json({ error: 'Thread not found' });
+      }
+
+      const access = await getDiscussionAccess(thread.lesson_id, req.user);
+
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (thread.author_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this thread' });
+      }
+
+      await withTransaction(async (tx) => {
+        await tx.run('DELETE FROM discussion_posts WHERE thread_id = ?', [req.params.id]);
+        await tx.run('DELETE FROM discussion_threads WHERE id = ?', [req.params.id]);
+      });
+
+      await auditLog(req.user.id, 'THREAD_DELETED', 'discussion_thread', req.params.id, req.ip);
+
+      res.status(204).send();
+    } catch (err) {
+      console.error('Delete thread error:', err.message);
+      res.status(500).json({ error: 'Failed to delete discussion thread' });
+    }
+  }
+);
+
+app.post('/api/threads/:id/posts',
+  authenticateToken,
+  requireVerifiedEmail('discuss'),
+  param('id').isInt({ min: 1 }).toInt(),
+  body('body').isString().trim().isLength({ min: 1, max: 10000 }),
+  body('parent_post_id').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const thread = await getThread(req.params.id);
+
+      if (!thread) {
+        return res.status(404).json({ error: 'Thread not found' });
+      }
+
+      const access = await getDiscussionAccess(thread.lesson_id, req.user);
+
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (thread.locked && !access.isModerator) {
+        return res.status(403).json({ error: 'Thread is locked' });
+      }
+
+      const parentPostId = req.body.parent_post_id || null;
+      if (parentPostId) {
+        const parent = await dbAsync.get(
+          'SELECT id FROM discussion_posts WHERE id = ? AND thread_id = ?',
+          [parentPostId, thread.id]
+        );
+        if (!parent) {
+          return res.status(400).json({ error: 'Parent post must be in this thread' });
+        }
+      }
+
+      const result = await dbAsync.run(
+        'INSERT INTO discussion_posts (thread_id, author_id, parent_post_id, body) VALUES (?, ?, ?, ?)',
+        [thread.id, req.user.id, parentPostId, req.body.body]
+      );
+      await touchThread(thread.id);
+
+      await auditLog(req.user.id, 'POST_CREATED', 'discussion_post', result.lastID, req.ip);
+
+      const posts = await getThreadPosts(thread.id);
+
+      res.status(201).json({ post: posts.find(post => post.id === result.lastID) });
+    } catch (err) {
+      console.error('Create post error:', err.message);
+      res.status(500).json({ error: 'Failed to create post' });
+    }
+  }
+);
+
+app.put('/api/posts/:id',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  body('body').isString().trim().isLength({ min: 1, max: 10000 }),
+  validate,
+  async (req, res) => {
+    try {
+      const post = await getPostWithThread(req.params.id);
+
+      if (!post || post.deleted_at) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+
+      const access = await getDiscussionAccess(post.lesson_id, req.user);
+
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (post.author_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this post' });
+      }
+
+      if (post.locked && !access.isModerator) {
+        return res.status(403).json({ error: 'Thread is locked' });
+      }
+
+      await dbAsync.run(
+        'UPDATE discussion_posts SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [req.body.body, req.params.id]
+      );
+
+      await auditLog(req.user.id, 'POST_UPDATED', 'discussion_post', req.params.id, req.ip);
+
+      const posts = await getThreadPosts(post.thread_id);
+
+      res.json({ post: posts.find(p => p.id === req.params.id) });
+    } catch (err) {
+      console.error('Update post error:', err.message);
+      res.status(500).json({ error: 'Failed to update post' });
+    }
+  }
+);
+
+app.delete('/api/posts/:id',
+  authenticateToken,
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const post = await getPostWithThread(req.params.id);
+
+      if (!post || post.deleted_at) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+
+      const access = await getDiscussionAccess(post.lesson_id, req.user);
+
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (post.author_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this post' });
+      }
+
+      await withTransaction(async (tx) => {
+        if (post.answer_post_id === post.id) {
+          await tx.run('UPDATE discussion_threads SET answer_post_id = NULL WHERE id = ?', [post.thread_id]);
+        }
+        // Posts with replies keep their place in the thread with the text removed
+        const reply = await tx.get('SELECT id FROM discussion_posts WHERE parent_post_id = ?', [post.id]);
+        if (reply) {
+          await tx.run(
+            'UPDATE discussion_posts SET body = NULL, deleted_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [post.id]
+          );
+        } else {
+          await tx.run('DELETE FROM discussion_posts WHERE id = ?', [post.id]);
+        }
+      });
+
+      await auditLog(req.user.id, 'POST_DELETED', 'discussion_post', req.params.id, req.ip);
+
+      res.status(204).send();
+    } catch (err) {
+      console.error('Delete post error:', err.message);
+      res.status(500).json({ error: 'Failed to delete post' });
+    }
+  }
+);
+
+// ========== GRADEBOOK HELPERS ==========
+const LETTER_GRADES = [
+  { min: 90, letter: 'A' },
+  { min: 80, letter: 'B' },
+  { min: 70, letter: 'C' },
+  { min: 60, letter: 'D' },
+  { min: 0, letter: 'F' }
+];
+
+const toLetterGrade = (percentage) =>
+  percentage === null ? null : LETTER_GRADES.find(grade => percentage >= grade.min).letter;
+
+const roundTo = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// A null category id is always valid; otherwise the category must belong to the given course
+const isCategoryInCourse = async (categoryId, courseId) => {
+  if (categoryId === undefined || categoryId === null) {
+    return true;
+  }
+  const category = await dbAsync.get(
+    'SELECT id FROM grade_categories WHERE id = ? AND course_id = ?',
+    [categoryId, courseId]
+  );
+  return !!category;
+};
+
+// Gradable items of a course; quiz max points are the current sum of question points
+// Students only see items of published lessons; instructors see every item of their course
+const getGradebookItems = async (courseId, { publishedOnly = false } = {}) => {
+  const lessonFilter = publishedOnly ? " AND l.status = 'published'" : '';
+  const quizzes = await dbAsync.all(
+    `SELECT q.id, q.title, q.category_id, l.id as lesson_id, l.order_index,
+            COALESCE((SELECT SUM(qq.points) FROM quiz_questions qq WHERE qq.quiz_id = q.id), 0) as max_points
+     FROM quizzes q
+     JOIN lessons l ON q.lesson_id = l.id
+     WHERE l.course_id = ?${lessonFilter}`,
+    [courseId]
+  );
+  const assignments = await dbAsync.all(
+    `SELECT a.id, a.title, a.category_id, a.max_points, l.id as lesson_id, l.order_index
+     FROM assignments a
+     JOIN lessons l ON a.lesson_id = l.id
+     WHERE l.course_id = ?${lessonFilter}`,
+    [courseId]
+  );
+  return [
+    ...quizzes.filter(quiz => quiz.max_points > 0).map(quiz => ({ ...quiz, type: 'quiz', key: `quiz:${quiz.id}` })),
+    ...assignments.map(assignment => ({ ...assignment, type: 'assignment', key: `assignment:${assignment.id}` }))
+  ].sort((a, b) => a.order_index - b.order_index || a.type.localeCompare(b.type) || a.id - b.id);
+};
+
+// Earned points per student and item key. Quizzes count the best attempt, scaled to current max points.
+const getGradebookScores = async (courseId, items, studentIds) => {
+  const scores = new Map(studentIds.map(id => [id, {}]));
+  if (studentIds.length === 0) {
+    return scores;
+  }
+  const placeholders = studentIds.map(() => '?').join(', ');
+  const quizMaxPoints = new Map(items.filter(item => item.type === 'quiz').map(item => [item.id, item.max_points]));
+
+  const quizScores = await dbAsync.all(
+    `SELECT a.quiz_id, a.student_id, MAX(a.percentage) as best_percentage
+     FROM quiz_attempts a
+     JOIN quizzes q ON a.quiz_id = q.id
+     JOIN lessons l ON q.lesson_id = l.id
+     WHERE l.course_id = ? AND a.student_id IN (${placeholders})
+     GROUP BY a.quiz_id, a.student_id`,
+    [courseId, ...studentIds]
+  );
+  for (const row of quizScores) {
+    const maxPoints = quizMaxPoints.get(row.quiz_id);
+    if (maxPoints) {
+      scores.get(row.student_id)[`quiz:${row.quiz_id}`] = roundTo((row.best_percentage / 100) * maxPoints, 2);
+    }
+  }
+
+  const assignmentScores = await dbAsync.all(
+    `SELECT s.assignment_id, s.student_id, g.points
+     FROM submission_grades g
+     JOIN assignment_submissions s ON g.submission_id = s.id
+     JOIN assignments a ON s.assignment_id = a.id
+     JOIN lessons l ON a.lesson_id = l.id
+     WHERE l.course_id = ? AND s.student_id IN (${placeholders})`,
+    [courseId, ...studentIds]
+  );
+  for (const row of assignmentScores) {
+    scores.get(row.student_id)[`assignment:${row.assignment_id}`] = row.points;
+  }
+
+  return scores;
+};
+
+// Once a course has categories, items without one form an implicit Uncategorized group weighted with
+// whatever weight the categories leave unassigned. Null when there is no such group.
+const getUncategorizedWeight = (categories, items) =>
+  categories.length > 0 && items.some(item => item.category_id === null)
+    ? 100 - categories.reduce((total, category) => total + category.weight, 0)
+    : null;
+
+// Ungraded items are left out. Without categories the grade is total points earned over points possible;
+// with categories, each category's percentage is weighted and renormalized over categories that have grades.
+const computeFinalGrade = (categories, items, studentScores) => {
+  const sumItems = (categoryItems) => {
+    const graded = categoryItems.filter(item => studentScores[item.key] !== undefined);
+    if (graded.length === 0) {
+      return null;
+    }
+    const earned = graded.reduce((total, item) => total + studentScores[item.key], 0);
+    const possible = graded.reduce((total, item) => total + item.max_points, 0);
+    return possible > 0 ? (earned / possible) * 100 : null;
+  };
+
+  if (categories.length === 0) {
+    const percentage = sumItems(items);
+    const finalPercentage = percentage === null ? null : roundTo(percentage, 1);
+    return { categories: [], final_percentage: finalPercentage, letter: toLetterGrade(finalPercentage) };
+  }
+
+  const uncategorizedWeight = getUncategorizedWeight(categories, items);
+  const groups = uncategorizedWeight === null
+    ? categories
+    : [...categories, { id: null, name: 'Uncategorized', weight: uncategorizedWeight }];
+
+  let weightedTotal = 0;
+  let weightUsed = 0;
+  const categoryGrades = groups.map((category) => {
+    const percentage = sumItems(items.filter(item => item.category_id === category.id));
+    if (percentage !== null && category.weight > 0) {
+      weightedTotal += percentage * category.weight;
+      weightUsed += category.weight;
+    }
+    return {
+      id: category.id,
+      name: category.name,
+      weight: category.weight,
+      percentage: percentage === null ? null : roundTo(percentage, 1)
+    };
+  });
+
+  const finalPercentage = weightUsed > 0 ? roundTo(weightedTotal / weightUsed, 1) : null;
+
+  return { categories: categoryGrades, final_percentage: finalPercentage, letter: toLetterGrade(finalPercentage) };
+};
+
+const getGradeCategories = (courseId) => dbAsync.all(
+  'SELECT id, course_id, name, weight, created_at, updated_at FROM grade_categories WHERE course_id = ? ORDER BY id ASC',
+  [courseId]
+);
+
+// One student's graded items and final grade for a course
+const getStudentGrades = async (courseId, studentId, { publishedOnly = false } = {}) => {
+  const categories = await getGradeCategories(courseId);
+  const items = await getGradebookItems(courseId, { publishedOnly });
+  const scores = await getGradebookScores(courseId, items, [studentId]);
+  const studentScores = scores.get(studentId);
+
+  return {
+    items: items.map(({ key, type, id, title, category_id, max_points }) => ({
+      key,
+      type,
+      id,
+      title,
+      category_id,
+      max_points,
+      points: studentScores[key] !== undefined ? studentScores[key] : null
+    })),
+    ...computeFinalGrade(categories, items, studentScores)
+  };
+};
+
+// Keeps the course's category weights from adding up to more than 100%
+const categoryWeightAvailable = async (courseId, weight, excludeCategoryId) => {
+  const { total } = await dbAsync.get(
+    'SELECT COALESCE(SUM(weight), 0) as total FROM grade_categories WHERE course_id = ? AND id != ?',
+    [courseId, excludeCategoryId || 0]
+  );
+  return total + weight <= 100;
+};
+
+// ========== GRADEBOOK ENDPOINTS ==========
+app.get('/api/courses/:courseId/grade-categories',
+  authenticateToken,
+  param('courseId').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT id FROM courses WHERE id = ?', [req.params.courseId]);
+
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      const categories = await getGradeCategories(req.params.courseId);
+
+      res.json({ categories });
+    } catch (err) {
+      console.error('Get grade categories error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve grade categories' });
+    }
+  }
+);
+
+app.post('/api/courses/:courseId/grade-categories',
+  authenticateToken,
+  requireRole('instructor'),
+  param('courseId').isInt({ min: 1 }).toInt(),
+  body('name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('weight').isInt({ min: 0, max: 100 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.courseId]);
+
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this course' });
+      }
+
+      const { name, weight } = req.body;
+
+      if (!(await categoryWeightAvailable(req.params.courseId, weight))) {
+        return res.status(400).json({ error: 'Category weights cannot total more than 100%' });
+      }
+
+      const result = await dbAsync.run(
+        'INSERT INTO grade_categories (course_id, name, weight) VALUES (?, ?, ?)',
+        [req.params.courseId, name, weight]
+      );
+
+      await auditLog(req.user.id, 'GRADE_CATEGORY_CREATED', 'grade_category', result.lastID, req.ip);
+
+      const category = await dbAsync.get('SELECT * FROM grade_categories WHERE id = ?', [result.lastID]);
+
+      res.status(201).json({ category });
+    } catch (err) {
+      console.error('Create grade category error:', err.message);
+      res.status(500).json({ error: 'Failed to create grade category' });
+    }
+  }
+);
+
+app.put('/api/grade-categories/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('weight').optional().isInt({ min: 0, max: 100 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const category = await dbAsync.get(
+        `SELECT gc.*, c.instructor_id
+         FROM grade_categories gc
+         JOIN courses c ON gc.course_id = c.id
+         WHERE gc.id = ?`,
+        [req.params.id]
+      );
+
+      if (!category) {
+        return res.status(404).json({ error: 'Grade category not found' });
+      }
+
+      if (category.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this grade category' });
+      }
+
+      const { name, weight } = req.body;
+      const updates = [];
+      const params = [];
+
+      if (name !== undefined) {
+        updates.push('name = ?');
+        params.push(name);
+      }
+      if (weight !== undefined) {
+        if (!(await categoryWeightAvailable(category.course_id, weight, category.id))) {
+          return res.status(400).json({ error: 'Category weights cannot total more than 100%' });
+        }
+        updates.push('weight = ?');
+        params.push(weight);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+
+      updates.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(req.params.id);
+
+      await dbAsync.run(
+        `UPDATE grade_categories SET ${updates.join(', ')} WHERE id = ?`,
+        params
+      );
+
+      await auditLog(req.user.id, 'GRADE_CATEGORY_UPDATED', 'grade_category', req.params.id, req.ip);
+
+      const updatedCategory = await dbAsync.get('SELECT * FROM grade_categories WHERE id = ?', [req.params.id]);
+
+      res.json({ category: updatedCategory });
+    } catch (err) {
+      console.error('Update grade category error:', err.message);
+      res.status(500).json({ error: 'Failed to update grade category' });
+    }
+  }
+);
+
+app.delete('/api/grade-categories/:id',
+  authenticateToken,
+  requireRole('instructor'),
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const category = await dbAsync.get(
+        `SELECT gc.*, c.instructor_id
+         FROM grade_categories gc
+         JOIN courses c ON gc.course_id = c.id
+         WHERE gc.id = ?`,
+        [req.params.id]
+      );
+
+      if (!category) {
+        return res.status(404).json({ error: 'Grade category not found' });
+      }
+
+      if (category.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this grade category' });
+      }
+
+      // Items are kept and become uncategorized
+      await withTransaction(async (tx) => {
+        await tx.run('UPDATE quizzes SET category_id = NULL WHERE category_id = ?', [req.params.id]);
+        await tx.run('UPDATE assignments SET category_id = NULL WHERE category_id = ?', [req.params.id]);
+        await tx.run('DELETE FROM grade_categories WHERE id = ?', [req.params.id]);
+      });
+
+      await auditLog(req.user.id, 'GRADE_CATEGORY_DELETED', 'grade_category', req.params.id, req.ip);
+
+      res.status(204).send();
+    } catch (err) {
+      console.error('Delete grade category error:', err.message);
+      res.status(500).json({ error: 'Failed to delete grade category' });
+    }
+  }
+);
+
+app.get('/api/courses/:courseId/gradebook',
+  authenticateToken,
+  requireRole('instructor'),
+  param('courseId').isInt({ min: 1 }).toInt(),
+  paginationValidator,
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.courseId]);
+
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to view the gradebook for this course' });
+      }
+
+      const { limit, offset } = applyPagination(req);
+
+      const enrolledStudents = await dbAsync.all(
+        `SELECT u.id, u.email
+         FROM enrollments e
+         JOIN users u ON e.student_id = u.id
+         WHERE e.course_id = ?
+         ORDER BY u.email ASC
+         LIMIT ? OFFSET ?`,
+        [req.params.courseId, limit, offset]
+      );
+
+      const categories = await getGradeCategories(req.params.courseId);
+      const items = await getGradebookItems(req.params.courseId);
+      const scores = await getGradebookScores(req.params.courseId, items, enrolledStudents.map(s => s.id));
+
+      const students = enrolledStudents.map((student) => {
+        const studentScores = scores.get(student.id);
+        return {
+          student_id: student.id,
+          email: student.email,
+          scores: studentScores,
+          ...computeFinalGrade(categories, items, studentScores)
+        };
+      });
+
+      res.json({
+        gradebook: {
+          categories,
+          uncategorized_weight: getUncategorizedWeight(categories, items),
+          items: items.map(({ key, type, id, title, category_id, max_points, lesson_id }) =>
+            ({ key, type, id, title, category_id, max_points, lesson_id })),
+          students
+        }
+      });
+    } catch (err) {
+      console.error('Get gradebook error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve gradebook' });
+    }
+  }
+);
+
+app.get('/api/courses/:courseId/grades/me',
+  authenticateToken,
+  requireRole('student'),
+  param('courseId').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const enrollment = await dbAsync.get(
+        'SELECT id FROM enrollments WHERE student_id = ? AND course_id = ?',
+        [req.user.id, req.params.courseId]
+      );
+
+      if (!enrollment) {
+        return res.status(403).json({ error: 'Not enrolled in this course' });
+      }
+
+      res.json({ grades: await getStudentGrades(req.params.courseId, req.user.id, { publishedOnly: true }) });
+    } catch (err) {
+      console.error('Get grades error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve grades' });
+    }
+  }
+);
+
+// ========== ANALYTICS HELPERS ==========
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ANALYTICS_INTERVALS = ['day', 'week'];
+const ANALYTICS_ACTIVE_DAYS = 7;
+
+// CURRENT_TIMESTAMP values are UTC without a zone marker; values written from JS are ISO strings
+const parseDbTimestamp = (value) => new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+
+// Start of the UTC day, or of the UTC week (Monday) containing the date
+const getPeriodStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const percentageOf = (count, total) => (total > 0 ? Math.round((count / total) * 100) : 0);
+
+// A student's work in a course as rows of user_id, course_id and timestamp: audit log entries
+// for lesson progress, quiz attempts and assignment submissions, and lesson study heartbeats
+const COURSE_ACTIVITY_SQL = `
+  SELECT student_id as user_id, course_id, last_heartbeat_at as timestamp
+  FROM lesson_study_time
+  UNION ALL
+  SELECT a.user_id, l.course_id, a.timestamp
+  FROM audit_log a
+  JOIN progress p ON a.resource_id = p.id
+  JOIN lessons l ON p.lesson_id = l.id
+  WHERE a.action = 'PROGRESS_UPDATED'
+  UNION ALL
+  SELECT a.user_id, l.course_id, a.timestamp
+  FROM audit_log a
+  JOIN quiz_attempts qa ON a.resource_id = qa.id
+  JOIN quizzes q ON qa.quiz_id = q.id
+  JOIN lessons l ON q.lesson_id = l.id
+  WHERE a.action = 'QUIZ_ATTEMPT_SUBMITTED'
+  UNION ALL
+  SELECT a.user_id, l.course_id, a.timestamp
+  FROM audit_log a
+  JOIN assignment_submissions sub ON a.resource_id = sub.id
+  JOIN assignments asg ON sub.assignment_id = asg.id
+  JOIN lessons l ON asg.lesson_id = l.id
+  WHERE a.action = 'SUBMISSION_CREATED'`;
+
+// A student has completed the course once every published lesson is complete; the
+// completion time is when the last of those lessons was completed. Each student who has
+// not finished is counted as stopping after the furthest lesson they completed, in reading order.
+const buildCourseAnalytics = async (courseId, { days, interval }) => {
+  const enrollments = await dbAsync.all(
+    'SELECT student_id, enrolled_at FROM enrollments WHERE course_id = ?',
+    [courseId]
+  );
+  const lessons = await dbAsync.all(
+    `SELECT l.id, l.title, s.title as section_title
+     FROM lessons l
+     LEFT JOIN sections s ON l.section_id = s.id
+     WHERE l.course_id = ? AND l.status = 'published'
+     ORDER BY s.id IS NULL, s.order_index ASC, l.order_index ASC, l.id ASC`,
+    [courseId]
+  );
+  const completions = await dbAsync.all(
+    `SELECT p.student_id, p.lesson_id, p.completed_at
+     FROM progress p
+     JOIN lessons l ON p.lesson_id = l.id
+     JOIN enrollments e ON e.student_id = p.student_id AND e.course_id = l.course_id
+     WHERE l.course_id = ? AND l.status = 'published' AND p.completed = 1`,
+    [courseId]
+  );
+  const { active } = await dbAsync.get(
+    `SELECT COUNT(DISTINCT act.user_id) as active
+     FROM (${COURSE_ACTIVITY_SQL}) act
+     JOIN enrollments e ON e.student_id = act.user_id AND e.course_id = act.course_id
+     WHERE act.course_id = ? AND act.timestamp >= datetime('now', ?)`,
+    [courseId, `-${ANALYTICS_ACTIVE_DAYS} days`]
+  );
+
+  const studyTimes = await dbAsync.all(
+    `SELECT st.lesson_id, SUM(st.seconds) as seconds, COUNT(DISTINCT st.student_id) as students
+     FROM lesson_study_time st
+     JOIN enrollments e ON e.student_id = st.student_id AND e.course_id = st.course_id
+     WHERE st.course_id = ?
+     GROUP BY st.lesson_id`,
+    [courseId]
+  );
+  const studyTimeByLesson = new Map(studyTimes.map(row => [row.lesson_id, row]));
+
+  const lessonPositions = new Map(lessons.map((lesson, index) => [lesson.id, index]));
+  const completionsByStudent = new Map();
+  for (const completion of completions) {
+    const studentCompletions = completionsByStudent.get(completion.student_id) || [];
+    studentCompletions.push(completion);
+    completionsByStudent.set(completion.student_id, studentCompletions);
+  }
+
+  const completedCounts = lessons.map(() => 0);
+  const stoppedCounts = lessons.map(() => 0);
+  const daysToComplete = [];
+  const courseCompletedAt = [];
+  let notStarted = 0;
+
+  for (const enrollment of enrollments) {
+    const studentCompletions = completionsByStudent.get(enrollment.student_id) || [];
+    studentCompletions.forEach(c => completedCounts[lessonPositions.get(c.lesson_id)]++);
+
+    if (lessons.length > 0 && studentCompletions.length === lessons.length) {
+      const completedAt = new Date(Math.max(...studentCompletions.map(c => parseDbTimestamp(c.completed_at).getTime())));
+      courseCompletedAt.push(completedAt);
+      daysToComplete.push(Math.max(0, (completedAt - parseDbTimestamp(enrollment.enrolled_at)) / DAY_MS));
+    } else if (studentCompletions.length === 0) {
+      notStarted++;
+    } else {
+      stoppedCounts[Math.max(...studentCompletions.map(c => lessonPositions.get(c.lesson_id)))]++;
+    }
+  }
+
+  // One entry per period in the window, including periods with no activity
+  const periods = new Map();
+  const stepDays = interval === 'week' ? 7 : 1;
+  const lastPeriod = getPeriodStart(new Date(), interval);
+  for (let start = getPeriodStart(new Date(Date.now() - days * DAY_MS), interval); start <= lastPeriod;
+    start = new Date(start.getTime() + stepDays * DAY_MS)) {
+    periods.set(start.toISOString().slice(0, 10), { period_start: start.toISOString().slice(0, 10), enrollments: 0, completions: 0 });
+  }
+  const countInPeriod = (date, key) => {
+    const period = periods.get(getPeriodStart(date, interval).toISOString().slice(0, 10));
+    if (period) {
+      period[key]++;
+    }
+  };
+  enrollments.forEach(e => countInPeriod(parseDbTimestamp(e.enrolled_at), 'enrollments'));
+  courseCompletedAt.forEach(date => countInPeriod(date, 'completions'));
+
+  const medianDays = median(daysToComplete);
+
+  return {
+    summary: {
+      enrollments: enrollments.length,
+      completed: courseCompletedAt.length,
+      completion_rate: percentageOf(courseCompletedAt.length, enrollments.length),
+      median_days_to_complete: medianDays === null ? null : Math.round(medianDays * 10) / 10,
+      active_students: active,
+      not_started: notStarted,
+      total_lessons: lessons.length
+    },
+    enrollments_over_time: [...periods.values()],
+    funnel: lessons.map((lesson, index) => ({
+      lesson_id: lesson.id,
+      title: lesson.title,
+      section_title: lesson.section_title,
+      completed: completedCounts[index],
+      completion_rate: percentageOf(completedCounts[index], enrollments.length),
+      stopped: stoppedCounts[index],
+      // Averaged over the students who spent any time on the lesson
+      average_seconds: studyTimeByLesson.has(lesson.id)
+        ? Math.round(studyTimeByLesson.get(lesson.id).seconds / studyTimeByLesson.get(lesson.id).students)
+        : null
+    }))
+  };
+};
+
+// ========== ANALYTICS ENDPOINTS ==========
+app.get('/api/courses/:courseId/analytics',
+  authenticateToken,
+  requireRole('instructor'),
+  param('courseId').isInt({ min: 1 }).toInt(),
+  query('days').optional().isInt({ min: 7, max: 365 }).toInt(),
+  query('interval').optional().isIn(ANALYTICS_INTERVALS),
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.courseId]);
+
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
       }
-      
-      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
-      
-      const result = await dbAsync.run(
-        'INSERT INTO users (email, password_hash, role) VALUES (?, ?, ?)',
-        [email, passwordHash, role]
-      );
-      
-      await auditLog(result.lastID, 'USER_REGISTERED', 'user', result.lastID, req.ip);
-      
-      const token = jwt.sign(
-        { userId: result.lastID, role },
-        JWT_SECRET,
-        { algorithm: 'HS256', expiresIn: JWT_EXPIRY }
+
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to view analytics for this course' });
+      }
+
+      const days = req.query.days || 90;
+      const interval = req.query.interval || 'week';
+      const analytics = await buildCourseAnalytics(course.id, { days, interval });
+
+      res.json({ course_id: course.id, days, interval, active_window_days: ANALYTICS_ACTIVE_DAYS, ...analytics });
+    } catch (err) {
+      console.error('Get course analytics error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve course analytics' });
+    }
+  }
+);
+
+// ========== CERTIFICATE HELPERS ==========
+const getCourseCompletion = async (studentId, courseId) => {
+  const { total, completed } = await dbAsync.get(
+    `SELECT COUNT(l.id) as total, COUNT(p.id) as completed
+     FROM lessons l
+     LEFT JOIN progress p ON p.lesson_id = l.id AND p.student_id = ? AND p.completed = 1
+     WHERE l.course_id = ? AND l.status = 'published'`,
+    [studentId, courseId]
+  );
+  return {
+    completed_lessons: completed,
+    total_lessons: total,
+    percentage: total > 0 ? Math.round((completed / total) * 100) : 0
+  };
+};
+
+// Per-section completion; lessons without a section are reported last under section_id null
+const getSectionCompletion = async (studentId, courseId) => {
+  const sections = await dbAsync.all(
+    `SELECT s.id as section_id, s.title, COUNT(l.id) as total, COUNT(p.id) as completed
+     FROM sections s
+     LEFT JOIN lessons l ON l.section_id = s.id AND l.status = 'published'
+     LEFT JOIN progress p ON p.lesson_id = l.id AND p.student_id = ? AND p.completed = 1
+     WHERE s.course_id = ?
+     GROUP BY s.id
+     ORDER BY s.order_index ASC`,
+    [studentId, courseId]
+  );
+
+  const unsectioned = await dbAsync.get(
+    `SELECT NULL as section_id, NULL as title, COUNT(l.id) as total, COUNT(p.id) as completed
+     FROM lessons l
+     LEFT JOIN progress p ON p.lesson_id = l.id AND p.student_id = ? AND p.completed = 1
+     WHERE l.course_id = ? AND l.section_id IS NULL AND l.status = 'published'`,
+    [studentId, courseId]
+  );
+  if (unsectioned.total > 0) {
+    sections.push(unsectioned);
+  }
+
+  return sections.map(row => ({
+    section_id: row.section_id,
+    title: row.title,
+    completed_lessons: row.completed,
+    total_lessons: row.total,
+    percentage: row.total > 0 ? Math.round((row.completed / row.total) * 100) : 0
+  }));
+};
+
+const generateVerificationCode = () => crypto.randomBytes(16).toString('hex');
+
+// Issues a certificate once the student has completed every lesson; returns the certificate or null
+const issueCertificateIfComplete = async (studentId, courseId) => {
+  const completion = await getCourseCompletion(studentId, courseId);
+  if (completion.total_lessons === 0 || completion.completed_lessons < completion.total_lessons) {
+    return null;
+  }
+
+  const existing = await dbAsync.get(
+    'SELECT * FROM certificates WHERE student_id = ? AND course_id = ?',
+    [studentId, courseId]
+  );
+  if (existing) {
+    return existing;
+  }
+
+  const snapshot = await dbAsync.get(
+    `SELECT c.title as course_title, u.email as student_email, i.email as instructor_email
+     FROM courses c
+     JOIN users u ON u.id = ?
+     JOIN users i ON c.instructor_id = i.id
+     WHERE c.id = ?`,
+    [studentId, courseId]
+  );
+
+  const result = await dbAsync.run(
+    `INSERT OR IGNORE INTO certificates
+       (student_id, course_id, verification_code, course_title, student_email, instructor_email)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [studentId, courseId, generateVerificationCode(), snapshot.course_title, snapshot.student_email, snapshot.instructor_email]
+  );
+
+  if (result.changes > 0) {
+    await auditLog(studentId, 'CERTIFICATE_ISSUED', 'certificate', result.lastID, null);
+  }
+
+  return dbAsync.get('SELECT * FROM certificates WHERE student_id = ? AND course_id = ?', [studentId, courseId]);
+};
+
+// Removing or unpublishing a lesson can complete the course for students who finished the rest
+const issueCourseCertificates = async (courseId) => {
+  const enrollments = await dbAsync.all('SELECT student_id FROM enrollments WHERE course_id = ?', [courseId]);
+  for (const enrollment of enrollments) {
+    await issueCertificateIfComplete(enrollment.student_id, courseId);
+  }
+};
+
+// Catches up once at startup on courses completed before certificates existed
+const backfillCertificates = async () => {
+  const courses = await dbAsync.all('SELECT DISTINCT course_id FROM enrollments');
+  for (const course of courses) {
+    await issueCourseCertificates(course.course_id);
+  }
+};
+
+const getVerificationUrl = (code) => `${PUBLIC_BASE_URL}/verify/${code}`;
+
+// ========== CERTIFICATE PDF ==========
+// Minimal single-page PDF writer using the built-in Helvetica fonts, so no rendering service is needed
+const PDF_PAGE_WIDTH = 842;
+const PDF_PAGE_HEIGHT = 595;
+
+// Standard fonts use WinAnsi encoding: keep Latin-1 characters and escape PDF string delimiters
+const toPdfString = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+const wrapText = (text, maxChars) => {
+  const lines = [];
+  let current = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (current && (current.length + 1 + word.length) > maxChars) {
+      lines.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${word}` : word;
+    while (current.length > maxChars) {
+      lines.push(current.slice(0, maxChars));
+      current = current.slice(maxChars);
+    }
+  }
+  if (current) {
+    lines.push(current);
+  }
+  return lines;
+};
+
+const buildCertificatePdf = (certificate) => {
+  const issuedOn = new Date(`${certificate.issued_at.replace(' ', 'T')}Z`).toDateString();
+  const lines = [
+    { font: 'F2', size: 36, text: 'Certificate of Completion', gap: 70 },
+    { font: 'F1', size: 16, text: 'This certifies that', gap: 40 },
+    { font: 'F2', size: 24, text: certificate.student_email, gap: 45 },
+    { font: 'F1', size: 16, text: 'has successfully completed the course', gap: 40 },
+    ...wrapText(certificate.course_title, 45).map((text, index, all) =>
+      ({ font: 'F2', size: 26, text, gap: index === all.length - 1 ? 60 : 34 })),
+    { font: 'F1', size: 13, text: `Instructor: ${certificate.instructor_email}`, gap: 22 },
+    { font: 'F1', size: 13, text: `Issued on ${issuedOn}`, gap: 40 },
+    { font: 'F1', size: 11, text: `Verification code: ${certificate.verification_code}`, gap: 18 },
+    { font: 'F1', size: 11, text: `Verify at: ${getVerificationUrl(certificate.verification_code)}`, gap: 0 }
+  ];
+
+  let y = PDF_PAGE_HEIGHT - 110;
+  const commands = [
+    '0.40 0.49 0.92 RG 4 w 30 30 782 535 re S',
+    '0.46 0.29 0.64 RG 1 w 42 42 758 511 re S',
+    '0.17 0.24 0.31 rg'
+  ];
+  for (const line of lines) {
+    commands.push(`BT /${line.font} ${line.size} Tf 80 ${y} Td (${toPdfString(line.text)}) Tj ET`);
+    y -= line.gap;
+  }
+  const content = commands.join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((object, index) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+  });
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+// ========== CERTIFICATE ENDPOINTS ==========
+app.get('/api/certificates',
+  authenticateToken,
+  requireRole('student'),
+  async (req, res) => {
+    try {
+      const certificates = await dbAsync.all(
+        `SELECT id, course_id, course_title, verification_code, issued_at
+         FROM certificates
+         WHERE student_id = ?
+         ORDER BY issued_at DESC`,
+        [req.user.id]
       );
-      
-      res.status(201).json({
-        token,
-        user: { id: result.lastID, email, role }
+
+      res.json({
+        certificates: certificates.map(certificate => ({
+          ...certificate,
+          verification_url: getVerificationUrl(certificate.verification_code)
+        }))
       });
     } catch (err) {
-      console.error('Registration error:', err.message);
-      res.status(500).json({ error: 'Registration failed' });
+      console.error('Get certificates error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve certificates' });
     }
   }
 );
 
-app.post('/api/auth/login',
-  body('email').isEmail().normalizeEmail(),
-  body('password').isString().isLength({ min: 1, max: 128 }),
+app.get('/api/certificates/:id/download',
+  authenticateToken,
+  requireRole('student'),
+  param('id').isInt({ min: 1 }).toInt(),
   validate,
   async (req, res) => {
     try {
-      const { email, password } = req.body;
-      
-      const user = await dbAsync.get('SELECT * FROM users WHERE email = ?', [email]);
-      
-      if (!user) {
-        return res.status(401).json({ error: 'Invalid credentials' });
-      }
-      
-      const isValid = await bcrypt.compare(password, user.password_hash);
-      
-      if (!isValid) {
-        await auditLog(user.id, 'LOGIN_FAILED', 'user', user.id, req.ip);
-        return res.status(401).json({ error: 'Invalid credentials' });
-      }
-      
-      await auditLog(user.id, 'LOGIN_SUCCESS', 'user', user.id, req.ip);
-      
-      const token = jwt.sign(
-        { userId: user.id, role: user.role },
-        JWT_SECRET,
-        { algorithm: 'HS256', expiresIn: JWT_EXPIRY }
+      const certificate = await dbAsync.get(
+        'SELECT * FROM certificates WHERE id = ? AND student_id = ?',
+        [req.params.id, req.user.id]
       );
-      
-      res.json({
-        token,
-        user: { id: user.id, email: user.email, role: user.role }
-      });
+
+      if (!certificate) {
+        return res.status(404).json({ error: 'Certificate not found' });
+      }
+
+      await auditLog(req.user.id, 'CERTIFICATE_DOWNLOADED', 'certificate', certificate.id, req.ip);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.id}.pdf"`);
+      res.send(buildCertificatePdf(certificate));
     } catch (err) {
-      console.error('Login error:', err.message);
-      res.status(500).json({ error: 'Login failed' });
+      console.error('Download certificate error:', err.message);
+      res.status(500).json({ error: 'Failed to generate certificate' });
     }
   }
 );
 
-// ========== COURSE ENDPOINTS ==========
-app.get('/api/courses',
+// ========== LEARNING PATH HELPERS ==========
+const learningPathValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('title').isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }),
+    field('course_ids').isArray({ min: 1, max: 50 }),
+    body('course_ids.*').isInt({ min: 1 }).toInt()
+  ];
+};
+
+// Paths may include the instructor's own courses and any published course
+const findPathCourseProblem = async (courseIds, user) => {
+  if (new Set(courseIds).size !== courseIds.length) {
+    return 'Course IDs must not contain duplicates';
+  }
+  for (const courseId of courseIds) {
+    const course = await dbAsync.get('SELECT id, instructor_id, status FROM courses WHERE id = ?', [courseId]);
+    if (!course || (course.instructor_id !== user.id && course.status !== 'published')) {
+      return 'Learning paths can only include your own or published courses';
+    }
+  }
+  return null;
+};
+
+const setLearningPathCourses = async (pathId, courseIds, conn = dbAsync) => {
+  await conn.run('DELETE FROM learning_path_courses WHERE path_id = ?', [pathId]);
+  for (const [index, courseId] of courseIds.entries()) {
+    await conn.run(
+      'INSERT INTO learning_path_courses (path_id, course_id, position) VALUES (?, ?, ?)',
+      [pathId, courseId, index + 1]
+    );
+  }
+};
+
+// Path courses the viewer may see, in path order; students also get their completion of each course
+const getLearningPathCourses = async (pathId, user) => {
+  const courses = await dbAsync.all(
+    `SELECT c.id, c.title, c.description, c.instructor_id, c.status, lpc.position,
+            EXISTS (SELECT 1 FROM enrollments e WHERE e.course_id = c.id AND e.student_id = ?) as enrolled
+     FROM learning_path_courses lpc
+     JOIN courses c ON lpc.course_id = c.id
+     WHERE lpc.path_id = ?
+       AND (c.status = 'published'
+         OR c.instructor_id = ?
+         OR (c.status = 'archived' AND EXISTS (
+           SELECT 1 FROM enrollments e WHERE e.course_id = c.id AND e.student_id = ?
+         )))
+     ORDER BY lpc.position ASC`,
+    [user.id, pathId, user.id, user.id]
+  );
+  const annotated = await annotateCourses(courses, user);
+  if (user.role !== 'student') {
+    return annotated;
+  }
+  const completedCourseIds = await getCompletedCourseIds(user.id);
+  const withCompletion = [];
+  for (const course of annotated) {
+    withCompletion.push({
+      ...course,
+      completed: completedCourseIds.has(course.id),
+      completion: await getCourseCompletion(user.id, course.id)
+    });
+  }
+  return withCompletion;
+};
+
+// Overall path progress, weighted by lessons so partly completed courses count
+const summarizeLearningPathProgress = (courses) => {
+  const completedLessons = courses.reduce((total, c) => total + c.completion.completed_lessons, 0);
+  const totalLessons = courses.reduce((total, c) => total + c.completion.total_lessons, 0);
+  return {
+    completed_courses: courses.filter(c => c.completed).length,
+    total_courses: courses.length,
+    percentage: totalLessons > 0 ? Math.round((completedLessons / totalLessons) * 100) : 0
+  };
+};
+
+const loadLearningPath = async (path, user) => {
+  const courses = await getLearningPathCourses(path.id, user);
+  return user.role === 'student'
+    ? { ...path, courses, progress: summarizeLearningPathProgress(courses) }
+    : { ...path, courses };
+};
+
+// ========== LEARNING PATH ENDPOINTS ==========
+app.get('/api/learning-paths',
   authenticateToken,
   paginationValidator,
   validate,
@@ -387,103 +6904,110 @@ app.get('/api/courses',
     try {
       const { limit, offset } = applyPagination(req);
       
-      const courses = await dbAsync.all(
-        `SELECT c.id, c.title, c.description, c.instructor_id, c.created_at, c.updated_at,
+      const paths = await dbAsync.all(
+        `SELECT lp.id, lp.title, lp.description, lp.instructor_id, lp.created_at, lp.updated_at,
                 u.email as instructor_email
-         FROM courses c
-         JOIN users u ON c.instructor_id = u.id
-         ORDER BY c.created_at DESC
+         FROM learning_paths lp
+         JOIN users u ON lp.instructor_id = u.id
+         ORDER BY lp.created_at DESC
          LIMIT ? OFFSET ?`,
         [limit, offset]
       );
       
-      res.json({ courses });
+      const learningPaths = [];
+      for (const path of paths) {
+        learningPaths.push(await loadLearningPath(path, req.user));
+      }
+      
+      res.json({ learning_paths: learningPaths });
     } catch (err) {
-      console.error('Get courses error:', err.message);
-      res.status(500).json({ error: 'Failed to retrieve courses' });
+      console.error('Get learning paths error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve learning paths' });
     }
   }
 );
 
-app.get('/api/courses/:id',
+app.get('/api/learning-paths/:id',
   authenticateToken,
   param('id').isInt({ min: 1 }).toInt(),
   validate,
   async (req, res) => {
     try {
-      const course = await dbAsync.get(
-        `SELECT c.id, c.title, c.description, c.instructor_id, c.created_at, c.updated_at,
+      const path = await dbAsync.get(
+        `SELECT lp.id, lp.title, lp.description, lp.instructor_id, lp.created_at, lp.updated_at,
                 u.email as instructor_email
-         FROM courses c
-         JOIN users u ON c.instructor_id = u.id
-         WHERE c.id = ?`,
+         FROM learning_paths lp
+         JOIN users u ON lp.instructor_id = u.id
+         WHERE lp.id = ?`,
         [req.params.id]
       );
       
-      if (!course) {
-        return res.status(404).json({ error: 'Course not found' });
+      if (!path) {
+        return res.status(404).json({ error: 'Learning path not found' });
       }
       
-      const lessons = await dbAsync.all(
-        'SELECT * FROM lessons WHERE course_id = ? ORDER BY order_index ASC',
-        [req.params.id]
-      );
-      
-      res.json({ course: { ...course, lessons } });
+      res.json({ learning_path: await loadLearningPath(path, req.user) });
     } catch (err) {
-      console.error('Get course error:', err.message);
-      res.status(500).json({ error: 'Failed to retrieve course' });
+      console.error('Get learning path error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve learning path' });
     }
   }
 );
 
-app.post('/api/courses',
+app.post('/api/learning-paths',
   authenticateToken,
   requireRole('instructor'),
-  body('title').isString().trim().isLength({ min: 1, max: 200 }),
-  body('description').isString().trim().isLength({ min: 1, max: 5000 }),
+  ...learningPathValidators(false),
   validate,
   async (req, res) => {
     try {
-      const { title, description } = req.body;
+      const { title, description, course_ids } = req.body;
       
-      const result = await dbAsync.run(
-        'INSERT INTO courses (title, description, instructor_id) VALUES (?, ?, ?)',
-        [title, description, req.user.id]
-      );
+      const courseProblem = await findPathCourseProblem(course_ids, req.user);
+      if (courseProblem) {
+        return res.status(400).json({ error: courseProblem });
+      }
       
-      await auditLog(req.user.id, 'COURSE_CREATED', 'course', result.lastID, req.ip);
+      const pathId = await withTransaction(async (tx) => {
+        const result = await tx.run(
+          'INSERT INTO learning_paths (title, description, instructor_id) VALUES (?, ?, ?)',
+          [title, description || null, req.user.id]
+        );
+        await setLearningPathCourses(result.lastID, course_ids, tx);
+        return result.lastID;
+      });
       
-      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [result.lastID]);
+      await auditLog(req.user.id, 'LEARNING_PATH_CREATED', 'learning_path', pathId, req.ip);
       
-      res.status(201).json({ course });
+      const path = await dbAsync.get('SELECT * FROM learning_paths WHERE id = ?', [pathId]);
+      
+      res.status(201).json({ learning_path: await loadLearningPath(path, req.user) });
     } catch (err) {
-      console.error('Create course error:', err.message);
-      res.status(500).json({ error: 'Failed to create course' });
+      console.error('Create learning path error:', err.message);
+      res.status(500).json({ error: 'Failed to create learning path' });
     }
   }
 );
 
-app.put('/api/courses/:id',
+app.put('/api/learning-paths/:id',
   authenticateToken,
   requireRole('instructor'),
   param('id').isInt({ min: 1 }).toInt(),
-  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
-  body('description').optional().isString().trim().isLength({ min: 1, max: 5000 }),
+  ...learningPathValidators(true),
   validate,
   async (req, res) => {
     try {
-      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.id]);
+      const path = await dbAsync.get('SELECT * FROM learning_paths WHERE id = ?', [req.params.id]);
       
-      if (!course) {
-        return res.status(404).json({ error: 'Course not found' });
+      if (!path) {
+        return res.status(404).json({ error: 'Learning path not found' });
       }
       
-      if (course.instructor_id !== req.user.id) {
-        return res.status(403).json({ error: 'Not authorized to modify this course' });
+      if (path.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this learning path' });
       }
       
-      const { title, description } = req.body;
+      const { title, description, course_ids } = req.body;
       const updates = [];
       const params = [];
       
@@ -493,191 +7017,221 @@ app.put('/api/courses/:id',
       }
       if (description !== undefined) {
         updates.push('description = ?');
-        params.push(description);
+        params.push(description || null);
+      }
+      if (course_ids !== undefined) {
+        const courseProblem = await findPathCourseProblem(course_ids, req.user);
+        if (courseProblem) {
+          return res.status(400).json({ error: courseProblem });
+        }
       }
       
-      if (updates.length === 0) {
+      if (updates.length === 0 && course_ids === undefined) {
         return res.status(400).json({ error: 'No fields to update' });
       }
       
       updates.push('updated_at = CURRENT_TIMESTAMP');
       params.push(req.params.id);
       
-      await dbAsync.run(
-        `UPDATE courses SET ${updates.join(', ')} WHERE id = ?`,
-        params
-      );
+      await withTransaction(async (tx) => {
+        await tx.run(
+          `UPDATE learning_paths SET ${updates.join(', ')} WHERE id = ?`,
+          params
+        );
+        if (course_ids !== undefined) {
+          await setLearningPathCourses(req.params.id, course_ids, tx);
+        }
+      });
       
-      await auditLog(req.user.id, 'COURSE_UPDATED', 'course', req.params.id, req.ip);
+      await auditLog(req.user.id, 'LEARNING_PATH_UPDATED', 'learning_path', req.params.id, req.ip);
       
-      const updatedCourse = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.id]);
+      const updatedPath = await dbAsync.get('SELECT * FROM learning_paths WHERE id = ?', [req.params.id]);
       
-      res.json({ course: updatedCourse });
+      res.json({ learning_path: await loadLearningPath(updatedPath, req.user) });
     } catch (err) {
-      console.error('Update course error:', err.message);
-      res.status(500).json({ error: 'Failed to update course' });
+      console.error('Update learning path error:', err.message);
+      res.status(500).json({ error: 'Failed to update learning path' });
     }
   }
 );
 
-app.delete('/api/courses/:id',
+app.delete('/api/learning-paths/:id',
   authenticateToken,
   requireRole('instructor'),
   param('id').isInt({ min: 1 }).toInt(),
   validate,
   async (req, res) => {
     try {
-      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.id]);
+      const path = await dbAsync.get('SELECT * FROM learning_paths WHERE id = ?', [req.params.id]);
       
-      if (!course) {
-        return res.status(404).json({ error: 'Course not found' });
+      if (!path) {
+        return res.status(404).json({ error: 'Learning path not found' });
       }
       
-      if (course.instructor_id !== req.user.id) {
-        return res.status(403).json({ error: 'Not authorized to delete this course' });
+      if (path.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this learning path' });
       }
       
-      await dbAsync.run('DELETE FROM courses WHERE id = ?', [req.params.id]);
+      await withTransaction(async (tx) => {
+        await tx.run('DELETE FROM learning_path_courses WHERE path_id = ?', [req.params.id]);
+        await tx.run('DELETE FROM learning_paths WHERE id = ?', [req.params.id]);
+      });
       
-      await auditLog(req.user.id, 'COURSE_DELETED', 'course', req.params.id, req.ip);
+      await auditLog(req.user.id, 'LEARNING_PATH_DELETED', 'learning_path', req.params.id, req.ip);
       
       res.status(204).send();
     } catch (err) {
-      console.error('Delete course error:', err.message);
-      res.status(500).json({ error: 'Failed to delete course' });
+      console.error('Delete learning path error:', err.message);
+      res.status(500).json({ error: 'Failed to delete learning path' });
     }
   }
 );
 
-// ========== LESSON ENDPOINTS ==========
-app.get('/api/courses/:courseId/lessons',
+// ========== COURSE REVIEW ENDPOINTS ==========
+const reviewValidators = (optional) => [
+  optional
+    ? body('rating').optional().isInt({ min: 1, max: 5 }).toInt()
+    : body('rating').isInt({ min: 1, max: 5 }).toInt(),
+  body('body').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 })
+];
+
+const getReview = (reviewId) => dbAsync.get(
+  `SELECT r.id, r.course_id, r.student_id, r.rating, r.body, r.instructor_reply, r.replied_at,
+          r.created_at, r.updated_at, u.email as student_email
+   FROM course_reviews r
+   JOIN users u ON r.student_id = u.id
+   WHERE r.id = ?`,
+  [reviewId]
+);
+
+const loadReviewWithCourse = (reviewId) => dbAsync.get(
+  `SELECT r.*, c.instructor_id
+   FROM course_reviews r
+   JOIN courses c ON r.course_id = c.id
+   WHERE r.id = ?`,
+  [reviewId]
+);
+
+app.get('/api/courses/:courseId/reviews',
   authenticateToken,
   param('courseId').isInt({ min: 1 }).toInt(),
   paginationValidator,
   validate,
   async (req, res) => {
     try {
-      const course = await dbAsync.get('SELECT id FROM courses WHERE id = ?', [req.params.courseId]);
-      
-      if (!course) {
+      if (!(await getVisibleCourse(req.params.courseId, req.user))) {
         return res.status(404).json({ error: 'Course not found' });
       }
       
       const { limit, offset } = applyPagination(req);
       
-      const lessons = await dbAsync.all(
-        `SELECT id, course_id, title, content, order_index, created_at, updated_at
-         FROM lessons
-         WHERE course_id = ?
-         ORDER BY order_index ASC
+      const reviews = await dbAsync.all(
+        `SELECT r.id, r.course_id, r.student_id, r.rating, r.body, r.instructor_reply, r.replied_at,
+                r.created_at, r.updated_at, u.email as student_email
+         FROM course_reviews r
+         JOIN users u ON r.student_id = u.id
+         WHERE r.course_id = ?
+         ORDER BY r.updated_at DESC, r.id DESC
          LIMIT ? OFFSET ?`,
         [req.params.courseId, limit, offset]
       );
       
-      res.json({ lessons });
-    } catch (err) {
-      console.error('Get lessons error:', err.message);
-      res.status(500).json({ error: 'Failed to retrieve lessons' });
-    }
-  }
-);
-
-app.get('/api/lessons/:id',
-  authenticateToken,
-  param('id').isInt({ min: 1 }).toInt(),
-  validate,
-  async (req, res) => {
-    try {
-      const lesson = await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [req.params.id]);
+      const summary = await dbAsync.get(
+        `SELECT ROUND(AVG(rating), 1) as average_rating, COUNT(*) as rating_count
+         FROM course_reviews WHERE course_id = ?`,
+        [req.params.courseId]
+      );
       
-      if (!lesson) {
-        return res.status(404).json({ error: 'Lesson not found' });
+      const response = { reviews, summary };
+      if (req.user.role === 'student') {
+        const myReview = await dbAsync.get(
+          'SELECT id FROM course_reviews WHERE course_id = ? AND student_id = ?',
+          [req.params.courseId, req.user.id]
+        );
+        response.my_review = myReview ? await getReview(myReview.id) : null;
       }
       
-      res.json({ lesson });
+      res.json(response);
     } catch (err) {
-      console.error('Get lesson error:', err.message);
-      res.status(500).json({ error: 'Failed to retrieve lesson' });
+      console.error('Get reviews error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve reviews' });
     }
   }
 );
 
-app.post('/api/courses/:courseId/lessons',
+app.post('/api/courses/:courseId/reviews',
   authenticateToken,
-  requireRole('instructor'),
+  requireRole('student'),
+  requireVerifiedEmail('review'),
   param('courseId').isInt({ min: 1 }).toInt(),
-  body('title').isString().trim().isLength({ min: 1, max: 200 }),
-  body('content').isString().trim().isLength({ min: 1, max: 50000 }),
-  body('order_index').isInt({ min: 0 }),
+  ...reviewValidators(false),
   validate,
   async (req, res) => {
     try {
-      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.courseId]);
+      const enrollment = await dbAsync.get(
+        'SELECT id FROM enrollments WHERE student_id = ? AND course_id = ?',
+        [req.user.id, req.params.courseId]
+      );
       
-      if (!course) {
-        return res.status(404).json({ error: 'Course not found' });
+      if (!enrollment) {
+        return res.status(403).json({ error: 'Only enrolled students can review this course' });
       }
       
-      if (course.instructor_id !== req.user.id) {
-        return res.status(403).json({ error: 'Not authorized to add lessons to this course' });
+      const existing = await dbAsync.get(
+        'SELECT id FROM course_reviews WHERE course_id = ? AND student_id = ?',
+        [req.params.courseId, req.user.id]
+      );
+      
+      if (existing) {
+        return res.status(409).json({ error: 'You have already reviewed this course', review_id: existing.id });
       }
       
-      const { title, content, order_index } = req.body;
+      const { rating, body: reviewBody } = req.body;
       
       const result = await dbAsync.run(
-        'INSERT INTO lessons (course_id, title, content, order_index) VALUES (?, ?, ?, ?)',
-        [req.params.courseId, title, content, order_index]
+        'INSERT INTO course_reviews (course_id, student_id, rating, body) VALUES (?, ?, ?, ?)',
+        [req.params.courseId, req.user.id, rating, reviewBody || null]
       );
       
-      await auditLog(req.user.id, 'LESSON_CREATED', 'lesson', result.lastID, req.ip);
+      await auditLog(req.user.id, 'REVIEW_CREATED', 'course_review', result.lastID, req.ip);
       
-      const lesson = await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [result.lastID]);
-      
-      res.status(201).json({ lesson });
+      res.status(201).json({ review: await getReview(result.lastID) });
     } catch (err) {
-      console.error('Create lesson error:', err.message);
-      res.status(500).json({ error: 'Failed to create lesson' });
+      console.error('Create review error:', err.message);
+      res.status(500).json({ error: 'Failed to create review' });
     }
   }
 );
 
-app.put('/api/lessons/:id',
+app.put('/api/reviews/:id',
   authenticateToken,
-  requireRole('instructor'),
+  requireRole('student'),
   param('id').isInt({ min: 1 }).toInt(),
-  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
-  body('content').optional().isString().trim().isLength({ min: 1, max: 50000 }),
-  body('order_index').optional().isInt({ min: 0 }),
+  ...reviewValidators(true),
   validate,
   async (req, res) => {
     try {
-      const lesson = await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [req.params.id]);
+      const review = await loadReviewWithCourse(req.params.id);
       
-      if (!lesson) {
-        return res.status(404).json({ error: 'Lesson not found' });
+      if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
       }
       
-      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [lesson.course_id]);
-      
-      if (course.instructor_id !== req.user.id) {
-        return res.status(403).json({ error: 'Not authorized to modify this lesson' });
+      if (review.student_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to modify this review' });
       }
       
-      const { title, content, order_index } = req.body;
+      const { rating, body: reviewBody } = req.body;
       const updates = [];
       const params = [];
       
-      if (title !== undefined) {
-        updates.push('title = ?');
-        params.push(title);
-      }
-      if (content !== undefined) {
-        updates.push('content = ?');
-        params.push(content);
+      if (rating !== undefined) {
+        updates.push('rating = ?');
+        params.push(rating);
       }
-      if (order_index !== undefined) {
-        updates.push('order_index = ?');
-        params.push(order_index);
+      if (reviewBody !== undefined) {
+        updates.push('body = ?');
+        params.push(reviewBody || null);
       }
       
       if (updates.length === 0) {
@@ -688,49 +7242,81 @@ app.put('/api/lessons/:id',
       params.push(req.params.id);
       
       await dbAsync.run(
-        `UPDATE lessons SET ${updates.join(', ')} WHERE id = ?`,
+        `UPDATE course_reviews SET ${updates.join(', ')} WHERE id = ?`,
         params
       );
       
-      await auditLog(req.user.id, 'LESSON_UPDATED', 'lesson', req.params.id, req.ip);
-      
-      const updatedLesson = await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [req.params.id]);
+      await auditLog(req.user.id, 'REVIEW_UPDATED', 'course_review', req.params.id, req.ip);
       
-      res.json({ lesson: updatedLesson });
+      res.json({ review: await getReview(req.params.id) });
     } catch (err) {
-      console.error('Update lesson error:', err.message);
-      res.status(500).json({ error: 'Failed to update lesson' });
+      console.error('Update review error:', err.message);
+      res.status(500).json({ error: 'Failed to update review' });
     }
   }
 );
 
-app.delete('/api/lessons/:id',
+app.put('/api/reviews/:id/reply',
   authenticateToken,
   requireRole('instructor'),
   param('id').isInt({ min: 1 }).toInt(),
+  body('reply').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }),
   validate,
   async (req, res) => {
     try {
-      const lesson = await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [req.params.id]);
+      const review = await loadReviewWithCourse(req.params.id);
       
-      if (!lesson) {
-        return res.status(404).json({ error: 'Lesson not found' });
+      if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
       }
       
-      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [lesson.course_id]);
+      if (review.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to reply to this review' });
+      }
       
-      if (course.instructor_id !== req.user.id) {
-        return res.status(403).json({ error: 'Not authorized to delete this lesson' });
+      // An empty or null reply removes the existing one
+      const reply = req.body.reply || null;
+      
+      await dbAsync.run(
+        'UPDATE course_reviews SET instructor_reply = ?, replied_at = ? WHERE id = ?',
+        [reply, reply ? new Date().toISOString() : null, req.params.id]
+      );
+      
+      await auditLog(req.user.id, 'REVIEW_REPLIED', 'course_review', req.params.id, req.ip);
+      
+      res.json({ review: await getReview(req.params.id) });
+    } catch (err) {
+      console.error('Reply to review error:', err.message);
+      res.status(500).json({ error: 'Failed to reply to review' });
+    }
+  }
+);
+
+app.delete('/api/reviews/:id',
+  authenticateToken,
+  requireRole('student'),
+  param('id').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const review = await loadReviewWithCourse(req.params.id);
+      
+      if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+      
+      if (review.student_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this review' });
       }
       
-      await dbAsync.run('DELETE FROM lessons WHERE id = ?', [req.params.id]);
+      await dbAsync.run('DELETE FROM course_reviews WHERE id = ?', [req.params.id]);
       
-      await auditLog(req.user.id, 'LESSON_DELETED', 'lesson', req.params.id, req.ip);
+      await auditLog(req.user.id, 'REVIEW_DELETED', 'course_review', req.params.id, req.ip);
       
       res.status(204).send();
     } catch (err) {
-      console.error('Delete lesson error:', err.message);
-      res.status(500).json({ error: 'Failed to delete lesson' });
+      console.error('Delete review error:', err.message);
+      res.status(500).json({ error: 'Failed to delete review' });
     }
   }
 );
@@ -739,18 +7325,27 @@ app.delete('/api/lessons/:id',
 app.post('/api/enrollments',
   authenticateToken,
   requireRole('student'),
+  requireVerifiedEmail('enroll'),
   body('course_id').isInt({ min: 1 }),
   validate,
   async (req, res) => {
     try {
       const { course_id } = req.body;
       
-      const course = await dbAsync.get('SELECT id FROM courses WHERE id = ?', [course_id]);
+      const course = await dbAsync.get('SELECT id, title, status, instructor_id FROM courses WHERE id = ?', [course_id]);
       
-      if (!course) {
+      if (!course || course.status !== 'published') {
         return res.status(404).json({ error: 'Course not found' });
       }
       
+      const missingPrerequisites = await getMissingCoursePrerequisites(course.id, req.user.id);
+      if (missingPrerequisites.length > 0) {
+        return res.status(403).json({
+          error: `Complete the prerequisite courses first: ${missingPrerequisites.map(c => `"${c.title}"`).join(', ')}`,
+          missing_prerequisites: missingPrerequisites
+        });
+      }
+      
       const existingEnrollment = await dbAsync.get(
         'SELECT id FROM enrollments WHERE student_id = ? AND course_id = ?',
         [req.user.id, course_id]
@@ -766,6 +7361,12 @@ app.post('/api/enrollments',
       );
       
       await auditLog(req.user.id, 'ENROLLMENT_CREATED', 'enrollment', result.lastID, req.ip);
+      await notify([course.instructor_id], {
+        type: 'enrollment_created',
+        title: `New enrollment in ${course.title}`,
+        body: req.user.email,
+        link: '/instructor/dashboard'
+      });
       
       const enrollment = await dbAsync.get('SELECT * FROM enrollments WHERE id = ?', [result.lastID]);
       
@@ -832,6 +7433,194 @@ app.delete('/api/enrollments/:id',
   }
 );
 
+// ========== ROSTER HELPERS ==========
+const ROSTER_SORTS = {
+  email: 'u.email ASC',
+  enrolled: 'e.enrolled_at DESC, e.id DESC',
+  progress: 'completed_lessons DESC, u.email ASC',
+  activity: 'last_activity_at IS NULL, last_activity_at DESC, u.email ASC'
+};
+
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+// Enrolled students with published lessons completed and their latest activity in the course
+const ROSTER_COLUMNS = `e.id as enrollment_id, u.id as student_id, u.email, e.enrolled_at,
+  (SELECT COUNT(*) FROM progress p JOIN lessons l ON p.lesson_id = l.id
+   WHERE p.student_id = e.student_id AND l.course_id = e.course_id AND l.status = 'published' AND p.completed = 1) as completed_lessons,
+  (SELECT MAX(act.timestamp) FROM (${COURSE_ACTIVITY_SQL}) act
+   WHERE act.user_id = e.student_id AND act.course_id = e.course_id) as last_activity_at`;
+
+const getRosterStudent = (courseId, studentId) => dbAsync.get(
+  `SELECT ${ROSTER_COLUMNS}
+   FROM enrollments e
+   JOIN users u ON e.student_id = u.id
+   WHERE e.course_id = ? AND e.student_id = ?`,
+  [courseId, studentId]
+);
+
+const withCompletionPercentage = (student, totalLessons) => ({
+  ...student,
+  total_lessons: totalLessons,
+  percentage: percentageOf(student.completed_lessons, totalLessons)
+});
+
+const countPublishedLessons = async (courseId) => {
+  const { count } = await dbAsync.get(
+    "SELECT COUNT(*) as count FROM lessons WHERE course_id = ? AND status = 'published'",
+    [courseId]
+  );
+  return count;
+};
+
+// ========== ROSTER ENDPOINTS ==========
+app.get('/api/courses/:courseId/students',
+  authenticateToken,
+  requireRole('instructor'),
+  param('courseId').isInt({ min: 1 }).toInt(),
+  paginationValidator,
+  query('search').optional().isString().trim().isLength({ max: 255 }),
+  query('sort').optional().isIn(Object.keys(ROSTER_SORTS)),
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.courseId]);
+
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to view students in this course' });
+      }
+
+      const { limit, offset } = applyPagination(req);
+      const conditions = ['e.course_id = ?'];
+      const params = [course.id];
+
+      if (req.query.search) {
+        conditions.push("u.email LIKE ? ESCAPE '\\'");
+        params.push(`%${escapeLikePattern(req.query.search)}%`);
+      }
+
+      const where = conditions.join(' AND ');
+      const { total } = await dbAsync.get(
+        `SELECT COUNT(*) as total FROM enrollments e JOIN users u ON e.student_id = u.id WHERE ${where}`,
+        params
+      );
+      const students = await dbAsync.all(
+        `SELECT ${ROSTER_COLUMNS}
+         FROM enrollments e
+         JOIN users u ON e.student_id = u.id
+         WHERE ${where}
+         ORDER BY ${ROSTER_SORTS[req.query.sort || 'email']}
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const totalLessons = await countPublishedLessons(course.id);
+
+      res.json({ students: students.map(student => withCompletionPercentage(student, totalLessons)), total });
+    } catch (err) {
+      console.error('Get course students error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve students' });
+    }
+  }
+);
+
+app.get('/api/courses/:courseId/students/:studentId',
+  authenticateToken,
+  requireRole('instructor'),
+  param('courseId').isInt({ min: 1 }).toInt(),
+  param('studentId').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.courseId]);
+
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to view students in this course' });
+      }
+
+      const student = await getRosterStudent(course.id, req.params.studentId);
+
+      if (!student) {
+        return res.status(404).json({ error: 'Student is not enrolled in this course' });
+      }
+
+      const lessons = await dbAsync.all(
+        `SELECT l.id as lesson_id, l.title, s.title as section_title, COALESCE(p.completed, 0) as completed, p.completed_at,
+           (SELECT COALESCE(SUM(st.seconds), 0) FROM lesson_study_time st
+            WHERE st.lesson_id = l.id AND st.student_id = ?) as study_seconds
+         FROM lessons l
+         LEFT JOIN sections s ON l.section_id = s.id
+         LEFT JOIN progress p ON p.lesson_id = l.id AND p.student_id = ?
+         WHERE l.course_id = ? AND l.status = 'published'
+         ORDER BY s.id IS NULL, s.order_index ASC, l.order_index ASC, l.id ASC`,
+        [student.student_id, student.student_id, course.id]
+      );
+
+      res.json({
+        student: withCompletionPercentage(student, lessons.length),
+        sections: await getSectionCompletion(student.student_id, course.id),
+        lessons: lessons.map(lesson => ({ ...lesson, completed: !!lesson.completed })),
+        grades: await getStudentGrades(course.id, student.student_id)
+      });
+    } catch (err) {
+      console.error('Get course student error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve student' });
+    }
+  }
+);
+
+// Removes the enrollment only; the student's progress and grades are kept, as when they unenroll themselves
+app.delete('/api/courses/:courseId/students/:studentId',
+  authenticateToken,
+  requireRole('instructor'),
+  param('courseId').isInt({ min: 1 }).toInt(),
+  param('studentId').isInt({ min: 1 }).toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [req.params.courseId]);
+
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      if (course.instructor_id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to manage students in this course' });
+      }
+
+      const enrollment = await dbAsync.get(
+        'SELECT id FROM enrollments WHERE course_id = ? AND student_id = ?',
+        [course.id, req.params.studentId]
+      );
+
+      if (!enrollment) {
+        return res.status(404).json({ error: 'Student is not enrolled in this course' });
+      }
+
+      await dbAsync.run('DELETE FROM enrollments WHERE id = ?', [enrollment.id]);
+
+      await auditLog(req.user.id, 'ENROLLMENT_DELETED', 'enrollment', enrollment.id, req.ip);
+
+      await notify([req.params.studentId], {
+        type: 'enrollment_removed',
+        title: `You were removed from ${course.title}`,
+        link: '/student/dashboard'
+      });
+
+      res.status(204).send();
+    } catch (err) {
+      console.error('Remove course student error:', err.message);
+      res.status(500).json({ error: 'Failed to remove student' });
+    }
+  }
+);
+
 // ========== PROGRESS TRACKING ENDPOINTS ==========
 app.post('/api/progress',
   authenticateToken,
@@ -845,7 +7634,7 @@ app.post('/api/progress',
       
       const lesson = await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [lesson_id]);
       
-      if (!lesson) {
+      if (!lesson || lesson.status !== 'published') {
         return res.status(404).json({ error: 'Lesson not found' });
       }
       
@@ -858,6 +7647,22 @@ app.post('/api/progress',
         return res.status(403).json({ error: 'Must be enrolled in course to track progress' });
       }
       
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [lesson.course_id]);
+      const lock = await getLessonLock(course, lesson.id, req.user.id);
+      if (lock) {
+        return res.status(403).json({ error: lock.reason, required_lessons: lock.required_lessons });
+      }
+      
+      if (completed) {
+        const unpassedQuizzes = await getUnpassedRequiredQuizzes(req.user.id, lesson_id);
+        if (unpassedQuizzes.length > 0) {
+          return res.status(403).json({
+            error: 'Must pass the required quizzes before completing this lesson',
+            quizzes: unpassedQuizzes
+          });
+        }
+      }
+      
       const existingProgress = await dbAsync.get(
         'SELECT * FROM progress WHERE student_id = ? AND lesson_id = ?',
         [req.user.id, lesson_id]
@@ -886,7 +7691,10 @@ app.post('/api/progress',
         [req.user.id, lesson_id]
       );
       
-      res.json({ progress });
+      const certificate = completed ? await issueCertificateIfComplete(req.user.id, lesson.course_id) : null;
+      const completion = await getCourseCompletion(req.user.id, lesson.course_id);
+      
+      res.json({ progress, completion, certificate_id: certificate ? certificate.id : null });
     } catch (err) {
       console.error('Update progress error:', err.message);
       res.status(500).json({ error: 'Failed to update progress' });
@@ -919,7 +7727,10 @@ app.get('/api/courses/:courseId/progress',
         [req.user.id, req.params.courseId]
       );
       
-      res.json({ progress });
+      const completion = await getCourseCompletion(req.user.id, req.params.courseId);
+      const sections = await getSectionCompletion(req.user.id, req.params.courseId);
+      
+      res.json({ progress, completion, sections });
     } catch (err) {
       console.error('Get progress error:', err.message);
       res.status(500).json({ error: 'Failed to retrieve progress' });
@@ -927,6 +7738,166 @@ app.get('/api/courses/:courseId/progress',
   }
 );
 
+// ========== STUDY TIME HELPERS ==========
+// Lesson heartbeats are sent about once a minute while a lesson is visible
+const STUDY_HEARTBEAT_MAX_SECONDS = 90;
+// Allows for timer jitter between heartbeats and the second-resolution timestamps
+const STUDY_HEARTBEAT_GRACE_SECONDS = 5;
+const STUDY_WEEK_DAYS = 7;
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (dateKey, days) => toDateKey(new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS));
+
+// Study days are the student's local calendar days, which are at most a day either side of UTC
+const isNearToday = (dateKey) => {
+  const today = toDateKey(new Date());
+  if (Number.isNaN(Date.parse(`${dateKey}T00:00:00Z`)) || dateKey < addDays(today, -1) || dateKey > addDays(today, 1)) {
+    throw new Error('Date must be the current local date');
+  }
+  return true;
+};
+
+const studyDateValidator = (field) => field.matches(/^\d{4}-\d{2}-\d{2}$/).bail().custom(isNearToday);
+
+// Current streak counts back from today, or from yesterday when nothing has been studied yet today
+const computeStudyStreak = (studyDates, today) => {
+  const studied = new Set(studyDates);
+  let current = 0;
+  for (let day = studied.has(today) ? today : addDays(today, -1); studied.has(day); day = addDays(day, -1)) {
+    current++;
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of [...studied].sort()) {
+    run = previous && addDays(previous, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  return { current_days: current, longest_days: longest, studied_today: studied.has(today) };
+};
+
+// ========== STUDY TIME ENDPOINTS ==========
+app.post('/api/lessons/:lessonId/study-time',
+  authenticateToken,
+  requireRole('student'),
+  param('lessonId').isInt({ min: 1 }).toInt(),
+  body('seconds').isInt({ min: 1, max: STUDY_HEARTBEAT_MAX_SECONDS }).toInt(),
+  studyDateValidator(body('date')),
+  validate,
+  async (req, res) => {
+    try {
+      const lesson = await dbAsync.get('SELECT * FROM lessons WHERE id = ?', [req.params.lessonId]);
+
+      if (!lesson || lesson.status !== 'published') {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+
+      const enrollment = await dbAsync.get(
+        'SELECT id FROM enrollments WHERE student_id = ? AND course_id = ?',
+        [req.user.id, lesson.course_id]
+      );
+
+      if (!enrollment) {
+        return res.status(403).json({ error: 'Must be enrolled in course to track study time' });
+      }
+
+      const course = await dbAsync.get('SELECT * FROM courses WHERE id = ?', [lesson.course_id]);
+      const lock = await getLessonLock(course, lesson.id, req.user.id);
+      if (lock) {
+        return res.status(403).json({ error: lock.reason, required_lessons: lock.required_lessons });
+      }
+
+      // Time is never credited much faster than the clock, so lessons open in several
+      // tabs cannot add up to more than the time that actually passed
+      const { last } = await dbAsync.get(
+        'SELECT MAX(last_heartbeat_at) as last FROM lesson_study_time WHERE student_id = ?',
+        [req.user.id]
+      );
+      const elapsedSeconds = last ? Math.floor((Date.now() - parseDbTimestamp(last).getTime()) / 1000) : Infinity;
+      const creditedSeconds = Math.max(0, Math.min(req.body.seconds, elapsedSeconds + STUDY_HEARTBEAT_GRACE_SECONDS));
+
+      if (creditedSeconds > 0) {
+        await dbAsync.run(
+          `INSERT INTO lesson_study_time (student_id, lesson_id, course_id, study_date, seconds, last_heartbeat_at)
+           VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+           ON CONFLICT(student_id, lesson_id, study_date) DO UPDATE SET
+             seconds = seconds + excluded.seconds,
+             last_heartbeat_at = CURRENT_TIMESTAMP`,
+          [req.user.id, lesson.id, lesson.course_id, req.body.date, creditedSeconds]
+        );
+      }
+
+      const { total } = await dbAsync.get(
+        'SELECT COALESCE(SUM(seconds), 0) as total FROM lesson_study_time WHERE student_id = ? AND lesson_id = ?',
+        [req.user.id, lesson.id]
+      );
+
+      res.json({ credited_seconds: creditedSeconds, lesson_seconds: total });
+    } catch (err) {
+      console.error('Record study time error:', err.message);
+      res.status(500).json({ error: 'Failed to record study time' });
+    }
+  }
+);
+
+app.get('/api/study-activity',
+  authenticateToken,
+  requireRole('student'),
+  studyDateValidator(query('today').optional()),
+  validate,
+  async (req, res) => {
+    try {
+      const today = req.query.today || toDateKey(new Date());
+      const weekStart = addDays(today, 1 - STUDY_WEEK_DAYS);
+
+      const dayRows = await dbAsync.all(
+        `SELECT study_date, SUM(seconds) as seconds
+         FROM lesson_study_time
+         WHERE student_id = ? AND study_date BETWEEN ? AND ?
+         GROUP BY study_date`,
+        [req.user.id, weekStart, today]
+      );
+      const secondsByDate = new Map(dayRows.map(row => [row.study_date, row.seconds]));
+      const days = Array.from({ length: STUDY_WEEK_DAYS }, (_, index) => {
+        const date = addDays(weekStart, index);
+        return { date, seconds: secondsByDate.get(date) || 0 };
+      });
+
+      const courses = await dbAsync.all(
+        `SELECT c.id as course_id, c.title, SUM(st.seconds) as seconds
+         FROM lesson_study_time st
+         JOIN courses c ON st.course_id = c.id
+         WHERE st.student_id = ? AND st.study_date BETWEEN ? AND ?
+         GROUP BY c.id
+         ORDER BY seconds DESC`,
+        [req.user.id, weekStart, today]
+      );
+
+      const studyDates = await dbAsync.all(
+        'SELECT DISTINCT study_date FROM lesson_study_time WHERE student_id = ? AND study_date <= ?',
+        [req.user.id, today]
+      );
+
+      res.json({
+        today,
+        week: {
+          total_seconds: days.reduce((total, day) => total + day.seconds, 0),
+          days,
+          courses
+        },
+        streak: computeStudyStreak(studyDates.map(row => row.study_date), today)
+      });
+    } catch (err) {
+      console.error('Get study activity error:', err.message);
+      res.status(500).json({ error: 'Failed to retrieve study activity' });
+    }
+  }
+);
+
 // ========== CATCH-ALL ERROR HANDLER ==========
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err.message, err.stack);
@@ -937,24 +7908,79 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
+// ========== PUBLISH SCHEDULER ==========
+const SCHEDULED_CONTENT = [
+  { table: 'courses', resourceType: 'course', action: 'COURSE_PUBLISHED' },
+  { table: 'lessons', resourceType: 'lesson', action: 'LESSON_PUBLISHED', onPublished: notifyLessonPublished }
+];
+
+// Publishes drafts whose publish_at has passed
+const publishScheduledContent = async () => {
+  const now = new Date().toISOString();
+  for (const { table, resourceType, action, onPublished } of SCHEDULED_CONTENT) {
+    const due = await dbAsync.all(
+      `SELECT id FROM ${table} WHERE status = 'draft' AND publish_at IS NOT NULL AND publish_at <= ?`,
+      [now]
+    );
+    for (const item of due) {
+      // Re-checked in the UPDATE in case the item was edited since it was selected
+      const result = await dbAsync.run(
+        `UPDATE ${table} SET status = 'published', publish_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'draft' AND publish_at IS NOT NULL AND publish_at <= ?`,
+        [item.id, now]
+      );
+      if (result.changes > 0) {
+        await auditLog(null, action, resourceType, item.id, null);
+        if (onPublished) {
+          await onPublished(item.id);
+        }
+      }
+    }
+  }
+};
+
+const runPublishScheduler = () => {
+  publishScheduledContent().catch(err => console.error('Publish scheduler error:', err.message));
+};
+
+setInterval(runPublishScheduler, PUBLISH_SCHEDULER_INTERVAL_MS);
+
+// ========== EMAIL OUTBOX WORKER ==========
+setInterval(runEmailWorker, EMAIL_WORKER_INTERVAL_MS);
+
+// Digests are queued on their own timer so delivering a single email never scans every student
+const runDigestScheduler = () => {
+  queueProgressDigests().catch(err => console.error('Progress digest error:', err.message));
+};
+
+setInterval(runDigestScheduler, PROGRESS_DIGEST_CHECK_INTERVAL_MS);
+
 // ========== SERVER STARTUP ==========
 const server = app.listen(PORT, '127.0.0.1', () => {
   console.log(`Server running on http://127.0.0.1:${PORT}`);
   console.log('Security enforced: JWT auth, rate limiting, CORS, audit logging, input validation');
+  runPublishScheduler();
+  backfillCertificates().catch(err => console.error('Certificate backfill error:', err.message));
+  runEmailWorker();
+  runDigestScheduler();
 });
 
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  closeEventStreams();
   server.close(() => {
     db.close();
+    transactionDb.close();
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  closeEventStreams();
   server.close(() => {
     db.close();
+    transactionDb.close();
     process.exit(0);
   });
 });
@@ -0,0 +1,199 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, getEmailToken, wait } = require('./helpers');
+
+// RFC 6238 code for the given base32 secret, offset in 30-second steps from now
+const totp = (secret, offset = 0) => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of secret) {
+    value = (value << 5) | alphabet.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+  const hmac = crypto.createHmac('sha1', Buffer.from(bytes)).update(counter).digest();
+  const start = hmac[hmac.length - 1] & 15;
+  return String((hmac.readUInt32BE(start) & 0x7fffffff) % 1e6).padStart(6, '0');
+};
+
+describe('refresh tokens', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.stop());
+
+  it('rotates the refresh token on every use', async () => {
+    const user = await server.register('rotate@example.com', 'student');
+    const response = await server.api('POST', '/api/auth/refresh', { refresh_token: user.refresh_token });
+
+    assert.equal(response.status, 200);
+    assert.notEqual(response.data.refresh_token, user.refresh_token);
+    assert.equal((await server.api('GET', '/api/notifications', undefined, response.data.token)).status, 200);
+  });
+
+  it('revokes the whole family when a used token is replayed after the grace period', async () => {
+    const user = await server.register('reuse@example.com', 'student');
+    const rotated = (await server.api('POST', '/api/auth/refresh', { refresh_token: user.refresh_token })).data;
+    const otherSession = (await server.api('POST', '/api/auth/login', {
+      email: 'reuse@example.com', password: 'password123'
+    })).data;
+
+    const early = await server.api('POST', '/api/auth/refresh', { refresh_token: user.refresh_token });
+    assert.equal(early.status, 401);
+    assert.equal(early.data.error, 'Refresh token already used');
+
+    await server.query(
+      "UPDATE refresh_tokens SET used_at = '2000-01-01T00:00:00.000Z' WHERE user_id = ? AND used_at IS NOT NULL",
+      [user.id]
+    );
+    assert.equal((await server.api('POST', '/api/auth/refresh', { refresh_token: user.refresh_token })).status, 401);
+    assert.equal((await server.api('POST', '/api/auth/refresh', { refresh_token: rotated.refresh_token })).status, 401);
+    assert.equal((await server.api('POST', '/api/auth/refresh', { refresh_token: otherSession.refresh_token })).status, 200);
+
+    const audit = await server.query("SELECT * FROM audit_log WHERE action = 'REFRESH_TOKEN_REUSED' AND user_id = ?", [user.id]);
+    assert.equal(audit.length, 1);
+  });
+
+  it('revokes the access and refresh token on logout', async () => {
+    const user = await server.register('logout@example.com', 'student');
+
+    assert.equal((await server.api('POST', '/api/auth/logout', { refresh_token: user.refresh_token }, user.token)).status, 204);
+    const response = await server.api('GET', '/api/notifications', undefined, user.token);
+    assert.equal(response.status, 401);
+    assert.equal(response.data.error, 'Token revoked');
+    assert.equal((await server.api('POST', '/api/auth/refresh', { refresh_token: user.refresh_token })).status, 401);
+  });
+});
+
+describe('password reset and email verification', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.stop());
+
+  it('resets a password with a single-use emailed token', async () => {
+    await server.register('reset@example.com', 'student');
+    assert.equal((await server.api('POST', '/api/auth/forgot-password', { email: 'reset@example.com' })).status, 202);
+    const token = await getEmailToken(server, 'Reset your password');
+
+    assert.equal((await server.api('POST', '/api/auth/reset-password', { token, password: 'newpassword1' })).status, 204);
+    assert.equal((await server.api('POST', '/api/auth/reset-password', { token, password: 'newpassword2' })).status, 400);
+    assert.equal((await server.api('POST', '/api/auth/login', { email: 'reset@example.com', password: 'password123' })).status, 401);
+    assert.equal((await server.api('POST', '/api/auth/login', { email: 'reset@example.com', password: 'newpassword1' })).status, 200);
+  });
+
+  it('verifies an email address from the welcome email link', async () => {
+    const user = await server.register('verify@example.com', 'student');
+    assert.equal(user.user.email_verified, false);
+    const token = await getEmailToken(server, 'Welcome to the Online Learning Platform');
+
+    assert.equal((await server.api('POST', '/api/auth/verify-email', { token: user.token })).status, 400);
+    assert.equal((await server.api('POST', '/api/auth/verify-email', { token })).status, 200);
+    const login = await server.api('POST', '/api/auth/login', { email: 'verify@example.com', password: 'password123' });
+    assert.equal(login.data.user.email_verified, true);
+  });
+});
+
+describe('login lockout', () => {
+  let server;
+  before(async () => { server = await startServer({ LOGIN_MAX_FAILED_ATTEMPTS: '3' }); });
+  after(() => server.stop());
+
+  const login = (email, password) => server.api('POST', '/api/auth/login', { email, password });
+
+  it('delays, then locks an address and unlocks it from the emailed link', async () => {
+    await server.register('lockout@example.com', 'student');
+
+    assert.equal((await login('lockout@example.com', 'wrong-1')).status, 401);
+    assert.equal((await login('lockout@example.com', 'wrong-2')).status, 401);
+    const delayed = await login('lockout@example.com', 'password123');
+    assert.equal(delayed.status, 429);
+    assert.equal(delayed.headers.get('retry-after'), '1');
+
+    await wait(1100);
+    assert.equal((await login('lockout@example.com', 'wrong-3')).status, 401);
+    assert.equal((await login('lockout@example.com', 'password123')).status, 423);
+
+    const token = await getEmailToken(server, 'Your account was temporarily locked');
+    assert.equal((await server.api('POST', '/api/auth/verify-email', { token })).status, 400);
+    assert.equal((await server.api('POST', '/api/auth/unlock', { token })).status, 200);
+    assert.equal((await login('lockout@example.com', 'password123')).status, 200);
+  });
+
+  it('locks unknown addresses the same way', async () => {
+    await login('nobody@example.com', 'wrong-1');
+    await login('nobody@example.com', 'wrong-2');
+    await wait(1100);
+    await login('nobody@example.com', 'wrong-3');
+
+    assert.equal((await login('nobody@example.com', 'wrong-4')).status, 423);
+  });
+});
+
+describe('two-factor authentication', () => {
+  let server;
+  before(async () => { server = await startServer({ TWO_FACTOR_REQUIRED_ROLES: 'instructor' }); });
+  after(() => server.stop());
+
+  const login = (email) => server.api('POST', '/api/auth/login', { email, password: 'password123' });
+
+  it('refuses a code from a time step that was already used', async () => {
+    const user = await server.register('totp@example.com', 'student');
+    const { secret } = (await server.api('POST', '/api/auth/2fa/setup', {}, user.token)).data;
+    const enabled = await server.api('POST', '/api/auth/2fa/enable', { code: totp(secret) }, user.token);
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.data.recovery_codes.length, 10);
+
+    const challenge = (await login('totp@example.com')).data;
+    assert.equal(challenge.two_factor_required, true);
+    assert.equal(challenge.token, undefined);
+    assert.equal((await server.api('GET', '/api/notifications', undefined, challenge.challenge_token)).status, 401);
+
+    const reused = await server.api('POST', '/api/auth/2fa/verify', {
+      challenge_token: challenge.challenge_token, code: totp(secret)
+    });
+    assert.equal(reused.status, 400);
+    const next = await server.api('POST', '/api/auth/2fa/verify', {
+      challenge_token: challenge.challenge_token, code: totp(secret, 1)
+    });
+    assert.equal(next.status, 200);
+    assert.ok(next.data.token);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const user = await server.register('recovery@example.com', 'student');
+    const { secret } = (await server.api('POST', '/api/auth/2fa/setup', {}, user.token)).data;
+    const [recoveryCode] = (await server.api('POST', '/api/auth/2fa/enable', { code: totp(secret) }, user.token)).data.recovery_codes;
+
+    const first = (await login('recovery@example.com')).data.challenge_token;
+    assert.equal((await server.api('POST', '/api/auth/2fa/verify', { challenge_token: first, recovery_code: recoveryCode })).status, 200);
+    const second = (await login('recovery@example.com')).data.challenge_token;
+    assert.equal((await server.api('POST', '/api/auth/2fa/verify', { challenge_token: second, recovery_code: recoveryCode })).status, 400);
+  });
+
+  it('makes required roles set up two-factor before they get tokens', async () => {
+    const registered = await server.api('POST', '/api/auth/register', {
+      email: 'instructor-2fa@example.com', password: 'password123', role: 'instructor'
+    });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.data.setup_required, true);
+    assert.equal(registered.data.token, undefined);
+
+    const challenge = registered.data.challenge_token;
+    const { secret } = (await server.api('POST', '/api/auth/2fa/challenge/setup', { challenge_token: challenge })).data;
+    const verified = await server.api('POST', '/api/auth/2fa/verify', { challenge_token: challenge, code: totp(secret) });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.data.recovery_codes.length, 10);
+
+    const disabled = await server.api('POST', '/api/auth/2fa/disable', {
+      password: 'password123', code: totp(secret, 1)
+    }, verified.data.token);
+    assert.equal(disabled.status, 403);
+  });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// Foreign keys are not enforced, so every delete endpoint must clear child rows itself
+describe('cascade deletes', () => {
+  let server;
+  let instructor;
+  let student;
+
+  before(async () => {
+    server = await startServer();
+    instructor = await server.register('instructor@example.com', 'instructor');
+    student = await server.register('student@example.com', 'student');
+  });
+  after(() => server.stop());
+
+  const asInstructor = (method, path, body) => server.api(method, path, body, instructor.token);
+  const asStudent = (method, path, body) => server.api(method, path, body, student.token);
+  const count = async (table, where = '1 = 1', params = []) =>
+    (await server.query(`SELECT COUNT(*) as count FROM ${table} WHERE ${where}`, params))[0].count;
+
+  const createCourse = async () => {
+    const course = (await asInstructor('POST', '/api/courses', {
+      title: 'Course', description: 'Description', status: 'published'
+    })).data.course;
+    await asStudent('POST', '/api/enrollments', { course_id: course.id });
+    return course;
+  };
+
+  const createLesson = async (course, extra = {}) => (await asInstructor('POST', `/api/courses/${course.id}/lessons`, {
+    title: 'Lesson', content: 'Content', order_index: 1, status: 'published', ...extra
+  })).data.lesson;
+
+  // A quiz with one question and one attempt
+  const createQuiz = async (lesson, extra = {}) => {
+    const quiz = (await asInstructor('POST', `/api/lessons/${lesson.id}/quizzes`, {
+      title: 'Quiz', passing_score: 50, ...extra
+    })).data.quiz;
+    const question = (await asInstructor('POST', `/api/quizzes/${quiz.id}/questions`, {
+      question_type: 'true_false', prompt: 'True?', correct_answer: true, order_index: 0
+    })).data.question;
+    const attempt = await asStudent('POST', `/api/quizzes/${quiz.id}/attempts`, { answers: { [question.id]: true } });
+    assert.equal(attempt.status, 201);
+    return quiz;
+  };
+
+  // An assignment with one graded submission that has an attachment
+  const createAssignment = async (lesson, extra = {}) => {
+    const assignment = (await asInstructor('POST', `/api/lessons/${lesson.id}/assignments`, {
+      title: 'Assignment', instructions: 'Do it', max_points: 10, ...extra
+    })).data.assignment;
+    const submission = await asStudent('POST', `/api/assignments/${assignment.id}/submissions`, {
+      text_content: 'Answer',
+      attachments: [{ filename: 'answer.txt', mime_type: 'text/plain', data: Buffer.from('answer').toString('base64') }]
+    });
+    assert.equal(submission.status, 201);
+    const grade = await asInstructor('PUT', `/api/submissions/${submission.data.submission.id}/grade`, { points: 8 });
+    assert.equal(grade.status, 200);
+    return assignment;
+  };
+
+  it('deletes a quiz with its questions and attempts', async () => {
+    const quiz = await createQuiz(await createLesson(await createCourse()));
+
+    assert.equal((await asInstructor('DELETE', `/api/quizzes/${quiz.id}`)).status, 204);
+    assert.equal(await count('quiz_questions', 'quiz_id = ?', [quiz.id]), 0);
+    assert.equal(await count('quiz_attempts', 'quiz_id = ?', [quiz.id]), 0);
+  });
+
+  it('deletes an assignment with its submissions, attachments and grades', async () => {
+    const assignment = await createAssignment(await createLesson(await createCourse()));
+
+    assert.equal((await asInstructor('DELETE', `/api/assignments/${assignment.id}`)).status, 204);
+    assert.equal(await count('assignment_submissions', 'assignment_id = ?', [assignment.id]), 0);
+    assert.equal(await count('submission_attachments'), 0);
+    assert.equal(await count('submission_grades'), 0);
+  });
+
+  it('deletes a lesson with its quizzes, assignments and progress', async () => {
+    const lesson = await createLesson(await createCourse());
+    const quiz = await createQuiz(lesson);
+    const assignment = await createAssignment(lesson);
+    await asStudent('POST', '/api/progress', { lesson_id: lesson.id, completed: true });
+
+    assert.equal((await asInstructor('DELETE', `/api/lessons/${lesson.id}`)).status, 204);
+    assert.equal(await count('quizzes', 'id = ?', [quiz.id]), 0);
+    assert.equal(await count('quiz_attempts', 'quiz_id = ?', [quiz.id]), 0);
+    assert.equal(await count('assignments', 'id = ?', [assignment.id]), 0);
+    assert.equal(await count('assignment_submissions', 'assignment_id = ?', [assignment.id]), 0);
+    assert.equal(await count('progress', 'lesson_id = ?', [lesson.id]), 0);
+  });
+
+  it('keeps the lessons of a deleted section', async () => {
+    const course = await createCourse();
+    const section = (await asInstructor('POST', `/api/courses/${course.id}/sections`, { title: 'Section', order_index: 0 })).data.section;
+    const lesson = await createLesson(course, { section_id: section.id });
+
+    assert.equal((await asInstructor('DELETE', `/api/sections/${section.id}`)).status, 204);
+    assert.equal(await count('sections', 'id = ?', [section.id]), 0);
+    assert.equal(await count('lessons', 'id = ? AND section_id IS NULL', [lesson.id]), 1);
+  });
+
+  it('keeps the items of a deleted grade category', async () => {
+    const course = await createCourse();
+    const category = (await asInstructor('POST', `/api/courses/${course.id}/grade-categories`, { name: 'Quizzes', weight: 50 })).data.category;
+    const quiz = await createQuiz(await createLesson(course), { category_id: category.id });
+
+    assert.equal((await asInstructor('DELETE', `/api/grade-categories/${category.id}`)).status, 204);
+    assert.equal(await count('grade_categories', 'id = ?', [category.id]), 0);
+    assert.equal(await count('quizzes', 'id = ? AND category_id IS NULL', [quiz.id]), 1);
+  });
+
+  it('deletes a learning path with its course list', async () => {
+    const first = await createCourse();
+    const second = await createCourse();
+    const path = (await asInstructor('POST', '/api/learning-paths', {
+      title: 'Path', course_ids: [first.id, second.id]
+    })).data.learning_path;
+
+    assert.equal((await asInstructor('DELETE', `/api/learning-paths/${path.id}`)).status, 204);
+    assert.equal(await count('learning_path_courses', 'path_id = ?', [path.id]), 0);
+  });
+
+  it('deletes a course with everything scoped to it', async () => {
+    const course = await createCourse();
+    const lesson = await createLesson(course);
+    const quiz = await createQuiz(lesson);
+    await createAssignment(lesson);
+    await asInstructor('POST', `/api/courses/${course.id}/sections`, { title: 'Section', order_index: 0 });
+    await asInstructor('POST', `/api/courses/${course.id}/grade-categories`, { name: 'Quizzes', weight: 50 });
+
+    assert.equal((await asInstructor('DELETE', `/api/courses/${course.id}`)).status, 204);
+    for (const table of ['lessons', 'sections', 'grade_categories', 'enrollments']) {
+      assert.equal(await count(table, 'course_id = ?', [course.id]), 0, table);
+    }
+    assert.equal(await count('quiz_attempts', 'quiz_id = ?', [quiz.id]), 0);
+  });
+});
+
+describe('quiz attempt limit', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.stop());
+
+  it('holds under concurrent submissions', async () => {
+    const instructor = await server.register('limit-instructor@example.com', 'instructor');
+    const student = await server.register('limit-student@example.com', 'student');
+    const course = (await server.api('POST', '/api/courses', {
+      title: 'Course', description: 'Description', status: 'published'
+    }, instructor.token)).data.course;
+    const lesson = (await server.api('POST', `/api/courses/${course.id}/lessons`, {
+      title: 'Lesson', content: 'Content', order_index: 1, status: 'published'
+    }, instructor.token)).data.lesson;
+    const quiz = (await server.api('POST', `/api/lessons/${lesson.id}/quizzes`, {
+      title: 'Quiz', passing_score: 50, max_attempts: 2
+    }, instructor.token)).data.quiz;
+    const question = (await server.api('POST', `/api/quizzes/${quiz.id}/questions`, {
+      question_type: 'true_false', prompt: 'True?', correct_answer: true, order_index: 0
+    }, instructor.token)).data.question;
+    await server.api('POST', '/api/enrollments', { course_id: course.id }, student.token);
+
+    const responses = await Promise.all([1, 2, 3, 4, 5].map(() =>
+      server.api('POST', `/api/quizzes/${quiz.id}/attempts`, { answers: { [question.id]: false } }, student.token)));
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 201, 403, 403, 403]);
+  });
+});
@@ -0,0 +1,133 @@
+// Starts server.js in a child process against a throwaway database and talks to it over HTTP
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const JWT_SECRET = 'test-secret-that-is-at-least-32-characters-long';
+const SERVER_START_TIMEOUT_MS = 10000;
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.unref();
+  probe.on('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const startServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-platform-test-'));
+  const dbPath = path.join(dir, 'test.db');
+  const port = await getFreePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      JWT_SECRET,
+      BCRYPT_ROUNDS: '10',
+      PORT: String(port),
+      DB_PATH: dbPath,
+      ALLOWED_ORIGINS: 'http://localhost:3001',
+      APP_BASE_URL: 'http://app.test',
+      EMAIL_TRANSPORT: 'console',
+      UNVERIFIED_RESTRICTIONS: '',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), SERVER_START_TIMEOUT_MS);
+    const onData = () => {
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  // Each request comes from its own address so the per-IP rate limits and login delays stay out of the way
+  let requestCount = 0;
+  const api = async (method, urlPath, body, token, headers = {}) => {
+    requestCount++;
+    const requestHeaders = {
+      'X-Forwarded-For': `10.${(requestCount >> 16) & 255}.${(requestCount >> 8) & 255}.${requestCount & 255}`,
+      ...headers
+    };
+    if (body !== undefined) {
+      requestHeaders['Content-Type'] = 'application/json';
+    }
+    if (token) {
+      requestHeaders.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(`http://127.0.0.1:${port}${urlPath}`, {
+      method,
+      headers: requestHeaders,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const contentType = response.headers.get('content-type') || '';
+    const data = contentType.includes('json') ? await response.json() : await response.text();
+    return { status: response.status, data, headers: response.headers };
+  };
+
+  // Reads the database directly, for rows the API does not expose (outbox, audit log, orphans)
+  const query = (sql, params = []) => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath);
+    db.all(sql, params, (err, rows) => {
+      db.close();
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+
+  const register = async (email, role, password = 'password123') => {
+    const response = await api('POST', '/api/auth/register', { email, password, role });
+    if (response.status !== 201) {
+      throw new Error(`Registering ${email} failed: ${JSON.stringify(response.data)}`);
+    }
+    return { id: response.data.user.id, token: response.data.token, ...response.data };
+  };
+
+  const stop = () => new Promise((resolve) => {
+    child.removeAllListeners('exit');
+    child.on('exit', () => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      resolve();
+    });
+    child.kill('SIGTERM');
+    setTimeout(() => child.kill('SIGKILL'), 3000).unref();
+  });
+
+  return { api, query, register, stop };
+};
+
+// Extracts the token query parameter from the newest email with the given subject
+const getEmailToken = async (server, subject) => {
+  const [email] = await server.query(
+    'SELECT text_body FROM email_outbox WHERE subject = ? ORDER BY id DESC LIMIT 1',
+    [subject]
+  );
+  const match = email && email.text_body.match(/token=([A-Za-z0-9_.-]+)/);
+  return match ? match[1] : null;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { startServer, getEmailToken, wait, JWT_SECRET };
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+import { toLocalInputValue, fromLocalInputValue } from '../utils/dates';
+
+const emptyAssignmentForm = { title: '', instructions: '', due_at: '', max_points: 100, category_id: '' };
+
+const AssignmentEditor = ({ lesson, onClose }) => {
+  const [assignments, setAssignments] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [assignmentForm, setAssignmentForm] = useState(null);
+  const [editingAssignment, setEditingAssignment] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadAssignments = useCallback(async () => {
+    setError('');
+    try {
+      setAssignments(await api.getLessonAssignments(lesson.id));
+    } catch (err) {
+      setError(err.message || 'Failed to load assignments');
+    }
+  }, [lesson.id]);
+
+  useEffect(() => {
+    loadAssignments();
+  }, [loadAssignments]);
+
+  useEffect(() => {
+    api.getGradeCategories(lesson.course_id)
+      .then(setCategories)
+      .catch(() => setCategories([]));
+  }, [lesson.course_id]);
+
+  const handleCreateAssignment = () => {
+    setAssignmentForm(emptyAssignmentForm);
+    setEditingAssignment(null);
+  };
+
+  const handleEditAssignment = (assignment) => {
+    setAssignmentForm({
+      title: assignment.title || '',
+      instructions: assignment.instructions || '',
+      due_at: toLocalInputValue(assignment.due_at),
+      max_points: assignment.max_points,
+      category_id: assignment.category_id || '',
+    });
+    setEditingAssignment(assignment);
+  };
+
+  const handleDeleteAssignment = async (assignmentId) => {
+    if (!window.confirm('Are you sure you want to delete this assignment and all its submissions?')) return;
+    try {
+      await api.deleteAssignment(assignmentId);
+      await loadAssignments();
+    } catch (err) {
+      setError(err.message || 'Failed to delete assignment');
+    }
+  };
+
+  const handleAssignmentSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    const payload = {
+      title: assignmentForm.title,
+      instructions: assignmentForm.instructions,
+      due_at: fromLocalInputValue(assignmentForm.due_at),
+      max_points: parseInt(assignmentForm.max_points) || 0,
+      category_id: parseInt(assignmentForm.category_id) || null,
+    };
+    try {
+      if (editingAssignment) {
+        await api.updateAssignment(editingAssignment.id, payload);
+      } else {
+        await api.createAssignment(lesson.id, payload);
+      }
+      setAssignmentForm(null);
+      await loadAssignments();
+    } catch (err) {
+      setError(err.message || 'Failed to save assignment');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Assignments: {lesson.title}</h3>
+        {error && <div className="error-message">{error}</div>}
+
+        {assignmentForm ? (
+          <form onSubmit={handleAssignmentSubmit}>
+            <div className="form-group">
+              <label>Title</label>
+              <input
+                type="text"
+                value={assignmentForm.title}
+                onChange={(e) => setAssignmentForm({ ...assignmentForm, title: e.target.value })}
+                maxLength={200}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Instructions</label>
+              <textarea
+                value={assignmentForm.instructions}
+                onChange={(e) => setAssignmentForm({ ...assignmentForm, instructions: e.target.value })}
+                maxLength={20000}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Due date (optional)</label>
+              <input
+                type="datetime-local"
+                value={assignmentForm.due_at}
+                onChange={(e) => setAssignmentForm({ ...assignmentForm, due_at: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Max points</label>
+              <input
+                type="number"
+                value={assignmentForm.max_points}
+                onChange={(e) => setAssignmentForm({ ...assignmentForm, max_points: e.target.value })}
+                min="1"
+                max="1000"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Gradebook category</label>
+              <select
+                value={assignmentForm.category_id}
+                onChange={(e) => setAssignmentForm({ ...assignmentForm, category_id: e.target.value })}
+              >
+                <option value="">Uncategorized</option>
+                {categories.map((category) => (
+                  <option key={category.id} value={category.id}>
+                    {category.name} ({category.weight}%)
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setAssignmentForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary">
+                {editingAssignment ? 'Update Assignment' : 'Create Assignment'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <button className="btn btn-primary" onClick={handleCreateAssignment} style={{ marginBottom: '20px' }}>
+              Add Assignment
+            </button>
+            {assignments.length > 0 ? (
+              <div className="lesson-list">
+                {assignments.map((assignment) => (
+                  <div key={assignment.id} className="lesson-item">
+                    <div className="lesson-info">
+                      <h5>{assignment.title}</h5>
+                      <p>
+                        {assignment.max_points} points
+                        {assignment.due_at && ` · Due ${new Date(assignment.due_at).toLocaleString()}`}
+                      </p>
+                    </div>
+                    <div className="lesson-actions">
+                      <button className="btn btn-secondary" onClick={() => handleEditAssignment(assignment)}>
+                        Edit
+                      </button>
+                      <button className="btn btn-danger" onClick={() => handleDeleteAssignment(assignment.id)}>
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="empty-state">
+                <p>No assignments yet</p>
+              </div>
+            )}
+            <div className="modal-actions">
+              <button className="btn btn-secondary" onClick={onClose}>
+                Close
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssignmentEditor;
@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+import {
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES,
+  ALLOWED_ATTACHMENT_TYPES,
+  readFileAsBase64,
+  saveBlob,
+  formatBytes,
+} from '../utils/files';
+
+const AssignmentPanel = ({ lessonId }) => {
+  const [assignments, setAssignments] = useState([]);
+  const [activeAssignment, setActiveAssignment] = useState(null);
+  const [submission, setSubmission] = useState(null);
+  const [textContent, setTextContent] = useState('');
+  const [files, setFiles] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadAssignments = useCallback(async () => {
+    setError('');
+    try {
+      setAssignments(await api.getLessonAssignments(lessonId));
+    } catch (err) {
+      setError(err.message || 'Failed to load assignments');
+    }
+  }, [lessonId]);
+
+  useEffect(() => {
+    setActiveAssignment(null);
+    loadAssignments();
+  }, [loadAssignments]);
+
+  const handleOpenAssignment = async (assignment) => {
+    setError('');
+    try {
+      const existing = await api.getMySubmission(assignment.id);
+      setSubmission(existing);
+      setTextContent(existing?.text_content || '');
+      setFiles([]);
+      setActiveAssignment(assignment);
+    } catch (err) {
+      setError(err.message || 'Failed to load submission');
+    }
+  };
+
+  const handleFileChange = (e) => {
+    setError('');
+    const selected = Array.from(e.target.files || []);
+    if (selected.length > MAX_ATTACHMENTS) {
+      setError(`You can attach at most ${MAX_ATTACHMENTS} files`);
+      return;
+    }
+    const invalid = selected.find(
+      file => !ALLOWED_ATTACHMENT_TYPES.includes(file.type) || file.size === 0 || file.size > MAX_ATTACHMENT_BYTES
+    );
+    if (invalid) {
+      setError(`${invalid.name} must be a PDF, ZIP, DOCX, text or image file up to ${formatBytes(MAX_ATTACHMENT_BYTES)}`);
+      return;
+    }
+    setFiles(selected);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      const attachments = await Promise.all(files.map(async (file) => ({
+        filename: file.name,
+        mime_type: file.type,
+        data: await readFileAsBase64(file),
+      })));
+      const saved = await api.submitAssignment(activeAssignment.id, {
+        text_content: textContent.trim() || null,
+        attachments,
+      });
+      setSubmission(saved);
+      setFiles([]);
+      await loadAssignments();
+    } catch (err) {
+      setError(err.message || 'Failed to submit assignment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await api.downloadAttachment(submission.id, attachment.id);
+      saveBlob(blob, attachment.filename);
+    } catch (err) {
+      setError(err.message || 'Failed to download attachment');
+    }
+  };
+
+  if (assignments.length === 0 && !error) {
+    return null;
+  }
+
+  const isGraded = !!submission?.grade;
+
+  return (
+    <div className="quiz-panel">
+      <h4>Assignments</h4>
+      {error && <div className="error-message">{error}</div>}
+
+      {!activeAssignment && assignments.map((assignment) => (
+        <div key={assignment.id} className="quiz-summary">
+          <div className="lesson-info">
+            <h5>{assignment.title}</h5>
+            <p>
+              {assignment.max_points} points
+              {assignment.due_at && ` · Due ${new Date(assignment.due_at).toLocaleString()}`}
+              {assignment.grade_points !== null
+                ? ` · Graded ${assignment.grade_points}/${assignment.max_points}`
+                : assignment.submission_id ? ' · Submitted' : ''}
+            </p>
+          </div>
+          <button className="btn btn-secondary" onClick={() => handleOpenAssignment(assignment)}>
+            {assignment.submission_id ? 'View Submission' : 'Open'}
+          </button>
+        </div>
+      ))}
+
+      {activeAssignment && (
+        <div>
+          <h5>{activeAssignment.title}</h5>
+          <p className="quiz-description">
+            {activeAssignment.max_points} points
+            {activeAssignment.due_at && ` · Due ${new Date(activeAssignment.due_at).toLocaleString()}`}
+          </p>
+          <div className="assignment-instructions">{activeAssignment.instructions}</div>
+
+          {submission && (
+            <div className="submission-status">
+              <p>
+                Submitted {new Date(submission.submitted_at).toLocaleString()}
+                {submission.is_late ? ' (late)' : ''}
+              </p>
+              {submission.attachments.map((attachment) => (
+                <button
+                  key={attachment.id}
+                  type="button"
+                  className="btn btn-secondary attachment-link"
+                  onClick={() => handleDownload(attachment)}
+                >
+                  {attachment.filename} ({formatBytes(attachment.size_bytes)})
+                </button>
+              ))}
+              {isGraded && (
+                <div className="success-message">
+                  Grade: {submission.grade.points} / {submission.max_points}
+                  {submission.grade.feedback && (
+                    <div className="grade-feedback">{submission.grade.feedback}</div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {!isGraded && (
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label>Your answer</label>
+                <textarea
+                  value={textContent}
+                  onChange={(e) => setTextContent(e.target.value)}
+                  maxLength={50000}
+                />
+              </div>
+              <div className="form-group">
+                <label>Attachments (up to {MAX_ATTACHMENTS} files, {formatBytes(MAX_ATTACHMENT_BYTES)} each)</label>
+                <input
+                  type="file"
+                  multiple
+                  accept={ALLOWED_ATTACHMENT_TYPES.join(',')}
+                  onChange={handleFileChange}
+                />
+                {submission && submission.attachments.length > 0 && (
+                  <p className="quiz-description">Resubmitting replaces your previous attachments.</p>
+                )}
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setActiveAssignment(null)}>
+                  Back to Assignments
+                </button>
+                <button type="submit" className="btn btn-primary" disabled={submitting}>
+                  {submitting ? 'Submitting...' : submission ? 'Resubmit' : 'Submit'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {isGraded && (
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setActiveAssignment(null)}>
+                Back to Assignments
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssignmentPanel;
@@ -0,0 +1,79 @@
+import React from 'react';
+
+export const LEVEL_LABELS = {
+  beginner: 'Beginner',
+  intermediate: 'Intermediate',
+  advanced: 'Advanced',
+};
+
+export const emptyCatalogFilters = { category: '', tag: '', level: '', language: '', instructor: '', sort: 'newest' };
+
+const SORT_LABELS = {
+  newest: 'Newest',
+  popular: 'Most enrolled',
+  rating: 'Top rated',
+  title: 'Title (A–Z)',
+  oldest: 'Oldest',
+};
+
+const CatalogFilters = ({ filters, facets, onChange }) => {
+  const setFilter = (key, value) => onChange({ ...filters, [key]: value });
+  const hasFilters = Object.keys(emptyCatalogFilters).some(key => filters[key] !== emptyCatalogFilters[key]);
+
+  return (
+    <div className="catalog-filters">
+      <select value={filters.category} onChange={(e) => setFilter('category', e.target.value)}>
+        <option value="">All categories</option>
+        {facets.categories.map((category) => (
+          <option key={category.id} value={category.id}>
+            {category.name} ({category.count})
+          </option>
+        ))}
+      </select>
+      <select value={filters.level} onChange={(e) => setFilter('level', e.target.value)}>
+        <option value="">All levels</option>
+        {facets.levels.map((level) => (
+          <option key={level.level} value={level.level}>
+            {LEVEL_LABELS[level.level] || level.level} ({level.count})
+          </option>
+        ))}
+      </select>
+      <select value={filters.language} onChange={(e) => setFilter('language', e.target.value)}>
+        <option value="">All languages</option>
+        {facets.languages.map((language) => (
+          <option key={language.language} value={language.language}>
+            {language.language} ({language.count})
+          </option>
+        ))}
+      </select>
+      <select value={filters.instructor} onChange={(e) => setFilter('instructor', e.target.value)}>
+        <option value="">All instructors</option>
+        {facets.instructors.map((instructor) => (
+          <option key={instructor.id} value={instructor.id}>
+            {instructor.email} ({instructor.count})
+          </option>
+        ))}
+      </select>
+      <select value={filters.tag} onChange={(e) => setFilter('tag', e.target.value)}>
+        <option value="">All tags</option>
+        {facets.tags.map((tag) => (
+          <option key={tag.tag} value={tag.tag}>
+            #{tag.tag} ({tag.count})
+          </option>
+        ))}
+      </select>
+      <select value={filters.sort} onChange={(e) => setFilter('sort', e.target.value)}>
+        {Object.entries(SORT_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>Sort: {label}</option>
+        ))}
+      </select>
+      {hasFilters && (
+        <button className="btn btn-secondary" onClick={() => onChange(emptyCatalogFilters)}>
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CatalogFilters;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { api } from '../utils/api';
+import { getNewPasswordError } from '../utils/auth';
+
+const ChangePasswordModal = ({ onClose }) => {
+  const { login } = useAuth();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!currentPassword) {
+      setError('Current password is required');
+      return;
+    }
+    const passwordError = getNewPasswordError(newPassword, confirmPassword);
+    if (passwordError) {
+      setError(passwordError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      // Every other session is signed out; the response carries new tokens for this one
+      const response = await api.changePassword({ current_password: currentPassword, new_password: newPassword });
+      login(response.user, response.token, response.refresh_token);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to change password');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Change Password</h3>
+        {error && <div className="error-message">{error}</div>}
+        <form onSubmit={handleSubmit}>
+          <p className="quiz-description">You will be signed out on all other devices.</p>
+          <div className="form-group">
+            <label htmlFor="currentPassword">Current Password</label>
+            <input
+              id="currentPassword"
+              type="password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              maxLength={128}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="newPassword">New Password</label>
+            <input
+              id="newPassword"
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              maxLength={128}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="confirmNewPassword">Confirm New Password</label>
+            <input
+              id="confirmNewPassword"
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              maxLength={128}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Change Password'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePasswordModal;
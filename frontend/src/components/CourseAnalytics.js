@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+import { formatDuration } from '../utils/dates';
+
+const RANGE_OPTIONS = [
+  { label: 'Last 4 weeks', days: 28, interval: 'day' },
+  { label: 'Last 3 months', days: 90, interval: 'week' },
+  { label: 'Last 12 months', days: 365, interval: 'week' },
+];
+
+const formatPeriod = (periodStart) =>
+  new Date(`${periodStart}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const StatCard = ({ label, value }) => (
+  <div className="analytics-stat">
+    <span className="analytics-stat-value">{value}</span>
+    <span className="analytics-stat-label">{label}</span>
+  </div>
+);
+
+// Enrollments and course completions per period as paired vertical bars
+const EnrollmentChart = ({ periods }) => {
+  const max = Math.max(1, ...periods.map(p => Math.max(p.enrollments, p.completions)));
+  const labelEvery = Math.ceil(periods.length / 8);
+
+  return (
+    <div className="analytics-chart">
+      <div className="analytics-bars">
+        {periods.map((period) => (
+          <div
+            key={period.period_start}
+            className="analytics-bar-group"
+            title={`${formatPeriod(period.period_start)}: ${period.enrollments} enrolled, ${period.completions} completed`}
+          >
+            <div className="analytics-bar enrollments" style={{ height: `${(period.enrollments / max) * 100}%` }} />
+            <div className="analytics-bar completions" style={{ height: `${(period.completions / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="analytics-axis">
+        {periods.map((period, index) => (
+          <span key={period.period_start}>{index % labelEvery === 0 ? formatPeriod(period.period_start) : ''}</span>
+        ))}
+      </div>
+      <div className="analytics-legend">
+        <span><span className="analytics-swatch enrollments" /> Enrollments</span>
+        <span><span className="analytics-swatch completions" /> Course completions</span>
+      </div>
+    </div>
+  );
+};
+
+const CompletionFunnel = ({ funnel }) => {
+  const maxStopped = Math.max(0, ...funnel.map(lesson => lesson.stopped));
+
+  return (
+    <div className="analytics-funnel">
+      {funnel.map((lesson, index) => (
+        <div key={lesson.lesson_id} className="analytics-funnel-row">
+          <div className="analytics-funnel-label">
+            {index + 1}. {lesson.title}
+            {lesson.section_title && <span className="gradebook-item-meta">{lesson.section_title}</span>}
+          </div>
+          <div className="progress-bar">
+            <div className="progress-fill" style={{ width: `${lesson.completion_rate}%` }}>
+              {lesson.completion_rate > 0 && `${lesson.completion_rate}%`}
+            </div>
+          </div>
+          <div className={`analytics-funnel-stopped ${lesson.stopped > 0 && lesson.stopped === maxStopped ? 'highest' : ''}`}>
+            {lesson.completed} completed · {lesson.stopped} stopped here
+            {lesson.average_seconds !== null && ` · avg ${formatDuration(lesson.average_seconds)}`}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const CourseAnalytics = ({ courses }) => {
+  const [selectedCourseId, setSelectedCourseId] = useState(null);
+  const [range, setRange] = useState(RANGE_OPTIONS[1]);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // Defaults to the first course, which may arrive after this tab is opened
+  const courseId = selectedCourseId || courses[0]?.id;
+
+  const loadAnalytics = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setAnalytics(await api.getCourseAnalytics(courseId, { interval: range.interval, days: range.days }));
+    } catch (err) {
+      setError(err.message || 'Failed to load analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [courseId, range]);
+
+  useEffect(() => {
+    if (courseId) {
+      loadAnalytics();
+    }
+  }, [courseId, loadAnalytics]);
+
+  if (courses.length === 0) {
+    return (
+      <div className="empty-state">
+        <h4>No courses yet</h4>
+        <p>Create a course to see how it performs</p>
+      </div>
+    );
+  }
+
+  const { summary } = analytics || {};
+
+  return (
+    <div className="section">
+      <div className="catalog-filters">
+        <select value={courseId} onChange={(e) => setSelectedCourseId(parseInt(e.target.value))}>
+          {courses.map((course) => (
+            <option key={course.id} value={course.id}>{course.title}</option>
+          ))}
+        </select>
+        <select
+          value={range.days}
+          onChange={(e) => setRange(RANGE_OPTIONS.find(option => option.days === parseInt(e.target.value)))}
+        >
+          {RANGE_OPTIONS.map((option) => (
+            <option key={option.days} value={option.days}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading && !analytics ? (
+        <div className="loading">Loading analytics...</div>
+      ) : analytics && (
+        <>
+          <div className="analytics-stats">
+            <StatCard label="Enrolled students" value={summary.enrollments} />
+            <StatCard label="Completion rate" value={`${summary.completion_rate}%`} />
+            <StatCard
+              label="Median time to complete"
+              value={summary.median_days_to_complete === null ? '—' : `${summary.median_days_to_complete} days`}
+            />
+            <StatCard label={`Active in last ${analytics.active_window_days} days`} value={summary.active_students} />
+            <StatCard label="Not started" value={summary.not_started} />
+          </div>
+
+          <h3>Enrollments over time</h3>
+          <EnrollmentChart periods={analytics.enrollments_over_time} />
+
+          <h3>Completion funnel</h3>
+          {analytics.funnel.length === 0 ? (
+            <p className="quiz-description">Publish lessons to see where students stop.</p>
+          ) : (
+            <CompletionFunnel funnel={analytics.funnel} />
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CourseAnalytics;
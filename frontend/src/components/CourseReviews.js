@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+
+const emptyReviewForm = { rating: 5, body: '' };
+
+export const RatingSummary = ({ average, count }) => (
+  <span className="rating-summary">
+    {count > 0 ? `★ ${average.toFixed(1)} (${count} ${count === 1 ? 'rating' : 'ratings'})` : 'No ratings yet'}
+  </span>
+);
+
+const Stars = ({ rating }) => (
+  <span className="review-stars" aria-label={`${rating} out of 5`}>
+    {'★'.repeat(rating)}{'☆'.repeat(5 - rating)}
+  </span>
+);
+
+// Students who are enrolled can write one review; the course owner can reply to each review
+const CourseReviews = ({ courseId, isOwner, canReview }) => {
+  const [data, setData] = useState(null);
+  const [reviewForm, setReviewForm] = useState(null);
+  const [replyForms, setReplyForms] = useState({});
+  const [error, setError] = useState('');
+
+  const loadReviews = useCallback(async () => {
+    setError('');
+    try {
+      setData(await api.getCourseReviews(courseId));
+    } catch (err) {
+      setError(err.message || 'Failed to load reviews');
+    }
+  }, [courseId]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleEditReview = () => {
+    setReviewForm(data.my_review
+      ? { rating: data.my_review.rating, body: data.my_review.body || '' }
+      : emptyReviewForm);
+  };
+
+  const handleReviewSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    const payload = { rating: parseInt(reviewForm.rating), body: reviewForm.body.trim() || null };
+    try {
+      if (data.my_review) {
+        await api.updateReview(data.my_review.id, payload);
+      } else {
+        await api.createReview(courseId, payload);
+      }
+      setReviewForm(null);
+      await loadReviews();
+    } catch (err) {
+      setError(err.message || 'Failed to save review');
+    }
+  };
+
+  const handleDeleteReview = async () => {
+    if (!window.confirm('Delete your review?')) return;
+    try {
+      await api.deleteReview(data.my_review.id);
+      await loadReviews();
+    } catch (err) {
+      setError(err.message || 'Failed to delete review');
+    }
+  };
+
+  const handleReplySubmit = async (e, reviewId) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await api.replyToReview(reviewId, replyForms[reviewId].trim() || null);
+      setReplyForms({ ...replyForms, [reviewId]: undefined });
+      await loadReviews();
+    } catch (err) {
+      setError(err.message || 'Failed to save reply');
+    }
+  };
+
+  if (!data) {
+    return error ? <div className="error-message">{error}</div> : null;
+  }
+
+  return (
+    <div className="course-reviews">
+      {error && <div className="error-message">{error}</div>}
+      <p>
+        <RatingSummary average={data.summary.average_rating} count={data.summary.rating_count} />
+      </p>
+
+      {canReview && (reviewForm ? (
+        <form onSubmit={handleReviewSubmit}>
+          <div className="form-group">
+            <label>Rating</label>
+            <select
+              value={reviewForm.rating}
+              onChange={(e) => setReviewForm({ ...reviewForm, rating: e.target.value })}
+            >
+              {[5, 4, 3, 2, 1].map((rating) => (
+                <option key={rating} value={rating}>{'★'.repeat(rating)} ({rating})</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Review (optional)</label>
+            <textarea
+              value={reviewForm.body}
+              onChange={(e) => setReviewForm({ ...reviewForm, body: e.target.value })}
+              maxLength={5000}
+            />
+          </div>
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setReviewForm(null)}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary">
+              {data.my_review ? 'Update Review' : 'Post Review'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="course-actions">
+          <button className="btn btn-primary" onClick={handleEditReview}>
+            {data.my_review ? 'Edit Your Review' : 'Write a Review'}
+          </button>
+          {data.my_review && (
+            <button className="btn btn-danger" onClick={handleDeleteReview}>
+              Delete Review
+            </button>
+          )}
+        </div>
+      ))}
+
+      {data.reviews.length === 0 ? (
+        <p className="quiz-description">No reviews yet</p>
+      ) : (
+        <div className="lesson-list">
+          {data.reviews.map((review) => (
+            <div key={review.id} className="review-item">
+              <div className="review-header">
+                <Stars rating={review.rating} />
+                <span className="progress-text">
+                  {review.student_email} · {new Date(review.updated_at).toLocaleDateString()}
+                </span>
+              </div>
+              {review.body && <p className="review-body">{review.body}</p>}
+              {review.instructor_reply && replyForms[review.id] === undefined && (
+                <div className="review-reply">
+                  <strong>Instructor reply:</strong> {review.instructor_reply}
+                </div>
+              )}
+              {isOwner && (replyForms[review.id] !== undefined ? (
+                <form onSubmit={(e) => handleReplySubmit(e, review.id)}>
+                  <div className="form-group">
+                    <textarea
+                      value={replyForms[review.id]}
+                      onChange={(e) => setReplyForms({ ...replyForms, [review.id]: e.target.value })}
+                      placeholder="Leave empty to remove your reply"
+                      maxLength={5000}
+                    />
+                  </div>
+                  <div className="modal-actions">
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={() => setReplyForms({ ...replyForms, [review.id]: undefined })}
+                    >
+                      Cancel
+                    </button>
+                    <button type="submit" className="btn btn-primary">Save Reply</button>
+                  </div>
+                </form>
+              ) : (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => setReplyForms({ ...replyForms, [review.id]: review.instructor_reply || '' })}
+                >
+                  {review.instructor_reply ? 'Edit Reply' : 'Reply'}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CourseReviews;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { api } from '../utils/api';
+import { sanitizeHighlight } from '../utils/markdown';
+
+const CourseSearch = ({ enrolledCourseIds, onEnroll }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) {
+      setResults(null);
+      return;
+    }
+    setSearching(true);
+    setError('');
+    try {
+      setResults(await api.search(query.trim()));
+    } catch (err) {
+      setError(err.message || 'Search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleOpenResult = (result) => {
+    const lessonParam = result.lesson_id ? `?lesson=${result.lesson_id}` : '';
+    navigate(`/student/course/${result.course_id}${lessonParam}`);
+  };
+
+  return (
+    <div className="section">
+      <form className="search-bar" onSubmit={handleSearch}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search courses and lessons"
+          maxLength={200}
+        />
+        <button type="submit" className="btn btn-primary" disabled={searching}>
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+      {error && <div className="error-message">{error}</div>}
+      {results && (
+        results.length === 0 ? (
+          <p className="quiz-description">No matches found</p>
+        ) : (
+          <div className="lesson-list search-results">
+            {results.map((result) => (
+              <div key={`${result.type}-${result.lesson_id || result.course_id}`} className="lesson-item">
+                <div className="lesson-info">
+                  <h5>
+                    {result.locked && '🔒 '}
+                    <span dangerouslySetInnerHTML={{ __html: sanitizeHighlight(result.title) }} />
+                  </h5>
+                  <p>{result.type === 'lesson' ? `Lesson in ${result.course_title}` : 'Course'}</p>
+                  {result.snippet && (
+                    <p
+                      className="search-snippet"
+                      dangerouslySetInnerHTML={{ __html: sanitizeHighlight(result.snippet) }}
+                    />
+                  )}
+                </div>
+                <div className="lesson-actions">
+                  {enrolledCourseIds.has(result.course_id) ? (
+                    <button className="btn btn-secondary" onClick={() => handleOpenResult(result)}>
+                      {result.type === 'lesson' ? 'Go to Lesson' : 'View Course'}
+                    </button>
+                  ) : (
+                    <button className="btn btn-primary" onClick={() => onEnroll(result.course_id)}>
+                      Enroll
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default CourseSearch;
@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { api } from '../utils/api';
+
+const emptyThreadForm = { title: '', body: '' };
+
+const AuthorLabel = ({ item }) => (
+  <span className="discussion-author">
+    {item.author_email}
+    {item.author_role === 'instructor' && <span className="status-badge discussion-instructor">Instructor</span>}
+    {' · '}{new Date(item.created_at).toLocaleString()}
+    {item.updated_at !== item.created_at && ' (edited)'}
+  </span>
+);
+
+const DiscussionPanel = ({ lessonId, isModerator = false }) => {
+  const { user } = useAuth();
+  const [threads, setThreads] = useState([]);
+  const [activeThread, setActiveThread] = useState(null);
+  const [threadForm, setThreadForm] = useState(null);
+  const [replyTo, setReplyTo] = useState(null);
+  const [replyBody, setReplyBody] = useState('');
+  const [editingPostId, setEditingPostId] = useState(null);
+  const [editBody, setEditBody] = useState('');
+  const [error, setError] = useState('');
+
+  const loadThreads = useCallback(async () => {
+    setError('');
+    try {
+      setThreads(await api.getLessonThreads(lessonId));
+    } catch (err) {
+      setError(err.message || 'Failed to load discussions');
+    }
+  }, [lessonId]);
+
+  useEffect(() => {
+    setActiveThread(null);
+    setThreadForm(null);
+    loadThreads();
+  }, [loadThreads]);
+
+  const openThread = async (threadId) => {
+    setError('');
+    try {
+      setActiveThread(await api.getThread(threadId));
+      setReplyTo(null);
+      setEditingPostId(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load discussion');
+    }
+  };
+
+  const handleBack = async () => {
+    setActiveThread(null);
+    await loadThreads();
+  };
+
+  const handleThreadSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const thread = threadForm.id
+        ? await api.updateThread(threadForm.id, { title: threadForm.title, body: threadForm.body })
+        : await api.createThread(lessonId, { title: threadForm.title, body: threadForm.body });
+      setThreadForm(null);
+      setActiveThread(thread);
+    } catch (err) {
+      setError(err.message || 'Failed to save discussion');
+    }
+  };
+
+  const handleDeleteThread = async () => {
+    if (!window.confirm('Delete this discussion and all its replies?')) return;
+    try {
+      await api.deleteThread(activeThread.id);
+      await handleBack();
+    } catch (err) {
+      setError(err.message || 'Failed to delete discussion');
+    }
+  };
+
+  const handleModerate = async (changes) => {
+    setError('');
+    try {
+      setActiveThread(await api.moderateThread(activeThread.id, changes));
+    } catch (err) {
+      setError(err.message || 'Failed to update discussion');
+    }
+  };
+
+  const handleReplySubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await api.createPost(activeThread.id, { body: replyBody, parent_post_id: replyTo || null });
+      setReplyTo(null);
+      setReplyBody('');
+      await openThread(activeThread.id);
+    } catch (err) {
+      setError(err.message || 'Failed to post reply');
+    }
+  };
+
+  const handleEditSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await api.updatePost(editingPostId, { body: editBody });
+      await openThread(activeThread.id);
+    } catch (err) {
+      setError(err.message || 'Failed to update reply');
+    }
+  };
+
+  const handleDeletePost = async (postId) => {
+    if (!window.confirm('Delete this reply?')) return;
+    try {
+      await api.deletePost(postId);
+      await openThread(activeThread.id);
+    } catch (err) {
+      setError(err.message || 'Failed to delete reply');
+    }
+  };
+
+  const renderReplyForm = (parentPostId) => (
+    <form onSubmit={handleReplySubmit} className="discussion-reply-form">
+      <textarea
+        value={replyBody}
+        onChange={(e) => setReplyBody(e.target.value)}
+        placeholder="Write a reply..."
+        maxLength={10000}
+        required
+      />
+      <div className="modal-actions">
+        {parentPostId && (
+          <button type="button" className="btn btn-secondary" onClick={() => setReplyTo(null)}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="btn btn-primary">Reply</button>
+      </div>
+    </form>
+  );
+
+  const renderPost = (post, childrenByParent) => {
+    const canReply = !activeThread.locked || isModerator;
+    const isAnswer = activeThread.answer_post_id === post.id;
+    return (
+      <div key={post.id} className={`discussion-post ${isAnswer ? 'discussion-answer' : ''}`}>
+        <AuthorLabel item={post} />
+        {isAnswer && <span className="status-badge discussion-answer-badge">✓ Answer</span>}
+        {post.deleted_at ? (
+          <p className="quiz-description">This reply was deleted.</p>
+        ) : editingPostId === post.id ? (
+          <form onSubmit={handleEditSubmit}>
+            <textarea value={editBody} onChange={(e) => setEditBody(e.target.value)} maxLength={10000} required />
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setEditingPostId(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary">Save</button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <p className="discussion-body">{post.body}</p>
+            <div className="discussion-actions">
+              {canReply && (
+                <button className="btn btn-secondary" onClick={() => { setReplyTo(post.id); setReplyBody(''); }}>
+                  Reply
+                </button>
+              )}
+              {post.author_id === user?.id && canReply && (
+                <button className="btn btn-secondary" onClick={() => { setEditingPostId(post.id); setEditBody(post.body); }}>
+                  Edit
+                </button>
+              )}
+              {post.author_id === user?.id && (
+                <button className="btn btn-danger" onClick={() => handleDeletePost(post.id)}>
+                  Delete
+                </button>
+              )}
+              {isModerator && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleModerate({ answer_post_id: isAnswer ? null : post.id })}
+                >
+                  {isAnswer ? 'Unmark Answer' : 'Mark as Answer'}
+                </button>
+              )}
+            </div>
+          </>
+        )}
+        {replyTo === post.id && renderReplyForm(post.id)}
+        {(childrenByParent.get(post.id) || []).length > 0 && (
+          <div className="discussion-replies">
+            {childrenByParent.get(post.id).map(child => renderPost(child, childrenByParent))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  if (threadForm) {
+    return (
+      <div className="discussion-panel">
+        <h4>{threadForm.id ? 'Edit Discussion' : 'Start a Discussion'}</h4>
+        {error && <div className="error-message">{error}</div>}
+        <form onSubmit={handleThreadSubmit}>
+          <div className="form-group">
+            <label>Title</label>
+            <input
+              type="text"
+              value={threadForm.title}
+              onChange={(e) => setThreadForm({ ...threadForm, title: e.target.value })}
+              maxLength={200}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Message</label>
+            <textarea
+              value={threadForm.body}
+              onChange={(e) => setThreadForm({ ...threadForm, body: e.target.value })}
+              maxLength={10000}
+              required
+            />
+          </div>
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setThreadForm(null)}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary">
+              {threadForm.id ? 'Save' : 'Post'}
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
+  if (activeThread) {
+    const childrenByParent = new Map();
+    activeThread.posts.forEach((post) => {
+      const key = post.parent_post_id || null;
+      childrenByParent.set(key, [...(childrenByParent.get(key) || []), post]);
+    });
+    const isAuthor = activeThread.author_id === user?.id;
+
+    return (
+      <div className="discussion-panel">
+        <button className="btn btn-secondary" onClick={handleBack}>
+          ← All Discussions
+        </button>
+        {error && <div className="error-message">{error}</div>}
+        <h4>
+          {activeThread.pinned ? '📌 ' : ''}{activeThread.title}
+          {activeThread.locked ? ' 🔒' : ''}
+        </h4>
+        <AuthorLabel item={activeThread} />
+        <p className="discussion-body">{activeThread.body}</p>
+        <div className="discussion-actions">
+          {isAuthor && (!activeThread.locked || isModerator) && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => setThreadForm({ id: activeThread.id, title: activeThread.title, body: activeThread.body })}
+            >
+              Edit
+            </button>
+          )}
+          {isAuthor && (
+            <button className="btn btn-danger" onClick={handleDeleteThread}>
+              Delete
+            </button>
+          )}
+          {isModerator && (
+            <>
+              <button className="btn btn-secondary" onClick={() => handleModerate({ pinned: !activeThread.pinned })}>
+                {activeThread.pinned ? 'Unpin' : 'Pin'}
+              </button>
+              <button className="btn btn-secondary" onClick={() => handleModerate({ locked: !activeThread.locked })}>
+                {activeThread.locked ? 'Unlock' : 'Lock'}
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="discussion-replies">
+          {(childrenByParent.get(null) || []).map(post => renderPost(post, childrenByParent))}
+        </div>
+        {activeThread.locked && !isModerator ? (
+          <p className="quiz-description">🔒 This discussion is locked.</p>
+        ) : (
+          replyTo === null && renderReplyForm(null)
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="discussion-panel">
+      <div className="discussion-header">
+        <h4>Discussion</h4>
+        <button className="btn btn-primary" onClick={() => setThreadForm(emptyThreadForm)}>
+          Start a Discussion
+        </button>
+      </div>
+      {error && <div className="error-message">{error}</div>}
+      {threads.length === 0 ? (
+        <p className="quiz-description">No discussions yet. Ask a question about this lesson.</p>
+      ) : (
+        <div className="lesson-list">
+          {threads.map((thread) => (
+            <div key={thread.id} className="lesson-item clickable" onClick={() => openThread(thread.id)}>
+              <div className="lesson-info">
+                <h5>
+                  {thread.pinned ? '📌 ' : ''}{thread.title}
+                  {thread.locked ? ' 🔒' : ''}
+                  {thread.answer_post_id && <span className="status-badge discussion-answer-badge">✓ Answered</span>}
+                </h5>
+                <p>
+                  {thread.author_email} · {thread.post_count} {thread.post_count === 1 ? 'reply' : 'replies'} · Last
+                  activity {new Date(thread.last_activity_at).toLocaleString()}
+                </p>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiscussionPanel;
@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+
+const EMAIL_CATEGORY_LABELS = {
+  lesson_updates: 'New lessons in courses I am enrolled in',
+  progress_digest: 'Weekly progress summary',
+};
+
+const EmailPreferencesModal = ({ onClose }) => {
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.getEmailPreferences()
+      .then(setPreferences)
+      .catch(err => setError(err.message || 'Failed to load email preferences'));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+    try {
+      await api.updateEmailPreferences(preferences);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save email preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Email Preferences</h3>
+        {error && <div className="error-message">{error}</div>}
+        {preferences && (
+          <form onSubmit={handleSubmit}>
+            <p className="quiz-description">Account emails such as the welcome message are always sent.</p>
+            {Object.entries(EMAIL_CATEGORY_LABELS).map(([category, label]) => (
+              <div key={category} className="form-group">
+                <label className="quiz-option">
+                  <input
+                    type="checkbox"
+                    checked={preferences[category]}
+                    onChange={(e) => setPreferences({ ...preferences, [category]: e.target.checked })}
+                  />
+                  {label}
+                </label>
+              </div>
+            ))}
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailPreferencesModal;
@@ -0,0 +1,39 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+
+const GradeSummary = ({ courseId, refreshKey }) => {
+  const [grades, setGrades] = useState(null);
+
+  useEffect(() => {
+    api.getMyGrades(courseId)
+      .then(setGrades)
+      .catch(() => setGrades(null));
+  }, [courseId, refreshKey]);
+
+  if (!grades || grades.items.length === 0) {
+    return null;
+  }
+
+  const gradedCount = grades.items.filter(item => item.points !== null).length;
+
+  return (
+    <div className="grade-summary">
+      <div className="grade-summary-final">
+        <span className="grade-letter">{grades.letter || '—'}</span>
+        <span>
+          {grades.final_percentage !== null ? `${grades.final_percentage}%` : 'No grades yet'}
+        </span>
+      </div>
+      <div className="progress-text">
+        {gradedCount} of {grades.items.length} graded items
+        {grades.categories.map((category) => (
+          <span key={category.id}>
+            {' · '}{category.name} ({category.weight}%): {category.percentage !== null ? `${category.percentage}%` : '—'}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GradeSummary;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+
+const emptyCategoryForm = { name: '', weight: 0 };
+
+const formatPercentage = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+const Gradebook = ({ course, onClose }) => {
+  const [gradebook, setGradebook] = useState(null);
+  const [categoryForm, setCategoryForm] = useState(null);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadGradebook = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setGradebook(await api.getGradebook(course.id));
+    } catch (err) {
+      setError(err.message || 'Failed to load gradebook');
+    } finally {
+      setLoading(false);
+    }
+  }, [course.id]);
+
+  useEffect(() => {
+    loadGradebook();
+  }, [loadGradebook]);
+
+  const handleCreateCategory = () => {
+    setCategoryForm(emptyCategoryForm);
+    setEditingCategory(null);
+  };
+
+  const handleEditCategory = (category) => {
+    setCategoryForm({ name: category.name, weight: category.weight });
+    setEditingCategory(category);
+  };
+
+  const handleDeleteCategory = async (categoryId) => {
+    if (!window.confirm('Delete this category? Its quizzes and assignments become uncategorized.')) return;
+    try {
+      await api.deleteGradeCategory(categoryId);
+      await loadGradebook();
+    } catch (err) {
+      setError(err.message || 'Failed to delete category');
+    }
+  };
+
+  const handleCategorySubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    const payload = { name: categoryForm.name, weight: parseInt(categoryForm.weight) || 0 };
+    try {
+      if (editingCategory) {
+        await api.updateGradeCategory(editingCategory.id, payload);
+      } else {
+        await api.createGradeCategory(course.id, payload);
+      }
+      setCategoryForm(null);
+      await loadGradebook();
+    } catch (err) {
+      setError(err.message || 'Failed to save category');
+    }
+  };
+
+  const categoryName = (categoryId) => {
+    const category = gradebook.categories.find(c => c.id === categoryId);
+    return category ? category.name : 'Uncategorized';
+  };
+
+  const totalWeight = gradebook ? gradebook.categories.reduce((total, c) => total + c.weight, 0) : 0;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <h3>Gradebook: {course.title}</h3>
+        {error && <div className="error-message">{error}</div>}
+
+        {loading || !gradebook ? (
+          <div className="loading">Loading gradebook...</div>
+        ) : (
+          <>
+            <h4>Categories</h4>
+            {categoryForm ? (
+              <form onSubmit={handleCategorySubmit}>
+                <div className="form-group">
+                  <label>Name</label>
+                  <input
+                    type="text"
+                    value={categoryForm.name}
+                    onChange={(e) => setCategoryForm({ ...categoryForm, name: e.target.value })}
+                    maxLength={100}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Weight (%)</label>
+                  <input
+                    type="number"
+                    value={categoryForm.weight}
+                    onChange={(e) => setCategoryForm({ ...categoryForm, weight: e.target.value })}
+                    min="0"
+                    max="100"
+                    required
+                  />
+                </div>
+                <div className="modal-actions">
+                  <button type="button" className="btn btn-secondary" onClick={() => setCategoryForm(null)}>
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn btn-primary">
+                    {editingCategory ? 'Update Category' : 'Add Category'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <>
+                {gradebook.categories.length === 0 ? (
+                  <p className="quiz-description">
+                    No categories yet. Final grades use total points earned across all graded items.
+                  </p>
+                ) : (
+                  <div className="lesson-list">
+                    {gradebook.categories.map((category) => (
+                      <div key={category.id} className="lesson-item">
+                        <div className="lesson-info">
+                          <h5>{category.name}</h5>
+                          <p>{category.weight}% of final grade</p>
+                        </div>
+                        <div className="lesson-actions">
+                          <button className="btn btn-secondary" onClick={() => handleEditCategory(category)}>
+                            Edit
+                          </button>
+                          <button className="btn btn-danger" onClick={() => handleDeleteCategory(category.id)}>
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                    {gradebook.uncategorized_weight !== null && (
+                      <p className="quiz-description">
+                        Items without a category count as Uncategorized, weighted {gradebook.uncategorized_weight}%.
+                      </p>
+                    )}
+                    {totalWeight !== 100 && (
+                      <p className="quiz-description">
+                        Weights total {totalWeight}%; final grades are rescaled over categories with grades.
+                      </p>
+                    )}
+                  </div>
+                )}
+                <button className="btn btn-secondary" onClick={handleCreateCategory} style={{ marginBottom: '20px' }}>
+                  Add Category
+                </button>
+              </>
+            )}
+
+            <h4>Grades</h4>
+            {gradebook.students.length === 0 ? (
+              <div className="empty-state">
+                <p>No students enrolled yet</p>
+              </div>
+            ) : (
+              <div className="gradebook-table-wrapper">
+                <table className="gradebook-table">
+                  <thead>
+                    <tr>
+                      <th>Student</th>
+                      {gradebook.items.map((item) => (
+                        <th key={item.key} title={categoryName(item.category_id)}>
+                          {item.title}
+                          <span className="gradebook-item-meta">
+                            {item.type === 'quiz' ? 'Quiz' : 'Assignment'} · {item.max_points} pts
+                          </span>
+                        </th>
+                      ))}
+                      {gradebook.categories.map((category) => (
+                        <th key={`category-${category.id}`}>
+                          {category.name}
+                          <span className="gradebook-item-meta">{category.weight}%</span>
+                        </th>
+                      ))}
+                      {gradebook.uncategorized_weight !== null && (
+                        <th>
+                          Uncategorized
+                          <span className="gradebook-item-meta">{gradebook.uncategorized_weight}%</span>
+                        </th>
+                      )}
+                      <th>Final</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {gradebook.students.map((student) => (
+                      <tr key={student.student_id}>
+                        <td>{student.email}</td>
+                        {gradebook.items.map((item) => (
+                          <td key={item.key}>
+                            {student.scores[item.key] !== undefined ? student.scores[item.key] : '—'}
+                          </td>
+                        ))}
+                        {student.categories.map((category) => (
+                          <td key={`category-${category.id}`}>{formatPercentage(category.percentage)}</td>
+                        ))}
+                        <td className="gradebook-final">
+                          {formatPercentage(student.final_percentage)} {student.letter || ''}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Gradebook;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+import { saveBlob, formatBytes } from '../utils/files';
+
+const STATUS_LABELS = { ungraded: 'Needs grading', graded: 'Graded', all: 'All' };
+
+const GradingQueue = ({ course, onClose }) => {
+  const [status, setStatus] = useState('ungraded');
+  const [submissions, setSubmissions] = useState([]);
+  const [activeSubmission, setActiveSubmission] = useState(null);
+  const [gradeForm, setGradeForm] = useState({ points: '', feedback: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadSubmissions = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setSubmissions(await api.getCourseSubmissions(course.id, status));
+    } catch (err) {
+      setError(err.message || 'Failed to load submissions');
+    } finally {
+      setLoading(false);
+    }
+  }, [course.id, status]);
+
+  useEffect(() => {
+    loadSubmissions();
+  }, [loadSubmissions]);
+
+  const handleOpenSubmission = async (submissionId) => {
+    setError('');
+    try {
+      const submission = await api.getSubmission(submissionId);
+      setGradeForm({
+        points: submission.grade ? submission.grade.points : '',
+        feedback: submission.grade?.feedback || '',
+      });
+      setActiveSubmission(submission);
+    } catch (err) {
+      setError(err.message || 'Failed to load submission');
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await api.downloadAttachment(activeSubmission.id, attachment.id);
+      saveBlob(blob, attachment.filename);
+    } catch (err) {
+      setError(err.message || 'Failed to download attachment');
+    }
+  };
+
+  const handleGradeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await api.gradeSubmission(activeSubmission.id, {
+        points: parseInt(gradeForm.points),
+        feedback: gradeForm.feedback.trim() || null,
+      });
+      setActiveSubmission(null);
+      await loadSubmissions();
+    } catch (err) {
+      setError(err.message || 'Failed to save grade');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Grading Queue: {course.title}</h3>
+        {error && <div className="error-message">{error}</div>}
+
+        {activeSubmission ? (
+          <>
+            <h4>{activeSubmission.assignment_title}</h4>
+            <p className="quiz-description">
+              {activeSubmission.student_email} · Submitted{' '}
+              {new Date(activeSubmission.submitted_at).toLocaleString()}
+              {activeSubmission.is_late ? ' (late)' : ''}
+            </p>
+            {activeSubmission.text_content && (
+              <div className="assignment-instructions">{activeSubmission.text_content}</div>
+            )}
+            {activeSubmission.attachments.map((attachment) => (
+              <button
+                key={attachment.id}
+                type="button"
+                className="btn btn-secondary attachment-link"
+                onClick={() => handleDownload(attachment)}
+              >
+                {attachment.filename} ({formatBytes(attachment.size_bytes)})
+              </button>
+            ))}
+            <form onSubmit={handleGradeSubmit}>
+              <div className="form-group">
+                <label>Points (out of {activeSubmission.max_points})</label>
+                <input
+                  type="number"
+                  value={gradeForm.points}
+                  onChange={(e) => setGradeForm({ ...gradeForm, points: e.target.value })}
+                  min="0"
+                  max={activeSubmission.max_points}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Feedback</label>
+                <textarea
+                  value={gradeForm.feedback}
+                  onChange={(e) => setGradeForm({ ...gradeForm, feedback: e.target.value })}
+                  maxLength={10000}
+                />
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setActiveSubmission(null)}>
+                  Back to Queue
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  {activeSubmission.grade ? 'Update Grade' : 'Save Grade'}
+                </button>
+              </div>
+            </form>
+          </>
+        ) : (
+          <>
+            <div className="form-group">
+              <select value={status} onChange={(e) => setStatus(e.target.value)}>
+                {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {loading ? (
+              <div className="loading">Loading submissions...</div>
+            ) : submissions.length > 0 ? (
+              <div className="lesson-list">
+                {submissions.map((submission) => (
+                  <div key={submission.id} className="lesson-item">
+                    <div className="lesson-info">
+                      <h5>{submission.assignment_title} - {submission.student_email}</h5>
+                      <p>
+                        {submission.lesson_title} · Submitted {new Date(submission.submitted_at).toLocaleString()}
+                        {submission.is_late ? ' (late)' : ''}
+                        {submission.attachment_count > 0 && ` · ${submission.attachment_count} attachments`}
+                        {submission.grade_points !== null && ` · ${submission.grade_points}/${submission.max_points}`}
+                      </p>
+                    </div>
+                    <div className="lesson-actions">
+                      <button className="btn btn-secondary" onClick={() => handleOpenSubmission(submission.id)}>
+                        {submission.grade_points !== null ? 'Review' : 'Grade'}
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="empty-state">
+                <p>No submissions to show</p>
+              </div>
+            )}
+            <div className="modal-actions">
+              <button className="btn btn-secondary" onClick={onClose}>
+                Close
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GradingQueue;
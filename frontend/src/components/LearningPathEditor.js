@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+
+const emptyPathForm = { title: '', description: '', course_ids: [] };
+
+const LearningPathEditor = ({ courses, userId, onClose }) => {
+  const [paths, setPaths] = useState([]);
+  const [pathForm, setPathForm] = useState(null);
+  const [editingPath, setEditingPath] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadPaths = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await api.getLearningPaths();
+      setPaths(data.filter(path => path.instructor_id === userId));
+    } catch (err) {
+      setError(err.message || 'Failed to load learning paths');
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    loadPaths();
+  }, [loadPaths]);
+
+  const handleCreatePath = () => {
+    setPathForm(emptyPathForm);
+    setEditingPath(null);
+  };
+
+  const handleEditPath = (path) => {
+    setPathForm({
+      title: path.title || '',
+      description: path.description || '',
+      course_ids: path.courses.map(course => course.id),
+    });
+    setEditingPath(path);
+  };
+
+  const handleDeletePath = async (pathId) => {
+    if (!window.confirm('Delete this learning path? Its courses are not affected.')) return;
+    try {
+      await api.deleteLearningPath(pathId);
+      await loadPaths();
+    } catch (err) {
+      setError(err.message || 'Failed to delete learning path');
+    }
+  };
+
+  const handleAddCourse = (courseId) => {
+    if (!courseId) return;
+    setPathForm({ ...pathForm, course_ids: [...pathForm.course_ids, parseInt(courseId)] });
+  };
+
+  const handleRemoveCourse = (courseId) => {
+    setPathForm({ ...pathForm, course_ids: pathForm.course_ids.filter(id => id !== courseId) });
+  };
+
+  const handleMoveCourse = (index, offset) => {
+    const courseIds = [...pathForm.course_ids];
+    const [moved] = courseIds.splice(index, 1);
+    courseIds.splice(index + offset, 0, moved);
+    setPathForm({ ...pathForm, course_ids: courseIds });
+  };
+
+  const handlePathSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (pathForm.course_ids.length === 0) {
+      setError('Add at least one course to the learning path');
+      return;
+    }
+    const payload = { ...pathForm, description: pathForm.description.trim() || null };
+    try {
+      if (editingPath) {
+        await api.updateLearningPath(editingPath.id, payload);
+      } else {
+        await api.createLearningPath(payload);
+      }
+      setPathForm(null);
+      await loadPaths();
+    } catch (err) {
+      setError(err.message || 'Failed to save learning path');
+    }
+  };
+
+  const courseTitle = (courseId) => {
+    const course = courses.find(c => c.id === courseId) || editingPath?.courses.find(c => c.id === courseId);
+    return course ? course.title : `Course #${courseId}`;
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Learning Paths</h3>
+        {error && <div className="error-message">{error}</div>}
+
+        {pathForm ? (
+          <form onSubmit={handlePathSubmit}>
+            <div className="form-group">
+              <label>Title</label>
+              <input
+                type="text"
+                value={pathForm.title}
+                onChange={(e) => setPathForm({ ...pathForm, title: e.target.value })}
+                maxLength={200}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Description (optional)</label>
+              <textarea
+                value={pathForm.description}
+                onChange={(e) => setPathForm({ ...pathForm, description: e.target.value })}
+                maxLength={5000}
+              />
+            </div>
+            <div className="form-group">
+              <label>Courses, in order</label>
+              <div className="lesson-list">
+                {pathForm.course_ids.map((courseId, index) => (
+                  <div key={courseId} className="lesson-item">
+                    <div className="lesson-info">
+                      <h5>{index + 1}. {courseTitle(courseId)}</h5>
+                    </div>
+                    <div className="lesson-actions">
+                      <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => handleMoveCourse(index, -1)}
+                        disabled={index === 0}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => handleMoveCourse(index, 1)}
+                        disabled={index === pathForm.course_ids.length - 1}
+                      >
+                        ↓
+                      </button>
+                      <button type="button" className="btn btn-danger" onClick={() => handleRemoveCourse(courseId)}>
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <select value="" onChange={(e) => handleAddCourse(e.target.value)}>
+                <option value="">Add a course...</option>
+                {courses
+                  .filter(course => !pathForm.course_ids.includes(course.id))
+                  .map((course) => (
+                    <option key={course.id} value={course.id}>{course.title}</option>
+                  ))}
+              </select>
+            </div>
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setPathForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary">
+                {editingPath ? 'Update Path' : 'Create Path'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <button className="btn btn-primary" onClick={handleCreatePath} style={{ marginBottom: '20px' }}>
+              Create Learning Path
+            </button>
+            {loading ? (
+              <div className="loading">Loading learning paths...</div>
+            ) : paths.length > 0 ? (
+              <div className="lesson-list">
+                {paths.map((path) => (
+                  <div key={path.id} className="lesson-item">
+                    <div className="lesson-info">
+                      <h5>{path.title}</h5>
+                      <p>{path.courses.map(course => course.title).join(' → ')}</p>
+                    </div>
+                    <div className="lesson-actions">
+                      <button className="btn btn-secondary" onClick={() => handleEditPath(path)}>
+                        Edit
+                      </button>
+                      <button className="btn btn-danger" onClick={() => handleDeletePath(path.id)}>
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="empty-state">
+                <p>No learning paths yet</p>
+              </div>
+            )}
+            <div className="modal-actions">
+              <button className="btn btn-secondary" onClick={onClose}>
+                Close
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LearningPathEditor;
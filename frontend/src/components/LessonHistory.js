@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+
+const LessonHistory = ({ lesson, onRestored, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadRevisions = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await api.getLessonRevisions(lesson.id);
+      setRevisions(data);
+      // Default to comparing the two most recent revisions
+      setToId(data[0] ? String(data[0].id) : '');
+      setFromId(data[1] ? String(data[1].id) : '');
+    } catch (err) {
+      setError(err.message || 'Failed to load revision history');
+    } finally {
+      setLoading(false);
+    }
+  }, [lesson.id]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  useEffect(() => {
+    if (!fromId || !toId) {
+      setDiff(null);
+      return;
+    }
+    api.getLessonRevisionDiff(lesson.id, parseInt(fromId), parseInt(toId))
+      .then(setDiff)
+      .catch((err) => setError(err.message || 'Failed to compare revisions'));
+  }, [lesson.id, fromId, toId]);
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore revision #${revision.revision_number}? This saves it as a new revision.`)) return;
+    setError('');
+    try {
+      const restoredLesson = await api.restoreLessonRevision(lesson.id, revision.id);
+      onRestored(restoredLesson);
+      await loadRevisions();
+    } catch (err) {
+      setError(err.message || 'Failed to restore revision');
+    }
+  };
+
+  const revisionLabel = (revision) =>
+    `#${revision.revision_number} · ${new Date(revision.created_at).toLocaleString()}`;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <h3>History: {lesson.title}</h3>
+        {error && <div className="error-message">{error}</div>}
+
+        {loading ? (
+          <div className="loading">Loading history...</div>
+        ) : (
+          <>
+            <div className="lesson-list">
+              {revisions.map((revision, index) => (
+                <div key={revision.id} className="lesson-item">
+                  <div className="lesson-info">
+                    <h5>{revisionLabel(revision)}{index === 0 && ' (current)'}</h5>
+                    <p>
+                      {revision.title} · {revision.author_email || 'Imported'}
+                      {revision.restored_from_revision_id && ' · restored from an earlier revision'}
+                    </p>
+                  </div>
+                  <div className="lesson-actions">
+                    {index > 0 && (
+                      <button className="btn btn-secondary" onClick={() => handleRestore(revision)}>
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {revisions.length > 1 && (
+              <>
+                <h4>Compare</h4>
+                <div className="revision-compare">
+                  <select value={fromId} onChange={(e) => setFromId(e.target.value)}>
+                    {revisions.map((revision) => (
+                      <option key={revision.id} value={revision.id}>{revisionLabel(revision)}</option>
+                    ))}
+                  </select>
+                  <span>→</span>
+                  <select value={toId} onChange={(e) => setToId(e.target.value)}>
+                    {revisions.map((revision) => (
+                      <option key={revision.id} value={revision.id}>{revisionLabel(revision)}</option>
+                    ))}
+                  </select>
+                </div>
+                {diff && (
+                  <>
+                    <p className="quiz-description">
+                      {diff.title_changed && `Title: "${diff.from.title}" → "${diff.to.title}" · `}
+                      +{diff.lines_added} / -{diff.lines_removed} lines
+                    </p>
+                    <pre className="revision-diff">
+                      {diff.changes.map((change, index) => (
+                        <span key={index} className={`diff-${change.type}`}>
+                          {change.value.replace(/\n$/, '').split('\n').map((line) => {
+                            const marker = change.type === 'added' ? '+' : change.type === 'removed' ? '-' : ' ';
+                            return `${marker} ${line}\n`;
+                          })}
+                        </span>
+                      ))}
+                    </pre>
+                  </>
+                )}
+              </>
+            )}
+          </>
+        )}
+
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LessonHistory;
@@ -0,0 +1,11 @@
+import React, { useMemo } from 'react';
+import { renderMarkdown } from '../utils/markdown';
+
+const MarkdownContent = ({ content, className = 'markdown-body' }) => {
+  const html = useMemo(() => renderMarkdown(content), [content]);
+
+  // renderMarkdown sanitizes the generated HTML before it reaches the DOM
+  return <div className={className} dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+export default MarkdownContent;
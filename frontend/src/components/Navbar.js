@@ -1,29 +1,97 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationContext';
+import EmailPreferencesModal from './EmailPreferencesModal';
+import ChangePasswordModal from './ChangePasswordModal';
+import TwoFactorSettingsModal from './TwoFactorSettingsModal';
+import VerifyEmailBanner from './VerifyEmailBanner';
 
 const Navbar = ({ title }) => {
   const { user, logout } = useAuth();
+  const { notifications, unreadCount, markRead, markAllRead } = useNotifications();
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [showEmailPreferences, setShowEmailPreferences] = useState(false);
+  const [showChangePassword, setShowChangePassword] = useState(false);
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
+  const handleOpenNotification = async (notification) => {
+    setShowNotifications(false);
+    await markRead(notification).catch(() => {});
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
   return (
     <nav className="navbar">
       <div className="navbar-content">
         <h1>{title || 'Online Learning Platform'}</h1>
         <div className="navbar-actions">
+          <div className="notification-menu">
+            <button
+              className="notification-bell"
+              onClick={() => setShowNotifications(!showNotifications)}
+              aria-label={`Notifications (${unreadCount} unread)`}
+            >
+              🔔
+              {unreadCount > 0 && <span className="notification-count">{unreadCount > 99 ? '99+' : unreadCount}</span>}
+            </button>
+            {showNotifications && (
+              <div className="notification-dropdown">
+                <div className="notification-dropdown-header">
+                  <strong>Notifications</strong>
+                  {unreadCount > 0 && (
+                    <button className="notification-mark-all" onClick={() => markAllRead().catch(() => {})}>
+                      Mark all as read
+                    </button>
+                  )}
+                </div>
+                {notifications.length === 0 ? (
+                  <p className="notification-empty">You're all caught up</p>
+                ) : (
+                  notifications.map((notification) => (
+                    <button
+                      key={notification.id}
+                      className={`notification-item ${notification.read_at ? '' : 'unread'}`}
+                      onClick={() => handleOpenNotification(notification)}
+                    >
+                      <span className="notification-title">{notification.title}</span>
+                      {notification.body && <span className="notification-body">{notification.body}</span>}
+                      <span className="notification-time">{new Date(notification.created_at).toLocaleString()}</span>
+                    </button>
+                  ))
+                )}
+              </div>
+            )}
+          </div>
           <div className="user-info">
             {user?.email} ({user?.role})
           </div>
+          <button className="btn btn-secondary" onClick={() => setShowEmailPreferences(true)}>
+            Email Settings
+          </button>
+          <button className="btn btn-secondary" onClick={() => setShowChangePassword(true)}>
+            Change Password
+          </button>
+          <button className="btn btn-secondary" onClick={() => setShowTwoFactor(true)}>
+            Two-Factor Auth
+          </button>
           <button className="btn btn-secondary" onClick={handleLogout}>
             Logout
           </button>
         </div>
       </div>
+      {user && !user.email_verified && <VerifyEmailBanner />}
+      {showEmailPreferences && <EmailPreferencesModal onClose={() => setShowEmailPreferences(false)} />}
+      {showChangePassword && <ChangePasswordModal onClose={() => setShowChangePassword(false)} />}
+      {showTwoFactor && <TwoFactorSettingsModal onClose={() => setShowTwoFactor(false)} />}
     </nav>
   );
 };
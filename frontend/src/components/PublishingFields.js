@@ -0,0 +1,46 @@
+import React from 'react';
+
+export const STATUS_LABELS = { draft: 'Draft', published: 'Published', archived: 'Archived' };
+
+// Status select plus an optional schedule, which only applies while the item is a draft
+const PublishingFields = ({ form, setForm }) => (
+  <>
+    <div className="form-group">
+      <label>Status</label>
+      <select
+        value={form.status}
+        onChange={(e) => setForm({
+          ...form,
+          status: e.target.value,
+          publish_at: e.target.value === 'draft' ? form.publish_at : '',
+        })}
+      >
+        {Object.entries(STATUS_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    </div>
+    {form.status === 'draft' && (
+      <div className="form-group">
+        <label>Publish automatically at (optional)</label>
+        <input
+          type="datetime-local"
+          value={form.publish_at}
+          onChange={(e) => setForm({ ...form, publish_at: e.target.value })}
+        />
+      </div>
+    )}
+  </>
+);
+
+export const StatusBadge = ({ item }) => {
+  if (item.status === 'published') return null;
+  return (
+    <span className={`status-badge status-${item.status}`}>
+      {STATUS_LABELS[item.status] || item.status}
+      {item.publish_at && ` · publishes ${new Date(item.publish_at).toLocaleString()}`}
+    </span>
+  );
+};
+
+export default PublishingFields;
@@ -0,0 +1,489 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+
+const QUESTION_TYPE_LABELS = {
+  multiple_choice: 'Multiple choice',
+  multi_select: 'Multi-select',
+  true_false: 'True / False',
+  short_answer: 'Short answer',
+};
+
+const emptyQuizForm = {
+  title: '',
+  description: '',
+  passing_score: 70,
+  max_attempts: '',
+  required_to_complete: false,
+  category_id: '',
+};
+
+const emptyQuestionForm = (orderIndex) => ({
+  question_type: 'multiple_choice',
+  prompt: '',
+  optionsText: '',
+  correctIndex: 0,
+  correctIndices: [],
+  correctBoolean: true,
+  acceptedText: '',
+  points: 1,
+  order_index: orderIndex,
+});
+
+const splitLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+const QuizEditor = ({ lesson, onClose }) => {
+  const [quizzes, setQuizzes] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [selectedQuiz, setSelectedQuiz] = useState(null);
+  const [quizForm, setQuizForm] = useState(null);
+  const [editingQuiz, setEditingQuiz] = useState(null);
+  const [questionForm, setQuestionForm] = useState(null);
+  const [editingQuestion, setEditingQuestion] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadQuizzes = useCallback(async () => {
+    setError('');
+    try {
+      setQuizzes(await api.getLessonQuizzes(lesson.id));
+    } catch (err) {
+      setError(err.message || 'Failed to load quizzes');
+    }
+  }, [lesson.id]);
+
+  useEffect(() => {
+    loadQuizzes();
+  }, [loadQuizzes]);
+
+  useEffect(() => {
+    api.getGradeCategories(lesson.course_id)
+      .then(setCategories)
+      .catch(() => setCategories([]));
+  }, [lesson.course_id]);
+
+  const loadQuiz = async (quizId) => {
+    setError('');
+    try {
+      setSelectedQuiz(await api.getQuiz(quizId));
+    } catch (err) {
+      setError(err.message || 'Failed to load quiz');
+    }
+  };
+
+  const handleCreateQuiz = () => {
+    setQuizForm(emptyQuizForm);
+    setEditingQuiz(null);
+  };
+
+  const handleEditQuiz = (quiz) => {
+    setQuizForm({
+      title: quiz.title || '',
+      description: quiz.description || '',
+      passing_score: quiz.passing_score,
+      max_attempts: quiz.max_attempts || '',
+      required_to_complete: !!quiz.required_to_complete,
+      category_id: quiz.category_id || '',
+    });
+    setEditingQuiz(quiz);
+  };
+
+  const handleDeleteQuiz = async (quizId) => {
+    if (!window.confirm('Are you sure you want to delete this quiz?')) return;
+    try {
+      await api.deleteQuiz(quizId);
+      if (selectedQuiz && selectedQuiz.id === quizId) {
+        setSelectedQuiz(null);
+      }
+      await loadQuizzes();
+    } catch (err) {
+      setError(err.message || 'Failed to delete quiz');
+    }
+  };
+
+  const handleQuizSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    const payload = {
+      title: quizForm.title,
+      description: quizForm.description || null,
+      passing_score: parseInt(quizForm.passing_score) || 0,
+      max_attempts: parseInt(quizForm.max_attempts) || null,
+      required_to_complete: quizForm.required_to_complete,
+      category_id: parseInt(quizForm.category_id) || null,
+    };
+    try {
+      if (editingQuiz) {
+        await api.updateQuiz(editingQuiz.id, payload);
+      } else {
+        await api.createQuiz(lesson.id, payload);
+      }
+      setQuizForm(null);
+      await loadQuizzes();
+      if (editingQuiz && selectedQuiz && selectedQuiz.id === editingQuiz.id) {
+        await loadQuiz(editingQuiz.id);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to save quiz');
+    }
+  };
+
+  const handleCreateQuestion = () => {
+    const maxOrder = selectedQuiz.questions.length > 0
+      ? Math.max(...selectedQuiz.questions.map(q => q.order_index || 0))
+      : -1;
+    setQuestionForm(emptyQuestionForm(maxOrder + 1));
+    setEditingQuestion(null);
+  };
+
+  const handleEditQuestion = (question) => {
+    const form = {
+      ...emptyQuestionForm(question.order_index),
+      question_type: question.question_type,
+      prompt: question.prompt,
+      optionsText: (question.options || []).join('\n'),
+      points: question.points,
+    };
+    if (question.question_type === 'multiple_choice') form.correctIndex = question.correct_answer;
+    if (question.question_type === 'multi_select') form.correctIndices = question.correct_answer;
+    if (question.question_type === 'true_false') form.correctBoolean = question.correct_answer;
+    if (question.question_type === 'short_answer') form.acceptedText = question.correct_answer.join('\n');
+    setQuestionForm(form);
+    setEditingQuestion(question);
+  };
+
+  const handleDeleteQuestion = async (questionId) => {
+    if (!window.confirm('Are you sure you want to delete this question?')) return;
+    try {
+      await api.deleteQuestion(questionId);
+      await loadQuiz(selectedQuiz.id);
+      await loadQuizzes();
+    } catch (err) {
+      setError(err.message || 'Failed to delete question');
+    }
+  };
+
+  const buildQuestionPayload = () => {
+    const { question_type, prompt, points, order_index } = questionForm;
+    const payload = { question_type, prompt, points: parseInt(points) || 1, order_index: parseInt(order_index) || 0 };
+    if (question_type === 'multiple_choice') {
+      payload.options = splitLines(questionForm.optionsText);
+      payload.correct_answer = parseInt(questionForm.correctIndex) || 0;
+    } else if (question_type === 'multi_select') {
+      payload.options = splitLines(questionForm.optionsText);
+      payload.correct_answer = questionForm.correctIndices;
+    } else if (question_type === 'true_false') {
+      payload.correct_answer = questionForm.correctBoolean;
+    } else {
+      payload.correct_answer = splitLines(questionForm.acceptedText);
+    }
+    return payload;
+  };
+
+  const handleQuestionSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const payload = buildQuestionPayload();
+      if (editingQuestion) {
+        await api.updateQuestion(editingQuestion.id, payload);
+      } else {
+        await api.createQuestion(selectedQuiz.id, payload);
+      }
+      setQuestionForm(null);
+      await loadQuiz(selectedQuiz.id);
+      await loadQuizzes();
+    } catch (err) {
+      setError(err.message || 'Failed to save question');
+    }
+  };
+
+  const toggleCorrectIndex = (index) => {
+    const current = questionForm.correctIndices;
+    setQuestionForm({
+      ...questionForm,
+      correctIndices: current.includes(index) ? current.filter(i => i !== index) : [...current, index],
+    });
+  };
+
+  const renderCorrectAnswerInput = () => {
+    const options = splitLines(questionForm.optionsText);
+    switch (questionForm.question_type) {
+      case 'multiple_choice':
+        return (
+          <select
+            value={questionForm.correctIndex}
+            onChange={(e) => setQuestionForm({ ...questionForm, correctIndex: parseInt(e.target.value) })}
+          >
+            {options.map((option, index) => (
+              <option key={index} value={index}>{option}</option>
+            ))}
+          </select>
+        );
+      case 'multi_select':
+        return options.map((option, index) => (
+          <label key={index} className="quiz-option">
+            <input
+              type="checkbox"
+              checked={questionForm.correctIndices.includes(index)}
+              onChange={() => toggleCorrectIndex(index)}
+            />
+            {option}
+          </label>
+        ));
+      case 'true_false':
+        return (
+          <select
+            value={String(questionForm.correctBoolean)}
+            onChange={(e) => setQuestionForm({ ...questionForm, correctBoolean: e.target.value === 'true' })}
+          >
+            <option value="true">True</option>
+            <option value="false">False</option>
+          </select>
+        );
+      default:
+        return (
+          <textarea
+            value={questionForm.acceptedText}
+            onChange={(e) => setQuestionForm({ ...questionForm, acceptedText: e.target.value })}
+            placeholder="One accepted answer per line (case-insensitive)"
+          />
+        );
+    }
+  };
+
+  const hasOptions = questionForm && ['multiple_choice', 'multi_select'].includes(questionForm.question_type);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Quizzes: {lesson.title}</h3>
+        {error && <div className="error-message">{error}</div>}
+
+        {quizForm ? (
+          <form onSubmit={handleQuizSubmit}>
+            <div className="form-group">
+              <label>Title</label>
+              <input
+                type="text"
+                value={quizForm.title}
+                onChange={(e) => setQuizForm({ ...quizForm, title: e.target.value })}
+                maxLength={200}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Description</label>
+              <textarea
+                value={quizForm.description}
+                onChange={(e) => setQuizForm({ ...quizForm, description: e.target.value })}
+                maxLength={5000}
+              />
+            </div>
+            <div className="form-group">
+              <label>Passing score (%)</label>
+              <input
+                type="number"
+                value={quizForm.passing_score}
+                onChange={(e) => setQuizForm({ ...quizForm, passing_score: e.target.value })}
+                min="0"
+                max="100"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Maximum attempts (leave empty for unlimited)</label>
+              <input
+                type="number"
+                value={quizForm.max_attempts}
+                onChange={(e) => setQuizForm({ ...quizForm, max_attempts: e.target.value })}
+                min="1"
+                max="100"
+              />
+            </div>
+            <div className="form-group">
+              <label>Gradebook category</label>
+              <select
+                value={quizForm.category_id}
+                onChange={(e) => setQuizForm({ ...quizForm, category_id: e.target.value })}
+              >
+                <option value="">Uncategorized</option>
+                {categories.map((category) => (
+                  <option key={category.id} value={category.id}>
+                    {category.name} ({category.weight}%)
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="quiz-option">
+                <input
+                  type="checkbox"
+                  checked={quizForm.required_to_complete}
+                  onChange={(e) => setQuizForm({ ...quizForm, required_to_complete: e.target.checked })}
+                />
+                Students must pass this quiz to complete the lesson
+              </label>
+            </div>
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setQuizForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary">
+                {editingQuiz ? 'Update Quiz' : 'Create Quiz'}
+              </button>
+            </div>
+          </form>
+        ) : questionForm ? (
+          <form onSubmit={handleQuestionSubmit}>
+            <div className="form-group">
+              <label>Question type</label>
+              <select
+                value={questionForm.question_type}
+                onChange={(e) => setQuestionForm({ ...questionForm, question_type: e.target.value })}
+              >
+                {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Prompt</label>
+              <textarea
+                value={questionForm.prompt}
+                onChange={(e) => setQuestionForm({ ...questionForm, prompt: e.target.value })}
+                maxLength={2000}
+                required
+              />
+            </div>
+            {hasOptions && (
+              <div className="form-group">
+                <label>Options (one per line)</label>
+                <textarea
+                  value={questionForm.optionsText}
+                  onChange={(e) => setQuestionForm({ ...questionForm, optionsText: e.target.value })}
+                  required
+                />
+              </div>
+            )}
+            <div className="form-group">
+              <label>Correct answer</label>
+              {renderCorrectAnswerInput()}
+            </div>
+            <div className="form-group">
+              <label>Points</label>
+              <input
+                type="number"
+                value={questionForm.points}
+                onChange={(e) => setQuestionForm({ ...questionForm, points: e.target.value })}
+                min="1"
+                max="100"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Order</label>
+              <input
+                type="number"
+                value={questionForm.order_index}
+                onChange={(e) => setQuestionForm({ ...questionForm, order_index: e.target.value })}
+                min="0"
+                max="1000"
+                required
+              />
+            </div>
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setQuestionForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary">
+                {editingQuestion ? 'Update Question' : 'Add Question'}
+              </button>
+            </div>
+          </form>
+        ) : selectedQuiz ? (
+          <>
+            <h4>{selectedQuiz.title}</h4>
+            <p className="quiz-description">
+              Pass mark {selectedQuiz.passing_score}%
+              {selectedQuiz.required_to_complete ? ' · Required to complete lesson' : ''}
+            </p>
+            <button className="btn btn-primary" onClick={handleCreateQuestion} style={{ marginBottom: '20px' }}>
+              Add Question
+            </button>
+            {selectedQuiz.questions.length > 0 ? (
+              <div className="lesson-list">
+                {selectedQuiz.questions.map((question) => (
+                  <div key={question.id} className="lesson-item">
+                    <div className="lesson-info">
+                      <h5>#{question.order_index} - {question.prompt}</h5>
+                      <p>{QUESTION_TYPE_LABELS[question.question_type]} · {question.points} pts</p>
+                    </div>
+                    <div className="lesson-actions">
+                      <button className="btn btn-secondary" onClick={() => handleEditQuestion(question)}>
+                        Edit
+                      </button>
+                      <button className="btn btn-danger" onClick={() => handleDeleteQuestion(question.id)}>
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="empty-state">
+                <p>No questions yet</p>
+              </div>
+            )}
+            <div className="modal-actions">
+              <button className="btn btn-secondary" onClick={() => setSelectedQuiz(null)}>
+                Back to Quizzes
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <button className="btn btn-primary" onClick={handleCreateQuiz} style={{ marginBottom: '20px' }}>
+              Add Quiz
+            </button>
+            {quizzes.length > 0 ? (
+              <div className="lesson-list">
+                {quizzes.map((quiz) => (
+                  <div key={quiz.id} className="lesson-item">
+                    <div className="lesson-info">
+                      <h5>{quiz.title}</h5>
+                      <p>
+                        {quiz.question_count} questions · Pass mark {quiz.passing_score}%
+                        {quiz.required_to_complete ? ' · Required' : ''}
+                      </p>
+                    </div>
+                    <div className="lesson-actions">
+                      <button className="btn btn-secondary" onClick={() => loadQuiz(quiz.id)}>
+                        Questions
+                      </button>
+                      <button className="btn btn-secondary" onClick={() => handleEditQuiz(quiz)}>
+                        Edit
+                      </button>
+                      <button className="btn btn-danger" onClick={() => handleDeleteQuiz(quiz.id)}>
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="empty-state">
+                <p>No quizzes yet</p>
+              </div>
+            )}
+            <div className="modal-actions">
+              <button className="btn btn-secondary" onClick={onClose}>
+                Close
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuizEditor;
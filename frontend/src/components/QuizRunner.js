@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+
+const QuizRunner = ({ lessonId, onAttemptSubmitted }) => {
+  const [quizzes, setQuizzes] = useState([]);
+  const [activeQuiz, setActiveQuiz] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadQuizzes = useCallback(async () => {
+    setError('');
+    try {
+      const data = await api.getLessonQuizzes(lessonId);
+      setQuizzes(data);
+    } catch (err) {
+      setError(err.message || 'Failed to load quizzes');
+    }
+  }, [lessonId]);
+
+  useEffect(() => {
+    setActiveQuiz(null);
+    setResult(null);
+    loadQuizzes();
+  }, [loadQuizzes]);
+
+  const handleStartQuiz = async (quizId) => {
+    setError('');
+    setResult(null);
+    try {
+      const quiz = await api.getQuiz(quizId);
+      setAnswers({});
+      setActiveQuiz(quiz);
+    } catch (err) {
+      setError(err.message || 'Failed to load quiz');
+    }
+  };
+
+  const setAnswer = (questionId, value) => {
+    setAnswers({ ...answers, [questionId]: value });
+  };
+
+  const toggleMultiSelect = (questionId, optionIndex) => {
+    const current = Array.isArray(answers[questionId]) ? answers[questionId] : [];
+    const next = current.includes(optionIndex)
+      ? current.filter(i => i !== optionIndex)
+      : [...current, optionIndex];
+    setAnswer(questionId, next);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      const attempt = await api.submitQuizAttempt(activeQuiz.id, answers);
+      setResult(attempt);
+      await loadQuizzes();
+      if (onAttemptSubmitted) {
+        onAttemptSubmitted(attempt);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to submit quiz');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderQuestionInput = (question) => {
+    const name = `question-${question.id}`;
+    switch (question.question_type) {
+      case 'multiple_choice':
+        return question.options.map((option, index) => (
+          <label key={index} className="quiz-option">
+            <input
+              type="radio"
+              name={name}
+              checked={answers[question.id] === index}
+              onChange={() => setAnswer(question.id, index)}
+            />
+            {option}
+          </label>
+        ));
+      case 'multi_select':
+        return question.options.map((option, index) => (
+          <label key={index} className="quiz-option">
+            <input
+              type="checkbox"
+              name={name}
+              checked={Array.isArray(answers[question.id]) && answers[question.id].includes(index)}
+              onChange={() => toggleMultiSelect(question.id, index)}
+            />
+            {option}
+          </label>
+        ));
+      case 'true_false':
+        return [true, false].map((value) => (
+          <label key={String(value)} className="quiz-option">
+            <input
+              type="radio"
+              name={name}
+              checked={answers[question.id] === value}
+              onChange={() => setAnswer(question.id, value)}
+            />
+            {value ? 'True' : 'False'}
+          </label>
+        ));
+      case 'short_answer':
+        return (
+          <input
+            type="text"
+            value={answers[question.id] || ''}
+            onChange={(e) => setAnswer(question.id, e.target.value)}
+            maxLength={200}
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  if (quizzes.length === 0 && !error) {
+    return null;
+  }
+
+  const resultByQuestion = result
+    ? new Map(result.results.map(r => [r.question_id, r]))
+    : new Map();
+
+  return (
+    <div className="quiz-panel">
+      <h4>Quizzes</h4>
+      {error && <div className="error-message">{error}</div>}
+
+      {!activeQuiz && quizzes.map((quiz) => {
+        const attemptsLeft = quiz.max_attempts ? quiz.max_attempts - quiz.attempt_count : null;
+        return (
+          <div key={quiz.id} className="quiz-summary">
+            <div className="lesson-info">
+              <h5>
+                {quiz.title}
+                {quiz.required_to_complete ? ' (required to complete lesson)' : ''}
+              </h5>
+              <p>
+                {quiz.question_count} questions · Pass mark {quiz.passing_score}%
+                {quiz.best_percentage !== null && ` · Best score ${quiz.best_percentage}%`}
+                {quiz.passed ? ' · Passed' : ''}
+                {attemptsLeft !== null && ` · ${attemptsLeft} attempts left`}
+              </p>
+            </div>
+            <button
+              className="btn btn-secondary"
+              onClick={() => handleStartQuiz(quiz.id)}
+              disabled={quiz.question_count === 0 || attemptsLeft === 0}
+            >
+              {quiz.attempt_count > 0 ? 'Retake Quiz' : 'Take Quiz'}
+            </button>
+          </div>
+        );
+      })}
+
+      {activeQuiz && (
+        <form onSubmit={handleSubmit}>
+          <h5>{activeQuiz.title}</h5>
+          {activeQuiz.description && <p className="quiz-description">{activeQuiz.description}</p>}
+          {activeQuiz.questions.map((question, index) => {
+            const questionResult = resultByQuestion.get(question.id);
+            return (
+              <div
+                key={question.id}
+                className={`quiz-question ${
+                  questionResult ? (questionResult.correct ? 'correct' : 'incorrect') : ''
+                }`}
+              >
+                <p className="quiz-prompt">
+                  {index + 1}. {question.prompt} <span className="quiz-points">({question.points} pts)</span>
+                </p>
+                <div className="form-group">{renderQuestionInput(question)}</div>
+              </div>
+            );
+          })}
+
+          {result && (
+            <div className={result.passed ? 'success-message' : 'error-message'}>
+              Score: {result.score} / {result.max_score} ({result.percentage}%) —{' '}
+              {result.passed ? 'Passed' : 'Not passed'}
+            </div>
+          )}
+
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setActiveQuiz(null)}>
+              Back to Quizzes
+            </button>
+            {!result && (
+              <button type="submit" className="btn btn-primary" disabled={submitting}>
+                {submitting ? 'Submitting...' : 'Submit Quiz'}
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default QuizRunner;
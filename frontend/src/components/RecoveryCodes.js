@@ -0,0 +1,17 @@
+import React from 'react';
+
+const RecoveryCodes = ({ codes }) => (
+  <div>
+    <p className="quiz-description">
+      Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose your authenticator.
+      They will not be shown again.
+    </p>
+    <ul className="recovery-codes">
+      {codes.map((code) => (
+        <li key={code}>{code}</li>
+      ))}
+    </ul>
+  </div>
+);
+
+export default RecoveryCodes;
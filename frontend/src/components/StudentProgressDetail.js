@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+import { formatDuration } from '../utils/dates';
+
+// Instructor drill-down into one enrolled student's lesson progress and grades
+const StudentProgressDetail = ({ courseId, studentId, onClose }) => {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setDetail(null);
+    setError('');
+    api.getCourseStudent(courseId, studentId)
+      .then(setDetail)
+      .catch(err => setError(err.message || 'Failed to load student'));
+  }, [courseId, studentId]);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        {error && <div className="error-message">{error}</div>}
+        {!detail && !error && <div className="loading">Loading student...</div>}
+        {detail && (
+          <>
+            <h3>{detail.student.email}</h3>
+            <p className="quiz-description">
+              Enrolled {new Date(detail.student.enrolled_at).toLocaleDateString()} · Last activity{' '}
+              {detail.student.last_activity_at ? new Date(detail.student.last_activity_at).toLocaleString() : 'never'}
+            </p>
+
+            <div className="progress-bar">
+              <div className="progress-fill" style={{ width: `${detail.student.percentage}%` }}>
+                {detail.student.percentage > 0 && `${detail.student.percentage}%`}
+              </div>
+            </div>
+            <div className="progress-text">
+              {detail.student.completed_lessons} of {detail.student.total_lessons} lessons completed
+            </div>
+
+            {detail.grades.items.length > 0 && (
+              <div className="grade-summary">
+                <div className="grade-summary-final">
+                  <span className="grade-letter">{detail.grades.letter || '—'}</span>
+                  <span>
+                    {detail.grades.final_percentage !== null ? `${detail.grades.final_percentage}%` : 'No grades yet'}
+                  </span>
+                </div>
+              </div>
+            )}
+
+            <h4>Lessons</h4>
+            <div className="lesson-list">
+              {detail.lessons.map((lesson) => (
+                <div key={lesson.lesson_id} className={`lesson-item ${lesson.completed ? 'completed' : ''}`}>
+                  <div className="lesson-info">
+                    <h5>{lesson.completed ? '✓ ' : ''}{lesson.title}</h5>
+                    <p>
+                      {lesson.section_title && `${lesson.section_title} · `}
+                      {lesson.completed ? `Completed ${new Date(lesson.completed_at).toLocaleString()}` : 'Not completed'}
+                      {lesson.study_seconds > 0 && ` · ${formatDuration(lesson.study_seconds)} spent`}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {detail.grades.items.length > 0 && (
+              <>
+                <h4>Grades</h4>
+                <div className="gradebook-table-wrapper">
+                  <table className="gradebook-table">
+                    <tbody>
+                      {detail.grades.items.map((item) => (
+                        <tr key={item.key}>
+                          <td>{item.title}<span className="gradebook-item-meta">{item.type}</span></td>
+                          <td>{item.points !== null ? `${item.points} / ${item.max_points}` : '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </>
+        )}
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StudentProgressDetail;
@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+import { toLocalDateKey, formatDuration } from '../utils/dates';
+
+const formatWeekday = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'short', timeZone: 'UTC' });
+
+// "This week" study time per day and course, with the current study streak
+const StudyActivity = () => {
+  const [activity, setActivity] = useState(null);
+
+  useEffect(() => {
+    api.getStudyActivity(toLocalDateKey())
+      .then(setActivity)
+      .catch(() => setActivity(null));
+  }, []);
+
+  if (!activity) {
+    return null;
+  }
+
+  const { week, streak } = activity;
+  const maxSeconds = Math.max(1, ...week.days.map(day => day.seconds));
+
+  return (
+    <div className="section">
+      <h3>This Week</h3>
+      <div className="analytics-stats">
+        <div className="analytics-stat">
+          <span className="analytics-stat-value">{formatDuration(week.total_seconds)}</span>
+          <span className="analytics-stat-label">Study time in the last 7 days</span>
+        </div>
+        <div className="analytics-stat">
+          <span className="analytics-stat-value">
+            {streak.current_days > 0 ? '🔥 ' : ''}{streak.current_days} {streak.current_days === 1 ? 'day' : 'days'}
+          </span>
+          <span className="analytics-stat-label">
+            Current streak{!streak.studied_today && streak.current_days > 0 && ' · study today to keep it going'}
+          </span>
+        </div>
+        <div className="analytics-stat">
+          <span className="analytics-stat-value">
+            {streak.longest_days} {streak.longest_days === 1 ? 'day' : 'days'}
+          </span>
+          <span className="analytics-stat-label">Longest streak</span>
+        </div>
+      </div>
+
+      <div className="analytics-bars study-week">
+        {week.days.map((day) => (
+          <div key={day.date} className="analytics-bar-group" title={`${day.date}: ${formatDuration(day.seconds)}`}>
+            <div className="analytics-bar enrollments" style={{ height: `${(day.seconds / maxSeconds) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="analytics-axis">
+        {week.days.map((day) => (
+          <span key={day.date}>{formatWeekday(day.date)}</span>
+        ))}
+      </div>
+
+      {week.courses.length > 0 && (
+        <div className="course-meta study-courses">
+          {week.courses.map((course) => (
+            <span key={course.course_id}>{course.title}: {formatDuration(course.seconds)}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StudyActivity;
@@ -0,0 +1,10 @@
+import { useEffect } from 'react';
+import { trackStudyTime } from '../utils/studyTime';
+
+// Records study time for the lesson while it is rendered
+const StudyTimeTracker = ({ lessonId }) => {
+  useEffect(() => trackStudyTime(lessonId), [lessonId]);
+  return null;
+};
+
+export default StudyTimeTracker;
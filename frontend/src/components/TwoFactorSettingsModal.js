@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+import RecoveryCodes from './RecoveryCodes';
+import TwoFactorSetupInfo from './TwoFactorSetupInfo';
+
+// mode is 'status', 'setup', 'regenerate', 'disable' or 'codes' (showing new recovery codes)
+const TwoFactorSettingsModal = ({ onClose }) => {
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState('status');
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadStatus = () => {
+    api.getTwoFactorStatus()
+      .then(setStatus)
+      .catch(err => setError(err.message || 'Failed to load two-factor settings'));
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const changeMode = (nextMode) => {
+    setMode(nextMode);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const handleStartSetup = async () => {
+    setError('');
+    try {
+      setSetup(await api.startTwoFactorSetup());
+      changeMode('setup');
+    } catch (err) {
+      setError(err.message || 'Failed to start two-factor setup');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const value = code.trim();
+    // Disabling also accepts a recovery code, in case the authenticator is lost
+    const isTotpCode = /^\d{6}$/.test(value);
+    if (!value || (mode !== 'disable' && !isTotpCode)) {
+      setError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (mode === 'setup') {
+        const response = await api.enableTwoFactor(value);
+        setRecoveryCodes(response.recovery_codes);
+        changeMode('codes');
+      } else if (mode === 'regenerate') {
+        const response = await api.regenerateRecoveryCodes(value);
+        setRecoveryCodes(response.recovery_codes);
+        changeMode('codes');
+      } else {
+        await api.disableTwoFactor(password, isTotpCode ? { code: value } : { recovery_code: value });
+        loadStatus();
+        changeMode('status');
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to update two-factor settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCodesSaved = () => {
+    setRecoveryCodes([]);
+    loadStatus();
+    changeMode('status');
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Two-Factor Authentication</h3>
+        {error && <div className="error-message">{error}</div>}
+        {!status && !error && <div className="loading">Loading...</div>}
+
+        {status && mode === 'status' && (
+          <>
+            <p className="quiz-description">
+              {status.enabled
+                ? `Two-factor authentication is on. ${status.recovery_codes_remaining} recovery codes left.`
+                : 'Protect your account by asking for a code from an authenticator app when you sign in.'}
+              {status.required && ' Your role requires it.'}
+            </p>
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Close
+              </button>
+              {status.enabled ? (
+                <>
+                  <button type="button" className="btn btn-secondary" onClick={() => changeMode('regenerate')}>
+                    New Recovery Codes
+                  </button>
+                  {!status.required && (
+                    <button type="button" className="btn btn-danger" onClick={() => changeMode('disable')}>
+                      Disable
+                    </button>
+                  )}
+                </>
+              ) : (
+                <button type="button" className="btn btn-primary" onClick={handleStartSetup}>
+                  Set Up
+                </button>
+              )}
+            </div>
+          </>
+        )}
+
+        {mode === 'codes' && (
+          <>
+            <RecoveryCodes codes={recoveryCodes} />
+            <div className="modal-actions">
+              <button type="button" className="btn btn-primary" onClick={handleCodesSaved}>
+                I Saved These Codes
+              </button>
+            </div>
+          </>
+        )}
+
+        {['setup', 'regenerate', 'disable'].includes(mode) && (
+          <form onSubmit={handleSubmit}>
+            {mode === 'setup' && setup && <TwoFactorSetupInfo setup={setup} />}
+            {mode === 'regenerate' && (
+              <p className="quiz-description">Your current recovery codes will stop working.</p>
+            )}
+            {mode === 'disable' && (
+              <div className="form-group">
+                <label htmlFor="twoFactorPassword">Password</label>
+                <input
+                  id="twoFactorPassword"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  maxLength={128}
+                  autoComplete="current-password"
+                  required
+                />
+              </div>
+            )}
+            <div className="form-group">
+              <label htmlFor="twoFactorCode">
+                {mode === 'disable' ? 'Authentication or Recovery Code' : 'Authentication Code'}
+              </label>
+              <input
+                id="twoFactorCode"
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                maxLength={mode === 'disable' ? 32 : 6}
+                inputMode={mode === 'disable' ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                required
+              />
+            </div>
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => changeMode('status')}>
+                Cancel
+              </button>
+              <button type="submit" className={`btn ${mode === 'disable' ? 'btn-danger' : 'btn-primary'}`} disabled={saving}>
+                {saving ? 'Saving...' : mode === 'setup' ? 'Enable' : mode === 'regenerate' ? 'Generate' : 'Disable'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettingsModal;
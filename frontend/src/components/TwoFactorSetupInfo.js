@@ -0,0 +1,15 @@
+import React from 'react';
+
+// QR code and manual-entry secret returned when two-factor enrollment starts
+const TwoFactorSetupInfo = ({ setup }) => (
+  <div>
+    <p className="quiz-description">
+      Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+    </p>
+    <img className="two-factor-qr" src={setup.qr_code} alt="Authenticator QR code" />
+    <p className="quiz-description">Or enter this key manually:</p>
+    <p className="two-factor-secret">{setup.secret}</p>
+  </div>
+);
+
+export default TwoFactorSetupInfo;
@@ -0,0 +1,30 @@
+import React, { useState } from 'react';
+import { api } from '../utils/api';
+
+const VerifyEmailBanner = () => {
+  const [status, setStatus] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await api.resendVerificationEmail();
+      setStatus('Verification email sent. Check your inbox.');
+    } catch (err) {
+      setStatus(err.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verify-email-banner">
+      <span>{status || 'Please verify your email address to unlock every feature.'}</span>
+      <button className="btn btn-secondary" onClick={handleResend} disabled={sending}>
+        {sending ? 'Sending...' : 'Resend verification email'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -1,5 +1,6 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
-import { validateToken, clearAuthToken } from '../utils/auth';
+import { validateToken, getRefreshToken, setAuthTokens, clearAuthToken } from '../utils/auth';
+import { api } from '../utils/api';
 
 const AuthContext = createContext(null);
 
@@ -24,15 +25,22 @@ export const AuthProvider = ({ children }) => {
     initAuth();
   }, []);
 
-  const login = (userData, token) => {
-    if (!userData || !token || !userData.id || !userData.role) {
+  const login = (userData, token, refreshToken) => {
+    if (!userData || !token || !refreshToken || !userData.id || !userData.role) {
       throw new Error('Invalid authentication data');
     }
-    localStorage.setItem('auth_token', token);
+    setAuthTokens(token, refreshToken);
     setUser(userData);
   };
 
-  const logout = () => {
+  // Re-reads the user from the stored access token, e.g. after it was refreshed
+  const refreshUser = () => {
+    setUser(validateToken());
+  };
+
+  // Revokes the session on the server; the local session ends even if that fails
+  const logout = async () => {
+    await api.logout(getRefreshToken()).catch(() => {});
     clearAuthToken();
     setUser(null);
   };
@@ -42,6 +50,7 @@ export const AuthProvider = ({ children }) => {
     loading,
     login,
     logout,
+    refreshUser,
     isAuthenticated: !!user,
   };
 
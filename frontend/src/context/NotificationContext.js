@@ -0,0 +1,71 @@
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import { useAuth } from './AuthContext';
+import { api } from '../utils/api';
+import { subscribeToEvents } from '../utils/events';
+
+const NotificationContext = createContext(null);
+
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within NotificationProvider');
+  }
+  return context;
+};
+
+export const NotificationProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  // The most recent pushed notification; pages watch it to refresh their data
+  const [latestNotification, setLatestNotification] = useState(null);
+
+  useEffect(() => {
+    if (!user) {
+      setNotifications([]);
+      setUnreadCount(0);
+      return undefined;
+    }
+
+    api.getNotifications()
+      .then((data) => {
+        setNotifications(data.notifications || []);
+        setUnreadCount(data.unread_count || 0);
+      })
+      .catch(() => setNotifications([]));
+
+    return subscribeToEvents((type, data) => {
+      if (type === 'notification') {
+        setNotifications(current => [data.notification, ...current].slice(0, 20));
+        setLatestNotification(data.notification);
+      }
+      if (data.unread_count !== undefined) {
+        setUnreadCount(data.unread_count);
+      }
+    });
+  }, [user]);
+
+  const markRead = async (notification) => {
+    if (notification.read_at) return;
+    const data = await api.markNotificationRead(notification.id);
+    setNotifications(current => current.map(n => (n.id === notification.id ? data.notification : n)));
+    setUnreadCount(data.unread_count);
+  };
+
+  const markAllRead = async () => {
+    await api.markAllNotificationsRead();
+    const readAt = new Date().toISOString();
+    setNotifications(current => current.map(n => ({ ...n, read_at: n.read_at || readAt })));
+    setUnreadCount(0);
+  };
+
+  const value = {
+    notifications,
+    unreadCount,
+    latestNotification,
+    markRead,
+    markAllRead,
+  };
+
+  return <NotificationContext.Provider value={value}>{children}</NotificationContext.Provider>;
+};
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import StudentProgressDetail from '../components/StudentProgressDetail';
+import { api } from '../utils/api';
+
+const PAGE_SIZE = 25;
+
+const SORT_LABELS = {
+  email: 'Email',
+  enrolled: 'Recently enrolled',
+  progress: 'Most progress',
+  activity: 'Recently active',
+};
+
+const CourseRoster = () => {
+  const { courseId } = useParams();
+  const navigate = useNavigate();
+  const courseIdNum = parseInt(courseId);
+  const [course, setCourse] = useState(null);
+  const [students, setStudents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState('email');
+  const [page, setPage] = useState(1);
+  const [selectedStudentId, setSelectedStudentId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.getCourse(courseIdNum)
+      .then(setCourse)
+      .catch(err => setError(err.message || 'Failed to load course'));
+  }, [courseIdNum]);
+
+  const loadStudents = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await api.getCourseStudents(courseIdNum, { search, sort, page, limit: PAGE_SIZE });
+      setStudents(data.students || []);
+      setTotal(data.total || 0);
+    } catch (err) {
+      setError(err.message || 'Failed to load students');
+    } finally {
+      setLoading(false);
+    }
+  }, [courseIdNum, search, sort, page]);
+
+  useEffect(() => {
+    loadStudents();
+  }, [loadStudents]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(searchInput.trim());
+  };
+
+  const handleRemove = async (student) => {
+    if (!window.confirm(`Remove ${student.email} from this course? Their progress is kept if they enroll again.`)) return;
+    try {
+      await api.removeCourseStudent(courseIdNum, student.student_id);
+      if (students.length === 1 && page > 1) {
+        setPage(page - 1);
+      } else {
+        await loadStudents();
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to remove student');
+    }
+  };
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div>
+      <Navbar title="Instructor Dashboard" />
+      <div className="dashboard">
+        <div className="dashboard-header">
+          <h2>Students{course ? `: ${course.title}` : ''}</h2>
+          <div className="dashboard-header-actions">
+            <button className="btn btn-secondary" onClick={() => navigate('/instructor/dashboard')}>
+              Back to Dashboard
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <form className="catalog-filters" onSubmit={handleSearch}>
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search by email"
+            maxLength={255}
+          />
+          <button type="submit" className="btn btn-secondary">Search</button>
+          <select value={sort} onChange={(e) => { setSort(e.target.value); setPage(1); }}>
+            {Object.entries(SORT_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>Sort: {label}</option>
+            ))}
+          </select>
+        </form>
+
+        <div className="section">
+          {loading ? (
+            <div className="loading">Loading students...</div>
+          ) : students.length === 0 ? (
+            <div className="empty-state">
+              <h4>{search ? 'No matching students' : 'No students enrolled yet'}</h4>
+            </div>
+          ) : (
+            <div className="gradebook-table-wrapper">
+              <table className="gradebook-table roster-table">
+                <thead>
+                  <tr>
+                    <th>Student</th>
+                    <th>Enrolled</th>
+                    <th>Progress</th>
+                    <th>Last activity</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {students.map((student) => (
+                    <tr key={student.enrollment_id}>
+                      <td>{student.email}</td>
+                      <td>{new Date(student.enrolled_at).toLocaleDateString()}</td>
+                      <td>
+                        <div className="progress-bar">
+                          <div className="progress-fill" style={{ width: `${student.percentage}%` }}>
+                            {student.percentage > 0 && `${student.percentage}%`}
+                          </div>
+                        </div>
+                        <span className="gradebook-item-meta">
+                          {student.completed_lessons} of {student.total_lessons} lessons
+                        </span>
+                      </td>
+                      <td>{student.last_activity_at ? new Date(student.last_activity_at).toLocaleString() : 'Never'}</td>
+                      <td>
+                        <div className="course-actions">
+                          <button className="btn btn-secondary" onClick={() => setSelectedStudentId(student.student_id)}>
+                            View
+                          </button>
+                          <button className="btn btn-danger" onClick={() => handleRemove(student)}>
+                            Remove
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {total > PAGE_SIZE && (
+            <div className="roster-pagination">
+              <button className="btn btn-secondary" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                Previous
+              </button>
+              <span>Page {page} of {pageCount} · {total} students</span>
+              <button className="btn btn-secondary" disabled={page >= pageCount} onClick={() => setPage(page + 1)}>
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {selectedStudentId && (
+        <StudentProgressDetail
+          courseId={courseIdNum}
+          studentId={selectedStudentId}
+          onClose={() => setSelectedStudentId(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CourseRoster;
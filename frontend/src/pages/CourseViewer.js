@@ -1,22 +1,33 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import Navbar from '../components/Navbar';
+import QuizRunner from '../components/QuizRunner';
+import AssignmentPanel from '../components/AssignmentPanel';
+import GradeSummary from '../components/GradeSummary';
+import MarkdownContent from '../components/MarkdownContent';
+import CourseReviews from '../components/CourseReviews';
+import DiscussionPanel from '../components/DiscussionPanel';
+import StudyTimeTracker from '../components/StudyTimeTracker';
 import { api } from '../utils/api';
+import { saveBlob } from '../utils/files';
+import { groupLessonsBySection, sortLessons } from '../utils/lessons';
 
 const CourseViewer = () => {
   const { courseId } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [course, setCourse] = useState(null);
   const [progress, setProgress] = useState([]);
+  const [completion, setCompletion] = useState(null);
+  const [sectionProgress, setSectionProgress] = useState([]);
+  const [collapsedSections, setCollapsedSections] = useState(new Set());
+  const [certificate, setCertificate] = useState(null);
   const [currentLessonIndex, setCurrentLessonIndex] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [gradesVersion, setGradesVersion] = useState(0);
 
-  useEffect(() => {
-    loadCourseData();
-  }, [courseId]);
-
-  const loadCourseData = async () => {
+  const loadCourseData = useCallback(async () => {
     setLoading(true);
     setError('');
     try {
@@ -29,12 +40,22 @@ const CourseViewer = () => {
         api.getProgress(courseIdNum),
       ]);
       setCourse(courseData);
-      setProgress(progressData);
+      setProgress(progressData.progress);
+      setCompletion(progressData.completion);
+      setSectionProgress(progressData.sections);
+      
+      if (progressData.completion?.percentage === 100) {
+        const certificates = await api.getCertificates();
+        setCertificate(certificates.find(c => c.course_id === courseIdNum) || null);
+      } else {
+        setCertificate(null);
+      }
       
       if (courseData.lessons && courseData.lessons.length > 0) {
-        const sortedLessons = [...courseData.lessons].sort((a, b) => (a.order_index || 0) - (b.order_index || 0));
-        const completedSet = new Set(progressData.map(p => p.lesson_id));
-        const firstIncomplete = sortedLessons.findIndex(l => !completedSet.has(l.id));
+        const sortedLessons = sortLessons(courseData.lessons, courseData.sections);
+        const completedSet = new Set(progressData.progress.map(p => p.lesson_id));
+        // Resume at the first incomplete lesson; a ?lesson= link overrides this below
+        const firstIncomplete = sortedLessons.findIndex(l => !completedSet.has(l.id) && !l.locked);
         setCurrentLessonIndex(firstIncomplete >= 0 ? firstIncomplete : 0);
       }
     } catch (err) {
@@ -42,7 +63,22 @@ const CourseViewer = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [courseId]);
+
+  useEffect(() => {
+    loadCourseData();
+  }, [loadCourseData]);
+
+  // A ?lesson= link (e.g. from search or a notification) opens that lesson
+  const requestedLessonId = parseInt(searchParams.get('lesson'));
+  useEffect(() => {
+    if (!course?.lessons || isNaN(requestedLessonId)) return;
+    const requestedIndex = sortLessons(course.lessons, course.sections).findIndex(l => l.id === requestedLessonId);
+    if (requestedIndex >= 0) {
+      setCurrentLessonIndex(requestedIndex);
+    }
+    setSearchParams({}, { replace: true });
+  }, [course, requestedLessonId, setSearchParams]);
 
   const handleCompleteLesson = async (lessonId) => {
     try {
@@ -53,6 +89,15 @@ const CourseViewer = () => {
     }
   };
 
+  const handleDownloadCertificate = async () => {
+    try {
+      const blob = await api.downloadCertificate(certificate.id);
+      saveBlob(blob, `certificate-${certificate.id}.pdf`);
+    } catch (err) {
+      setError(err.message || 'Failed to download certificate');
+    }
+  };
+
   if (loading) {
     return (
       <div>
@@ -76,11 +121,12 @@ const CourseViewer = () => {
     );
   }
 
-  const sortedLessons = course.lessons ? [...course.lessons].sort((a, b) => (a.order_index || 0) - (b.order_index || 0)) : [];
+  const lessonGroups = groupLessonsBySection(course.lessons, course.sections);
+  const sortedLessons = lessonGroups.flatMap(group => group.lessons);
   const completedLessonIds = new Set(progress.filter(p => p.completed).map(p => p.lesson_id));
-  const completedCount = sortedLessons.filter(l => completedLessonIds.has(l.id)).length;
-  const totalLessons = sortedLessons.length;
-  const progressPercentage = totalLessons > 0 ? Math.round((completedCount / totalLessons) * 100) : 0;
+  const completedCount = completion?.completed_lessons || 0;
+  const totalLessons = completion?.total_lessons || 0;
+  const progressPercentage = completion?.percentage || 0;
   const currentLesson = sortedLessons[currentLessonIndex];
 
   const handleNextLesson = () => {
@@ -95,6 +141,43 @@ const CourseViewer = () => {
     }
   };
 
+  const handleOpenLesson = (lessonId) => {
+    const index = sortedLessons.findIndex(l => l.id === lessonId);
+    if (index >= 0) {
+      setCurrentLessonIndex(index);
+    }
+  };
+
+  const toggleSection = (sectionKey) => {
+    const next = new Set(collapsedSections);
+    if (next.has(sectionKey)) {
+      next.delete(sectionKey);
+    } else {
+      next.add(sectionKey);
+    }
+    setCollapsedSections(next);
+  };
+
+  const renderLessonItem = (lesson) => {
+    const index = sortedLessons.indexOf(lesson);
+    return (
+      <div
+        key={lesson.id}
+        className={`lesson-item ${
+          completedLessonIds.has(lesson.id) ? 'completed' : ''
+        } ${lesson.locked ? 'locked' : ''} ${index === currentLessonIndex ? 'active' : ''}`}
+        onClick={() => setCurrentLessonIndex(index)}
+      >
+        <div className="lesson-info">
+          <h5>{lesson.locked && '🔒 '}#{lesson.order_index} - {lesson.title}</h5>
+          <p>
+            {lesson.locked ? 'Locked' : completedLessonIds.has(lesson.id) ? 'Completed' : 'Not completed'}
+          </p>
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div>
       <Navbar title={course.title} />
@@ -111,6 +194,15 @@ const CourseViewer = () => {
           <div className="progress-text">
             {completedCount} of {totalLessons} lessons completed
           </div>
+          {certificate && (
+            <div className="certificate-banner">
+              <span>Course complete! Your certificate is ready.</span>
+              <button className="btn btn-primary" onClick={handleDownloadCertificate}>
+                Download Certificate
+              </button>
+            </div>
+          )}
+          <GradeSummary courseId={course.id} refreshKey={gradesVersion} />
         </div>
 
         {sortedLessons.length === 0 ? (
@@ -122,10 +214,35 @@ const CourseViewer = () => {
           <>
             <div className="lesson-viewer">
               <h3>{currentLesson?.title}</h3>
-              <div className="lesson-content">
-                {currentLesson?.content}
-              </div>
-              {currentLesson && !completedLessonIds.has(currentLesson.id) && (
+              {currentLesson?.locked ? (
+                <div className="lesson-locked">
+                  <p>🔒 {currentLesson.lock_reason}</p>
+                  <div className="lesson-locked-links">
+                    {currentLesson.required_lessons.map((required) => (
+                      <button
+                        key={required.id}
+                        className="btn btn-secondary"
+                        onClick={() => handleOpenLesson(required.id)}
+                      >
+                        Go to {required.title}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ) : (
+                <>
+                  {currentLesson && <StudyTimeTracker lessonId={currentLesson.id} />}
+                  <MarkdownContent content={currentLesson?.content} className="lesson-content markdown-body" />
+                  {currentLesson && (
+                    <QuizRunner
+                      lessonId={currentLesson.id}
+                      onAttemptSubmitted={() => setGradesVersion(gradesVersion + 1)}
+                    />
+                  )}
+                  {currentLesson && <AssignmentPanel lessonId={currentLesson.id} />}
+                </>
+              )}
+              {currentLesson && !currentLesson.locked && !completedLessonIds.has(currentLesson.id) && (
                 <button
                   className="btn btn-success"
                   onClick={() => handleCompleteLesson(currentLesson.id)}
@@ -154,28 +271,54 @@ const CourseViewer = () => {
               </div>
             </div>
 
+            {currentLesson && !currentLesson.locked && (
+              <div className="section">
+                <DiscussionPanel lessonId={currentLesson.id} />
+              </div>
+            )}
+
             <div className="section">
               <h3>All Lessons</h3>
-              <div className="lesson-list">
-                {sortedLessons.map((lesson, index) => (
-                  <div
-                    key={lesson.id}
-                    className={`lesson-item ${
-                      completedLessonIds.has(lesson.id) ? 'completed' : ''
-                    } ${index === currentLessonIndex ? 'active' : ''}`}
-                    onClick={() => setCurrentLessonIndex(index)}
-                  >
-                    <div className="lesson-info">
-                      <h5>#{lesson.order_index} - {lesson.title}</h5>
-                      <p>{completedLessonIds.has(lesson.id) ? 'Completed' : 'Not completed'}</p>
+              {lessonGroups.length === 1 && !lessonGroups[0].section ? (
+                <div className="lesson-list">
+                  {sortedLessons.map(renderLessonItem)}
+                </div>
+              ) : (
+                lessonGroups.map(({ section, lessons }) => {
+                  const sectionKey = section ? section.id : 'none';
+                  const collapsed = collapsedSections.has(sectionKey);
+                  const sectionStats = sectionProgress.find(p => p.section_id === (section ? section.id : null));
+                  return (
+                    <div key={sectionKey} className="section-group">
+                      <button type="button" className="section-header" onClick={() => toggleSection(sectionKey)}>
+                        <span>{collapsed ? '▸' : '▾'} {section ? section.title : 'Other Lessons'}</span>
+                        {sectionStats && (
+                          <span className="section-progress">
+                            {sectionStats.completed_lessons}/{sectionStats.total_lessons} completed ({sectionStats.percentage}%)
+                          </span>
+                        )}
+                      </button>
+                      {!collapsed && (
+                        <div className="lesson-list">
+                          {section?.description && <p className="quiz-description">{section.description}</p>}
+                          {lessons.length > 0 ? lessons.map(renderLessonItem) : (
+                            <p className="quiz-description">No lessons in this section yet</p>
+                          )}
+                        </div>
+                      )}
                     </div>
-                  </div>
-                ))}
-              </div>
+                  );
+                })
+              )}
             </div>
           </>
         )}
 
+        <div className="section">
+          <h3>Reviews</h3>
+          <CourseReviews courseId={course.id} canReview />
+        </div>
+
         <button className="btn btn-secondary" onClick={() => navigate('/student/dashboard')}>
           Back to Dashboard
         </button>
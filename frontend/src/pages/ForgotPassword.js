@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../utils/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!email || email.trim().length === 0) {
+      setError('Email is required');
+      return;
+    }
+    if (email.length > 255) {
+      setError('Email too long');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.requestPasswordReset(email.trim());
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Failed to request password reset');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Forgot Password</h2>
+        {error && <div className="error-message">{error}</div>}
+        {message ? (
+          <div className="success-message">{message}</div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                disabled={loading}
+                maxLength={255}
+                autoComplete="email"
+                required
+              />
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+        <div className="auth-link">
+          Remembered it? <Link to="/login">Login</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,28 +1,78 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
 import Navbar from '../components/Navbar';
+import QuizEditor from '../components/QuizEditor';
+import AssignmentEditor from '../components/AssignmentEditor';
+import GradingQueue from '../components/GradingQueue';
+import Gradebook from '../components/Gradebook';
+import MarkdownContent from '../components/MarkdownContent';
+import LessonHistory from '../components/LessonHistory';
+import LearningPathEditor from '../components/LearningPathEditor';
+import CourseReviews, { RatingSummary } from '../components/CourseReviews';
+import DiscussionPanel from '../components/DiscussionPanel';
+import CourseAnalytics from '../components/CourseAnalytics';
+import PublishingFields, { StatusBadge } from '../components/PublishingFields';
+import { LEVEL_LABELS } from '../components/CatalogFilters';
 import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationContext';
 import { api } from '../utils/api';
+import { groupLessonsBySection } from '../utils/lessons';
+import { toLocalInputValue, fromLocalInputValue } from '../utils/dates';
+
+const emptyCourseForm = {
+  title: '', description: '', sequential: false, prerequisite_course_ids: [], status: 'draft', publish_at: '',
+  category_id: '', new_category: '', level: '', language: '', tags: '',
+};
+const NEW_CATEGORY = 'new';
+const emptyLessonForm = {
+  title: '', content: '', order_index: 0, section_id: '', prerequisite_ids: [], status: 'draft', publish_at: '',
+};
+
+const publishingPayload = (form) => ({
+  status: form.status,
+  publish_at: form.status === 'draft' ? fromLocalInputValue(form.publish_at) : null,
+});
+
+// Tags are edited as a comma-separated list; the server lowercases and de-duplicates them
+const catalogPayload = (form, categoryId) => ({
+  category_id: categoryId,
+  level: form.level || null,
+  language: form.language.trim() || null,
+  tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+});
 
 const InstructorDashboard = () => {
   const { user } = useAuth();
+  const { latestNotification } = useNotifications();
+  const navigate = useNavigate();
   const [courses, setCourses] = useState([]);
+  const [visibleCourses, setVisibleCourses] = useState([]);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showCourseModal, setShowCourseModal] = useState(false);
   const [showLessonModal, setShowLessonModal] = useState(false);
+  const [showSectionModal, setShowSectionModal] = useState(false);
   const [editingCourse, setEditingCourse] = useState(null);
   const [editingLesson, setEditingLesson] = useState(null);
+  const [showLessonHistory, setShowLessonHistory] = useState(false);
+  const [editingSection, setEditingSection] = useState(null);
   const [selectedCourse, setSelectedCourse] = useState(null);
-  const [courseForm, setCourseForm] = useState({ title: '', description: '' });
-  const [lessonForm, setLessonForm] = useState({ title: '', content: '', order_index: 0 });
+  const [draggedLesson, setDraggedLesson] = useState(null);
+  const [dragOverLessonId, setDragOverLessonId] = useState(null);
+  const [quizLesson, setQuizLesson] = useState(null);
+  const [assignmentLesson, setAssignmentLesson] = useState(null);
+  const [discussionLesson, setDiscussionLesson] = useState(null);
+  const [gradingCourse, setGradingCourse] = useState(null);
+  const [gradebookCourse, setGradebookCourse] = useState(null);
+  const [reviewsCourse, setReviewsCourse] = useState(null);
+  const [showLearningPaths, setShowLearningPaths] = useState(false);
+  const [activeTab, setActiveTab] = useState('courses');
+  const [courseForm, setCourseForm] = useState(emptyCourseForm);
+  const [lessonForm, setLessonForm] = useState(emptyLessonForm);
+  const [sectionForm, setSectionForm] = useState({ title: '', description: '', order_index: 0 });
 
-  useEffect(() => {
-    if (user) {
-      loadCourses();
-    }
-  }, [user]);
-
-  const loadCourses = async () => {
+  const loadCourses = useCallback(async () => {
     setLoading(true);
     setError('');
     try {
@@ -32,21 +82,55 @@ const InstructorDashboard = () => {
         ? data.filter(course => course.instructor_id === user?.id)
         : [];
       setCourses(myCourses);
+      // Prerequisites and learning paths may also use other instructors' published courses
+      setVisibleCourses(Array.isArray(data) ? data : []);
     } catch (err) {
       setError(err.message || 'Failed to load courses');
     } finally {
       setLoading(false);
     }
+  }, [user?.id]);
+
+  useEffect(() => {
+    if (user) {
+      loadCourses();
+    }
+  }, [user, loadCourses]);
+
+  useEffect(() => {
+    if (latestNotification?.type === 'enrollment_created') {
+      loadCourses();
+    }
+  }, [latestNotification, loadCourses]);
+
+  const loadCategories = () => {
+    api.getCategories()
+      .then(setCategories)
+      .catch(() => setCategories([]));
   };
 
   const handleCreateCourse = () => {
-    setCourseForm({ title: '', description: '' });
+    loadCategories();
+    setCourseForm(emptyCourseForm);
     setEditingCourse(null);
     setShowCourseModal(true);
   };
 
   const handleEditCourse = (course) => {
-    setCourseForm({ title: course.title || '', description: course.description || '' });
+    loadCategories();
+    setCourseForm({
+      title: course.title || '',
+      description: course.description || '',
+      sequential: !!course.sequential,
+      prerequisite_course_ids: course.prerequisite_course_ids || [],
+      status: course.status || 'published',
+      publish_at: toLocalInputValue(course.publish_at),
+      category_id: course.category_id || '',
+      new_category: '',
+      level: course.level || '',
+      language: course.language || '',
+      tags: (course.tags || []).join(', '),
+    });
     setEditingCourse(course);
     setShowCourseModal(true);
   };
@@ -65,10 +149,20 @@ const InstructorDashboard = () => {
     e.preventDefault();
     setError('');
     try {
+      let categoryId = parseInt(courseForm.category_id) || null;
+      if (courseForm.category_id === NEW_CATEGORY) {
+        const category = await api.createCategory(courseForm.new_category.trim());
+        // Keep the new category selected in case saving the course fails below
+        setCategories([...categories, category]);
+        setCourseForm({ ...courseForm, category_id: category.id, new_category: '' });
+        categoryId = category.id;
+      }
+      const { new_category, ...form } = courseForm;
+      const payload = { ...form, ...publishingPayload(courseForm), ...catalogPayload(courseForm, categoryId) };
       if (editingCourse) {
-        await api.updateCourse(editingCourse.id, courseForm);
+        await api.updateCourse(editingCourse.id, payload);
       } else {
-        await api.createCourse(courseForm);
+        await api.createCourse(payload);
       }
       setShowCourseModal(false);
       await loadCourses();
@@ -79,9 +173,8 @@ const InstructorDashboard = () => {
 
   const handleManageLessons = async (course) => {
     try {
-      const fullCourse = await api.getCourse(course.id);
-      const lessons = await api.getLessons(course.id);
-      setSelectedCourse({ ...fullCourse, lessons });
+      // The course detail lists every lesson; reordering needs the complete list
+      setSelectedCourse(await api.getCourse(course.id));
     } catch (err) {
       setError(err.message || 'Failed to load course details');
     }
@@ -91,7 +184,7 @@ const InstructorDashboard = () => {
     const maxOrder = selectedCourse?.lessons?.length > 0
       ? Math.max(...selectedCourse.lessons.map(l => l.order_index || 0))
       : 0;
-    setLessonForm({ title: '', content: '', order_index: maxOrder + 1 });
+    setLessonForm({ ...emptyLessonForm, order_index: maxOrder + 1 });
     setEditingLesson(null);
     setShowLessonModal(true);
   };
@@ -101,17 +194,30 @@ const InstructorDashboard = () => {
       title: lesson.title || '',
       content: lesson.content || '',
       order_index: lesson.order_index || 0,
+      section_id: lesson.section_id || '',
+      prerequisite_ids: lesson.prerequisite_ids || [],
+      status: lesson.status || 'published',
+      publish_at: toLocalInputValue(lesson.publish_at),
     });
     setEditingLesson(lesson);
     setShowLessonModal(true);
   };
 
+  const handleLessonRestored = async (lesson) => {
+    setLessonForm({ ...lessonForm, title: lesson.title, content: lesson.content });
+    setEditingLesson(lesson);
+    try {
+      setSelectedCourse(await api.getCourse(selectedCourse.id));
+    } catch (err) {
+      setError(err.message || 'Failed to reload lessons');
+    }
+  };
+
   const handleDeleteLesson = async (lessonId) => {
     if (!window.confirm('Are you sure you want to delete this lesson?')) return;
     try {
       await api.deleteLesson(lessonId);
-      const lessons = await api.getLessons(selectedCourse.id);
-      setSelectedCourse({ ...selectedCourse, lessons });
+      setSelectedCourse(await api.getCourse(selectedCourse.id));
     } catch (err) {
       setError(err.message || 'Failed to delete lesson');
     }
@@ -120,20 +226,181 @@ const InstructorDashboard = () => {
   const handleLessonSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    const payload = {
+      ...lessonForm,
+      ...publishingPayload(lessonForm),
+      section_id: parseInt(lessonForm.section_id) || null,
+    };
     try {
       if (editingLesson) {
-        await api.updateLesson(editingLesson.id, lessonForm);
+        await api.updateLesson(editingLesson.id, payload);
       } else {
-        await api.createLesson(selectedCourse.id, lessonForm);
+        await api.createLesson(selectedCourse.id, payload);
       }
       setShowLessonModal(false);
-      const lessons = await api.getLessons(selectedCourse.id);
-      setSelectedCourse({ ...selectedCourse, lessons });
+      setSelectedCourse(await api.getCourse(selectedCourse.id));
     } catch (err) {
       setError(err.message || 'Failed to save lesson');
     }
   };
 
+  const handleCreateSection = () => {
+    const maxOrder = selectedCourse?.sections?.length > 0
+      ? Math.max(...selectedCourse.sections.map(s => s.order_index || 0))
+      : 0;
+    setSectionForm({ title: '', description: '', order_index: maxOrder + 1 });
+    setEditingSection(null);
+    setShowSectionModal(true);
+  };
+
+  const handleEditSection = (section) => {
+    setSectionForm({
+      title: section.title || '',
+      description: section.description || '',
+      order_index: section.order_index || 0,
+    });
+    setEditingSection(section);
+    setShowSectionModal(true);
+  };
+
+  const handleDeleteSection = async (sectionId) => {
+    if (!window.confirm('Delete this section? Its lessons are kept without a section.')) return;
+    try {
+      await api.deleteSection(sectionId);
+      setSelectedCourse(await api.getCourse(selectedCourse.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete section');
+    }
+  };
+
+  const handleSectionSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    const payload = { ...sectionForm, description: sectionForm.description.trim() || null };
+    try {
+      if (editingSection) {
+        await api.updateSection(editingSection.id, payload);
+      } else {
+        await api.createSection(selectedCourse.id, payload);
+      }
+      setShowSectionModal(false);
+      setSelectedCourse(await api.getCourse(selectedCourse.id));
+    } catch (err) {
+      setError(err.message || 'Failed to save section');
+    }
+  };
+
+  // Lessons can only be dragged within their own section; the whole course order is saved at once
+  const canDropOn = (lesson) =>
+    draggedLesson && draggedLesson.id !== lesson.id && (draggedLesson.section_id || null) === (lesson.section_id || null);
+
+  const handleLessonDragEnd = () => {
+    setDraggedLesson(null);
+    setDragOverLessonId(null);
+  };
+
+  const handleLessonDrop = async (targetLesson) => {
+    if (!canDropOn(targetLesson)) {
+      handleLessonDragEnd();
+      return;
+    }
+    const currentOrder = lessonGroups.flatMap(group => group.lessons);
+    const movingDown = currentOrder.findIndex(l => l.id === draggedLesson.id)
+      < currentOrder.findIndex(l => l.id === targetLesson.id);
+    const ordered = currentOrder.filter(l => l.id !== draggedLesson.id);
+    const targetIndex = ordered.findIndex(l => l.id === targetLesson.id);
+    ordered.splice(movingDown ? targetIndex + 1 : targetIndex, 0, draggedLesson);
+    handleLessonDragEnd();
+
+    const previousLessons = selectedCourse.lessons;
+    setSelectedCourse({
+      ...selectedCourse,
+      lessons: ordered.map((lesson, index) => ({ ...lesson, order_index: index + 1 })),
+    });
+    try {
+      const lessons = await api.reorderLessons(selectedCourse.id, ordered.map(l => l.id));
+      setSelectedCourse((current) => ({ ...current, lessons }));
+    } catch (err) {
+      setSelectedCourse((current) => ({ ...current, lessons: previousLessons }));
+      setError(err.message || 'Failed to reorder lessons');
+    }
+  };
+
+  const renderLessonRow = (lesson) => (
+    <div
+      key={lesson.id}
+      className={`lesson-item draggable ${draggedLesson?.id === lesson.id ? 'dragging' : ''} ${
+        dragOverLessonId === lesson.id ? 'drag-over' : ''
+      }`}
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        setDraggedLesson(lesson);
+      }}
+      onDragOver={(e) => {
+        if (canDropOn(lesson)) {
+          e.preventDefault();
+          setDragOverLessonId(lesson.id);
+        }
+      }}
+      onDragLeave={() => setDragOverLessonId(null)}
+      onDrop={(e) => {
+        e.preventDefault();
+        handleLessonDrop(lesson);
+      }}
+      onDragEnd={handleLessonDragEnd}
+    >
+      <div className="lesson-info">
+        <h5>
+          <span className="drag-handle">⋮⋮</span> #{lesson.order_index} - {lesson.title} <StatusBadge item={lesson} />
+        </h5>
+        {lesson.prerequisite_ids?.length > 0 && (
+          <p>Requires {lesson.prerequisite_ids.length} prerequisite lesson(s)</p>
+        )}
+      </div>
+      <div className="lesson-actions">
+        <button className="btn btn-secondary" onClick={() => setQuizLesson(lesson)}>
+          Quizzes
+        </button>
+        <button className="btn btn-secondary" onClick={() => setAssignmentLesson(lesson)}>
+          Assignments
+        </button>
+        <button className="btn btn-secondary" onClick={() => setDiscussionLesson(lesson)}>
+          Discussions
+        </button>
+        <button className="btn btn-secondary" onClick={() => handleEditLesson(lesson)}>
+          Edit
+        </button>
+        <button className="btn btn-danger" onClick={() => handleDeleteLesson(lesson.id)}>
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+
+  const togglePrerequisiteCourse = (courseId) => {
+    const prerequisiteIds = courseForm.prerequisite_course_ids.includes(courseId)
+      ? courseForm.prerequisite_course_ids.filter(id => id !== courseId)
+      : [...courseForm.prerequisite_course_ids, courseId];
+    setCourseForm({ ...courseForm, prerequisite_course_ids: prerequisiteIds });
+  };
+
+  const prerequisiteCourseOptions = visibleCourses.filter(course => course.id !== editingCourse?.id);
+
+  const lessonGroups = selectedCourse
+    ? groupLessonsBySection(selectedCourse.lessons, selectedCourse.sections)
+    : [];
+  const prerequisiteOptions = lessonGroups
+    .flatMap(group => group.lessons)
+    .filter(lesson => lesson.id !== editingLesson?.id);
+
+  const togglePrerequisite = (lessonId) => {
+    const prerequisiteIds = lessonForm.prerequisite_ids.includes(lessonId)
+      ? lessonForm.prerequisite_ids.filter(id => id !== lessonId)
+      : [...lessonForm.prerequisite_ids, lessonId];
+    setLessonForm({ ...lessonForm, prerequisite_ids: prerequisiteIds });
+  };
+
   return (
     <div>
       <Navbar title="Instructor Dashboard" />
@@ -142,12 +409,34 @@ const InstructorDashboard = () => {
         
         <div className="dashboard-header">
           <h2>My Courses</h2>
-          <button className="btn btn-primary" onClick={handleCreateCourse}>
-            Create New Course
+          <div className="dashboard-header-actions">
+            <button className="btn btn-secondary" onClick={() => setShowLearningPaths(true)}>
+              Learning Paths
+            </button>
+            <button className="btn btn-primary" onClick={handleCreateCourse}>
+              Create New Course
+            </button>
+          </div>
+        </div>
+
+        <div className="dashboard-tabs">
+          <button
+            className={`dashboard-tab ${activeTab === 'courses' ? 'active' : ''}`}
+            onClick={() => setActiveTab('courses')}
+          >
+            Courses
+          </button>
+          <button
+            className={`dashboard-tab ${activeTab === 'analytics' ? 'active' : ''}`}
+            onClick={() => setActiveTab('analytics')}
+          >
+            Analytics
           </button>
         </div>
 
-        {loading ? (
+        {activeTab === 'analytics' ? (
+          <CourseAnalytics courses={courses} />
+        ) : loading ? (
           <div className="loading">Loading courses...</div>
         ) : courses.length === 0 ? (
           <div className="empty-state">
@@ -158,15 +447,30 @@ const InstructorDashboard = () => {
           <div className="course-grid">
             {courses.map((course) => (
               <div key={course.id} className="course-card">
-                <h4>{course.title}</h4>
+                <h4>{course.title} <StatusBadge item={course} /></h4>
                 <p>{course.description}</p>
                 <div className="course-meta">
                   <span>Instructor: {course.instructor_email}</span>
+                  {course.category_name && <span>{course.category_name}</span>}
+                  {course.level && <span>{LEVEL_LABELS[course.level]}</span>}
+                  <RatingSummary average={course.average_rating} count={course.rating_count} />
                 </div>
                 <div className="course-actions">
                   <button className="btn btn-secondary" onClick={() => handleManageLessons(course)}>
                     Manage Lessons
                   </button>
+                  <button className="btn btn-secondary" onClick={() => navigate(`/instructor/course/${course.id}/students`)}>
+                    Students
+                  </button>
+                  <button className="btn btn-secondary" onClick={() => setGradingCourse(course)}>
+                    Grading
+                  </button>
+                  <button className="btn btn-secondary" onClick={() => setGradebookCourse(course)}>
+                    Gradebook
+                  </button>
+                  <button className="btn btn-secondary" onClick={() => setReviewsCourse(course)}>
+                    Reviews
+                  </button>
                   <button className="btn btn-secondary" onClick={() => handleEditCourse(course)}>
                     Edit
                   </button>
@@ -203,6 +507,88 @@ const InstructorDashboard = () => {
                     required
                   />
                 </div>
+                <div className="form-group">
+                  <label className="quiz-option">
+                    <input
+                      type="checkbox"
+                      checked={courseForm.sequential}
+                      onChange={(e) => setCourseForm({ ...courseForm, sequential: e.target.checked })}
+                    />
+                    Sequential mode: students must complete lessons in order
+                  </label>
+                </div>
+                <div className="form-group">
+                  <label>Category</label>
+                  <select
+                    value={courseForm.category_id}
+                    onChange={(e) => setCourseForm({ ...courseForm, category_id: e.target.value })}
+                  >
+                    <option value="">Uncategorized</option>
+                    {categories.map((category) => (
+                      <option key={category.id} value={category.id}>{category.name}</option>
+                    ))}
+                    <option value={NEW_CATEGORY}>New category...</option>
+                  </select>
+                  {courseForm.category_id === NEW_CATEGORY && (
+                    <input
+                      type="text"
+                      value={courseForm.new_category}
+                      onChange={(e) => setCourseForm({ ...courseForm, new_category: e.target.value })}
+                      placeholder="Category name"
+                      maxLength={100}
+                      required
+                    />
+                  )}
+                </div>
+                <div className="form-group">
+                  <label>Level</label>
+                  <select
+                    value={courseForm.level}
+                    onChange={(e) => setCourseForm({ ...courseForm, level: e.target.value })}
+                  >
+                    <option value="">Not specified</option>
+                    {Object.entries(LEVEL_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Language (e.g. en, es, pt-BR)</label>
+                  <input
+                    type="text"
+                    value={courseForm.language}
+                    onChange={(e) => setCourseForm({ ...courseForm, language: e.target.value })}
+                    pattern="[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})?"
+                    maxLength={12}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Tags (comma-separated)</label>
+                  <input
+                    type="text"
+                    value={courseForm.tags}
+                    onChange={(e) => setCourseForm({ ...courseForm, tags: e.target.value })}
+                    placeholder="javascript, web, testing"
+                  />
+                </div>
+                {prerequisiteCourseOptions.length > 0 && (
+                  <div className="form-group">
+                    <label>Prerequisite courses</label>
+                    <div className="prerequisite-options">
+                      {prerequisiteCourseOptions.map((course) => (
+                        <label key={course.id} className="quiz-option">
+                          <input
+                            type="checkbox"
+                            checked={courseForm.prerequisite_course_ids.includes(course.id)}
+                            onChange={() => togglePrerequisiteCourse(course.id)}
+                          />
+                          {course.title}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                <PublishingFields form={courseForm} setForm={setCourseForm} />
                 <div className="modal-actions">
                   <button type="button" className="btn btn-secondary" onClick={() => setShowCourseModal(false)}>
                     Cancel
@@ -220,28 +606,40 @@ const InstructorDashboard = () => {
           <div className="modal-overlay" onClick={() => setSelectedCourse(null)}>
             <div className="modal" onClick={(e) => e.stopPropagation()}>
               <h3>Manage Lessons: {selectedCourse.title}</h3>
-              <button className="btn btn-primary" onClick={handleCreateLesson} style={{ marginBottom: '20px' }}>
-                Add Lesson
-              </button>
-              {selectedCourse.lessons && selectedCourse.lessons.length > 0 ? (
-                <div className="lesson-list">
-                  {selectedCourse.lessons
-                    .sort((a, b) => (a.order_index || 0) - (b.order_index || 0))
-                    .map((lesson) => (
-                      <div key={lesson.id} className="lesson-item">
-                        <div className="lesson-info">
-                          <h5>#{lesson.order_index} - {lesson.title}</h5>
-                        </div>
+              <div className="course-actions" style={{ marginBottom: '20px' }}>
+                <button className="btn btn-primary" onClick={handleCreateLesson}>
+                  Add Lesson
+                </button>
+                <button className="btn btn-secondary" onClick={handleCreateSection}>
+                  Add Section
+                </button>
+              </div>
+              {selectedCourse.sections?.length > 0 ? (
+                lessonGroups.map(({ section, lessons }) => (
+                  <div key={section ? section.id : 'none'} className="section-group">
+                    <div className="section-header">
+                      <span>{section ? `#${section.order_index} - ${section.title}` : 'Other Lessons'}</span>
+                      {section && (
                         <div className="lesson-actions">
-                          <button className="btn btn-secondary" onClick={() => handleEditLesson(lesson)}>
+                          <button className="btn btn-secondary" onClick={() => handleEditSection(section)}>
                             Edit
                           </button>
-                          <button className="btn btn-danger" onClick={() => handleDeleteLesson(lesson.id)}>
+                          <button className="btn btn-danger" onClick={() => handleDeleteSection(section.id)}>
                             Delete
                           </button>
                         </div>
-                      </div>
-                    ))}
+                      )}
+                    </div>
+                    <div className="lesson-list">
+                      {lessons.length > 0 ? lessons.map(renderLessonRow) : (
+                        <p className="quiz-description">No lessons in this section yet</p>
+                      )}
+                    </div>
+                  </div>
+                ))
+              ) : selectedCourse.lessons && selectedCourse.lessons.length > 0 ? (
+                <div className="lesson-list">
+                  {lessonGroups[0].lessons.map(renderLessonRow)}
                 </div>
               ) : (
                 <div className="empty-state">
@@ -257,9 +655,108 @@ const InstructorDashboard = () => {
           </div>
         )}
 
+        {quizLesson && (
+          <QuizEditor lesson={quizLesson} onClose={() => setQuizLesson(null)} />
+        )}
+
+        {assignmentLesson && (
+          <AssignmentEditor lesson={assignmentLesson} onClose={() => setAssignmentLesson(null)} />
+        )}
+
+        {discussionLesson && (
+          <div className="modal-overlay" onClick={() => setDiscussionLesson(null)}>
+            <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+              <h3>Discussions: {discussionLesson.title}</h3>
+              <DiscussionPanel lessonId={discussionLesson.id} isModerator />
+              <div className="modal-actions">
+                <button className="btn btn-secondary" onClick={() => setDiscussionLesson(null)}>
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {gradingCourse && (
+          <GradingQueue course={gradingCourse} onClose={() => setGradingCourse(null)} />
+        )}
+
+        {gradebookCourse && (
+          <Gradebook course={gradebookCourse} onClose={() => setGradebookCourse(null)} />
+        )}
+
+        {reviewsCourse && (
+          <div className="modal-overlay" onClick={() => setReviewsCourse(null)}>
+            <div className="modal" onClick={(e) => e.stopPropagation()}>
+              <h3>Reviews: {reviewsCourse.title}</h3>
+              <CourseReviews courseId={reviewsCourse.id} isOwner />
+              <div className="modal-actions">
+                <button className="btn btn-secondary" onClick={() => setReviewsCourse(null)}>
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {showLearningPaths && (
+          <LearningPathEditor
+            courses={visibleCourses}
+            userId={user?.id}
+            onClose={() => setShowLearningPaths(false)}
+          />
+        )}
+
+        {showSectionModal && (
+          <div className="modal-overlay" onClick={() => setShowSectionModal(false)}>
+            <div className="modal" onClick={(e) => e.stopPropagation()}>
+              <h3>{editingSection ? 'Edit Section' : 'Create Section'}</h3>
+              <form onSubmit={handleSectionSubmit}>
+                <div className="form-group">
+                  <label>Title</label>
+                  <input
+                    type="text"
+                    value={sectionForm.title}
+                    onChange={(e) => setSectionForm({ ...sectionForm, title: e.target.value })}
+                    maxLength={200}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Description (optional)</label>
+                  <textarea
+                    value={sectionForm.description}
+                    onChange={(e) => setSectionForm({ ...sectionForm, description: e.target.value })}
+                    maxLength={5000}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Order</label>
+                  <input
+                    type="number"
+                    value={sectionForm.order_index}
+                    onChange={(e) => setSectionForm({ ...sectionForm, order_index: parseInt(e.target.value) || 0 })}
+                    min="0"
+                    max="1000"
+                    required
+                  />
+                </div>
+                <div className="modal-actions">
+                  <button type="button" className="btn btn-secondary" onClick={() => setShowSectionModal(false)}>
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn btn-primary">
+                    {editingSection ? 'Update' : 'Create'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
         {showLessonModal && (
           <div className="modal-overlay" onClick={() => setShowLessonModal(false)}>
-            <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
               <h3>{editingLesson ? 'Edit Lesson' : 'Create Lesson'}</h3>
               <form onSubmit={handleLessonSubmit}>
                 <div className="form-group">
@@ -273,13 +770,28 @@ const InstructorDashboard = () => {
                   />
                 </div>
                 <div className="form-group">
-                  <label>Content</label>
-                  <textarea
-                    value={lessonForm.content}
-                    onChange={(e) => setLessonForm({ ...lessonForm, content: e.target.value })}
-                    maxLength={50000}
-                    required
-                  />
+                  <label>Content (Markdown, with $math$ and fenced code)</label>
+                  <div className="markdown-editor">
+                    <textarea
+                      value={lessonForm.content}
+                      onChange={(e) => setLessonForm({ ...lessonForm, content: e.target.value })}
+                      maxLength={50000}
+                      required
+                    />
+                    <MarkdownContent content={lessonForm.content} className="markdown-body markdown-preview" />
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label>Section</label>
+                  <select
+                    value={lessonForm.section_id}
+                    onChange={(e) => setLessonForm({ ...lessonForm, section_id: e.target.value })}
+                  >
+                    <option value="">No section</option>
+                    {(selectedCourse?.sections || []).map((section) => (
+                      <option key={section.id} value={section.id}>{section.title}</option>
+                    ))}
+                  </select>
                 </div>
                 <div className="form-group">
                   <label>Order</label>
@@ -292,10 +804,33 @@ const InstructorDashboard = () => {
                     required
                   />
                 </div>
+                {prerequisiteOptions.length > 0 && (
+                  <div className="form-group">
+                    <label>Prerequisites</label>
+                    <div className="prerequisite-options">
+                      {prerequisiteOptions.map((lesson) => (
+                        <label key={lesson.id} className="quiz-option">
+                          <input
+                            type="checkbox"
+                            checked={lessonForm.prerequisite_ids.includes(lesson.id)}
+                            onChange={() => togglePrerequisite(lesson.id)}
+                          />
+                          #{lesson.order_index} - {lesson.title}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                <PublishingFields form={lessonForm} setForm={setLessonForm} />
                 <div className="modal-actions">
                   <button type="button" className="btn btn-secondary" onClick={() => setShowLessonModal(false)}>
                     Cancel
                   </button>
+                  {editingLesson && (
+                    <button type="button" className="btn btn-secondary" onClick={() => setShowLessonHistory(true)}>
+                      History
+                    </button>
+                  )}
                   <button type="submit" className="btn btn-primary">
                     {editingLesson ? 'Update' : 'Create'}
                   </button>
@@ -304,6 +839,14 @@ const InstructorDashboard = () => {
             </div>
           </div>
         )}
+
+        {showLessonModal && showLessonHistory && editingLesson && (
+          <LessonHistory
+            lesson={editingLesson}
+            onRestored={handleLessonRestored}
+            onClose={() => setShowLessonHistory(false)}
+          />
+        )}
       </div>
     </div>
   );
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { api } from '../utils/api';
 
@@ -10,6 +10,7 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   const { login, user } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
 
   useEffect(() => {
     if (user) {
@@ -47,10 +48,16 @@ const Login = () => {
     setLoading(true);
     try {
       const response = await api.login({ email: email.trim(), password });
+      if (response && response.two_factor_required) {
+        navigate('/login/two-factor', {
+          state: { challengeToken: response.challenge_token, setupRequired: response.setup_required },
+        });
+        return;
+      }
       if (!response || !response.token || !response.user) {
         throw new Error('Invalid server response');
       }
-      login(response.user, response.token);
+      login(response.user, response.token, response.refresh_token);
       const redirectPath = response.user.role === 'instructor' ? '/instructor/dashboard' : '/student/dashboard';
       navigate(redirectPath, { replace: true });
     } catch (err) {
@@ -64,6 +71,7 @@ const Login = () => {
     <div className="auth-container">
       <div className="auth-card">
         <h2>Login</h2>
+        {location.state?.message && !error && <div className="success-message">{location.state.message}</div>}
         {error && <div className="error-message">{error}</div>}
         <form onSubmit={handleSubmit}>
           <div className="form-group">
@@ -96,6 +104,9 @@ const Login = () => {
             {loading ? 'Logging in...' : 'Login'}
           </button>
         </form>
+        <div className="auth-link">
+          <Link to="/forgot-password">Forgot your password?</Link>
+        </div>
         <div className="auth-link">
           Don't have an account? <Link to="/register">Register</Link>
         </div>
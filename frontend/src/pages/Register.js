@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { api } from '../utils/api';
+import { getNewPasswordError } from '../utils/auth';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -31,20 +32,9 @@ const Register = () => {
       setError('Email too long');
       return false;
     }
-    if (!formData.password || formData.password.length === 0) {
-      setError('Password is required');
-      return false;
-    }
-    if (formData.password.length < 8) {
-      setError('Password must be at least 8 characters');
-      return false;
-    }
-    if (formData.password.length > 128) {
-      setError('Password too long');
-      return false;
-    }
-    if (formData.password !== formData.confirmPassword) {
-      setError('Passwords do not match');
+    const passwordError = getNewPasswordError(formData.password, formData.confirmPassword);
+    if (passwordError) {
+      setError(passwordError);
       return false;
     }
     if (!['student', 'instructor'].includes(formData.role)) {
@@ -74,10 +64,16 @@ const Register = () => {
         password: formData.password,
         role: formData.role,
       });
+      if (response && response.two_factor_required) {
+        navigate('/login/two-factor', {
+          state: { challengeToken: response.challenge_token, setupRequired: response.setup_required },
+        });
+        return;
+      }
       if (!response || !response.token || !response.user) {
         throw new Error('Invalid server response');
       }
-      login(response.user, response.token);
+      login(response.user, response.token, response.refresh_token);
       const redirectPath = response.user.role === 'instructor' ? '/instructor/dashboard' : '/student/dashboard';
       navigate(redirectPath, { replace: true });
     } catch (err) {
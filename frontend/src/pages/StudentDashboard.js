@@ -1,29 +1,63 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Navbar from '../components/Navbar';
+import CourseSearch from '../components/CourseSearch';
+import CatalogFilters, { LEVEL_LABELS, emptyCatalogFilters } from '../components/CatalogFilters';
+import { RatingSummary } from '../components/CourseReviews';
+import StudyActivity from '../components/StudyActivity';
+import { useNotifications } from '../context/NotificationContext';
 import { api } from '../utils/api';
+import { saveBlob } from '../utils/files';
 
 const StudentDashboard = () => {
   const [allCourses, setAllCourses] = useState([]);
   const [enrolledCourses, setEnrolledCourses] = useState([]);
+  const [certificates, setCertificates] = useState([]);
+  const [learningPaths, setLearningPaths] = useState([]);
+  const [catalog, setCatalog] = useState(null);
+  const [catalogFilters, setCatalogFilters] = useState(emptyCatalogFilters);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const { latestNotification } = useNotifications();
   const navigate = useNavigate();
 
   useEffect(() => {
     loadData();
   }, []);
 
+  // New lessons and grades change progress, paths and certificates
+  useEffect(() => {
+    if (latestNotification) {
+      loadData();
+    }
+  }, [latestNotification]);
+
+  const loadCatalog = useCallback(async () => {
+    try {
+      setCatalog(await api.getCourseCatalog(catalogFilters));
+    } catch (err) {
+      setError(err.message || 'Failed to load course catalog');
+    }
+  }, [catalogFilters]);
+
+  useEffect(() => {
+    loadCatalog();
+  }, [loadCatalog]);
+
   const loadData = async () => {
     setLoading(true);
     setError('');
     try {
-      const [coursesData, enrollmentsData] = await Promise.all([
+      const [coursesData, enrollmentsData, certificatesData, pathsData] = await Promise.all([
         api.getCourses(),
         api.getEnrollments(),
+        api.getCertificates(),
+        api.getLearningPaths(),
       ]);
       setAllCourses(Array.isArray(coursesData) ? coursesData : []);
       setEnrolledCourses(Array.isArray(enrollmentsData) ? enrollmentsData : []);
+      setCertificates(Array.isArray(certificatesData) ? certificatesData : []);
+      setLearningPaths(Array.isArray(pathsData) ? pathsData.filter(path => path.courses.length > 0) : []);
     } catch (err) {
       setError(err.message || 'Failed to load data');
     } finally {
@@ -34,18 +68,48 @@ const StudentDashboard = () => {
   const handleEnroll = async (courseId) => {
     try {
       await api.enrollCourse(courseId);
-      await loadData();
+      await Promise.all([loadData(), loadCatalog()]);
     } catch (err) {
       setError(err.message || 'Failed to enroll');
     }
   };
 
+  const handleDownloadCertificate = async (certificate) => {
+    try {
+      const blob = await api.downloadCertificate(certificate.id);
+      saveBlob(blob, `certificate-${certificate.id}.pdf`);
+    } catch (err) {
+      setError(err.message || 'Failed to download certificate');
+    }
+  };
+
   const handleViewCourse = (courseId) => {
     navigate(`/student/course/${courseId}`);
   };
 
   const enrolledCourseIds = new Set(enrolledCourses.map((e) => e.course_id));
-  const availableCourses = allCourses.filter((c) => !enrolledCourseIds.has(c.id));
+  const availableCourses = catalog ? catalog.courses.filter((c) => !enrolledCourseIds.has(c.id)) : [];
+
+  const renderPathCourseAction = (course) => {
+    if (course.completed) {
+      return <span className="path-course-status">Completed</span>;
+    }
+    if (enrolledCourseIds.has(course.id)) {
+      return (
+        <button className="btn btn-secondary" onClick={() => handleViewCourse(course.id)}>
+          Continue
+        </button>
+      );
+    }
+    if (course.locked) {
+      return <span className="path-course-status">🔒 Locked</span>;
+    }
+    return (
+      <button className="btn btn-primary" onClick={() => handleEnroll(course.id)}>
+        Enroll
+      </button>
+    );
+  };
 
   return (
     <div>
@@ -53,6 +117,10 @@ const StudentDashboard = () => {
       <div className="dashboard">
         {error && <div className="error-message">{error}</div>}
 
+        <CourseSearch enrolledCourseIds={enrolledCourseIds} onEnroll={handleEnroll} />
+
+        {enrolledCourses.length > 0 && <StudyActivity />}
+
         <div className="section">
           <h3>My Enrolled Courses</h3>
           {loading ? (
@@ -84,14 +152,83 @@ const StudentDashboard = () => {
           )}
         </div>
 
+        {learningPaths.length > 0 && (
+          <div className="section">
+            <h3>Learning Paths</h3>
+            {learningPaths.map((path) => (
+              <div key={path.id} className="learning-path">
+                <h4>{path.title}</h4>
+                {path.description && <p className="quiz-description">{path.description}</p>}
+                <div className="progress-bar">
+                  <div className="progress-fill" style={{ width: `${path.progress.percentage}%` }}>
+                    {path.progress.percentage}%
+                  </div>
+                </div>
+                <div className="progress-text">
+                  {path.progress.completed_courses} of {path.progress.total_courses} courses completed
+                </div>
+                <div className="lesson-list">
+                  {path.courses.map((course, index) => (
+                    <div
+                      key={course.id}
+                      className={`lesson-item ${course.completed ? 'completed' : ''} ${course.locked ? 'locked' : ''}`}
+                    >
+                      <div className="lesson-info">
+                        <h5>{index + 1}. {course.title}</h5>
+                        <p>
+                          {course.locked
+                            ? `Requires ${course.missing_prerequisites.map(p => p.title).join(', ')}`
+                            : `${course.completion.completed_lessons} of ${course.completion.total_lessons} lessons completed`}
+                        </p>
+                      </div>
+                      <div className="lesson-actions">{renderPathCourseAction(course)}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {certificates.length > 0 && (
+          <div className="section">
+            <h3>My Certificates</h3>
+            <div className="lesson-list">
+              {certificates.map((certificate) => (
+                <div key={certificate.id} className="lesson-item">
+                  <div className="lesson-info">
+                    <h5>{certificate.course_title}</h5>
+                    <p>
+                      Issued {new Date(certificate.issued_at).toLocaleDateString()} · Verification code{' '}
+                      <code>{certificate.verification_code}</code>
+                    </p>
+                  </div>
+                  <div className="lesson-actions">
+                    <button className="btn btn-primary" onClick={() => handleDownloadCertificate(certificate)}>
+                      Download PDF
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         <div className="section">
           <h3>Available Courses</h3>
-          {loading ? (
+          {catalog && (
+            <CatalogFilters filters={catalogFilters} facets={catalog.facets} onChange={setCatalogFilters} />
+          )}
+          {loading || !catalog ? (
             <div className="loading">Loading...</div>
           ) : availableCourses.length === 0 ? (
             <div className="empty-state">
               <h4>No available courses</h4>
-              <p>You are enrolled in all courses</p>
+              <p>
+                {catalog.courses.length > 0
+                  ? 'You are enrolled in all matching courses'
+                  : 'No courses match these filters'}
+              </p>
             </div>
           ) : (
             <div className="course-grid">
@@ -101,10 +238,39 @@ const StudentDashboard = () => {
                   <p>{course.description}</p>
                   <div className="course-meta">
                     <span>Instructor: {course.instructor_email}</span>
+                    {course.category_name && <span>{course.category_name}</span>}
+                    {course.level && <span>{LEVEL_LABELS[course.level]}</span>}
+                    {course.language && <span>{course.language}</span>}
+                    <span>{course.enrollment_count} enrolled</span>
+                    <RatingSummary average={course.average_rating} count={course.rating_count} />
                   </div>
-                  <button className="btn btn-primary" onClick={() => handleEnroll(course.id)}>
-                    Enroll Now
-                  </button>
+                  {course.tags.length > 0 && (
+                    <div className="course-tags">
+                      {course.tags.map(tag => (
+                        <button
+                          key={tag}
+                          className="course-tag"
+                          onClick={() => setCatalogFilters({ ...catalogFilters, tag })}
+                        >
+                          #{tag}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {course.locked ? (
+                    <>
+                      <p className="course-locked">
+                        🔒 Requires {course.missing_prerequisites.map(p => p.title).join(', ')}
+                      </p>
+                      <button className="btn btn-primary" disabled>
+                        Locked
+                      </button>
+                    </>
+                  ) : (
+                    <button className="btn btn-primary" onClick={() => handleEnroll(course.id)}>
+                      Enroll Now
+                    </button>
+                  )}
                 </div>
               ))}
             </div>
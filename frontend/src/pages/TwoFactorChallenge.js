@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { Link, Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { api } from '../utils/api';
+import RecoveryCodes from '../components/RecoveryCodes';
+import TwoFactorSetupInfo from '../components/TwoFactorSetupInfo';
+
+// Second sign-in step. Users whose role requires two-factor but who have not enrolled yet
+// set up their authenticator here before they are signed in.
+const TwoFactorChallenge = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { login } = useAuth();
+  const challengeToken = location.state?.challengeToken;
+  const setupRequired = !!location.state?.setupRequired;
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [completed, setCompleted] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!challengeToken || !setupRequired) return;
+    api.startTwoFactorChallengeSetup(challengeToken)
+      .then(setSetup)
+      .catch(err => setError(err.message || 'Failed to start two-factor setup'));
+  }, [challengeToken, setupRequired]);
+
+  if (!challengeToken) {
+    return <Navigate to="/login" replace />;
+  }
+
+  const finishLogin = (response) => {
+    login(response.user, response.token, response.refresh_token);
+    const redirectPath = response.user.role === 'instructor' ? '/instructor/dashboard' : '/student/dashboard';
+    navigate(redirectPath, { replace: true });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const value = code.trim();
+    if (!useRecoveryCode && !/^\d{6}$/.test(value)) {
+      setError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+    if (useRecoveryCode && value.length === 0) {
+      setError('Recovery code is required');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.verifyTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recovery_code: value } : { code: value }
+      );
+      if (response.recovery_codes) {
+        setCompleted(response);
+      } else {
+        finishLogin(response);
+      }
+    } catch (err) {
+      setError(err.message || 'Verification failed');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (completed) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Two-Factor Enabled</h2>
+          <RecoveryCodes codes={completed.recovery_codes} />
+          <button className="btn btn-primary" onClick={() => finishLogin(completed)}>
+            Continue
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>{setupRequired ? 'Set Up Two-Factor' : 'Two-Factor Verification'}</h2>
+        {error && <div className="error-message">{error}</div>}
+        {setupRequired && (
+          <>
+            <p className="quiz-description">Your account requires two-factor authentication.</p>
+            {setup ? <TwoFactorSetupInfo setup={setup} /> : !error && <div className="loading">Loading...</div>}
+          </>
+        )}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="code">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+            <input
+              id="code"
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              disabled={loading}
+              maxLength={useRecoveryCode ? 32 : 6}
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+            />
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={loading}>
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+        </form>
+        {!setupRequired && (
+          <div className="auth-link">
+            <button
+              type="button"
+              className="auth-link-button"
+              onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); setError(''); }}
+            >
+              {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code instead'}
+            </button>
+          </div>
+        )}
+        <div className="auth-link">
+          <Link to="/login">Back to login</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorChallenge;
@@ -0,0 +1,35 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { api } from '../utils/api';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [unlocked, setUnlocked] = useState(false);
+  const [error, setError] = useState(token ? '' : 'This unlock link is incomplete.');
+
+  useEffect(() => {
+    if (!token) return;
+    api.unlockAccount(token)
+      .then(() => setUnlocked(true))
+      .catch(err => setError(err.message || 'Failed to unlock account'));
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Unlock Account</h2>
+        {error && <div className="error-message">{error}</div>}
+        {unlocked && <div className="success-message">Your account is unlocked. You can login again.</div>}
+        {!error && !unlocked && <div className="loading">Unlocking...</div>}
+        <div className="auth-link">
+          <Link to="/login">Login</Link>
+          {' · '}
+          <Link to="/forgot-password">Reset password</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -0,0 +1,48 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { api, refreshAccessToken } from '../utils/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, refreshUser } = useAuth();
+  const [verified, setVerified] = useState(false);
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete.');
+  // Tokens are single-use, so re-renders from refreshUser must not submit one again
+  const submittedToken = useRef(null);
+
+  useEffect(() => {
+    if (!token || submittedToken.current === token) return;
+    submittedToken.current = token;
+    api.verifyEmail(token)
+      .then(async () => {
+        // A signed-in user's access token still says unverified until it is refreshed
+        if (user && await refreshAccessToken()) {
+          refreshUser();
+        }
+        setVerified(true);
+      })
+      .catch(err => setError(err.message || 'Failed to verify email'));
+  }, [token, user, refreshUser]);
+
+  const homePath = user
+    ? (user.role === 'instructor' ? '/instructor/dashboard' : '/student/dashboard')
+    : '/login';
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Verify Email</h2>
+        {error && <div className="error-message">{error}</div>}
+        {verified && <div className="success-message">Your email address is verified.</div>}
+        {!error && !verified && <div className="loading">Verifying...</div>}
+        <div className="auth-link">
+          <Link to={homePath}>{user ? 'Go to dashboard' : 'Login'}</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -1,6 +1,6 @@
-import { getAuthToken, clearAuthToken } from './auth';
+import { getAuthToken, getRefreshToken, setAuthTokens, clearAuthToken } from './auth';
 
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3000';
+export const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3000';
 const REQUEST_TIMEOUT = 30000;
 
 if (!API_BASE_URL || API_BASE_URL.trim() === '') {
@@ -25,7 +25,42 @@ const createAbortController = () => {
   return { controller, timeoutId };
 };
 
-const apiRequest = async (endpoint, options = {}) => {
+const requestTokenRefresh = async () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return false;
+
+  try {
+    const response = await fetch(sanitizeURL(`${API_BASE_URL}/api/auth/refresh`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: refreshToken }),
+      credentials: 'omit',
+    });
+    if (!response.ok) {
+      // Another tab may have rotated the refresh token first; its new tokens are usable here too
+      return getRefreshToken() !== refreshToken;
+    }
+    const data = await response.json();
+    setAuthTokens(data.token, data.refresh_token);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Gets a new access token with the stored refresh token. Concurrent callers share one
+// request, since each refresh token can only be used once. Resolves to whether it worked.
+let refreshPromise = null;
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestTokenRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+const apiRequest = async (endpoint, options = {}, isRetry = false) => {
   const { controller, timeoutId } = createAbortController();
   
   try {
@@ -50,7 +85,11 @@ const apiRequest = async (endpoint, options = {}) => {
 
     clearTimeout(timeoutId);
 
-    if (response.status === 401) {
+    // Without a token, a 401 is a failed login and its error is shown like any other
+    if (response.status === 401 && token) {
+      if (!isRetry && await refreshAccessToken()) {
+        return apiRequest(endpoint, options, true);
+      }
       clearAuthToken();
       window.location.href = '/login';
       throw new Error('Session expired. Please login again.');
@@ -76,6 +115,50 @@ const apiRequest = async (endpoint, options = {}) => {
   }
 };
 
+const downloadRequest = async (endpoint, isRetry = false) => {
+  const { controller, timeoutId } = createAbortController();
+
+  try {
+    const url = sanitizeURL(`${API_BASE_URL}${endpoint}`);
+    const token = getAuthToken();
+    const headers = {};
+
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(url, {
+      headers,
+      signal: controller.signal,
+      credentials: 'omit',
+    });
+
+    clearTimeout(timeoutId);
+
+    if (response.status === 401) {
+      if (token && !isRetry && await refreshAccessToken()) {
+        return downloadRequest(endpoint, true);
+      }
+      clearAuthToken();
+      window.location.href = '/login';
+      throw new Error('Session expired. Please login again.');
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Download failed');
+    }
+
+    return await response.blob();
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (error.name === 'AbortError') {
+      throw new Error('Request timeout');
+    }
+    throw error;
+  }
+};
+
 export const api = {
   register: (data) => {
     if (!data.email || !data.password || !data.role) {
@@ -97,11 +180,157 @@ export const api = {
     });
   },
 
+  changePassword: (data) => {
+    if (!data.current_password || !data.new_password) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest('/api/auth/password', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  requestPasswordReset: (email) => {
+    if (!email) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest('/api/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  resetPassword: (token, password) => {
+    if (!token || !password) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest('/api/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  },
+
+  unlockAccount: (token) => {
+    if (!token) {
+      throw new Error('Missing unlock token');
+    }
+    return apiRequest('/api/auth/unlock', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  verifyEmail: (token) => {
+    if (!token) {
+      throw new Error('Missing verification token');
+    }
+    return apiRequest('/api/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  resendVerificationEmail: () => {
+    return apiRequest('/api/auth/resend-verification', {
+      method: 'POST',
+      body: JSON.stringify({}),
+    });
+  },
+
+  getTwoFactorStatus: () => apiRequest('/api/auth/2fa'),
+
+  startTwoFactorSetup: () => {
+    return apiRequest('/api/auth/2fa/setup', {
+      method: 'POST',
+      body: JSON.stringify({}),
+    });
+  },
+
+  enableTwoFactor: (code) => {
+    if (!code) {
+      throw new Error('Missing code');
+    }
+    return apiRequest('/api/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  // factor is { code } or { recovery_code }
+  disableTwoFactor: (password, factor) => {
+    if (!password) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest('/api/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, ...factor }),
+    });
+  },
+
+  regenerateRecoveryCodes: (code) => {
+    if (!code) {
+      throw new Error('Missing code');
+    }
+    return apiRequest('/api/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  startTwoFactorChallengeSetup: (challengeToken) => {
+    return apiRequest('/api/auth/2fa/challenge/setup', {
+      method: 'POST',
+      body: JSON.stringify({ challenge_token: challengeToken }),
+    });
+  },
+
+  // factor is { code } or { recovery_code }
+  verifyTwoFactor: (challengeToken, factor) => {
+    if (!challengeToken) {
+      throw new Error('Missing sign-in challenge');
+    }
+    return apiRequest('/api/auth/2fa/verify', {
+      method: 'POST',
+      body: JSON.stringify({ challenge_token: challengeToken, ...factor }),
+    });
+  },
+
+  logout: (refreshToken) => {
+    return apiRequest('/api/auth/logout', {
+      method: 'POST',
+      body: JSON.stringify(refreshToken ? { refresh_token: refreshToken } : {}),
+    });
+  },
+
   getCourses: async () => {
     const data = await apiRequest('/api/courses');
     return Array.isArray(data.courses) ? data.courses : [];
   },
 
+  // Filtered catalog with facet counts; empty filters are left out of the query
+  getCourseCatalog: async (filters = {}) => {
+    const params = new URLSearchParams({ facets: 'true', limit: '100' });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== '' && value !== null && value !== undefined) {
+        params.set(key, value);
+      }
+    });
+    const data = await apiRequest(`/api/courses?${params.toString()}`);
+    return {
+      courses: Array.isArray(data.courses) ? data.courses : [],
+      facets: data.facets || { categories: [], tags: [], levels: [], languages: [], instructors: [] },
+    };
+  },
+
+  getCategories: () => apiRequest('/api/categories').then(data => data.categories || []),
+
+  createCategory: (name) => {
+    return apiRequest('/api/categories', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    }).then(data => data.category);
+  },
+
   getCourse: (id) => {
     if (!id || typeof id !== 'number') {
       throw new Error('Invalid course ID');
@@ -138,6 +367,45 @@ export const api = {
     });
   },
 
+  getSections: (courseId) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    return apiRequest(`/api/courses/${courseId}/sections`).then(data => data.sections || []);
+  },
+
+  createSection: (courseId, data) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    if (!data.title) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest(`/api/courses/${courseId}/sections`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }).then(data => data.section);
+  },
+
+  updateSection: (id, data) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid section ID');
+    }
+    return apiRequest(`/api/sections/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }).then(data => data.section);
+  },
+
+  deleteSection: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid section ID');
+    }
+    return apiRequest(`/api/sections/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
   getLessons: (courseId) => {
     if (!courseId || typeof courseId !== 'number') {
       throw new Error('Invalid course ID');
@@ -168,6 +436,47 @@ export const api = {
     }).then(data => data.lesson);
   },
 
+  getLessonRevisions: (lessonId) => {
+    if (!lessonId || typeof lessonId !== 'number') {
+      throw new Error('Invalid lesson ID');
+    }
+    return apiRequest(`/api/lessons/${lessonId}/revisions?limit=100`).then(data => data.revisions || []);
+  },
+
+  getLessonRevisionDiff: (lessonId, fromRevisionId, toRevisionId) => {
+    if (!lessonId || typeof lessonId !== 'number') {
+      throw new Error('Invalid lesson ID');
+    }
+    if (!fromRevisionId || typeof fromRevisionId !== 'number' || !toRevisionId || typeof toRevisionId !== 'number') {
+      throw new Error('Invalid revision ID');
+    }
+    return apiRequest(`/api/lessons/${lessonId}/revisions/diff?from=${fromRevisionId}&to=${toRevisionId}`)
+      .then(data => data.diff);
+  },
+
+  restoreLessonRevision: (lessonId, revisionId) => {
+    if (!lessonId || typeof lessonId !== 'number' || !revisionId || typeof revisionId !== 'number') {
+      throw new Error('Invalid revision');
+    }
+    return apiRequest(`/api/lessons/${lessonId}/revisions/${revisionId}/restore`, {
+      method: 'POST',
+      body: JSON.stringify({}),
+    }).then(data => data.lesson);
+  },
+
+  reorderLessons: (courseId, lessonIds) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    if (!Array.isArray(lessonIds) || lessonIds.length === 0) {
+      throw new Error('Invalid lesson order');
+    }
+    return apiRequest(`/api/courses/${courseId}/lessons/order`, {
+      method: 'PUT',
+      body: JSON.stringify({ lesson_ids: lessonIds }),
+    }).then(data => data.lessons || []);
+  },
+
   deleteLesson: (id) => {
     if (!id || typeof id !== 'number') {
       throw new Error('Invalid lesson ID');
@@ -193,7 +502,11 @@ export const api = {
     if (!courseId || typeof courseId !== 'number') {
       throw new Error('Invalid course ID');
     }
-    return apiRequest(`/api/courses/${courseId}/progress`).then(data => data.progress || []);
+    return apiRequest(`/api/courses/${courseId}/progress`).then(data => ({
+      progress: data.progress || [],
+      completion: data.completion,
+      sections: data.sections || [],
+    }));
   },
 
   updateProgress: (lessonId, completed) => {
@@ -205,4 +518,503 @@ export const api = {
       body: JSON.stringify({ lesson_id: lessonId, completed }),
     }).then(data => data.progress);
   },
+
+  recordStudyTime: (lessonId, seconds, date) => {
+    if (!lessonId || typeof lessonId !== 'number') {
+      throw new Error('Invalid lesson ID');
+    }
+    return apiRequest(`/api/lessons/${lessonId}/study-time`, {
+      method: 'POST',
+      body: JSON.stringify({ seconds, date }),
+    });
+  },
+
+  getStudyActivity: (today) => apiRequest(`/api/study-activity?today=${today}`),
+
+  getLessonQuizzes: (lessonId) => {
+    if (!lessonId || typeof lessonId !== 'number') {
+      throw new Error('Invalid lesson ID');
+    }
+    return apiRequest(`/api/lessons/${lessonId}/quizzes`).then(data => data.quizzes || []);
+  },
+
+  getQuiz: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid quiz ID');
+    }
+    return apiRequest(`/api/quizzes/${id}`).then(data => data.quiz);
+  },
+
+  createQuiz: (lessonId, data) => {
+    if (!lessonId || typeof lessonId !== 'number') {
+      throw new Error('Invalid lesson ID');
+    }
+    if (!data.title) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest(`/api/lessons/${lessonId}/quizzes`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }).then(data => data.quiz);
+  },
+
+  updateQuiz: (id, data) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid quiz ID');
+    }
+    return apiRequest(`/api/quizzes/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }).then(data => data.quiz);
+  },
+
+  deleteQuiz: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid quiz ID');
+    }
+    return apiRequest(`/api/quizzes/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  createQuestion: (quizId, data) => {
+    if (!quizId || typeof quizId !== 'number') {
+      throw new Error('Invalid quiz ID');
+    }
+    if (!data.question_type || !data.prompt) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest(`/api/quizzes/${quizId}/questions`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }).then(data => data.question);
+  },
+
+  updateQuestion: (id, data) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid question ID');
+    }
+    return apiRequest(`/api/questions/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }).then(data => data.question);
+  },
+
+  deleteQuestion: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid question ID');
+    }
+    return apiRequest(`/api/questions/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  submitQuizAttempt: (quizId, answers) => {
+    if (!quizId || typeof quizId !== 'number') {
+      throw new Error('Invalid quiz ID');
+    }
+    return apiRequest(`/api/quizzes/${quizId}/attempts`, {
+      method: 'POST',
+      body: JSON.stringify({ answers }),
+    }).then(data => data.attempt);
+  },
+
+  getQuizAttempts: (quizId) => {
+    if (!quizId || typeof quizId !== 'number') {
+      throw new Error('Invalid quiz ID');
+    }
+    return apiRequest(`/api/quizzes/${quizId}/attempts`).then(data => data.attempts || []);
+  },
+
+  getLessonAssignments: (lessonId) => {
+    if (!lessonId || typeof lessonId !== 'number') {
+      throw new Error('Invalid lesson ID');
+    }
+    return apiRequest(`/api/lessons/${lessonId}/assignments`).then(data => data.assignments || []);
+  },
+
+  createAssignment: (lessonId, data) => {
+    if (!lessonId || typeof lessonId !== 'number') {
+      throw new Error('Invalid lesson ID');
+    }
+    if (!data.title || !data.instructions || !data.max_points) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest(`/api/lessons/${lessonId}/assignments`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }).then(data => data.assignment);
+  },
+
+  updateAssignment: (id, data) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid assignment ID');
+    }
+    return apiRequest(`/api/assignments/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }).then(data => data.assignment);
+  },
+
+  deleteAssignment: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid assignment ID');
+    }
+    return apiRequest(`/api/assignments/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  submitAssignment: (assignmentId, data) => {
+    if (!assignmentId || typeof assignmentId !== 'number') {
+      throw new Error('Invalid assignment ID');
+    }
+    if (!data.text_content && (!data.attachments || data.attachments.length === 0)) {
+      throw new Error('Add text or at least one attachment');
+    }
+    return apiRequest(`/api/assignments/${assignmentId}/submissions`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }).then(data => data.submission);
+  },
+
+  getMySubmission: (assignmentId) => {
+    if (!assignmentId || typeof assignmentId !== 'number') {
+      throw new Error('Invalid assignment ID');
+    }
+    return apiRequest(`/api/assignments/${assignmentId}/submission`).then(data => data.submission);
+  },
+
+  getCourseSubmissions: (courseId, status = 'ungraded') => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    return apiRequest(`/api/courses/${courseId}/submissions?status=${encodeURIComponent(status)}`)
+      .then(data => data.submissions || []);
+  },
+
+  getSubmission: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid submission ID');
+    }
+    return apiRequest(`/api/submissions/${id}`).then(data => data.submission);
+  },
+
+  downloadAttachment: (submissionId, attachmentId) => {
+    if (!submissionId || typeof submissionId !== 'number' || !attachmentId || typeof attachmentId !== 'number') {
+      throw new Error('Invalid attachment');
+    }
+    return downloadRequest(`/api/submissions/${submissionId}/attachments/${attachmentId}`);
+  },
+
+  gradeSubmission: (id, data) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid submission ID');
+    }
+    if (typeof data.points !== 'number') {
+      throw new Error('Points are required');
+    }
+    return apiRequest(`/api/submissions/${id}/grade`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }).then(data => data.submission);
+  },
+
+  getGradeCategories: (courseId) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    return apiRequest(`/api/courses/${courseId}/grade-categories`).then(data => data.categories || []);
+  },
+
+  createGradeCategory: (courseId, data) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    if (!data.name || typeof data.weight !== 'number') {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest(`/api/courses/${courseId}/grade-categories`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }).then(data => data.category);
+  },
+
+  updateGradeCategory: (id, data) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid category ID');
+    }
+    return apiRequest(`/api/grade-categories/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }).then(data => data.category);
+  },
+
+  deleteGradeCategory: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid category ID');
+    }
+    return apiRequest(`/api/grade-categories/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  getGradebook: (courseId) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    return apiRequest(`/api/courses/${courseId}/gradebook?limit=100`).then(data => data.gradebook);
+  },
+
+  getCourseAnalytics: (courseId, { interval, days }) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    const params = new URLSearchParams({ interval, days: String(days) });
+    return apiRequest(`/api/courses/${courseId}/analytics?${params.toString()}`);
+  },
+
+  getCourseStudents: (courseId, { search, sort, page, limit }) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    const params = new URLSearchParams({ sort, page: String(page), limit: String(limit) });
+    if (search) {
+      params.set('search', search);
+    }
+    return apiRequest(`/api/courses/${courseId}/students?${params.toString()}`);
+  },
+
+  getCourseStudent: (courseId, studentId) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    if (!studentId || typeof studentId !== 'number') {
+      throw new Error('Invalid student ID');
+    }
+    return apiRequest(`/api/courses/${courseId}/students/${studentId}`);
+  },
+
+  removeCourseStudent: (courseId, studentId) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    if (!studentId || typeof studentId !== 'number') {
+      throw new Error('Invalid student ID');
+    }
+    return apiRequest(`/api/courses/${courseId}/students/${studentId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  getMyGrades: (courseId) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    return apiRequest(`/api/courses/${courseId}/grades/me`).then(data => data.grades);
+  },
+
+  getCertificates: () => apiRequest('/api/certificates').then(data => data.certificates || []),
+
+  downloadCertificate: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid certificate ID');
+    }
+    return downloadRequest(`/api/certificates/${id}/download`);
+  },
+
+  search: (q) => {
+    if (!q || typeof q !== 'string') {
+      throw new Error('Missing search query');
+    }
+    return apiRequest(`/api/search?q=${encodeURIComponent(q)}&limit=20`).then(data => data.results || []);
+  },
+
+  getLearningPaths: () => apiRequest('/api/learning-paths?limit=100').then(data => data.learning_paths || []),
+
+  createLearningPath: (data) => {
+    if (!data.title || !Array.isArray(data.course_ids) || data.course_ids.length === 0) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest('/api/learning-paths', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }).then(data => data.learning_path);
+  },
+
+  updateLearningPath: (id, data) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid learning path ID');
+    }
+    return apiRequest(`/api/learning-paths/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }).then(data => data.learning_path);
+  },
+
+  deleteLearningPath: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid learning path ID');
+    }
+    return apiRequest(`/api/learning-paths/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  getCourseReviews: (courseId) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    return apiRequest(`/api/courses/${courseId}/reviews?limit=100`);
+  },
+
+  createReview: (courseId, data) => {
+    if (!courseId || typeof courseId !== 'number') {
+      throw new Error('Invalid course ID');
+    }
+    if (!data.rating) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest(`/api/courses/${courseId}/reviews`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }).then(data => data.review);
+  },
+
+  updateReview: (id, data) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid review ID');
+    }
+    return apiRequest(`/api/reviews/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }).then(data => data.review);
+  },
+
+  deleteReview: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid review ID');
+    }
+    return apiRequest(`/api/reviews/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  getNotifications: () => apiRequest('/api/notifications?limit=20'),
+
+  markNotificationRead: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid notification ID');
+    }
+    return apiRequest(`/api/notifications/${id}/read`, {
+      method: 'PUT',
+    });
+  },
+
+  markAllNotificationsRead: () => apiRequest('/api/notifications/read-all', { method: 'PUT' }),
+
+  getEmailPreferences: () => apiRequest('/api/email-preferences').then(data => data.preferences),
+
+  updateEmailPreferences: (preferences) => apiRequest('/api/email-preferences', {
+    method: 'PUT',
+    body: JSON.stringify(preferences),
+  }).then(data => data.preferences),
+
+  getLessonThreads: (lessonId) => {
+    if (!lessonId || typeof lessonId !== 'number') {
+      throw new Error('Invalid lesson ID');
+    }
+    return apiRequest(`/api/lessons/${lessonId}/threads?limit=100`).then(data => data.threads || []);
+  },
+
+  createThread: (lessonId, data) => {
+    if (!lessonId || typeof lessonId !== 'number') {
+      throw new Error('Invalid lesson ID');
+    }
+    if (!data.title || !data.body) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest(`/api/lessons/${lessonId}/threads`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }).then(data => data.thread);
+  },
+
+  getThread: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid thread ID');
+    }
+    return apiRequest(`/api/threads/${id}`).then(data => data.thread);
+  },
+
+  updateThread: (id, data) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid thread ID');
+    }
+    return apiRequest(`/api/threads/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }).then(data => data.thread);
+  },
+
+  moderateThread: (id, data) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid thread ID');
+    }
+    return apiRequest(`/api/threads/${id}/moderation`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }).then(data => data.thread);
+  },
+
+  deleteThread: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid thread ID');
+    }
+    return apiRequest(`/api/threads/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  createPost: (threadId, data) => {
+    if (!threadId || typeof threadId !== 'number') {
+      throw new Error('Invalid thread ID');
+    }
+    if (!data.body) {
+      throw new Error('Missing required fields');
+    }
+    return apiRequest(`/api/threads/${threadId}/posts`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }).then(data => data.post);
+  },
+
+  updatePost: (id, data) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid post ID');
+    }
+    return apiRequest(`/api/posts/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }).then(data => data.post);
+  },
+
+  deletePost: (id) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid post ID');
+    }
+    return apiRequest(`/api/posts/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  replyToReview: (id, reply) => {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Invalid review ID');
+    }
+    return apiRequest(`/api/reviews/${id}/reply`, {
+      method: 'PUT',
+      body: JSON.stringify({ reply }),
+    }).then(data => data.review);
+  },
 };
@@ -2,8 +2,20 @@ export const getAuthToken = () => {
   return localStorage.getItem('auth_token');
 };
 
+export const getRefreshToken = () => {
+  return localStorage.getItem('refresh_token');
+};
+
+export const setAuthTokens = (token, refreshToken) => {
+  localStorage.setItem('auth_token', token);
+  if (refreshToken) {
+    localStorage.setItem('refresh_token', refreshToken);
+  }
+};
+
 export const clearAuthToken = () => {
   localStorage.removeItem('auth_token');
+  localStorage.removeItem('refresh_token');
 };
 
 export const validateToken = () => {
@@ -17,8 +29,9 @@ export const validateToken = () => {
       return null;
     }
 
+    // Access tokens are short-lived; an expired one is refreshed on the next API request
     const currentTime = Math.floor(Date.now() / 1000);
-    if (payload.exp < currentTime) {
+    if (payload.exp < currentTime && !getRefreshToken()) {
       clearAuthToken();
       return null;
     }
@@ -33,6 +46,7 @@ export const validateToken = () => {
       email: payload.email || '',
       name: payload.name || '',
       role: payload.role,
+      email_verified: !!payload.emailVerified,
     };
   } catch (error) {
     clearAuthToken();
@@ -58,3 +72,12 @@ const parseJWT = (token) => {
     return null;
   }
 };
+
+// Returns the error to show for a new password and its confirmation, or null when valid
+export const getNewPasswordError = (password, confirmPassword) => {
+  if (!password || password.length === 0) return 'Password is required';
+  if (password.length < 8) return 'Password must be at least 8 characters';
+  if (password.length > 128) return 'Password too long';
+  if (password !== confirmPassword) return 'Passwords do not match';
+  return null;
+};
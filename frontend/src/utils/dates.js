@@ -0,0 +1,25 @@
+// Converts an ISO timestamp into the value format expected by datetime-local inputs
+export const toLocalInputValue = (isoString) => {
+  if (!isoString) return '';
+  const date = new Date(isoString);
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+// Converts a datetime-local input value back into an ISO timestamp, or null when empty
+export const fromLocalInputValue = (value) => (value ? new Date(value).toISOString() : null);
+
+// The local calendar date as YYYY-MM-DD
+export const toLocalDateKey = (date = new Date()) => {
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 10);
+};
+
+// Formats a number of seconds as e.g. "1h 5m", "12m" or "40s"
+export const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds}s`;
+};
@@ -0,0 +1,81 @@
+import { API_BASE_URL, refreshAccessToken } from './api';
+import { getAuthToken } from './auth';
+
+const DEFAULT_RETRY_MS = 5000;
+
+// Splits a Server-Sent Events buffer into complete events, returning them with the unparsed remainder
+const parseEvents = (buffer) => {
+  const events = [];
+  const blocks = buffer.split('\n\n');
+  const remainder = blocks.pop();
+  blocks.forEach((block) => {
+    const event = { type: 'message', data: '' };
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event: ')) {
+        event.type = line.slice(7);
+      } else if (line.startsWith('data: ')) {
+        event.data += line.slice(6);
+      } else if (line.startsWith('retry: ')) {
+        event.retry = parseInt(line.slice(7));
+      }
+    });
+    events.push(event);
+  });
+  return { events, remainder };
+};
+
+// Subscribes to GET /api/events. EventSource cannot send the Authorization header, so the
+// stream is read with fetch. Reconnects after the server's retry delay until unsubscribed.
+export const subscribeToEvents = (onEvent) => {
+  const controller = new AbortController();
+  let retryMs = DEFAULT_RETRY_MS;
+  let retryTimer = null;
+
+  const connect = async () => {
+    const token = getAuthToken();
+    if (!token || controller.signal.aborted) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/events`, {
+        headers: { Authorization: `Bearer ${token}` },
+        signal: controller.signal,
+        credentials: 'omit',
+      });
+
+      // Reconnects with a refreshed access token; a revoked session will not recover by retrying
+      if (response.status === 401) {
+        if (await refreshAccessToken()) connect();
+        return;
+      }
+      if (!response.ok || !response.body) throw new Error('Event stream unavailable');
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+        const { events, remainder } = parseEvents(buffer);
+        buffer = remainder;
+        for (const event of events) {
+          if (event.retry) retryMs = event.retry;
+          if (event.data) onEvent(event.type, JSON.parse(event.data));
+        }
+      }
+    } catch (err) {
+      if (controller.signal.aborted) return;
+    }
+
+    if (!controller.signal.aborted) {
+      retryTimer = setTimeout(connect, retryMs);
+    }
+  };
+
+  connect();
+
+  return () => {
+    controller.abort();
+    clearTimeout(retryTimer);
+  };
+};
@@ -0,0 +1,19 @@
+const byOrderIndex = (a, b) => (a.order_index || 0) - (b.order_index || 0);
+
+// Groups lessons under their sections in section order; lessons without a section come last
+export const groupLessonsBySection = (lessons = [], sections = []) => {
+  const groups = [...sections].sort(byOrderIndex).map((section) => ({
+    section,
+    lessons: lessons.filter(l => l.section_id === section.id).sort(byOrderIndex),
+  }));
+  const sectionIds = new Set(sections.map(s => s.id));
+  const unsectioned = lessons.filter(l => !sectionIds.has(l.section_id)).sort(byOrderIndex);
+  if (unsectioned.length > 0 || groups.length === 0) {
+    groups.push({ section: null, lessons: unsectioned });
+  }
+  return groups;
+};
+
+// Flattens lessons into course reading order: by section, then by lesson order
+export const sortLessons = (lessons = [], sections = []) =>
+  groupLessonsBySection(lessons, sections).flatMap(group => group.lessons);
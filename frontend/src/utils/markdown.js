@@ -0,0 +1,79 @@
+import { Marked } from 'marked';
+import { markedHighlight } from 'marked-highlight';
+import markedKatex from 'marked-katex-extension';
+import hljs from 'highlight.js/lib/common';
+import DOMPurify from 'dompurify';
+import 'highlight.js/styles/github.css';
+import 'katex/dist/katex.min.css';
+
+// Mirrors the server's lesson content policy: raw HTML is limited to attribute-free formatting tags
+const ALLOWED_HTML_TAGS = new Set([
+  'b', 'i', 'em', 'strong', 'u', 's', 'sub', 'sup', 'kbd', 'mark', 'br', 'hr', 'details', 'summary',
+]);
+
+// Only http(s) and mailto URLs, or relative ones without a scheme
+const ALLOWED_URI_REGEXP = /^(?:(?:https?|mailto):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const isAllowedHtml = (html) => {
+  if (/<!--|<!\[CDATA\[|<\?|<![a-z]/i.test(html)) {
+    return false;
+  }
+  const tagPattern = /<\/?([a-zA-Z][a-zA-Z0-9-]*)([^>]*)>/g;
+  let match;
+  while ((match = tagPattern.exec(html)) !== null) {
+    if (!ALLOWED_HTML_TAGS.has(match[1].toLowerCase()) || match[2].replace(/\/$/, '').trim() !== '') {
+      return false;
+    }
+  }
+  return true;
+};
+
+const markdown = new Marked(
+  markedHighlight({
+    emptyLangClass: 'hljs',
+    langPrefix: 'hljs language-',
+    highlight(code, lang) {
+      const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+      return hljs.highlight(code, { language }).value;
+    },
+  }),
+  markedKatex({ throwOnError: false, nonStandard: true }),
+  {
+    gfm: true,
+    renderer: {
+      // Disallowed raw HTML is shown as text instead of being dropped silently
+      html({ text }) {
+        return isAllowedHtml(text) ? text : escapeHtml(text);
+      },
+    },
+  }
+);
+
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+export const renderMarkdown = (content) => {
+  const html = markdown.parse(content || '');
+  return DOMPurify.sanitize(html, {
+    USE_PROFILES: { html: true, svg: true, mathMl: true },
+    ALLOWED_URI_REGEXP,
+    FORBID_TAGS: ['style', 'form', 'button', 'textarea', 'select'],
+    FORBID_ATTR: ['id', 'name'],
+    ADD_ATTR: ['target'],
+  });
+};
+
+// Search highlights arrive as escaped text with <mark> tags; anything else is stripped
+export const sanitizeHighlight = (html) => DOMPurify.sanitize(html || '', { ALLOWED_TAGS: ['mark'], ALLOWED_ATTR: [] });
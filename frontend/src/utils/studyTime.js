@@ -0,0 +1,44 @@
+import { api } from './api';
+import { toLocalDateKey } from './dates';
+
+const HEARTBEAT_INTERVAL_MS = 60000;
+const MAX_HEARTBEAT_SECONDS = 90;
+// Short glimpses at a tab are carried over to the next heartbeat instead of sent on their own
+const MIN_HIDDEN_FLUSH_SECONDS = 10;
+
+// Reports time spent on a lesson while the page is visible, once a minute, when the tab is
+// hidden and when tracking stops. Returns a function that stops tracking.
+export const trackStudyTime = (lessonId) => {
+  let visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+  let pendingMs = 0;
+
+  const flush = (minSeconds = 1) => {
+    if (visibleSince !== null) {
+      const now = Date.now();
+      pendingMs += now - visibleSince;
+      visibleSince = now;
+    }
+    const seconds = Math.min(Math.floor(pendingMs / 1000), MAX_HEARTBEAT_SECONDS);
+    if (seconds < minSeconds) return;
+    pendingMs = 0;
+    api.recordStudyTime(lessonId, seconds, toLocalDateKey()).catch(() => {});
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'visible') {
+      visibleSince = Date.now();
+    } else {
+      flush(MIN_HIDDEN_FLUSH_SECONDS);
+      visibleSince = null;
+    }
+  };
+
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  const timer = setInterval(() => flush(), HEARTBEAT_INTERVAL_MS);
+
+  return () => {
+    clearInterval(timer);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    flush();
+  };
+};